@@ -1,6 +1,28 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
 const Member = require('../models/Member');
+const settingsService = require('../services/settingsService');
+const visitorOtpService = require('../services/visitorOtpService');
+
+// Tokens issued before the current session timeout window are no longer accepted
+const isSessionExpired = async (decoded) => {
+  const { security } = await settingsService.get();
+  return Date.now() - decoded.iat * 1000 > security.sessionTimeout * 24 * 60 * 60 * 1000;
+};
+
+// Whether the request carries a validly signed staff token (no user lookup)
+const hasStaffToken = (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return false;
+  }
+  try {
+    jwt.verify(token, process.env.JWT_SECRET);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
 
 // Verify JWT token
 const verifyToken = async (req, res, next) => {
@@ -15,6 +37,13 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isSessionExpired(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token expired.'
+      });
+    }
     
     // Check if user exists and is active
     let user = await Admin.findById(decoded.id);
@@ -111,6 +140,19 @@ const checkAdminPermission = (permission) => {
   };
 };
 
+// Allow super admins and admins with one of the given roles
+const checkAdminRole = (...roles) => {
+  return (req, res, next) => {
+    if (req.userType !== 'admin' || !(req.user.role === 'super_admin' || roles.includes(req.user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. ${roles.join(' or ')} role required.`
+      });
+    }
+    next();
+  };
+};
+
 // Optional authentication (for public routes that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -123,6 +165,12 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (await isSessionExpired(decoded)) {
+      req.user = null;
+      req.userType = null;
+      return next();
+    }
     
     let user = await Admin.findById(decoded.id);
     let userType = 'admin';
@@ -148,11 +196,30 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Visitor session from a verified phone OTP (X-Visitor-Session header)
+const verifyVisitorSession = (req, res, next) => {
+  const session = visitorOtpService.verifySession(req.header('X-Visitor-Session'));
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      code: 'VISITOR_SESSION_REQUIRED',
+      message: 'Please verify your phone number to continue.'
+    });
+  }
+
+  req.visitorSession = session;
+  next();
+};
+
 module.exports = {
   verifyToken,
   adminOnly,
   memberOnly,
   superAdminOnly,
   checkAdminPermission,
-  optionalAuth
+  checkAdminRole,
+  optionalAuth,
+  verifyVisitorSession,
+  hasStaffToken
 };
@@ -0,0 +1,29 @@
+const settingsService = require('../services/settingsService');
+
+// Block the public visitor flow while maintenance mode is switched on.
+// Staff logins and authenticated routes are not gated.
+const maintenanceGate = async (req, res, next) => {
+  const { system } = await settingsService.get();
+
+  if (!system.maintenanceMode) {
+    return next();
+  }
+
+  const endsAt = system.maintenanceEndsAt ? new Date(system.maintenanceEndsAt) : null;
+  if (endsAt && endsAt > new Date()) {
+    res.set('Retry-After', Math.ceil((endsAt.getTime() - Date.now()) / 1000).toString());
+  }
+
+  res.status(503).json({
+    success: false,
+    code: 'MAINTENANCE_MODE',
+    message: system.maintenanceMessage,
+    data: {
+      maintenanceEndsAt: endsAt
+    }
+  });
+};
+
+module.exports = {
+  maintenanceGate
+};
@@ -42,6 +42,282 @@ const validateCompany = [
   handleValidationErrors
 ];
 
+// Company calendar entry validation rules
+const validateCalendarEntry = [
+  body('date')
+    .isISO8601()
+    .withMessage('Valid date is required'),
+  body('type')
+    .optional()
+    .isIn(['holiday', 'half_day', 'closure'])
+    .withMessage('Type must be holiday, half_day or closure'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('closesAt')
+    .if(body('type').equals('half_day'))
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Closing time (HH:mm) is required for half days'),
+  body('reason')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters'),
+  body('conflictAction')
+    .optional()
+    .isIn(['reschedule', 'cancel'])
+    .withMessage('Conflict action must be reschedule or cancel'),
+  handleValidationErrors
+];
+
+// Company public board settings validation rules
+const validatePublicBoard = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be true or false'),
+  body('visitorName')
+    .optional()
+    .isIn(['initials', 'full', 'hidden'])
+    .withMessage('Visitor name must be initials, full or hidden'),
+  body('visitorPhone')
+    .optional()
+    .isIn(['masked', 'hidden'])
+    .withMessage('Visitor phone must be masked or hidden'),
+  body('hiddenStatuses')
+    .optional()
+    .isArray()
+    .withMessage('Hidden statuses must be a list'),
+  body('hiddenStatuses.*')
+    .isIn(['pending', 'accepted', 'declined', 'in-progress', 'completed', 'cancelled', 'expired'])
+    .withMessage('Invalid request status'),
+  handleValidationErrors
+];
+
+// Company escalation policy validation rules (delays in minutes, 0 skips a step)
+const validateEscalation = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be true or false'),
+  body(['remindHostAfter', 'notifyManagersAfter', 'autoDeclineAfter'])
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Escalation delays must be between 0 and 1440 minutes'),
+  body('declineMessage')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Decline message cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Watchlist import validation rules (CSV text or a list of entries)
+const validateWatchlistImport = [
+  body('listName')
+    .trim()
+    .notEmpty()
+    .withMessage('List name is required')
+    .isLength({ max: 100 })
+    .withMessage('List name cannot exceed 100 characters'),
+  body('csv')
+    .if(body('entries').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Provide a CSV file or a list of entries'),
+  body('entries')
+    .optional()
+    .isArray({ min: 1, max: 5000 })
+    .withMessage('Entries must be a list of 1 to 5000 people'),
+  handleValidationErrors
+];
+
+// Security review decision validation rules
+const validateSecurityReview = [
+  body('decision')
+    .isIn(['clear', 'deny'])
+    .withMessage('Decision must be clear or deny'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Blacklist entry validation rules
+const validateBlacklistEntry = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('companyIds')
+    .optional()
+    .isArray()
+    .withMessage('Companies must be a list'),
+  body('companyIds.*')
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  handleValidationErrors
+];
+
+// Lifting a blacklist entry needs a reason for the history
+const validateBlacklistLift = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Out-of-office window and delegate validation rules
+const validateOutOfOffice = [
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.startDate))
+    .withMessage('End date must be after the start date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('End date must be in the future'),
+  body('delegateId')
+    .isMongoId()
+    .withMessage('Please choose a delegate'),
+  body('mode')
+    .optional()
+    .isIn(['forward', 'cc'])
+    .withMessage('Mode must be forward or cc'),
+  handleValidationErrors
+];
+
+// Auto-accept switch and rule validation
+const validateAutoAccept = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('Enabled must be true or false'),
+  body('rules')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Rules must be a list of at most 20 entries'),
+  body('rules.*.type')
+    .isIn(['purpose', 'returning', 'invited', 'timeWindow'])
+    .withMessage('Rule type must be purpose, returning, invited or timeWindow'),
+  body('rules.*.purposes.*')
+    .isIn(['interview', 'casual', 'delivery', 'meeting', 'other'])
+    .withMessage('Invalid purpose'),
+  body('rules.*.minCompletedVisits')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Minimum completed visits must be between 1 and 100'),
+  body('rules.*.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days must be between 0 (Sunday) and 6 (Saturday)'),
+  body('rules.*.startTime')
+    .optional({ values: 'falsy' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in HH:mm format'),
+  body('rules.*.endTime')
+    .optional({ values: 'falsy' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('End time must be in HH:mm format'),
+  body('rules')
+    .optional()
+    .custom(rules => rules.every(rule => rule.type !== 'purpose' || (rule.purposes && rule.purposes.length)))
+    .withMessage('Purpose rules need at least one purpose')
+    .custom(rules => rules.every(rule => rule.type !== 'timeWindow' || (rule.startTime && rule.endTime)))
+    .withMessage('Time window rules need a start and end time'),
+  handleValidationErrors
+];
+
+// Weekly availability and blocked times
+const validateAvailability = [
+  body('enabled')
+    .isBoolean()
+    .withMessage('Enabled must be true or false'),
+  body('slotMinutes')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Slot length must be between 15 and 240 minutes'),
+  body('weekly')
+    .optional()
+    .isArray({ max: 21 })
+    .withMessage('Weekly hours must be a list of at most 21 entries'),
+  body('weekly.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days must be between 0 (Sunday) and 6 (Saturday)'),
+  body('weekly.*.startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in HH:mm format'),
+  body('weekly.*.endTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('End time must be in HH:mm format'),
+  body('weekly')
+    .optional()
+    .custom(weekly => weekly.every(window => window.endTime > window.startTime))
+    .withMessage('Weekly hours must end after they start')
+    .custom(weekly => weekly.every((window, i) => weekly.every((other, j) => (
+      i === j || window.day !== other.day || window.endTime <= other.startTime || other.endTime <= window.startTime
+    ))))
+    .withMessage('Weekly hours on the same day cannot overlap'),
+  body('blocked')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Blocked times must be a list of at most 50 entries'),
+  body('blocked.*.start')
+    .isISO8601()
+    .withMessage('Blocked start must be a valid date'),
+  body('blocked.*.end')
+    .isISO8601()
+    .withMessage('Blocked end must be a valid date'),
+  body('blocked.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  body('blocked')
+    .optional()
+    .custom(blocked => blocked.every(block => new Date(block.end) > new Date(block.start)))
+    .withMessage('Blocked times must end after they start'),
+  body('enabled')
+    .custom((enabled, { req }) => !enabled || (req.body.weekly && req.body.weekly.length > 0))
+    .withMessage('Add weekly hours before publishing your availability'),
+  handleValidationErrors
+];
+
+// Public slot lookup
+const validateSlotQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Days must be between 1 and 31'),
+  query('duration')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Duration must be between 5 and 480 minutes'),
+  query('companyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid company ID'),
+  handleValidationErrors
+];
+
 // Member validation rules
 const validateMember = [
   body('firstName')
@@ -123,6 +399,17 @@ const validateRequest = [
   body('memberId')
     .isMongoId()
     .withMessage('Valid member ID is required'),
+  body('coHostIds')
+    .optional()
+    .isArray({ max: 9 })
+    .withMessage('A visit can have at most 10 hosts'),
+  body('coHostIds.*')
+    .isMongoId()
+    .withMessage('Valid member ID is required'),
+  body('approvalMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Approval mode must be any or all'),
   body('purpose')
     .isIn(['interview', 'casual', 'delivery', 'meeting', 'other'])
     .withMessage('Invalid purpose'),
@@ -133,6 +420,170 @@ const validateRequest = [
     .optional()
     .isLength({ max: 200 })
     .withMessage('Purpose description cannot exceed 200 characters'),
+  body('scheduledTime')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('Valid visit time is required'),
+  body('defer')
+    .optional()
+    .isBoolean()
+    .withMessage('Defer must be true or false'),
+  body('headcount')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Headcount must be between 1 and 100'),
+  body('attendees')
+    .optional()
+    .isArray()
+    .withMessage('Attendees must be a list')
+    .custom((attendees, { req }) => attendees.length <= (parseInt(req.body.headcount) || 1) - 1)
+    .withMessage('List at most one attendee per person in the group besides yourself'),
+  body('attendees.*.firstName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Attendee first name is required and cannot exceed 50 characters'),
+  body('attendees.*.lastName')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Attendee last name is required and cannot exceed 50 characters'),
+  handleValidationErrors
+];
+
+// Recurring visit (request series) validation rules
+const validateRequestSeries = [
+  body('visitorId')
+    .isMongoId()
+    .withMessage('Valid visitor ID is required'),
+  body('companyId')
+    .isMongoId()
+    .withMessage('Valid company ID is required'),
+  body('memberId')
+    .isMongoId()
+    .withMessage('Valid member ID is required'),
+  body('purpose')
+    .isIn(['interview', 'casual', 'delivery', 'meeting', 'other'])
+    .withMessage('Invalid purpose'),
+  body('duration')
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Duration must be between 5 and 480 minutes'),
+  body('purposeDescription')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Purpose description cannot exceed 200 characters'),
+  body('frequency')
+    .isIn(['daily', 'weekly', 'weekdays'])
+    .withMessage('Frequency must be daily, weekly or weekdays'),
+  body('daysOfWeek')
+    .if(body('frequency').equals('weekdays'))
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Choose at least one weekday'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Valid first visit time is required')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('First visit must be in the future'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  handleValidationErrors
+];
+
+// Host's answer to a request series
+const validateSeriesResponse = [
+  body('action')
+    .isIn(['approve', 'decline'])
+    .withMessage('Action must be approve or decline'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Visitor's answer to proposed reschedule times
+const validateRescheduleReply = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Visitor token is required'),
+  body('action')
+    .isIn(['confirm', 'counter'])
+    .withMessage('Action must be confirm or counter'),
+  body('slot')
+    .if(body('action').equals('confirm'))
+    .isISO8601()
+    .withMessage('Choose one of the proposed times'),
+  body('slots')
+    .if(body('action').equals('counter'))
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Propose between 1 and 5 times'),
+  body('slots.*')
+    .isISO8601()
+    .withMessage('Proposed times must be valid dates')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Proposed times must be in the future'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Invitation (pre-registration) validation rules
+const validateInvitation = [
+  body('firstName')
+    .trim()
+    .notEmpty()
+    .withMessage('First name is required')
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters'),
+  body('lastName')
+    .trim()
+    .notEmpty()
+    .withMessage('Last name is required')
+    .isLength({ max: 50 })
+    .withMessage('Last name cannot exceed 50 characters'),
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number is required')
+    .matches(/^[0-9+\-\s()]+$/)
+    .withMessage('Invalid phone number format'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('companyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid company ID is required'),
+  body('purpose')
+    .isIn(['interview', 'casual', 'delivery', 'meeting', 'other'])
+    .withMessage('Invalid purpose'),
+  body('duration')
+    .isInt({ min: 5, max: 480 })
+    .withMessage('Duration must be between 5 and 480 minutes'),
+  body('scheduledTime')
+    .isISO8601()
+    .withMessage('Valid visit time is required'),
+  body('purposeDescription')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Purpose description cannot exceed 200 characters'),
+  body('recurrence.frequency')
+    .optional({ checkFalsy: true })
+    .isIn(['daily', 'weekly'])
+    .withMessage('Recurrence must be daily or weekly'),
+  body('recurrence.occurrences')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Occurrences must be between 1 and 30'),
   handleValidationErrors
 ];
 
@@ -164,6 +615,29 @@ const validateAdmin = [
   handleValidationErrors
 ];
 
+// Visitor phone verification rules
+const validateOtpRequest = [
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number is required')
+    .matches(/^[0-9+\-\s()]+$/)
+    .withMessage('Invalid phone number format'),
+  handleValidationErrors
+];
+
+const validateOtpVerify = [
+  body('phone')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number is required'),
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  handleValidationErrors
+];
+
 // Login validation rules
 const validateLogin = [
   body('email')
@@ -209,9 +683,26 @@ const validateSearch = [
 module.exports = {
   handleValidationErrors,
   validateCompany,
+  validateCalendarEntry,
+  validatePublicBoard,
+  validateEscalation,
+  validateWatchlistImport,
+  validateSecurityReview,
+  validateBlacklistEntry,
+  validateBlacklistLift,
+  validateOutOfOffice,
+  validateAutoAccept,
+  validateAvailability,
+  validateSlotQuery,
   validateMember,
   validateVisitor,
+  validateOtpRequest,
+  validateOtpVerify,
   validateRequest,
+  validateInvitation,
+  validateRequestSeries,
+  validateSeriesResponse,
+  validateRescheduleReply,
   validateAdmin,
   validateLogin,
   validateObjectId,
@@ -9,8 +9,24 @@ const auditLogSchema = new mongoose.Schema({
       'visitor_request_accepted',
       'visitor_request_declined',
       'visitor_request_cancelled',
+      'visitor_request_rescheduled',
       'visitor_entered',
       'visitor_exited',
+      'visitor_request_expired',
+      'visitor_request_escalated',
+      'visitor_invited',
+      'request_series_created',
+      'request_series_approved',
+      'request_series_declined',
+      'request_series_cancelled',
+      'request_series_occurrence_cancelled',
+      'visitor_erased',
+      'visitor_data_exported',
+      'visitor_blacklisted',
+      'visitor_blacklist_lifted',
+      'watchlist_match',
+      'security_review_cleared',
+      'security_review_denied',
       'member_login',
       'member_logout',
       'admin_login',
@@ -18,18 +34,21 @@ const auditLogSchema = new mongoose.Schema({
       'company_created',
       'company_updated',
       'company_deleted',
+      'company_calendar_updated',
       'member_created',
       'member_updated',
       'member_deleted',
       'admin_created',
       'admin_updated',
-      'admin_deleted'
+      'admin_deleted',
+      'settings_updated',
+      'watchlist_updated'
     ]
   },
   entityType: {
     type: String,
     required: [true, 'Entity type is required'],
-    enum: ['visitor', 'member', 'admin', 'company', 'request']
+    enum: ['visitor', 'member', 'admin', 'company', 'request', 'request_series', 'settings', 'watchlist']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -37,12 +56,16 @@ const auditLogSchema = new mongoose.Schema({
   },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    refPath: 'performedByModel',
-    required: [true, 'Performed by is required']
+    // System entries (background jobs) have no performer to populate
+    ref: function() {
+      return this.performedByModel === 'System' ? null : this.performedByModel;
+    },
+    required: [function() { return this.performedByModel !== 'System'; }, 'Performed by is required'],
+    default: null
   },
   performedByModel: {
     type: String,
-    enum: ['Member', 'Admin'],
+    enum: ['Member', 'Admin', 'Visitor', 'System'],
     required: [true, 'Performed by model is required']
   },
   details: {
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One blacklisting of a visitor. Entries are never deleted so lifted and
+// expired ones remain as history.
+const blacklistEntrySchema = new mongoose.Schema({
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visitor',
+    required: [true, 'Visitor is required']
+  },
+  // Empty means the visitor is blocked at every company
+  companies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Null for entries carried over from the old on/off flag
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  liftReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+blacklistEntrySchema.virtual('status').get(function() {
+  if (this.liftedAt) return 'lifted';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+blacklistEntrySchema.methods.appliesTo = function(companyId) {
+  return this.companies.length === 0 ||
+    this.companies.some(company => String(company._id || company) === String(companyId));
+};
+
+blacklistEntrySchema.index({ visitor: 1, createdAt: -1 });
+blacklistEntrySchema.index({ liftedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('BlacklistEntry', blacklistEntrySchema);
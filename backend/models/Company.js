@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+// Holidays, half days and ad-hoc closures
+const calendarEntrySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  type: {
+    type: String,
+    enum: ['holiday', 'half_day', 'closure'],
+    default: 'holiday'
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Closing time on half days
+  closesAt: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be in HH:mm format'],
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
 const companySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -57,6 +93,41 @@ const companySchema = new mongoose.Schema({
       type: Number,
       default: 50
     },
+    // Off unless a company opts in
+    pendingRequestTimeout: {
+      type: Number, // in minutes, 0 disables expiry
+      default: 0,
+      min: [0, 'Pending request timeout cannot be negative']
+    },
+    // Steps for pending requests the host hasn't answered, in minutes after the request
+    // came in; a step set to 0 is skipped
+    escalation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      remindHostAfter: {
+        type: Number,
+        default: 15,
+        min: [0, 'Reminder delay cannot be negative']
+      },
+      notifyManagersAfter: {
+        type: Number,
+        default: 30,
+        min: [0, 'Manager escalation delay cannot be negative']
+      },
+      autoDeclineAfter: {
+        type: Number,
+        default: 60,
+        min: [0, 'Auto-decline delay cannot be negative']
+      },
+      declineMessage: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Decline message cannot exceed 500 characters'],
+        default: 'We are sorry, your host was not able to respond in time. Please check with the front desk or submit a new request.'
+      }
+    },
     workingHours: {
       start: {
         type: String,
@@ -66,8 +137,33 @@ const companySchema = new mongoose.Schema({
         type: String,
         default: '18:00'
       }
+    },
+    // What the public visitor board may show for this company
+    publicBoard: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      visitorName: {
+        type: String,
+        enum: ['initials', 'full', 'hidden'],
+        default: 'initials'
+      },
+      visitorPhone: {
+        type: String,
+        enum: ['masked', 'hidden'],
+        default: 'masked'
+      },
+      hiddenStatuses: {
+        type: [{
+          type: String,
+          enum: ['pending', 'accepted', 'declined', 'in-progress', 'completed', 'cancelled', 'expired']
+        }],
+        default: ['declined', 'cancelled']
+      }
     }
   },
+  calendar: [calendarEntrySchema],
   isActive: {
     type: Boolean,
     default: true
@@ -86,4 +182,10 @@ companySchema.index({ name: 1 });
 companySchema.index({ location: 1 });
 companySchema.index({ isActive: 1 });
 
+// Calendar entry (holiday, half day or closure) falling on the given day
+companySchema.methods.getCalendarEntry = function(date) {
+  const day = new Date(date).toDateString();
+  return (this.calendar || []).find(entry => entry.date.toDateString() === day) || null;
+};
+
 module.exports = mongoose.model('Company', companySchema);
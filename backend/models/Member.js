@@ -84,6 +84,113 @@ const memberSchema = new mongoose.Schema({
     autoAccept: {
       type: Boolean,
       default: false
+    },
+    // Checked in order while autoAccept is on; with no rules every request is accepted
+    autoAcceptRules: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['purpose', 'returning', 'invited', 'timeWindow'],
+        required: true
+      },
+      // purpose: visit purposes accepted straight away
+      purposes: [{
+        type: String,
+        enum: ['interview', 'casual', 'delivery', 'meeting', 'other']
+      }],
+      // returning: completed visits with this member needed
+      minCompletedVisits: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      // timeWindow: days of the week (0 = Sunday) and HH:mm range for the visit time
+      days: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      startTime: String,
+      endTime: String
+    }]
+  },
+  // While away, new visitor requests go to (or are copied to) the delegate
+  outOfOffice: {
+    startDate: {
+      type: Date,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Member',
+      default: null
+    },
+    mode: {
+      type: String,
+      enum: ['forward', 'cc'],
+      default: 'forward'
+    }
+  },
+  // Published hours visitors can book scheduled visits in (see services/availabilityService.js)
+  availability: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    slotMinutes: {
+      type: Number,
+      min: [15, 'Slots must be at least 15 minutes'],
+      max: [240, 'Slots cannot exceed 4 hours'],
+      default: 30
+    },
+    // Weekly hours: day of the week (0 = Sunday) and HH:mm range
+    weekly: [{
+      _id: false,
+      day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true
+      },
+      startTime: {
+        type: String,
+        required: true
+      },
+      endTime: {
+        type: String,
+        required: true
+      }
+    }],
+    // One-off times the member can't be booked
+    blocked: [{
+      start: {
+        type: Date,
+        required: true
+      },
+      end: {
+        type: Date,
+        required: true
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+      }
+    }]
+  },
+  // Secret for the member's private calendar feed (see services/calendarService.js)
+  calendarFeed: {
+    hash: {
+      type: String,
+      select: false
+    },
+    issuedAt: {
+      type: Date,
+      default: null
     }
   },
   isActive: {
@@ -121,6 +228,11 @@ memberSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+memberSchema.methods.isOutOfOffice = function(at = new Date()) {
+  const { startDate, endDate, delegate } = this.outOfOffice || {};
+  return !!(delegate && startDate && endDate && startDate <= at && at < endDate);
+};
+
 // Index for better query performance
 memberSchema.index({ email: 1 });
 memberSchema.index({ phone: 1 });
@@ -33,13 +33,49 @@ const requestSchema = new mongoose.Schema({
     min: [5, 'Duration must be at least 5 minutes'],
     max: [480, 'Duration cannot exceed 8 hours']
   },
+  // Everyone coming on this request, the lead visitor included (see services/groupVisitService.js)
+  headcount: {
+    type: Number,
+    min: [1, 'Headcount must be at least 1'],
+    max: [100, 'Headcount cannot exceed 100'],
+    default: 1
+  },
+  // Named members of a group besides the lead. Security checks each one in and out;
+  // unnamed members of the headcount come and go with the lead.
+  attendees: [{
+    firstName: {
+      type: String,
+      required: [true, 'Attendee first name is required'],
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+      type: String,
+      required: [true, 'Attendee last name is required'],
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    photo: {
+      type: String,
+      default: null
+    },
+    enteredAt: {
+      type: Date,
+      default: null
+    },
+    exitedAt: {
+      type: Date,
+      default: null
+    }
+  }],
   scheduledTime: {
     type: Date,
     default: null
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'declined', 'completed', 'cancelled', 'expired'],
+    // Transitions are defined in services/requestStateMachine.js
+    enum: ['pending', 'accepted', 'declined', 'in-progress', 'completed', 'cancelled', 'expired', 'security-review'],
     default: 'pending'
   },
   priority: {
@@ -72,8 +108,93 @@ const requestSchema = new mongoose.Schema({
     respondedAt: {
       type: Date,
       default: null
+    },
+    // Set when someone other than the host responded (a delegate)
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Member',
+      default: null
     }
   },
+  // Reschedule rounds traded between the hosts and the visitor (see services/rescheduleService.js).
+  // The request stays pending until one side picks a time the other proposed.
+  negotiation: {
+    awaiting: {
+      type: String,
+      enum: ['visitor', 'host', null],
+      default: null
+    },
+    rounds: [{
+      _id: false,
+      proposedBy: {
+        type: String,
+        enum: ['host', 'visitor'],
+        required: true
+      },
+      // Host rounds: the member who proposed (host, delegate or co-host)
+      member: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+        default: null
+      },
+      slots: [Date],
+      message: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Message cannot exceed 500 characters']
+      },
+      selectedSlot: {
+        type: Date,
+        default: null
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Panel visits list every host, `member` (the primary host) first, each with their own
+  // answer. Empty for ordinary single-host requests.
+  hosts: [{
+    _id: false,
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Member',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ['accept', 'decline', 'reschedule', null],
+      default: null
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Response message cannot exceed 500 characters']
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    },
+    // Set when the primary host's delegate answered for them
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Member',
+      default: null
+    }
+  }],
+  // Panel visits: whether one host accepting is enough, or every host has to
+  approvalMode: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  // Colleague covering for the host while they're out of office
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+    default: null
+  },
   entryDetails: {
     allowedAt: {
       type: Date,
@@ -94,6 +215,137 @@ const requestSchema = new mongoose.Schema({
     securityPersonnel: {
       type: String,
       default: null
+    },
+    // Who closed the visit: the desk, the visitor from the status page, or the end-of-day sweep
+    exitMethod: {
+      type: String,
+      enum: ['security', 'self', 'auto', null],
+      default: null
+    },
+    autoExited: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // iCalendar SEQUENCE of the invites sent for this visit; bumped when the visit changes
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  // Secret handed to the visitor at creation; authorizes self check-out
+  visitorToken: {
+    hash: {
+      type: String,
+      select: false
+    },
+    // Tokens in links emailed later, e.g. to answer proposed times
+    linkHashes: {
+      type: [String],
+      select: false
+    },
+    issuedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  gatePass: {
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    token: {
+      type: String
+    },
+    issuedAt: {
+      type: Date,
+      default: null
+    },
+    validFrom: {
+      type: Date,
+      default: null
+    },
+    validUntil: {
+      type: Date,
+      default: null
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  expiry: {
+    expiredAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      enum: ['pending_timeout', 'no_show', 'no_agreement', null],
+      default: null
+    }
+  },
+  // Steps taken while the host didn't respond (see services/escalationService.js)
+  escalation: {
+    // 0 none, 1 host reminded, 2 managers or front desk notified, 3 auto-declined
+    level: {
+      type: Number,
+      default: 0
+    },
+    steps: [{
+      _id: false,
+      step: {
+        type: String,
+        enum: ['host_reminded', 'managers_notified', 'front_desk_notified', 'auto_declined']
+      },
+      at: Date,
+      recipients: [String]
+    }]
+  },
+  // Watchlist hold; set when the visitor possibly matched on creation
+  securityReview: {
+    matches: [{
+      _id: false,
+      entry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WatchlistEntry'
+      },
+      listName: String,
+      field: {
+        type: String,
+        enum: ['name', 'phone', 'idNumber']
+      },
+      value: String,
+      score: Number,
+      // Group member the match is for; null for the lead visitor
+      attendee: {
+        type: String,
+        default: null
+      }
+    }],
+    flaggedAt: {
+      type: Date,
+      default: null
+    },
+    decision: {
+      type: String,
+      enum: ['cleared', 'denied', null],
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review notes cannot exceed 500 characters'],
+      default: null
     }
   },
   notifications: {
@@ -114,6 +366,27 @@ const requestSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Guests invited ahead of time by their host
+  isPreRegistered: {
+    type: Boolean,
+    default: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+    default: null
+  },
+  // Shared by all occurrences of a recurring invitation
+  recurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Occurrence of a host-approved recurring series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RequestSeries',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true
@@ -130,9 +403,16 @@ const requestSchema = new mongoose.Schema({
 // Index for better query performance
 requestSchema.index({ company: 1, status: 1 });
 requestSchema.index({ member: 1, status: 1 });
+requestSchema.index({ delegate: 1, status: 1 });
+requestSchema.index({ 'hosts.member': 1, status: 1 });
 requestSchema.index({ visitor: 1 });
 requestSchema.index({ createdAt: -1 });
 requestSchema.index({ status: 1, priority: -1, createdAt: 1 });
+requestSchema.index({ 'gatePass.code': 1 });
+requestSchema.index({ invitedBy: 1, scheduledTime: 1 });
+requestSchema.index({ series: 1, scheduledTime: 1 });
+requestSchema.index({ status: 1, 'entryDetails.exitedAt': 1 });
+requestSchema.index({ status: 1, 'securityReview.flaggedAt': 1 });
 
 // Virtual for total duration
 requestSchema.virtual('totalDuration').get(function() {
@@ -142,6 +422,21 @@ requestSchema.virtual('totalDuration').get(function() {
   return null;
 });
 
+requestSchema.methods.isGroup = function() {
+  return this.headcount > 1;
+};
+
+requestSchema.methods.isPanel = function() {
+  return this.hosts.length > 1;
+};
+
+// Window during which an accepted visitor is expected on site
+requestSchema.methods.getVisitWindow = function(graceMinutes = 60) {
+  const start = this.scheduledTime || this.entryDetails.allowedAt || this.createdAt || new Date();
+  const end = new Date(start.getTime() + (this.duration + graceMinutes) * 60 * 1000);
+  return { start, end };
+};
+
 // Pre-save middleware to update queue position
 requestSchema.pre('save', async function(next) {
   if (this.isNew && this.status === 'pending') {
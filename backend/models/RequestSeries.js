@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// A recurring visit the host approves once. Occurrences are created as accepted
+// requests a few days ahead (see services/requestSeriesService.js).
+const requestSeriesSchema = new mongoose.Schema({
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visitor',
+    required: [true, 'Visitor is required']
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Member',
+    required: [true, 'Member is required']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Purpose is required'],
+    enum: ['interview', 'casual', 'delivery', 'meeting', 'other'],
+    default: 'casual'
+  },
+  purposeDescription: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Purpose description cannot exceed 200 characters']
+  },
+  duration: {
+    type: Number, // in minutes
+    required: [true, 'Duration is required'],
+    min: [5, 'Duration must be at least 5 minutes'],
+    max: [480, 'Duration cannot exceed 8 hours']
+  },
+  pattern: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'weekdays'],
+      required: [true, 'Frequency is required']
+    },
+    // Only used by 'weekdays' (0 = Sunday)
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }]
+  },
+  // Date and time of the first visit; later visits keep its time of day
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // Last day a visit can fall on
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'declined', 'cancelled', 'completed', 'expired'],
+    default: 'pending'
+  },
+  memberResponse: {
+    action: {
+      type: String,
+      enum: ['approve', 'decline', null],
+      default: null
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Response message cannot exceed 500 characters']
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Occurrences that won't take place, with why
+  exceptions: [{
+    _id: false,
+    date: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['cancelled', 'closed', 'double_booked'],
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Occurrences before this have been created as requests
+  materializedUntil: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'cancelledByModel',
+    default: null
+  },
+  cancelledByModel: {
+    type: String,
+    enum: ['Member', 'Admin', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+requestSeriesSchema.methods.hasException = function(date) {
+  return this.exceptions.some(exception => exception.date.getTime() === new Date(date).getTime());
+};
+
+requestSeriesSchema.index({ member: 1, status: 1 });
+requestSeriesSchema.index({ visitor: 1, status: 1 });
+requestSeriesSchema.index({ status: 1, materializedUntil: 1 });
+
+module.exports = mongoose.model('RequestSeries', requestSeriesSchema);
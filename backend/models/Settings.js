@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// System-wide settings, stored as a single document.
+// Values are kept in the units shown in the admin UI (hours, days, MB).
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'system',
+    unique: true
+  },
+  system: {
+    name: {
+      type: String,
+      trim: true,
+      default: 'Krishe Emerald Visitor Management'
+    },
+    maintenanceMode: {
+      type: Boolean,
+      default: false
+    },
+    maintenanceMessage: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Maintenance message cannot exceed 300 characters'],
+      default: 'The visitor system is undergoing scheduled maintenance. Please try again later.'
+    },
+    maintenanceEndsAt: {
+      type: Date,
+      default: null
+    }
+  },
+  notifications: {
+    emailEnabled: {
+      type: Boolean,
+      default: true
+    },
+    smsEnabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  security: {
+    maxLoginAttempts: {
+      type: Number,
+      min: [1, 'Max login attempts must be at least 1'],
+      max: [10, 'Max login attempts cannot exceed 10'],
+      default: 5
+    },
+    lockoutDuration: {
+      type: Number, // in hours
+      min: [1, 'Lockout duration must be at least 1 hour'],
+      max: [24, 'Lockout duration cannot exceed 24 hours'],
+      default: 2
+    },
+    sessionTimeout: {
+      type: Number, // in days
+      min: [1, 'Session timeout must be at least 1 day'],
+      max: [30, 'Session timeout cannot exceed 30 days'],
+      default: 7
+    }
+  },
+  limits: {
+    maxFileSize: {
+      type: Number, // in MB
+      min: [1, 'Max file size must be at least 1 MB'],
+      max: [50, 'Max file size cannot exceed 50 MB'],
+      default: 5
+    },
+    maxRequestsPerHour: {
+      type: Number, // per IP, for requests without a staff login
+      min: [10, 'Max requests per hour must be at least 10'],
+      max: [10000, 'Max requests per hour cannot exceed 10000'],
+      default: 1000
+    },
+    maxRequestSubmissions: {
+      type: Number, // visitor requests per IP per 15 minutes
+      min: [1, 'Request submissions limit must be at least 1'],
+      max: [100, 'Request submissions limit cannot exceed 100'],
+      default: 3
+    },
+    maxVisitorRegistrations: {
+      type: Number, // visitor registrations per IP per 15 minutes
+      min: [1, 'Visitor registrations limit must be at least 1'],
+      max: [100, 'Visitor registrations limit cannot exceed 100'],
+      default: 5
+    },
+    maxVisitorsPerDay: {
+      type: Number, // across all companies, 0 disables
+      min: [0, 'Max visitors per day cannot be negative'],
+      default: 1000
+    }
+  },
+  retention: {
+    visitorInactivityDays: {
+      type: Number, // anonymize visitors inactive this long, 0 keeps them forever
+      min: [0, 'Retention period cannot be negative'],
+      max: [3650, 'Retention period cannot exceed 3650 days'],
+      default: 0
+    }
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Load the settings document, creating it with defaults on first use
+settingsSchema.statics.getSingleton = async function() {
+  return await this.findOneAndUpdate(
+    { key: 'system' },
+    { $setOnInsert: { key: 'system' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Settings', settingsSchema);
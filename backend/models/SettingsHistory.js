@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One entry per saved version of the system settings
+const settingsHistorySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: [true, 'Version is required']
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  changes: [{
+    path: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+settingsHistorySchema.index({ version: -1 });
+
+module.exports = mongoose.model('SettingsHistory', settingsHistorySchema);
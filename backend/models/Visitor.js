@@ -58,6 +58,27 @@ const visitorSchema = new mongoose.Schema({
   lastVisitDate: {
     type: Date,
     default: null
+  },
+  // Watchlist entries security has reviewed and cleared for this visitor
+  watchlistClearances: [{
+    _id: false,
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WatchlistEntry'
+    },
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    clearedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set once personal data has been erased (retention policy or on request)
+  anonymizedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -72,5 +93,6 @@ visitorSchema.virtual('fullName').get(function() {
 visitorSchema.index({ phone: 1 });
 visitorSchema.index({ email: 1 });
 visitorSchema.index({ isBlacklisted: 1 });
+visitorSchema.index({ anonymizedAt: 1, lastVisitDate: 1 });
 
 module.exports = mongoose.model('Visitor', visitorSchema);
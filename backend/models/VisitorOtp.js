@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Pending phone verification code; at most one per phone number
+const visitorOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    unique: true
+  },
+  codeHash: {
+    type: String,
+    required: [true, 'Code is required']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired codes
+visitorOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VisitorOtp', visitorOtpSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Person of interest screened against visitor registrations and requests
+const watchlistEntrySchema = new mongoose.Schema({
+  listName: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [120, 'Name cannot exceed 120 characters']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  idNumber: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  // Comparison keys, filled in by watchlistService
+  normalized: {
+    name: { type: String, default: null },
+    phone: { type: String, default: null },
+    idNumber: { type: String, default: null }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+watchlistEntrySchema.pre('validate', function(next) {
+  if (!this.name && !this.phone && !this.idNumber) {
+    this.invalidate('name', 'A name, phone number or ID number is required');
+  }
+  next();
+});
+
+watchlistEntrySchema.index({ isActive: 1 });
+watchlistEntrySchema.index({ listName: 1 });
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
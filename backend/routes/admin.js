@@ -9,6 +9,11 @@ const { validateAdmin, validateObjectId, validatePagination, validateSearch } =
 const { verifyToken, adminOnly, superAdminOnly, checkAdminPermission } = require('../middleware/auth');
 const { uploadMiddleware, handleUploadError, ImageUploadService } = require('../services/imageUploadService');
 const notificationService = require('../services/notificationService');
+const waitTimeService = require('../services/waitTimeService');
+const groupVisitService = require('../services/groupVisitService');
+const settingsService = require('../services/settingsService');
+const { requestStateMachine, InvalidTransitionError } = require('../services/requestStateMachine');
+const { version: appVersion } = require('../package.json');
 const crypto = require('crypto');
 
 const router = express.Router();
@@ -25,7 +30,8 @@ router.get('/dashboard', verifyToken, adminOnly, async (req, res) => {
       totalRequests,
       pendingRequests,
       todayRequests,
-      completedRequests
+      completedRequests,
+      peopleOnSite
     ] = await Promise.all([
       Company.countDocuments(),
       Company.countDocuments({ isActive: true }),
@@ -40,7 +46,8 @@ router.get('/dashboard', verifyToken, adminOnly, async (req, res) => {
           $lt: new Date(new Date().setHours(23, 59, 59, 999))
         }
       }),
-      Request.countDocuments({ status: 'completed' })
+      Request.countDocuments({ status: 'completed' }),
+      groupVisitService.countPeopleOnSite()
     ]);
 
     // Get recent requests
@@ -108,7 +115,8 @@ router.get('/dashboard', verifyToken, adminOnly, async (req, res) => {
           totalRequests,
           pendingRequests,
           todayRequests,
-          completedRequests
+          completedRequests,
+          peopleOnSite
         },
         recentRequests,
         requestsByStatus,
@@ -401,6 +409,7 @@ router.put('/requests/:id/force-accept', verifyToken, checkAdminPermission('mana
     const request = await Request.findById(req.params.id)
       .populate('visitor', 'firstName lastName phone email')
       .populate('member', 'firstName lastName email phone preferences')
+      .populate('hosts.member', 'firstName lastName email phone preferences')
       .populate('company', 'name location');
 
     if (!request) {
@@ -410,24 +419,13 @@ router.put('/requests/:id/force-accept', verifyToken, checkAdminPermission('mana
       });
     }
 
-    if (request.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Request is no longer pending'
-      });
-    }
-
-    // Force accept the request
-    request.status = 'accepted';
-    request.memberResponse = {
-      action: 'accept',
-      message: 'Force accepted by admin',
-      respondedAt: new Date()
-    };
-    request.entryDetails.allowedAt = new Date();
-
+    // Force accept the request, overriding any open reschedule negotiation
+    request.negotiation.awaiting = null;
+    await requestStateMachine.apply(request, 'accept', { message: 'Force accepted by admin' });
     await request.save();
 
+    await waitTimeService.recalculateQueue(request.company._id);
+
     // Send notification to visitor
     const notificationResults = await notificationService.notifyVisitorOfStatusUpdate(
       request.visitor,
@@ -435,6 +433,7 @@ router.put('/requests/:id/force-accept', verifyToken, checkAdminPermission('mana
       request.member,
       request.company
     );
+    await notificationService.notifyHostsOfCalendarEvent(request);
 
     // Create audit log
     await AuditLog.createLog({
@@ -458,6 +457,13 @@ router.put('/requests/:id/force-accept', verifyToken, checkAdminPermission('mana
       data: { request }
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('Force accept request error:', error);
     res.status(500).json({
       success: false,
@@ -530,35 +536,27 @@ router.post('/notifications/send', verifyToken, adminOnly, async (req, res) => {
   }
 });
 
+// Settings as returned to the admin UI
+const formatSettings = (settings) => ({
+  system: { ...settings.system, version: appVersion },
+  notifications: settings.notifications,
+  security: settings.security,
+  limits: settings.limits,
+  retention: settings.retention
+});
+
 // Get system settings
 router.get('/settings', verifyToken, adminOnly, async (req, res) => {
   try {
-    // This would typically come from a settings collection
-    const settings = {
-      system: {
-        name: 'Krishe Emerald Visitor Management',
-        version: '1.0.0',
-        maintenanceMode: false
-      },
-      notifications: {
-        emailEnabled: !!process.env.EMAIL_HOST,
-        smsEnabled: !!process.env.TWILIO_ACCOUNT_SID
-      },
-      security: {
-        maxLoginAttempts: 5,
-        lockoutDuration: 2 * 60 * 60 * 1000, // 2 hours
-        sessionTimeout: 7 * 24 * 60 * 60 * 1000 // 7 days
-      },
-      limits: {
-        maxFileSize: 5 * 1024 * 1024, // 5MB
-        maxRequestsPerHour: 100,
-        maxVisitorsPerDay: 1000
-      }
-    };
+    const settings = await settingsService.get();
 
     res.json({
       success: true,
-      data: { settings }
+      data: {
+        settings: formatSettings(settings),
+        revision: settings.version,
+        updatedAt: settings.updatedAt
+      }
     });
   } catch (error) {
     console.error('Get settings error:', error);
@@ -569,6 +567,78 @@ router.get('/settings', verifyToken, adminOnly, async (req, res) => {
   }
 });
 
+// Update system settings
+router.put('/settings', verifyToken, checkAdminPermission('manageSettings'), async (req, res) => {
+  try {
+    const { settings, changes } = await settingsService.update(req.body, req.user._id);
+
+    if (changes.length) {
+      // Create audit log
+      await AuditLog.createLog({
+        action: 'settings_updated',
+        entityType: 'settings',
+        entityId: settings._id,
+        performedBy: req.user._id,
+        performedByModel: 'Admin',
+        details: { version: settings.version, changes },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: changes.length ? 'Settings updated successfully' : 'No changes to save',
+      data: {
+        settings: formatSettings(settings),
+        revision: settings.version,
+        changes
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update settings'
+    });
+  }
+});
+
+// Get settings version history
+router.get('/settings/history', verifyToken, checkAdminPermission('manageSettings'), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { history, total } = await settingsService.getHistory({ page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get settings history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settings history'
+    });
+  }
+});
+
 // Generate reports
 router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), async (req, res) => {
   try {
@@ -588,11 +658,19 @@ router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), a
           {
             $group: {
               _id: null,
-              totalVisitors: { $sum: 1 },
+              // People, counting everyone in a group request
+              totalVisitors: { $sum: { $ifNull: ['$headcount', 1] } },
+              totalRequests: { $sum: 1 },
+              groupVisits: {
+                $sum: { $cond: [{ $gt: ['$headcount', 1] }, 1, 0] }
+              },
               uniqueVisitors: { $addToSet: '$visitor' },
               completedVisits: {
                 $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
               },
+              completedVisitors: {
+                $sum: { $cond: [{ $eq: ['$status', 'completed'] }, { $ifNull: ['$headcount', 1] }, 0] }
+              },
               averageDuration: { $avg: '$duration' }
             }
           }
@@ -600,8 +678,11 @@ router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), a
 
         reportData = visitorStats[0] || {
           totalVisitors: 0,
-          uniqueVisitors: 0,
+          totalRequests: 0,
+          groupVisits: 0,
+          uniqueVisitors: [],
           completedVisits: 0,
+          completedVisitors: 0,
           averageDuration: 0
         };
         reportData.uniqueVisitors = reportData.uniqueVisitors.length;
@@ -614,6 +695,7 @@ router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), a
             $group: {
               _id: '$company',
               totalRequests: { $sum: 1 },
+              totalPeople: { $sum: { $ifNull: ['$headcount', 1] } },
               completedRequests: {
                 $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
               },
@@ -633,6 +715,7 @@ router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), a
             $project: {
               companyName: '$company.name',
               totalRequests: 1,
+              totalPeople: 1,
               completedRequests: 1,
               averageWaitTime: 1,
               completionRate: {
@@ -655,6 +738,7 @@ router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), a
             $group: {
               _id: '$member',
               totalRequests: { $sum: 1 },
+              totalPeople: { $sum: { $ifNull: ['$headcount', 1] } },
               acceptedRequests: {
                 $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] }
               },
@@ -676,6 +760,7 @@ router.get('/reports/:type', verifyToken, checkAdminPermission('viewReports'), a
               employeeId: '$member.employeeId',
               department: '$member.department',
               totalRequests: 1,
+              totalPeople: 1,
               acceptedRequests: 1,
               acceptanceRate: {
                 $multiply: [
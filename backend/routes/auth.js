@@ -6,13 +6,18 @@ const bcrypt = require('bcryptjs');
 const { validateLogin } = require('../middleware/validation');
 const { verifyToken } = require('../middleware/auth');
 const AuditLog = require('../models/AuditLog');
+const settingsService = require('../services/settingsService');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
+// Preference keys members manage from their profile
+const PROFILE_PREFERENCES = ['emailNotifications', 'smsNotifications'];
+
+// Generate JWT token (lifetime follows the session timeout setting)
+const generateToken = async (id) => {
+  const { security } = await settingsService.get();
   return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: `${security.sessionTimeout}d`
   });
 };
 
@@ -43,7 +48,8 @@ router.post('/admin/login', validateLogin, async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, admin.password);
     if (!isPasswordValid) {
       // Increment login attempts
-      await admin.incLoginAttempts();
+      const { security } = await settingsService.get();
+      await admin.incLoginAttempts(security.maxLoginAttempts, security.lockoutDuration * 60 * 60 * 1000);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -58,7 +64,7 @@ router.post('/admin/login', validateLogin, async (req, res) => {
     await admin.save();
 
     // Generate token
-    const token = generateToken(admin._id);
+    const token = await generateToken(admin._id);
 
     // Create audit log
     await AuditLog.createLog({
@@ -123,7 +129,7 @@ router.post('/member/login', validateLogin, async (req, res) => {
     await member.save();
 
     // Generate token
-    const token = generateToken(member._id);
+    const token = await generateToken(member._id);
 
     // Create audit log
     await AuditLog.createLog({
@@ -151,7 +157,10 @@ router.post('/member/login', validateLogin, async (req, res) => {
           department: member.department,
           position: member.position,
           companies: member.companies,
-          preferences: member.preferences
+          preferences: member.preferences,
+          outOfOffice: member.outOfOffice,
+          availability: member.availability,
+          calendarFeed: member.calendarFeed
         }
       }
     });
@@ -209,7 +218,15 @@ router.put('/profile', verifyToken, async (req, res) => {
     if (firstName) updateData.firstName = firstName;
     if (lastName) updateData.lastName = lastName;
     if (phone) updateData.phone = phone;
-    if (preferences) updateData.preferences = preferences;
+    // Only notification preferences are set here; auto-accept settings go through
+    // PUT /api/members/:id/auto-accept so its rules are validated
+    if (preferences) {
+      PROFILE_PREFERENCES.forEach(key => {
+        if (preferences[key] !== undefined) {
+          updateData[`preferences.${key}`] = preferences[key];
+        }
+      });
+    }
 
     let user;
     if (req.userType === 'admin') {
@@ -1,12 +1,23 @@
 const express = require('express');
+const moment = require('moment');
 const Company = require('../models/Company');
-const { validateCompany, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const { validateCompany, validateCalendarEntry, validatePublicBoard, validateEscalation, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
 const { verifyToken, adminOnly, checkAdminPermission } = require('../middleware/auth');
 const { uploadMiddleware, handleUploadError, ImageUploadService } = require('../services/imageUploadService');
 const AuditLog = require('../models/AuditLog');
+const companyPolicyService = require('../services/companyPolicyService');
+const closureService = require('../services/closureService');
 
 const router = express.Router();
 
+// Public company view with today's availability instead of the raw calendar
+const withAvailability = (company) => {
+  const data = company.toObject();
+  delete data.calendar;
+  data.availability = companyPolicyService.getAvailability(company);
+  return data;
+};
+
 // Get all companies (public endpoint for visitor selection)
 router.get('/', validatePagination, validateSearch, async (req, res) => {
   try {
@@ -26,7 +37,7 @@ router.get('/', validatePagination, validateSearch, async (req, res) => {
     };
 
     const companies = await Company.find(query)
-      .select('name location description logo contactEmail contactPhone address settings')
+      .select('name location description logo contactEmail contactPhone address settings calendar')
       .sort({ name: 1 })
       .skip(skip)
       .limit(limit);
@@ -36,7 +47,7 @@ router.get('/', validatePagination, validateSearch, async (req, res) => {
     res.json({
       success: true,
       data: {
-        companies,
+        companies: companies.map(withAvailability),
         pagination: {
           current: page,
           pages: Math.ceil(total / limit),
@@ -58,7 +69,7 @@ router.get('/', validatePagination, validateSearch, async (req, res) => {
 router.get('/:id', validateObjectId('id'), async (req, res) => {
   try {
     const company = await Company.findById(req.params.id)
-      .select('name location description logo contactEmail contactPhone address settings isActive')
+      .select('name location description logo contactEmail contactPhone address settings calendar isActive')
       .populate('createdBy', 'firstName lastName');
 
     if (!company || !company.isActive) {
@@ -70,7 +81,7 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
 
     res.json({
       success: true,
-      data: { company }
+      data: { company: withAvailability(company) }
     });
   } catch (error) {
     console.error('Get company error:', error);
@@ -307,4 +318,342 @@ router.get('/:id/stats', verifyToken, adminOnly, validateObjectId('id'), async (
   }
 });
 
+// Update what the public visitor board shows for a company (admin only)
+router.put('/:id/public-board', verifyToken, checkAdminPermission('manageCompanies'), validateObjectId('id'), validatePublicBoard, async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    ['enabled', 'visitorName', 'visitorPhone', 'hiddenStatuses'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        company.settings.publicBoard[field] = req.body[field];
+      }
+    });
+    await company.save();
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'company_updated',
+      entityType: 'company',
+      entityId: company._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: {
+        companyName: company.name,
+        publicBoard: company.settings.publicBoard
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Public board settings updated successfully',
+      data: { publicBoard: company.settings.publicBoard }
+    });
+  } catch (error) {
+    console.error('Update public board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update public board settings'
+    });
+  }
+});
+
+// Update the escalation policy for unanswered requests (admin only)
+router.put('/:id/escalation', verifyToken, checkAdminPermission('manageCompanies'), validateObjectId('id'), validateEscalation, async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const escalation = company.settings.escalation;
+    ['enabled', 'remindHostAfter', 'notifyManagersAfter', 'autoDeclineAfter', 'declineMessage'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        escalation[field] = req.body[field];
+      }
+    });
+
+    // Steps that are switched on have to come one after another
+    const delays = [escalation.remindHostAfter, escalation.notifyManagersAfter, escalation.autoDeclineAfter]
+      .filter(delay => delay > 0);
+    if (delays.some((delay, i) => i > 0 && delay <= delays[i - 1])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each escalation step must come after the previous one'
+      });
+    }
+    await company.save();
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'company_updated',
+      entityType: 'company',
+      entityId: company._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: {
+        companyName: company.name,
+        escalation
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Escalation policy updated successfully',
+      data: { escalation }
+    });
+  } catch (error) {
+    console.error('Update escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update escalation policy'
+    });
+  }
+});
+
+// Get company calendar (public endpoint, upcoming entries by default)
+router.get('/:id/calendar', validateObjectId('id'), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id).select('name calendar isActive');
+    if (!company || !company.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const from = req.query.from ? moment(req.query.from).startOf('day') : moment().startOf('day');
+    const to = req.query.to ? moment(req.query.to).endOf('day') : null;
+
+    const entries = company.calendar
+      .filter(entry => !from.isAfter(entry.date) && (!to || !to.isBefore(entry.date)))
+      .sort((a, b) => a.date - b.date);
+
+    res.json({
+      success: true,
+      data: { calendar: entries }
+    });
+  } catch (error) {
+    console.error('Get company calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch company calendar'
+    });
+  }
+});
+
+// Add a holiday, half day or closure (admin only)
+router.post('/:id/calendar', verifyToken, checkAdminPermission('manageCompanies'), validateObjectId('id'), validateCalendarEntry, async (req, res) => {
+  try {
+    const { date, type, name, closesAt, reason, conflictAction } = req.body;
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const day = moment(date).startOf('day').toDate();
+    if (company.getCalendarEntry(day)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A calendar entry already exists for this date'
+      });
+    }
+
+    company.calendar.push({
+      date: day,
+      type,
+      name,
+      closesAt: type === 'half_day' ? closesAt : null,
+      reason,
+      createdBy: req.user._id
+    });
+    await company.save();
+
+    const entry = company.calendar[company.calendar.length - 1];
+
+    // Move or cancel visits already booked on that day
+    const conflicts = await closureService.resolveConflicts(company, entry, {
+      action: conflictAction,
+      performedBy: req.user._id,
+      io: req.app.get('io')
+    });
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'company_calendar_updated',
+      entityType: 'company',
+      entityId: company._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: {
+        companyName: company.name,
+        operation: 'added',
+        date: entry.date,
+        type: entry.type,
+        name: entry.name,
+        ...conflicts
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar entry added successfully',
+      data: { entry, conflicts }
+    });
+  } catch (error) {
+    console.error('Add calendar entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add calendar entry'
+    });
+  }
+});
+
+// Update a calendar entry (admin only)
+router.put('/:id/calendar/:entryId', verifyToken, checkAdminPermission('manageCompanies'), validateObjectId('id'), validateObjectId('entryId'), validateCalendarEntry, async (req, res) => {
+  try {
+    const { date, type, name, closesAt, reason, conflictAction } = req.body;
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const entry = company.calendar.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar entry not found'
+      });
+    }
+
+    const day = moment(date).startOf('day').toDate();
+    const existing = company.getCalendarEntry(day);
+    if (existing && !existing._id.equals(entry._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A calendar entry already exists for this date'
+      });
+    }
+
+    entry.date = day;
+    entry.type = type || entry.type;
+    entry.name = name;
+    entry.closesAt = entry.type === 'half_day' ? closesAt : null;
+    entry.reason = reason;
+    await company.save();
+
+    const conflicts = await closureService.resolveConflicts(company, entry, {
+      action: conflictAction,
+      performedBy: req.user._id,
+      io: req.app.get('io')
+    });
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'company_calendar_updated',
+      entityType: 'company',
+      entityId: company._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: {
+        companyName: company.name,
+        operation: 'updated',
+        date: entry.date,
+        type: entry.type,
+        name: entry.name,
+        ...conflicts
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar entry updated successfully',
+      data: { entry, conflicts }
+    });
+  } catch (error) {
+    console.error('Update calendar entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update calendar entry'
+    });
+  }
+});
+
+// Remove a calendar entry (admin only)
+router.delete('/:id/calendar/:entryId', verifyToken, checkAdminPermission('manageCompanies'), validateObjectId('id'), validateObjectId('entryId'), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const entry = company.calendar.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar entry not found'
+      });
+    }
+
+    entry.deleteOne();
+    await company.save();
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'company_calendar_updated',
+      entityType: 'company',
+      entityId: company._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: {
+        companyName: company.name,
+        operation: 'removed',
+        date: entry.date,
+        type: entry.type,
+        name: entry.name
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar entry removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete calendar entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove calendar entry'
+    });
+  }
+});
+
 module.exports = router;
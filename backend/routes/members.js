@@ -1,12 +1,16 @@
 const express = require('express');
 const Member = require('../models/Member');
 const Company = require('../models/Company');
-const { validateMember, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const Request = require('../models/Request');
+const { validateMember, validateOutOfOffice, validateAutoAccept, validateAvailability, validateSlotQuery, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
 const { verifyToken, adminOnly, memberOnly, checkAdminPermission } = require('../middleware/auth');
 const { uploadMiddleware, handleUploadError, ImageUploadService } = require('../services/imageUploadService');
 const notificationService = require('../services/notificationService');
+const availabilityService = require('../services/availabilityService');
+const calendarService = require('../services/calendarService');
 const AuditLog = require('../models/AuditLog');
 const crypto = require('crypto');
+const moment = require('moment');
 
 const router = express.Router();
 
@@ -99,6 +103,87 @@ router.get('/public/:id', validateObjectId('id'), async (req, res) => {
   }
 });
 
+// Bookable slots for a member (public, for the visitor request form)
+router.get('/public/:id/slots', validateObjectId('id'), validateSlotQuery, async (req, res) => {
+  try {
+    const member = await Member.findById(req.params.id)
+      .select('firstName lastName availability isActive');
+
+    if (!member || !member.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!member.availability.enabled) {
+      return res.json({
+        success: true,
+        data: { enabled: false, slotMinutes: member.availability.slotMinutes, days: [] }
+      });
+    }
+
+    // Leave out slots while the company is closed
+    const company = req.query.companyId
+      ? await Company.findById(req.query.companyId).select('settings.workingHours calendar')
+      : null;
+
+    const days = await availabilityService.getSlots(member, {
+      from: req.query.from ? new Date(req.query.from) : new Date(),
+      days: parseInt(req.query.days) || 7,
+      duration: parseInt(req.query.duration) || null,
+      company
+    });
+
+    res.json({
+      success: true,
+      data: { enabled: true, slotMinutes: member.availability.slotMinutes, days }
+    });
+  } catch (error) {
+    console.error('Get member slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch available slots'
+    });
+  }
+});
+
+// Private calendar feed of the member's upcoming accepted visits, authorized by the feed token
+router.get('/:id/calendar.ics', validateObjectId('id'), async (req, res) => {
+  try {
+    const member = await Member.findById(req.params.id)
+      .select('+calendarFeed.hash firstName lastName isActive');
+
+    if (!member || !member.isActive || !calendarService.verifyFeedToken(member, req.query.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const requests = await Request.find({
+      $or: [{ member: member._id }, { 'hosts.member': member._id }],
+      status: 'accepted',
+      scheduledTime: { $gte: moment().startOf('day').toDate() }
+    })
+      .populate('visitor', 'firstName lastName email')
+      .populate('member', 'firstName lastName email')
+      .populate('hosts.member', 'firstName lastName email')
+      .populate('company', 'name location')
+      .sort({ scheduledTime: 1 })
+      .limit(500);
+
+    res.set('Content-Disposition', 'inline; filename="visits.ics"');
+    res.type('text/calendar; charset=utf-8').send(calendarService.buildFeed(member, requests));
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+});
+
 // Get all members (admin only)
 router.get('/', verifyToken, adminOnly, validatePagination, validateSearch, async (req, res) => {
   try {
@@ -342,6 +427,345 @@ router.put('/:id', verifyToken, validateObjectId('id'), async (req, res) => {
   }
 });
 
+// Colleagues who share an active company with the member (delegate choices)
+router.get('/:id/colleagues', verifyToken, memberOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const companyIds = req.user.companies.filter(c => c.isActive).map(c => c.company);
+    const members = await Member.find({
+      _id: { $ne: req.user._id },
+      isActive: true,
+      companies: { $elemMatch: { company: { $in: companyIds }, isActive: true } }
+    })
+      .select('firstName lastName department position')
+      .sort({ firstName: 1, lastName: 1 });
+
+    res.json({
+      success: true,
+      data: { members }
+    });
+  } catch (error) {
+    console.error('Get colleagues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch colleagues'
+    });
+  }
+});
+
+// Set an out-of-office window and delegate (member, for themselves)
+router.put('/:id/out-of-office', verifyToken, memberOnly, validateObjectId('id'), validateOutOfOffice, async (req, res) => {
+  try {
+    const { startDate, endDate, delegateId, mode = 'forward' } = req.body;
+
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (delegateId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delegate to yourself'
+      });
+    }
+
+    // The delegate has to be able to act for the member's visitors
+    const companyIds = req.user.companies.filter(c => c.isActive).map(c => c.company);
+    const delegate = await Member.findOne({
+      _id: delegateId,
+      isActive: true,
+      companies: { $elemMatch: { company: { $in: companyIds }, isActive: true } }
+    });
+    if (!delegate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegate must be an active member of one of your companies'
+      });
+    }
+
+    const member = await Member.findByIdAndUpdate(
+      req.user._id,
+      { outOfOffice: { startDate, endDate, delegate: delegate._id, mode } },
+      { new: true, runValidators: true }
+    ).select('-password').populate('companies.company', 'name location');
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'member_updated',
+      entityType: 'member',
+      entityId: member._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: {
+        memberName: member.fullName,
+        outOfOffice: { startDate, endDate, delegate: delegate._id, delegateName: delegate.fullName, mode }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Out of office saved',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Set out of office error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save out of office'
+    });
+  }
+});
+
+// Clear the member's out-of-office window
+router.delete('/:id/out-of-office', verifyToken, memberOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const member = await Member.findByIdAndUpdate(
+      req.user._id,
+      { outOfOffice: { startDate: null, endDate: null, delegate: null, mode: 'forward' } },
+      { new: true }
+    ).select('-password').populate('companies.company', 'name location');
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'member_updated',
+      entityType: 'member',
+      entityId: member._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: { memberName: member.fullName, outOfOffice: null },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Out of office cleared',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Clear out of office error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear out of office'
+    });
+  }
+});
+
+// Turn auto-accept on or off and replace the member's rules
+router.put('/:id/auto-accept', verifyToken, memberOnly, validateObjectId('id'), validateAutoAccept, async (req, res) => {
+  try {
+    const { enabled, rules = [] } = req.body;
+
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const autoAcceptRules = rules.map(rule => ({
+      type: rule.type,
+      purposes: rule.type === 'purpose' ? rule.purposes : [],
+      minCompletedVisits: rule.type === 'returning' ? rule.minCompletedVisits || 1 : undefined,
+      days: rule.type === 'timeWindow' ? rule.days || [] : [],
+      startTime: rule.type === 'timeWindow' ? rule.startTime : undefined,
+      endTime: rule.type === 'timeWindow' ? rule.endTime : undefined
+    }));
+
+    const member = await Member.findByIdAndUpdate(
+      req.user._id,
+      { 'preferences.autoAccept': enabled, 'preferences.autoAcceptRules': autoAcceptRules },
+      { new: true, runValidators: true }
+    ).select('-password').populate('companies.company', 'name location');
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'member_updated',
+      entityType: 'member',
+      entityId: member._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: { memberName: member.fullName, autoAccept: enabled, autoAcceptRules },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Auto-accept settings saved',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Update auto-accept error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save auto-accept settings'
+    });
+  }
+});
+
+// Publish weekly hours and blocked times visitors can book around (member, for themselves)
+router.put('/:id/availability', verifyToken, memberOnly, validateObjectId('id'), validateAvailability, async (req, res) => {
+  try {
+    const { enabled, slotMinutes = 30, weekly = [], blocked = [] } = req.body;
+
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const availability = {
+      enabled,
+      slotMinutes,
+      weekly: weekly.map(({ day, startTime, endTime }) => ({ day, startTime, endTime })),
+      // Blocked times that have already ended are dropped
+      blocked: blocked
+        .filter(block => new Date(block.end) > new Date())
+        .map(({ start, end, reason }) => ({ start, end, reason }))
+    };
+
+    const member = await Member.findByIdAndUpdate(
+      req.user._id,
+      { availability },
+      { new: true, runValidators: true }
+    ).select('-password').populate('companies.company', 'name location');
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'member_updated',
+      entityType: 'member',
+      entityId: member._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: {
+        memberName: member.fullName,
+        availabilityEnabled: enabled,
+        weeklyWindows: availability.weekly.length,
+        blockedTimes: availability.blocked.length
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Availability saved',
+      data: { member }
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save availability'
+    });
+  }
+});
+
+// Create or replace the member's calendar feed link; earlier links stop working
+router.post('/:id/calendar-feed', verifyToken, memberOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const member = await Member.findById(req.user._id);
+    const token = calendarService.issueFeedToken(member);
+    await member.save();
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'member_updated',
+      entityType: 'member',
+      entityId: member._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: { memberName: member.fullName, calendarFeed: 'issued' },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed link created',
+      data: {
+        // Only returned here; the member has to copy it now
+        url: calendarService.getFeedUrl(member, token, `${req.protocol}://${req.get('host')}`),
+        issuedAt: member.calendarFeed.issuedAt
+      }
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed link'
+    });
+  }
+});
+
+// Turn off the member's calendar feed
+router.delete('/:id/calendar-feed', verifyToken, memberOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    if (req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const member = await Member.findByIdAndUpdate(
+      req.user._id,
+      { calendarFeed: { hash: null, issuedAt: null } },
+      { new: true }
+    );
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'member_updated',
+      entityType: 'member',
+      entityId: member._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: { memberName: member.fullName, calendarFeed: 'revoked' },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off calendar feed'
+    });
+  }
+});
+
 // Delete member (admin only)
 router.delete('/:id', verifyToken, checkAdminPermission('manageMembers'), validateObjectId('id'), async (req, res) => {
   try {
@@ -3,37 +3,61 @@ const Request = require('../models/Request');
 const Visitor = require('../models/Visitor');
 const Member = require('../models/Member');
 const Company = require('../models/Company');
-const { validateRequest, validateObjectId, validatePagination } = require('../middleware/validation');
-const { verifyToken, adminOnly, memberOnly, optionalAuth } = require('../middleware/auth');
+const { validateRequest, validateInvitation, validateRescheduleReply, validateObjectId, validatePagination } = require('../middleware/validation');
+const { verifyToken, adminOnly, memberOnly, optionalAuth, verifyVisitorSession } = require('../middleware/auth');
+const { maintenanceGate } = require('../middleware/maintenance');
 const notificationService = require('../services/notificationService');
+const gatePassService = require('../services/gatePassService');
+const waitTimeService = require('../services/waitTimeService');
+const companyPolicyService = require('../services/companyPolicyService');
+const closureService = require('../services/closureService');
+const visitorTokenService = require('../services/visitorTokenService');
+const visitExitService = require('../services/visitExitService');
+const publicRedactionService = require('../services/publicRedactionService');
+const securityReviewService = require('../services/securityReviewService');
+const { blacklistService } = require('../services/blacklistService');
+const delegationService = require('../services/delegationService');
+const autoAcceptService = require('../services/autoAcceptService');
+const panelService = require('../services/panelService');
+const groupVisitService = require('../services/groupVisitService');
+const rescheduleService = require('../services/rescheduleService');
+const availabilityService = require('../services/availabilityService');
+const calendarService = require('../services/calendarService');
+const { uploadMiddleware, handleUploadError, ImageUploadService } = require('../services/imageUploadService');
+const { requestStateMachine, InvalidTransitionError } = require('../services/requestStateMachine');
 const AuditLog = require('../models/AuditLog');
 const rateLimit = require('express-rate-limit');
+const settingsService = require('../services/settingsService');
 
 const router = express.Router();
 
 // PUBLIC ROUTES (must be defined BEFORE parameterized routes like '/:id')
-// Public: Get recent requests (limited fields)
+// Closed to visitors while maintenance mode is on
+router.use('/public', maintenanceGate);
+
+// Public: Get recent requests for the visitor board (redacted)
 router.get('/public', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const skip = (page - 1) * limit;
 
-    const [requests, total] = await Promise.all([
-      Request.find({})
+    const query = await publicRedactionService.getVisibilityFilter();
+    const [requests, total] = query ? await Promise.all([
+      Request.find(query)
         .populate('visitor', 'firstName lastName phone')
         .populate('member', 'firstName lastName department position')
-        .populate('company', 'name location')
+        .populate('company', publicRedactionService.getCompanyFields())
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit),
-      Request.countDocuments({})
-    ]);
+      Request.countDocuments(query)
+    ]) : [[], 0];
 
     res.json({
       success: true,
       data: {
-        requests,
+        requests: requests.map(request => publicRedactionService.redactRequest(request)),
         pagination: {
           current: page,
           pages: Math.ceil(total / limit),
@@ -48,35 +72,61 @@ router.get('/public', async (req, res) => {
   }
 });
 
-// Public: Get request by ID (visitor status page)
-router.get('/public/:id', async (req, res) => {
+// Public: Get request by ID (visitor status page).
+// The visitor's own token unlocks the full request, otherwise it is redacted like the board.
+router.get('/public/:id', validateObjectId('id'), async (req, res) => {
   try {
     const request = await Request.findById(req.params.id)
+      .select(visitorTokenService.getSelect())
       .populate('visitor', 'firstName lastName phone photo')
       .populate('member', 'firstName lastName department position')
-      .populate('company', 'name location contactPhone');
+      .populate('company', publicRedactionService.getCompanyFields());
 
     if (!request) {
       return res.status(404).json({ success: false, message: 'Request not found' });
     }
 
-    res.json({ success: true, data: { request } });
+    if (visitorTokenService.verify(request, req.query.token)) {
+      const data = request.toObject();
+      delete data.visitorToken;
+      delete data.securityReview;
+      delete data.escalation;
+      data.status = publicRedactionService.getPublicStatus(data.status);
+      if (data.company) {
+        delete data.company.settings;
+      }
+      return res.json({ success: true, data: { request: data } });
+    }
+
+    if (!publicRedactionService.isVisible(request)) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+
+    res.json({ success: true, data: { request: publicRedactionService.redactRequest(request) } });
   } catch (error) {
     console.error('Get public request error:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch request' });
   }
 });
 
-// Public: Get all requests for a visitor (by visitorId)
-router.get('/public/visitor/:visitorId', async (req, res) => {
+// Public: Get all requests for a visitor (by visitorId, redacted)
+router.get('/public/visitor/:visitorId', validateObjectId('visitorId'), async (req, res) => {
   try {
     const { visitorId } = req.params;
     const requests = await Request.find({ visitor: visitorId })
-      .populate('company', 'name location')
+      .populate('visitor', 'firstName lastName phone')
+      .populate('company', publicRedactionService.getCompanyFields())
       .populate('member', 'firstName lastName department position')
       .sort({ createdAt: -1 });
 
-    res.json({ success: true, data: { requests } });
+    res.json({
+      success: true,
+      data: {
+        requests: requests
+          .filter(request => publicRedactionService.isVisible(request))
+          .map(request => publicRedactionService.redactRequest(request))
+      }
+    });
   } catch (error) {
     console.error('Get visitor requests error:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch visitor requests' });
@@ -86,30 +136,36 @@ router.get('/public/visitor/:visitorId', async (req, res) => {
 // Rate limiting for request creation
 const requestCreationLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 3, // limit each IP to 3 requests per windowMs
+  limit: async () => (await settingsService.get()).limits.maxRequestSubmissions, // per IP per windowMs
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// Create visitor request (public endpoint with rate limiting)
-router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
+// Create visitor request (public endpoint with rate limiting, requires a verified phone)
+router.post('/', maintenanceGate, requestCreationLimit, verifyVisitorSession, validateRequest, async (req, res) => {
   try {
-    const { visitorId, companyId, memberId, purpose, duration, purposeDescription, scheduledTime } = req.body;
+    const { visitorId, companyId, memberId, coHostIds = [], approvalMode = 'any', purpose, duration, purposeDescription, scheduledTime, defer } = req.body;
+    // Group visits: the visitor leads, optionally naming the others coming along
+    const headcount = parseInt(req.body.headcount) || 1;
+    const attendees = groupVisitService.buildAttendees(req.body.attendees);
 
-    // Validate visitor
+    // Validate visitor (must be the one whose phone was verified)
     const visitor = await Visitor.findById(visitorId);
-    if (!visitor) {
+    if (!visitor || visitor.phone !== req.visitorSession.phone) {
       return res.status(404).json({
         success: false,
         message: 'Visitor not found'
       });
     }
 
-    if (visitor.isBlacklisted) {
+    const blacklisted = await blacklistService.findBlocking(visitor, companyId);
+    if (blacklisted) {
       return res.status(403).json({
         success: false,
-        message: 'Visitor is blacklisted and cannot make requests'
+        message: blacklisted.companies.length
+          ? 'Visitor is blacklisted at this company and cannot make requests'
+          : 'Visitor is blacklisted and cannot make requests'
       });
     }
 
@@ -142,6 +198,22 @@ router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
       });
     }
 
+    // Panel visits: every co-host has to be an active member of the same company
+    const hosts = panelService.buildHosts(memberId, coHostIds);
+    if (hosts.length) {
+      const coHostCount = await Member.countDocuments({
+        _id: { $in: hosts.slice(1).map(host => host.member) },
+        isActive: true,
+        companies: { $elemMatch: { company: companyId, isActive: true } }
+      });
+      if (coHostCount !== hosts.length - 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'All hosts must be active members of this company'
+        });
+      }
+    }
+
     // Check for existing pending request from same visitor to same member
     const existingRequest = await Request.findOne({
       visitor: visitorId,
@@ -157,6 +229,49 @@ router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
       });
     }
 
+    // Enforce working hours, walk-in, capacity and photo rules
+    const policy = await companyPolicyService.evaluateRequest({
+      company,
+      visitor,
+      scheduledTime,
+      defer: defer === true || defer === 'true',
+      headcount
+    });
+    if (!policy.success) {
+      return res.status(400).json({
+        success: false,
+        code: policy.code,
+        message: policy.message,
+        data: policy.data
+      });
+    }
+
+    // Scheduled visits must fit the host's published hours and not clash with the
+    // hosts' accepted visits
+    if (scheduledTime && policy.scheduledTime) {
+      const booking = await availabilityService.evaluateBooking({
+        members: [member, ...hosts.slice(1).map(host => host.member)],
+        start: policy.scheduledTime,
+        duration,
+        checkHours: !policy.deferred
+      });
+      if (!booking.success) {
+        return res.status(409).json({
+          success: false,
+          code: booking.code,
+          message: booking.message,
+          data: booking.data
+        });
+      }
+    }
+
+    // Possible watchlist matches are held for security before the member sees them,
+    // including matches on anyone named in a group
+    const matches = [
+      ...await securityReviewService.screenVisitor(visitor),
+      ...await securityReviewService.screenAttendees(attendees)
+    ];
+
     // Create request
     const request = new Request({
       visitor: visitorId,
@@ -165,44 +280,53 @@ router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
       purpose,
       duration,
       purposeDescription,
-      scheduledTime: scheduledTime ? new Date(scheduledTime) : null,
+      scheduledTime: policy.scheduledTime,
+      hosts,
+      approvalMode,
+      headcount,
+      attendees,
       status: 'pending'
     });
+    if (matches.length) {
+      securityReviewService.hold(request, matches);
+    }
+    const visitorToken = visitorTokenService.issue(request);
 
     await request.save();
 
     // Populate request for notifications
     await request.populate([
       { path: 'visitor', select: 'firstName lastName email phone photo' },
-      { path: 'member', select: 'firstName lastName email phone preferences' },
+      { path: 'member', select: 'firstName lastName email phone preferences outOfOffice' },
+      { path: 'hosts.member', select: 'firstName lastName email phone preferences' },
       { path: 'company', select: 'name location contactEmail' }
     ]);
 
-    // Send notifications to member
-    const notificationResults = await notificationService.notifyMemberOfVisitorRequest(
-      request.member,
-      request.visitor,
-      request,
-      request.company
-    );
+    const io = req.app.get('io');
+    if (request.status === 'security-review') {
+      await securityReviewService.alert({ source: 'request', visitor, requests: [request], matches, io });
+    } else {
+      // Hosts can have requests matching their auto-accept rules accepted straight away
+      const rule = await autoAcceptService.match(request);
+      if (rule) {
+        await autoAcceptService.accept(request, rule, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
+      } else {
+        // Notify the host, or their delegate while they're out of office
+        await delegationService.notifyNewRequest(request, { io });
+        await request.save();
+      }
 
-    // Update notification status
-    request.notifications.sentToMember = true;
-    request.notifications.lastNotificationSent = new Date();
-    await request.save();
+      // Place the new request in the queue with a fresh wait estimate
+      const queue = await waitTimeService.recalculateQueue(companyId);
+      const queued = queue.find(r => r._id.equals(request._id));
+      if (queued) {
+        request.queuePosition = queued.queuePosition;
+        request.estimatedWaitTime = queued.estimatedWaitTime;
+      }
+    }
 
     // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`member-${memberId}`).emit('new-request', {
-        request: {
-          id: request._id,
-          visitor: request.visitor,
-          purpose: request.purpose,
-          duration: request.duration,
-          createdAt: request.createdAt
-        }
-      });
+    if (io && request.status !== 'security-review') {
       io.to(`company-${companyId}`).emit('request-update', {
         type: 'new',
         request: {
@@ -210,6 +334,7 @@ router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
           visitor: request.visitor,
           member: request.member,
           purpose: request.purpose,
+          headcount: request.headcount,
           status: request.status
         }
       });
@@ -221,10 +346,19 @@ router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
       data: { 
         request: {
           id: request._id,
-          status: request.status,
+          // Visitors aren't told about security holds
+          status: publicRedactionService.getPublicStatus(request.status),
           queuePosition: request.queuePosition,
           estimatedWaitTime: request.estimatedWaitTime,
-          createdAt: request.createdAt
+          scheduledTime: request.scheduledTime,
+          headcount: request.headcount,
+          // Ids for uploading each attendee's photo
+          attendees: request.attendees.map(({ _id, firstName, lastName }) => ({ _id, firstName, lastName })),
+          deferred: policy.deferred,
+          autoAccepted: request.status === 'accepted',
+          createdAt: request.createdAt,
+          // Only returned here; lets the visitor check out from the status page
+          visitorToken
         }
       }
     });
@@ -237,6 +371,268 @@ router.post('/', requestCreationLimit, validateRequest, async (req, res) => {
   }
 });
 
+// Days between occurrences of a recurring invitation
+const RECURRENCE_INTERVAL_DAYS = { daily: 1, weekly: 7 };
+
+// Pre-register a guest (member only)
+router.post('/invitations', verifyToken, memberOnly, validateInvitation, async (req, res) => {
+  try {
+    const {
+      firstName,
+      lastName,
+      phone,
+      email,
+      purpose,
+      duration,
+      purposeDescription,
+      scheduledTime,
+      recurrence
+    } = req.body;
+    const member = req.user;
+
+    // Default to the member's only company when none is given
+    const activeCompanies = member.companies.filter(c => c.isActive);
+    const companyId = req.body.companyId ||
+      (activeCompanies.length === 1 ? activeCompanies[0].company.toString() : null);
+
+    if (!companyId || !activeCompanies.some(c => c.company.toString() === companyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member does not belong to this company'
+      });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company || !company.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const firstVisit = new Date(scheduledTime);
+    if (firstVisit < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Visit time must be in the future'
+      });
+    }
+
+    // Reuse the visitor record if the guest has visited before
+    let visitor = await Visitor.findOne({ phone: phone.trim() });
+    if (visitor && await blacklistService.findBlocking(visitor, company._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This visitor is blacklisted and cannot be invited'
+      });
+    }
+
+    if (!visitor) {
+      visitor = new Visitor({ firstName, lastName, phone, email });
+      await visitor.save();
+    } else if (email && !visitor.email) {
+      visitor.email = email;
+      await visitor.save();
+    }
+
+    // Screen the guest under the name the host typed as well as the stored one
+    const matches = await securityReviewService.screenVisitor(visitor, { firstName, lastName });
+    const held = matches.length > 0;
+
+    const intervalDays = recurrence && RECURRENCE_INTERVAL_DAYS[recurrence.frequency];
+    const occurrences = intervalDays ? parseInt(recurrence.occurrences) || 1 : 1;
+    const respondedAt = new Date();
+
+    const requests = [];
+    for (let i = 0; i < occurrences; i++) {
+      let visitTime = new Date(firstVisit);
+      visitTime.setDate(visitTime.getDate() + i * (intervalDays || 0));
+
+      // Occurrences that land on a holiday or closure move to the next open day
+      if (companyPolicyService.getClosure(company, visitTime)) {
+        visitTime = closureService.getRescheduleTime(company, visitTime);
+      }
+
+      const booking = await availabilityService.evaluateBooking({ members: [member], start: visitTime, duration });
+      if (!booking.success) {
+        return res.status(409).json({
+          success: false,
+          code: booking.code,
+          message: occurrences > 1 ? `Visit ${i + 1}: ${booking.message}` : booking.message,
+          data: booking.data
+        });
+      }
+
+      const request = new Request({
+        visitor: visitor._id,
+        company: company._id,
+        member: member._id,
+        purpose,
+        duration,
+        purposeDescription,
+        scheduledTime: visitTime,
+        status: 'accepted',
+        isPreRegistered: true,
+        invitedBy: member._id,
+        memberResponse: {
+          action: 'accept',
+          message: 'Pre-registered by host',
+          respondedAt
+        },
+        entryDetails: { allowedAt: visitTime }
+      });
+
+      // Held invitations get their gate pass once security clears the guest
+      if (held) {
+        securityReviewService.hold(request, matches);
+        request.memberResponse = undefined;
+      }
+      requests.push(request);
+    }
+
+    // Occurrences are linked through the first request's id
+    const recurrenceId = requests.length > 1 ? requests[0]._id : null;
+    const visitorTokens = {};
+    for (const request of requests) {
+      request.recurrenceId = recurrenceId;
+      if (!held) {
+        await gatePassService.issue(request);
+        visitorTokens[request._id] = visitorTokenService.issue(request);
+      }
+      await request.save();
+    }
+
+    const io = req.app.get('io');
+    if (held) {
+      await securityReviewService.alert({ source: 'invitation', visitor, requests, matches, io });
+    } else {
+      // Send invitation to guest
+      try {
+        await notificationService.sendInvitation(visitor, requests, member, company, visitorTokens);
+        await Request.updateMany(
+          { _id: { $in: requests.map(r => r._id) } },
+          { $set: { 'notifications.sentToVisitor': true, 'notifications.lastNotificationSent': new Date() } }
+        );
+      } catch (error) {
+        console.error('Invitation notification error:', error);
+      }
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'visitor_invited',
+      entityType: 'request',
+      entityId: requests[0]._id,
+      performedBy: member._id,
+      performedByModel: 'Member',
+      details: {
+        visitorName: visitor.fullName,
+        companyName: company.name,
+        scheduledTime: firstVisit,
+        occurrences: requests.length,
+        recurrence: intervalDays ? recurrence.frequency : null,
+        heldForReview: held
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Emit real-time update
+    if (io) {
+      io.to(`company-${company._id}`).emit('request-update', {
+        type: 'invited',
+        request: {
+          id: requests[0]._id,
+          visitor: { firstName: visitor.firstName, lastName: visitor.lastName },
+          status: requests[0].status,
+          scheduledTime: firstVisit
+        }
+      });
+    }
+
+    let message = requests.length > 1
+      ? `Invitation sent for ${requests.length} visits`
+      : 'Invitation sent successfully';
+    if (held) {
+      message = 'Invitation is being reviewed by security and will be sent once approved';
+    }
+
+    res.status(201).json({
+      success: true,
+      message,
+      data: {
+        visitor: {
+          id: visitor._id,
+          firstName: visitor.firstName,
+          lastName: visitor.lastName,
+          phone: visitor.phone
+        },
+        requests: requests.map(request => ({
+          id: request._id,
+          status: request.status,
+          scheduledTime: request.scheduledTime,
+          gatePass: request.gatePass?.code ? {
+            code: request.gatePass.code,
+            validFrom: request.gatePass.validFrom,
+            validUntil: request.gatePass.validUntil
+          } : null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invitation'
+    });
+  }
+});
+
+// Get guests invited by the current member
+router.get('/invitations', verifyToken, memberOnly, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { invitedBy: req.user._id };
+    if (req.query.upcoming === 'true') {
+      query.scheduledTime = { $gte: new Date() };
+      query.status = 'accepted';
+    }
+
+    const [requests, total] = await Promise.all([
+      Request.find(query)
+        .populate('visitor', 'firstName lastName phone email')
+        .populate('company', 'name location')
+        .select('-gatePass.token')
+        .sort({ scheduledTime: 1 })
+        .skip(skip)
+        .limit(limit),
+      Request.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations'
+    });
+  }
+});
+
 // Get requests for a member (member dashboard)
 router.get('/member/:memberId', verifyToken, memberOnly, validateObjectId('memberId'), validatePagination, async (req, res) => {
   try {
@@ -254,14 +650,18 @@ router.get('/member/:memberId', verifyToken, memberOnly, validateObjectId('membe
       });
     }
 
+    // Includes panel visits and requests delegated to this member by an out-of-office host
     const query = {
-      member: memberId,
+      $or: [{ member: memberId }, { 'hosts.member': memberId }, { delegate: memberId }],
       ...(status && { status })
     };
 
     const requests = await Request.find(query)
       .populate('visitor', 'firstName lastName phone email photo')
       .populate('company', 'name location')
+      .populate('member', 'firstName lastName')
+      .populate('hosts.member', 'firstName lastName')
+      .populate('delegate', 'firstName lastName')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -306,6 +706,7 @@ router.get('/company/:companyId', verifyToken, adminOnly, validateObjectId('comp
     const requests = await Request.find(query)
       .populate('visitor', 'firstName lastName phone email photo')
       .populate('member', 'firstName lastName employeeId department position')
+      .populate('hosts.member', 'firstName lastName')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -339,6 +740,7 @@ router.get('/:id', verifyToken, validateObjectId('id'), async (req, res) => {
     const request = await Request.findById(req.params.id)
       .populate('visitor', 'firstName lastName phone email photo address idProof')
       .populate('member', 'firstName lastName employeeId department position phone email')
+      .populate('hosts.member', 'firstName lastName department position')
       .populate('company', 'name location contactPhone address');
 
     if (!request) {
@@ -349,7 +751,7 @@ router.get('/:id', verifyToken, validateObjectId('id'), async (req, res) => {
     }
 
     // Check permissions
-    if (req.userType === 'member' && req.user._id.toString() !== request.member._id.toString()) {
+    if (req.userType === 'member' && !delegationService.canRespond(request, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -369,96 +771,24 @@ router.get('/:id', verifyToken, validateObjectId('id'), async (req, res) => {
   }
 });
 
-// Public: Get request by ID (visitor status page)
-router.get('/public/:id', validateObjectId('id'), async (req, res) => {
-  try {
-    const request = await Request.findById(req.params.id)
-      .populate('visitor', 'firstName lastName phone photo')
-      .populate('member', 'firstName lastName department position')
-      .populate('company', 'name location contactPhone');
-
-    if (!request) {
-      return res.status(404).json({
-        success: false,
-        message: 'Request not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: { request }
-    });
-  } catch (error) {
-    console.error('Get public request error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch request'
-    });
-  }
-});
-
-// Public: Get recent requests (limited fields)
-router.get('/public/visitors', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-    const skip = (page - 1) * limit;
-
-    const [requests, total] = await Promise.all([
-      Request.find({})
-        .populate('visitor', 'firstName lastName phone')
-        .populate('member', 'firstName lastName department position')
-        .populate('company', 'name location')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit),
-      Request.countDocuments({})
-    ]);
-
-    res.json({
-      success: true,
-      data: {
-        requests,
-        pagination: {
-          current: page,
-          pages: Math.ceil(total / limit),
-          total,
-          limit
-        }
-      }
-    });
-  } catch (error) {
-    console.error('Get public recent requests error:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch requests' });
-  }
-});
-
-// Public: Get all requests for a visitor (by visitorId)
-router.get('/public/visitor/:visitorId', validateObjectId('visitorId'), async (req, res) => {
-  try {
-    const { visitorId } = req.params;
-    const requests = await Request.find({ visitor: visitorId })
-      .populate('company', 'name location')
-      .populate('member', 'firstName lastName department position')
-      .sort({ createdAt: -1 });
+const RESPONSE_AUDIT_ACTIONS = {
+  accept: 'visitor_request_accepted',
+  decline: 'visitor_request_declined',
+  reschedule: 'visitor_request_rescheduled'
+};
 
-    res.json({
-      success: true,
-      data: { requests }
-    });
-  } catch (error) {
-    console.error('Get visitor requests error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch visitor requests'
-    });
-  }
-});
+const RESPONSE_MESSAGES = {
+  accept: 'Request accepted successfully',
+  decline: 'Request declined successfully',
+  reschedule: 'New times proposed to the visitor'
+};
 
 // Update request status (member response)
 router.put('/:id/status', verifyToken, memberOnly, validateObjectId('id'), async (req, res) => {
   try {
-    const { action, message, proposedTime } = req.body;
+    const { action, message, proposedTime, slot } = req.body;
+    // One or more proposed times; `proposedTime` is still accepted for a single slot
+    const proposedTimes = req.body.proposedTimes || (proposedTime ? [proposedTime] : []);
 
     if (!['accept', 'decline', 'reschedule'].includes(action)) {
       return res.status(400).json({
@@ -470,6 +800,7 @@ router.put('/:id/status', verifyToken, memberOnly, validateObjectId('id'), async
     const request = await Request.findById(req.params.id)
       .populate('visitor', 'firstName lastName phone email')
       .populate('member', 'firstName lastName email phone preferences')
+      .populate('hosts.member', 'firstName lastName email phone preferences')
       .populate('company', 'name location');
 
     if (!request) {
@@ -479,76 +810,111 @@ router.put('/:id/status', verifyToken, memberOnly, validateObjectId('id'), async
       });
     }
 
-    // Check if member can respond to this request
-    if (req.user._id.toString() !== request.member._id.toString()) {
+    // The host or, while they're away, their delegate can respond
+    if (!delegationService.canRespond(request, req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
-
-    if (request.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Request is no longer pending'
-      });
+    const asDelegate = delegationService.isDelegate(request, req.user._id);
+
+    if (action === 'reschedule') {
+      if (!Array.isArray(proposedTimes) || proposedTimes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Proposed time is required for rescheduling'
+        });
+      }
+      if (proposedTimes.length > rescheduleService.getMaxSlots()) {
+        return res.status(400).json({
+          success: false,
+          message: `You can propose at most ${rescheduleService.getMaxSlots()} times`
+        });
+      }
+      if (proposedTimes.some(time => isNaN(new Date(time)) || new Date(time) <= new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Proposed times must be valid dates in the future'
+        });
+      }
     }
 
-    // Update request based on action
-    let newStatus = request.status;
-    let entryAllowedAt = null;
-
-    switch (action) {
-      case 'accept':
-        newStatus = 'accepted';
-        entryAllowedAt = new Date();
-        break;
-      case 'decline':
-        newStatus = 'declined';
-        break;
-      case 'reschedule':
-        if (!proposedTime) {
-          return res.status(400).json({
+    // Accepting books the host at the agreed time, so it can't clash with their other visits
+    if (action === 'accept') {
+      const visitTime = request.negotiation.awaiting === 'host'
+        ? rescheduleService.findSlot(request, slot)
+        : request.scheduledTime;
+      if (visitTime) {
+        const booking = await availabilityService.evaluateBooking({
+          members: [asDelegate ? request.member : req.user],
+          start: visitTime,
+          duration: request.duration,
+          excludeId: request._id
+        });
+        if (!booking.success) {
+          return res.status(409).json({
             success: false,
-            message: 'Proposed time is required for rescheduling'
+            code: booking.code,
+            message: booking.message,
+            data: booking.data
           });
         }
-        newStatus = 'pending';
-        request.scheduledTime = new Date(proposedTime);
-        break;
+      }
     }
 
-    // Update request
-    request.status = newStatus;
-    request.memberResponse = {
-      action,
-      message,
-      proposedTime: proposedTime ? new Date(proposedTime) : null,
-      respondedAt: new Date()
-    };
-
-    if (entryAllowedAt) {
-      request.entryDetails.allowedAt = entryAllowedAt;
+    const respondedBy = asDelegate ? req.user._id : null;
+
+    // Panel visits record each host's answer and only change status once the
+    // approval mode is satisfied
+    const context = { message, proposedTimes, slot, respondedBy, member: req.user._id };
+    let event = action;
+    let responder = request.member;
+    if (request.isPanel()) {
+      requestStateMachine.assertTransition(request, action, context);
+      // The first host to accept a visitor's counter-proposal fixes the time for the panel
+      if (action === 'accept' && request.negotiation.awaiting === 'host') {
+        rescheduleService.select(request, slot);
+      }
+      event = panelService.respond(request, req.user._id, action, { message, respondedBy });
+      responder = panelService.getEntry(request, asDelegate ? request.member : req.user._id).member;
     }
 
+    if (event) {
+      await requestStateMachine.apply(request, event, context);
+    }
     await request.save();
 
-    // Send notification to visitor
-    const notificationResults = await notificationService.notifyVisitorOfStatusUpdate(
-      request.visitor,
-      request,
-      request.member,
-      request.company
-    );
+    // Proposed times are answered from the emailed link, so it carries its own visitor
+    // token that works on whatever device the visitor opens it
+    const visitorToken = event && request.negotiation.awaiting === 'visitor'
+      ? await visitorTokenService.issueLink(request)
+      : null;
+
+    if (event) {
+      // Send notification to visitor
+      await notificationService.notifyVisitorOfStatusUpdate(
+        request.visitor,
+        request,
+        responder,
+        request.company,
+        { visitorToken }
+      );
+      if (request.status === 'accepted') {
+        await notificationService.notifyHostsOfCalendarEvent(request);
+      }
 
-    // Update notification status
-    request.notifications.sentToVisitor = true;
-    request.notifications.lastNotificationSent = new Date();
-    await request.save();
+      // Update notification status
+      request.notifications.sentToVisitor = true;
+      request.notifications.lastNotificationSent = new Date();
+      await request.save();
+
+      await waitTimeService.recalculateQueue(request.company._id);
+    }
 
     // Create audit log
     await AuditLog.createLog({
-      action: `visitor_request_${action}ed`,
+      action: RESPONSE_AUDIT_ACTIONS[action],
       entityType: 'request',
       entityId: request._id,
       performedBy: req.user._id,
@@ -556,7 +922,11 @@ router.put('/:id/status', verifyToken, memberOnly, validateObjectId('id'), async
       details: { 
         visitorName: request.visitor.fullName,
         action,
-        message 
+        message,
+        ...(action === 'reschedule' && { proposedTimes: rescheduleService.getLatestRound(request).slots }),
+        ...(action === 'accept' && slot && { slot: request.scheduledTime }),
+        ...(asDelegate && { onBehalfOf: request.member._id, hostName: request.member.fullName }),
+        ...(request.isPanel() && { panel: true, approvalMode: request.approvalMode, resolved: !!event })
       },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
@@ -573,14 +943,38 @@ router.put('/:id/status', verifyToken, memberOnly, validateObjectId('id'), async
           memberResponse: request.memberResponse
         }
       });
+
+      // Let the rest of the panel see each answer
+      request.hosts
+        .filter(host => !host.member._id.equals(req.user._id))
+        .forEach(host => {
+          io.to(`member-${host.member._id}`).emit('host-response', {
+            request: {
+              id: request._id,
+              status: request.status,
+              action,
+              visitor: { firstName: request.visitor.firstName, lastName: request.visitor.lastName },
+              host: { firstName: responder.firstName, lastName: responder.lastName }
+            }
+          });
+        });
     }
 
     res.json({
       success: true,
-      message: `Request ${action}ed successfully`,
+      message: event
+        ? RESPONSE_MESSAGES[action]
+        : 'Response recorded; waiting for the other hosts',
       data: { request }
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('Update request status error:', error);
     res.status(500).json({
       success: false,
@@ -589,16 +983,115 @@ router.put('/:id/status', verifyToken, memberOnly, validateObjectId('id'), async
   }
 });
 
-// Mark visitor as entered (admin/security)
-router.put('/:id/enter', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
+// Record entry for an accepted request (shared by the id and gate pass routes).
+// For groups, `attendeeIds` checks named attendees in, with the lead or after them.
+const markEntered = async (req, res, request) => {
+  const { entryGate, securityPersonnel, attendeeIds = [] } = req.body;
+
+  const attendees = groupVisitService.findAttendees(request, attendeeIds);
+  if (!attendees) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attendee not found on this request'
+    });
+  }
+
+  // Attendees arriving after the lead don't change the visit itself
+  const leadEntering = !(request.status === 'in-progress' && attendees.length);
+  if (leadEntering) {
+    await requestStateMachine.apply(request, 'enter', { entryGate, securityPersonnel });
+  }
+  groupVisitService.checkIn(request, attendees);
+  await request.save();
+
+  // The host is now busy, which pushes back everyone waiting for them
+  if (leadEntering) {
+    await waitTimeService.recalculateQueue(request.company._id);
+  }
+
+  // Create audit log
+  await AuditLog.createLog({
+    action: 'visitor_entered',
+    entityType: 'request',
+    entityId: request._id,
+    performedBy: req.user._id,
+    performedByModel: 'Admin',
+    details: { 
+      visitorName: request.visitor.fullName,
+      entryGate,
+      securityPersonnel,
+      gatePassCode: request.gatePass?.code || null,
+      ...(attendees.length && {
+        attendees: attendees.map(attendee => `${attendee.firstName} ${attendee.lastName}`)
+      })
+    },
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Emit real-time update
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`company-${request.company._id}`).emit('request-update', {
+      type: 'entry',
+      request: {
+        id: request._id,
+        status: request.status,
+        entryDetails: request.entryDetails,
+        attendees: request.attendees
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    message: leadEntering ? 'Visitor marked as entered successfully' : 'Attendees checked in successfully',
+    data: { request }
+  });
+};
+
+// Mark visitor as entered using a scanned gate pass (admin/security)
+router.put('/pass/enter', verifyToken, adminOnly, async (req, res) => {
   try {
-    const { entryGate, securityPersonnel } = req.body;
+    const result = await gatePassService.resolve(req.body.pass);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
 
-    const request = await Request.findById(req.params.id)
-      .populate('visitor', 'firstName lastName phone')
+    const request = await Request.findById(result.requestId)
+      .populate('visitor', 'firstName lastName phone photo')
       .populate('member', 'firstName lastName')
       .populate('company', 'name');
 
+    await markEntered(req, res, request);
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Gate pass entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark visitor as entered'
+    });
+  }
+});
+
+// Mark visitor as entered (admin/security)
+router.put('/:id/enter', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id)
+      .populate('visitor', 'firstName lastName phone email')
+      .populate('member', 'firstName lastName email preferences')
+      .populate('hosts.member', 'firstName lastName email preferences')
+      .populate('company', 'name location');
+
     if (!request) {
       return res.status(404).json({
         success: false,
@@ -606,124 +1099,323 @@ router.put('/:id/enter', verifyToken, adminOnly, validateObjectId('id'), async (
       });
     }
 
-    if (request.status !== 'accepted') {
-      return res.status(400).json({
+    await markEntered(req, res, request);
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Request must be accepted before marking entry'
+        code: error.code,
+        message: error.message
       });
     }
+    console.error('Mark visitor entered error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark visitor as entered'
+    });
+  }
+});
 
-    if (request.entryDetails.enteredAt) {
-      return res.status(400).json({
+// Mark visitor as exited (admin/security)
+router.put('/:id/exit', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
         success: false,
-        message: 'Visitor has already been marked as entered'
+        message: 'Request not found'
       });
     }
 
-    // Update entry details
-    request.entryDetails.enteredAt = new Date();
-    request.entryDetails.entryGate = entryGate;
-    request.entryDetails.securityPersonnel = securityPersonnel;
-    request.status = 'in-progress';
+    requestStateMachine.assertTransition(request, 'exit');
+
+    // Group attendees leaving early are checked out on their own; the visit
+    // completes when the lead exits
+    const { attendeeIds = [] } = req.body;
+    if (attendeeIds.length) {
+      const attendees = groupVisitService.findAttendees(request, attendeeIds);
+      if (!attendees) {
+        return res.status(400).json({
+          success: false,
+          message: 'Attendee not found on this request'
+        });
+      }
 
-    await request.save();
+      groupVisitService.checkOut(request, attendees);
+      await request.save();
+
+      await AuditLog.createLog({
+        action: 'visitor_exited',
+        entityType: 'request',
+        entityId: request._id,
+        performedBy: req.user._id,
+        performedByModel: 'Admin',
+        details: {
+          attendees: attendees.map(attendee => `${attendee.firstName} ${attendee.lastName}`),
+          exitMethod: 'security'
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
-    // Create audit log
-    await AuditLog.createLog({
-      action: 'visitor_entered',
-      entityType: 'request',
-      entityId: request._id,
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`company-${request.company}`).emit('request-update', {
+          type: 'attendee-exit',
+          request: {
+            id: request._id,
+            status: request.status,
+            attendees: request.attendees
+          }
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Attendees checked out successfully',
+        data: { request }
+      });
+    }
+
+    const exited = await visitExitService.exit(request._id, {
+      method: 'security',
       performedBy: req.user._id,
       performedByModel: 'Admin',
-      details: { 
-        visitorName: request.visitor.fullName,
-        entryGate,
-        securityPersonnel 
-      },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     });
 
-    // Emit real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`company-${request.company._id}`).emit('request-update', {
-        type: 'entry',
-        request: {
-          id: request._id,
-          status: request.status,
-          entryDetails: request.entryDetails
-        }
+    // Closed by a concurrent checkout
+    if (!exited) {
+      return res.status(409).json({
+        success: false,
+        code: 'INVALID_TRANSITION',
+        message: 'Visitor has already been marked as exited'
       });
     }
 
     res.json({
       success: true,
-      message: 'Visitor marked as entered successfully',
-      data: { request }
+      message: 'Visitor marked as exited successfully',
+      data: { request: exited }
     });
   } catch (error) {
-    console.error('Mark visitor entered error:', error);
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Mark visitor exited error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to mark visitor as entered'
+      message: 'Failed to mark visitor as exited'
     });
   }
 });
 
-// Mark visitor as exited (admin/security)
-router.put('/:id/exit', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
+// Visitor self check-out from the status page (authorized by the request's visitor token)
+router.put('/:id/checkout', validateObjectId('id'), async (req, res) => {
   try {
-    const request = await Request.findById(req.params.id)
-      .populate('visitor', 'firstName lastName phone')
-      .populate('member', 'firstName lastName')
-      .populate('company', 'name');
+    const request = await Request.findById(req.params.id).select(visitorTokenService.getSelect());
 
-    if (!request) {
+    if (!request || !visitorTokenService.verify(request, req.body.token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    requestStateMachine.assertTransition(request, 'exit');
+
+    const exited = await visitExitService.exit(request._id, {
+      method: 'self',
+      performedBy: request.visitor,
+      performedByModel: 'Visitor',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Closed by a concurrent checkout
+    if (!exited) {
+      return res.status(409).json({
+        success: false,
+        code: 'INVALID_TRANSITION',
+        message: 'You have already checked out'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Checked out successfully. Thank you for visiting!',
+      data: {
+        request: {
+          id: exited._id,
+          status: exited.status,
+          entryDetails: exited.entryDetails,
+          totalDuration: exited.totalDuration
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Visitor checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out'
+    });
+  }
+});
+
+// Upload a group attendee's photo for the gate (authorized by the visitor token sent with the file)
+router.post('/:id/attendees/:attendeeId/photo', validateObjectId('id'), validateObjectId('attendeeId'), uploadMiddleware('photo'), handleUploadError, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).select(visitorTokenService.getSelect());
+
+    if (!request || !visitorTokenService.verify(request, req.body.token)) {
       return res.status(404).json({
         success: false,
         message: 'Request not found'
       });
     }
 
-    if (!request.entryDetails.enteredAt) {
+    const attendee = request.attendees.id(req.params.attendeeId);
+    if (!attendee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendee not found'
+      });
+    }
+
+    if (['completed', 'cancelled', 'declined', 'expired'].includes(request.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Visitor must be marked as entered before marking exit'
+        message: 'This visit is over'
       });
     }
 
-    if (request.entryDetails.exitedAt) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'Visitor has already been marked as exited'
+        message: 'No image file provided'
       });
     }
 
-    // Update exit details
-    request.entryDetails.exitedAt = new Date();
-    request.status = 'completed';
+    // Delete old photo if exists
+    if (attendee.photo) {
+      const oldPublicId = ImageUploadService.extractPublicId(attendee.photo);
+      if (oldPublicId) {
+        await ImageUploadService.deleteImage(oldPublicId);
+      }
+    }
 
+    const uploadResult = await ImageUploadService.uploadVisitorPhoto(req.file.buffer);
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload photo'
+      });
+    }
+
+    attendee.photo = uploadResult.url;
     await request.save();
 
-    // Send completion notification to visitor
-    const notificationResults = await notificationService.notifyVisitorOfStatusUpdate(
-      request.visitor,
-      request,
-      request.member,
-      request.company
-    );
+    res.json({
+      success: true,
+      message: 'Photo uploaded successfully',
+      data: { photoUrl: uploadResult.url }
+    });
+  } catch (error) {
+    console.error('Upload attendee photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photo'
+    });
+  }
+});
+
+// Visitor confirms one of the host's proposed times or proposes others (authorized by the visitor token)
+router.put('/:id/reschedule', validateObjectId('id'), validateRescheduleReply, async (req, res) => {
+  try {
+    const { token, action, slot, slots, message } = req.body;
+
+    const request = await Request.findById(req.params.id)
+      .select(visitorTokenService.getSelect())
+      .populate('visitor', 'firstName lastName phone email')
+      .populate('member', 'firstName lastName email phone preferences')
+      .populate('hosts.member', 'firstName lastName email phone preferences')
+      .populate('delegate', 'firstName lastName email phone preferences')
+      .populate('company', 'name location');
+
+    if (!request || !visitorTokenService.verify(request, token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    // Confirming books every host at the chosen time
+    const chosen = action === 'confirm' ? rescheduleService.findSlot(request, slot) : null;
+    if (chosen) {
+      const booking = await availabilityService.evaluateBooking({
+        members: request.isPanel() ? request.hosts.map(host => host.member) : [request.member],
+        start: chosen,
+        duration: request.duration,
+        excludeId: request._id
+      });
+      if (!booking.success) {
+        return res.status(409).json({
+          success: false,
+          code: booking.code,
+          message: 'This time is no longer available. Please choose another or propose new times.',
+          data: booking.data
+        });
+      }
+    }
+
+    await requestStateMachine.apply(request, action, { slot, slots, message });
+    await request.save();
+
+    if (request.status === 'accepted') {
+      await notificationService.notifyVisitorOfStatusUpdate(request.visitor, request, request.member, request.company);
+      await notificationService.notifyHostsOfCalendarEvent(request);
+      request.notifications.sentToVisitor = true;
+      request.notifications.lastNotificationSent = new Date();
+      await request.save();
+
+      await waitTimeService.recalculateQueue(request.company._id);
+    }
+
+    // Everyone who can answer for the host side hears back
+    const hosts = request.isPanel()
+      ? request.hosts.map(host => host.member)
+      : [request.member, request.delegate].filter(Boolean);
+    for (const host of hosts) {
+      await notificationService.notifyMemberOfRescheduleReply(host, request.visitor, request, request.company);
+    }
 
     // Create audit log
     await AuditLog.createLog({
-      action: 'visitor_exited',
+      action: action === 'confirm' ? 'visitor_request_accepted' : 'visitor_request_rescheduled',
       entityType: 'request',
       entityId: request._id,
-      performedBy: req.user._id,
-      performedByModel: 'Admin',
-      details: { 
+      performedBy: request.visitor._id,
+      performedByModel: 'Visitor',
+      details: {
         visitorName: request.visitor.fullName,
-        duration: request.totalDuration
+        action,
+        message,
+        ...(action === 'confirm'
+          ? { slot: request.scheduledTime }
+          : { proposedTimes: rescheduleService.getLatestRound(request).slots })
       },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
@@ -733,26 +1425,51 @@ router.put('/:id/exit', verifyToken, adminOnly, validateObjectId('id'), async (r
     const io = req.app.get('io');
     if (io) {
       io.to(`company-${request.company._id}`).emit('request-update', {
-        type: 'exit',
+        type: 'status-change',
         request: {
           id: request._id,
           status: request.status,
-          entryDetails: request.entryDetails,
-          totalDuration: request.totalDuration
+          memberResponse: request.memberResponse
         }
       });
+      hosts.forEach(host => {
+        io.to(`member-${host._id}`).emit('reschedule-reply', {
+          request: {
+            id: request._id,
+            action,
+            visitor: { firstName: request.visitor.firstName, lastName: request.visitor.lastName },
+            scheduledTime: request.scheduledTime
+          }
+        });
+      });
     }
 
     res.json({
       success: true,
-      message: 'Visitor marked as exited successfully',
-      data: { request }
+      message: action === 'confirm'
+        ? 'Visit confirmed for the chosen time'
+        : 'Your proposed times have been sent to the host',
+      data: {
+        request: {
+          id: request._id,
+          status: request.status,
+          scheduledTime: request.scheduledTime,
+          negotiation: request.negotiation
+        }
+      }
     });
   } catch (error) {
-    console.error('Mark visitor exited error:', error);
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Reschedule reply error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to mark visitor as exited'
+      message: 'Failed to answer the proposed times'
     });
   }
 });
@@ -783,17 +1500,25 @@ router.put('/:id/cancel', verifyToken, validateObjectId('id'), async (req, res)
       });
     }
 
-    if (['completed', 'cancelled'].includes(request.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Request cannot be cancelled'
-      });
+    const wasAccepted = request.status === 'accepted';
+    await requestStateMachine.apply(request, 'cancel');
+    if (wasAccepted && request.scheduledTime) {
+      calendarService.bumpSequence(request);
     }
-
-    // Update request
-    request.status = 'cancelled';
     await request.save();
 
+    await waitTimeService.recalculateQueue(request.company._id);
+
+    // The visitor and hosts of an accepted visit get a cancellation for their calendars
+    if (wasAccepted) {
+      try {
+        await notificationService.notifyVisitorOfCancellation(request.visitor, request, request.member, request.company);
+        await notificationService.notifyHostsOfCalendarEvent(request, 'CANCEL');
+      } catch (error) {
+        console.error('Cancellation notification error:', error);
+      }
+    }
+
     // Create audit log
     await AuditLog.createLog({
       action: 'visitor_request_cancelled',
@@ -827,6 +1552,13 @@ router.put('/:id/cancel', verifyToken, validateObjectId('id'), async (req, res)
       data: { request }
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
     console.error('Cancel request error:', error);
     res.status(500).json({
       success: false,
@@ -848,22 +1580,24 @@ router.get('/queue/:companyId', validateObjectId('companyId'), async (req, res)
       });
     }
 
+    // Estimates are maintained by waitTimeService whenever the queue changes
     const pendingRequests = await Request.find({
       company: companyId,
       status: 'pending'
     })
     .populate('visitor', 'firstName lastName phone')
     .populate('member', 'firstName lastName employeeId department')
-    .sort({ priority: -1, createdAt: 1 });
+    .sort({ queuePosition: 1, createdAt: 1 });
 
-    const queueData = pendingRequests.map((request, index) => ({
+    const queueData = pendingRequests.map((request) => ({
       id: request._id,
-      position: index + 1,
+      position: request.queuePosition,
       visitor: request.visitor,
       member: request.member,
       purpose: request.purpose,
       duration: request.duration,
-      estimatedWaitTime: index * 15, // 15 minutes per person
+      headcount: request.headcount || 1,
+      estimatedWaitTime: request.estimatedWaitTime,
       createdAt: request.createdAt
     }));
 
@@ -872,7 +1606,9 @@ router.get('/queue/:companyId', validateObjectId('companyId'), async (req, res)
       data: {
         queue: queueData,
         totalPending: pendingRequests.length,
-        estimatedWaitTime: pendingRequests.length * 15
+        // Group requests count everyone coming
+        totalPeople: queueData.reduce((total, item) => total + item.headcount, 0),
+        estimatedWaitTime: queueData.reduce((max, item) => Math.max(max, item.estimatedWaitTime), 0)
       }
     });
   } catch (error) {
@@ -0,0 +1,546 @@
+const express = require('express');
+const moment = require('moment');
+const RequestSeries = require('../models/RequestSeries');
+const Visitor = require('../models/Visitor');
+const Member = require('../models/Member');
+const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+const { validateRequestSeries, validateSeriesResponse, validateObjectId, validatePagination } = require('../middleware/validation');
+const { verifyToken, memberOnly, verifyVisitorSession } = require('../middleware/auth');
+const { maintenanceGate } = require('../middleware/maintenance');
+const notificationService = require('../services/notificationService');
+const companyPolicyService = require('../services/companyPolicyService');
+const availabilityService = require('../services/availabilityService');
+const requestSeriesService = require('../services/requestSeriesService');
+const { blacklistService } = require('../services/blacklistService');
+const rateLimit = require('express-rate-limit');
+const settingsService = require('../services/settingsService');
+
+const router = express.Router();
+
+// Hosts see the series they were asked to approve; admins see all of them
+const canManage = (req, series) => req.userType === 'admin' ||
+  (req.userType === 'member' && String(series.member._id || series.member) === String(req.user._id));
+
+const seriesCreationLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: async () => (await settingsService.get()).limits.maxRequestSubmissions, // per IP per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Ask a host for a recurring visit (public, requires a verified phone)
+router.post('/', maintenanceGate, seriesCreationLimit, verifyVisitorSession, validateRequestSeries, async (req, res) => {
+  try {
+    const { visitorId, companyId, memberId, purpose, duration, purposeDescription, frequency, daysOfWeek = [] } = req.body;
+    // Later visits repeat the first one's hour and minute
+    const startTime = moment(req.body.startTime).startOf('minute').toDate();
+    // Visits can fall any time on the last day
+    const endDate = moment(req.body.endDate).endOf('day').toDate();
+
+    // Validate visitor (must be the one whose phone was verified)
+    const visitor = await Visitor.findById(visitorId);
+    if (!visitor || visitor.phone !== req.visitorSession.phone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor not found'
+      });
+    }
+
+    const blacklisted = await blacklistService.findBlocking(visitor, companyId);
+    if (blacklisted) {
+      return res.status(403).json({
+        success: false,
+        message: blacklisted.companies.length
+          ? 'Visitor is blacklisted at this company and cannot make requests'
+          : 'Visitor is blacklisted and cannot make requests'
+      });
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company || !company.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const member = await Member.findById(memberId);
+    if (!member || !member.isActive ||
+      !member.companies.some(c => c.company.toString() === companyId && c.isActive)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Member does not belong to this company'
+      });
+    }
+
+    if (endDate < startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the first visit'
+      });
+    }
+    if (moment(endDate).diff(startTime, 'days') >= requestSeriesService.getMaxDays()) {
+      return res.status(400).json({
+        success: false,
+        message: `A recurring visit can run for at most ${requestSeriesService.getMaxDays()} days`
+      });
+    }
+
+    const series = new RequestSeries({
+      visitor: visitor._id,
+      company: company._id,
+      member: member._id,
+      purpose,
+      duration,
+      purposeDescription,
+      pattern: {
+        frequency,
+        daysOfWeek: frequency === 'weekdays' ? [...new Set(daysOfWeek.map(Number))] : []
+      },
+      startTime,
+      endDate
+    });
+
+    if (!requestSeriesService.isOccurrence(series, startTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The first visit must fall on one of the chosen weekdays'
+      });
+    }
+
+    const existing = await RequestSeries.exists({
+      visitor: visitor._id,
+      member: member._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a recurring visit waiting for this member'
+      });
+    }
+
+    // The first visit has to meet the company's rules. Later ones share its time of
+    // day; closure days are skipped when the visits are created.
+    const policy = await companyPolicyService.evaluateRequest({ company, visitor, scheduledTime: startTime });
+    if (!policy.success) {
+      return res.status(400).json({
+        success: false,
+        code: policy.code,
+        message: policy.message,
+        data: policy.data
+      });
+    }
+
+    // Every visit must fall in the host's published hours
+    if (member.availability?.enabled) {
+      const outside = requestSeriesService.getOccurrences(series)
+        .find(date => !availabilityService.isWithinHours(member, date, duration));
+      if (outside) {
+        return res.status(409).json({
+          success: false,
+          code: availabilityService.errors.OUTSIDE_AVAILABILITY,
+          message: `${member.fullName} isn't available at ${moment(outside).format('DD/MM/YYYY HH:mm')}. Please choose another time or days.`
+        });
+      }
+    }
+
+    await series.save();
+
+    const schedule = requestSeriesService.describe(series);
+    try {
+      await notificationService.notifyMemberOfSeriesRequest(member, visitor, series, company, schedule);
+    } catch (error) {
+      console.error('Series request notification error:', error);
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'request_series_created',
+      entityType: 'request_series',
+      entityId: series._id,
+      performedBy: visitor._id,
+      performedByModel: 'Visitor',
+      details: {
+        visitorName: visitor.fullName,
+        memberName: member.fullName,
+        schedule,
+        startTime,
+        endDate
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`member-${member._id}`).emit('new-series-request', {
+        series: {
+          id: series._id,
+          visitor: { firstName: visitor.firstName, lastName: visitor.lastName },
+          purpose,
+          schedule
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring visit requested. The host will approve it once for all visits.',
+      data: {
+        series: {
+          id: series._id,
+          status: series.status,
+          schedule,
+          startTime: series.startTime,
+          endDate: series.endDate,
+          visits: requestSeriesService.getOccurrences(series).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request recurring visit'
+    });
+  }
+});
+
+// Series a member hosts (member dashboard)
+router.get('/member/:memberId', verifyToken, memberOnly, validateObjectId('memberId'), validatePagination, async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+    const skip = (page - 1) * limit;
+
+    if (req.user._id.toString() !== memberId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const query = { member: memberId, ...(status && { status }) };
+    const [series, total] = await Promise.all([
+      RequestSeries.find(query)
+        .populate('visitor', 'firstName lastName phone email photo')
+        .populate('company', 'name location')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RequestSeries.countDocuments(query)
+    ]);
+
+    const results = [];
+    for (const entry of series) {
+      results.push({
+        ...entry.toObject(),
+        schedule: requestSeriesService.describe(entry),
+        upcoming: ['pending', 'active'].includes(entry.status)
+          ? await requestSeriesService.getUpcoming(entry, { limit: 5 })
+          : []
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: results,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get member series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring visits'
+    });
+  }
+});
+
+// Get one series with its upcoming visits
+router.get('/:id', verifyToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const series = await RequestSeries.findById(req.params.id)
+      .populate('visitor', 'firstName lastName phone email photo')
+      .populate('member', 'firstName lastName email phone')
+      .populate('company', 'name location');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring visit not found'
+      });
+    }
+
+    if (!canManage(req, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: {
+          ...series.toObject(),
+          schedule: requestSeriesService.describe(series),
+          upcoming: ['pending', 'active'].includes(series.status)
+            ? await requestSeriesService.getUpcoming(series, { limit: parseInt(req.query.limit) || 10 })
+            : []
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring visit'
+    });
+  }
+});
+
+// Approve or decline a series (host only)
+router.put('/:id/respond', verifyToken, memberOnly, validateObjectId('id'), validateSeriesResponse, async (req, res) => {
+  try {
+    const { action, message } = req.body;
+    const series = await RequestSeries.findById(req.params.id).populate(requestSeriesService.getPopulate());
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring visit not found'
+      });
+    }
+
+    if (!canManage(req, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (series.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Recurring visit is no longer pending'
+      });
+    }
+
+    series.status = action === 'approve' ? 'active' : 'declined';
+    series.memberResponse = { action, message, respondedAt: new Date() };
+    await series.save();
+
+    const io = req.app.get('io');
+    let requests = [];
+    if (action === 'approve') {
+      // Visits that fail to be created now are picked up by the scheduler
+      try {
+        requests = await requestSeriesService.materialize(series, { io });
+      } catch (error) {
+        console.error('Series materialize error:', error);
+      }
+    } else {
+      try {
+        await notificationService.notifyVisitorOfSeriesUpdate(series.visitor, series, series.member, series.company);
+      } catch (error) {
+        console.error('Series decline notification error:', error);
+      }
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: action === 'approve' ? 'request_series_approved' : 'request_series_declined',
+      entityType: 'request_series',
+      entityId: series._id,
+      performedBy: req.user._id,
+      performedByModel: 'Member',
+      details: {
+        visitorName: series.visitor.fullName,
+        schedule: requestSeriesService.describe(series),
+        visitsCreated: requests.length,
+        message
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: action === 'approve'
+        ? 'Recurring visit approved'
+        : 'Recurring visit declined',
+      data: {
+        series,
+        requests: requests.map(request => ({
+          id: request._id,
+          status: request.status,
+          scheduledTime: request.scheduledTime
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Respond to series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to recurring visit'
+    });
+  }
+});
+
+// Cancel a whole series and its upcoming visits (host or admin)
+router.put('/:id/cancel', verifyToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const series = await RequestSeries.findById(req.params.id).populate(requestSeriesService.getPopulate());
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring visit not found'
+      });
+    }
+
+    if (!canManage(req, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const result = await requestSeriesService.cancelSeries(series, {
+      cancelledBy: req.user._id,
+      cancelledByModel: req.userType === 'admin' ? 'Admin' : 'Member'
+    });
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'request_series_cancelled',
+      entityType: 'request_series',
+      entityId: series._id,
+      performedBy: req.user._id,
+      performedByModel: req.userType === 'admin' ? 'Admin' : 'Member',
+      details: {
+        visitorName: series.visitor.fullName,
+        visitsCancelled: result.requests.length,
+        cancelledBy: req.userType
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      result.requests.forEach(request => {
+        io.to(`company-${series.company._id}`).emit('request-update', {
+          type: 'cancelled',
+          request: {
+            id: request._id,
+            status: request.status
+          }
+        });
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring visit cancelled',
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel recurring visit'
+    });
+  }
+});
+
+// Cancel one visit of a series (host or admin)
+router.put('/:id/occurrences/cancel', verifyToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const date = new Date(req.body.date);
+    if (!req.body.date || isNaN(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid visit date is required'
+      });
+    }
+
+    const series = await RequestSeries.findById(req.params.id).populate('visitor', 'firstName lastName');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring visit not found'
+      });
+    }
+
+    if (!canManage(req, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const result = await requestSeriesService.cancelOccurrence(series, date);
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'request_series_occurrence_cancelled',
+      entityType: 'request_series',
+      entityId: series._id,
+      performedBy: req.user._id,
+      performedByModel: req.userType === 'admin' ? 'Admin' : 'Member',
+      details: {
+        visitorName: series.visitor.fullName,
+        date,
+        requestId: result.request?._id || null,
+        cancelledBy: req.userType
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const io = req.app.get('io');
+    if (io && result.request) {
+      io.to(`company-${series.company}`).emit('request-update', {
+        type: 'cancelled',
+        request: {
+          id: result.request._id,
+          status: result.request.status
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Visit cancelled',
+      data: { series, request: result.request }
+    });
+  } catch (error) {
+    console.error('Cancel series visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel visit'
+    });
+  }
+});
+
+module.exports = router;
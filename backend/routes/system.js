@@ -0,0 +1,29 @@
+const express = require('express');
+const settingsService = require('../services/settingsService');
+
+const router = express.Router();
+
+// Public: system status for the visitor-facing pages
+router.get('/status', async (req, res) => {
+  try {
+    const { system } = await settingsService.get();
+
+    res.json({
+      success: true,
+      data: {
+        name: system.name,
+        maintenanceMode: system.maintenanceMode,
+        maintenanceMessage: system.maintenanceMode ? system.maintenanceMessage : null,
+        maintenanceEndsAt: system.maintenanceMode ? system.maintenanceEndsAt : null
+      }
+    });
+  } catch (error) {
+    console.error('Get system status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch system status'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,133 @@
 const express = require('express');
 const Visitor = require('../models/Visitor');
-const { validateVisitor, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
-const { verifyToken, adminOnly } = require('../middleware/auth');
+const { validateVisitor, validateOtpRequest, validateOtpVerify, validateBlacklistEntry, validateBlacklistLift, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const { verifyToken, adminOnly, checkAdminPermission, verifyVisitorSession } = require('../middleware/auth');
+const { maintenanceGate } = require('../middleware/maintenance');
 const { uploadMiddleware, handleUploadError, ImageUploadService } = require('../services/imageUploadService');
 const rateLimit = require('express-rate-limit');
+const settingsService = require('../services/settingsService');
+const visitorOtpService = require('../services/visitorOtpService');
+const { visitorRetentionService, VisitorErasureError } = require('../services/visitorRetentionService');
+const visitorExportService = require('../services/visitorExportService');
+const securityReviewService = require('../services/securityReviewService');
+const { blacklistService, BlacklistError } = require('../services/blacklistService');
+const AuditLog = require('../models/AuditLog');
+const BlacklistEntry = require('../models/BlacklistEntry');
 
 const router = express.Router();
 
 // Rate limiting for visitor registration
 const visitorRegistrationLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
+  limit: async () => (await settingsService.get()).limits.maxVisitorRegistrations, // per IP per windowMs
   message: 'Too many visitor registrations from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// Create visitor (public endpoint with rate limiting)
-router.post('/', visitorRegistrationLimit, validateVisitor, async (req, res) => {
+// Rate limiting for verification codes
+const otpRequestLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: 5, // limit each IP to 5 codes per windowMs
+  message: 'Too many verification codes requested from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Profile fields returned to a visitor who has verified their phone
+const toVisitorProfile = (visitor) => ({
+  id: visitor._id,
+  firstName: visitor.firstName,
+  lastName: visitor.lastName,
+  email: visitor.email,
+  phone: visitor.phone,
+  photo: visitor.photo,
+  idProof: visitor.idProof,
+  address: visitor.address,
+  visitCount: visitor.visitCount,
+  lastVisitDate: visitor.lastVisitDate,
+  isBlacklisted: visitor.isBlacklisted
+});
+
+// Who added and lifted each entry, and where it applies
+const BLACKLIST_POPULATE = [
+  { path: 'companies', select: 'name' },
+  { path: 'addedBy', select: 'firstName lastName' },
+  { path: 'liftedBy', select: 'firstName lastName' }
+];
+
+// Send a phone verification code (public endpoint with rate limiting)
+router.post('/otp/request', maintenanceGate, otpRequestLimit, validateOtpRequest, async (req, res) => {
+  try {
+    const result = await visitorOtpService.issue(req.body.phone);
+
+    if (!result.success) {
+      return res.status(result.retryAfter ? 429 : 502).json({
+        success: false,
+        message: result.message,
+        data: result.retryAfter ? { retryAfter: result.retryAfter } : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { expiresAt: result.expiresAt }
+    });
+  } catch (error) {
+    console.error('Request visitor OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// Verify a phone code and open a short-lived visitor session
+router.post('/otp/verify', maintenanceGate, validateOtpVerify, async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+    const result = await visitorOtpService.verify(phone, code);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const visitor = await Visitor.findOne({ phone });
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        sessionToken: result.sessionToken,
+        expiresAt: result.expiresAt,
+        visitor: visitor ? toVisitorProfile(visitor) : null
+      }
+    });
+  } catch (error) {
+    console.error('Verify visitor OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify code'
+    });
+  }
+});
+
+// Create visitor (public endpoint with rate limiting, requires a verified phone)
+router.post('/', maintenanceGate, visitorRegistrationLimit, verifyVisitorSession, validateVisitor, async (req, res) => {
   try {
     const { firstName, lastName, email, phone, address, idProof } = req.body;
 
+    if (phone !== req.visitorSession.phone) {
+      return res.status(403).json({
+        success: false,
+        message: 'Phone number does not match the verified number'
+      });
+    }
+
     // Check if visitor already exists by phone number
     let visitor = await Visitor.findOne({ phone });
     
@@ -49,6 +156,16 @@ router.post('/', visitorRegistrationLimit, validateVisitor, async (req, res) =>
 
     await visitor.save();
 
+    // Registration isn't blocked; security is told so they can watch for a request
+    try {
+      const matches = await securityReviewService.screenVisitor(visitor);
+      if (matches.length) {
+        await securityReviewService.alert({ source: 'registration', visitor, matches, io: req.app.get('io') });
+      }
+    } catch (error) {
+      console.error('Watchlist screening error:', error);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Visitor information saved successfully',
@@ -73,10 +190,10 @@ router.post('/', visitorRegistrationLimit, validateVisitor, async (req, res) =>
 });
 
 // Upload visitor photo
-router.post('/:id/photo', validateObjectId('id'), uploadMiddleware('photo'), handleUploadError, async (req, res) => {
+router.post('/:id/photo', verifyVisitorSession, validateObjectId('id'), uploadMiddleware('photo'), handleUploadError, async (req, res) => {
   try {
     const visitor = await Visitor.findById(req.params.id);
-    if (!visitor) {
+    if (!visitor || visitor.phone !== req.visitorSession.phone) {
       return res.status(404).json({
         success: false,
         message: 'Visitor not found'
@@ -126,10 +243,10 @@ router.post('/:id/photo', validateObjectId('id'), uploadMiddleware('photo'), han
 });
 
 // Upload ID proof
-router.post('/:id/id-proof', validateObjectId('id'), uploadMiddleware('idProof'), handleUploadError, async (req, res) => {
+router.post('/:id/id-proof', verifyVisitorSession, validateObjectId('id'), uploadMiddleware('idProof'), handleUploadError, async (req, res) => {
   try {
     const visitor = await Visitor.findById(req.params.id);
-    if (!visitor) {
+    if (!visitor || visitor.phone !== req.visitorSession.phone) {
       return res.status(404).json({
         success: false,
         message: 'Visitor not found'
@@ -191,9 +308,16 @@ router.post('/:id/id-proof', validateObjectId('id'), uploadMiddleware('idProof')
   }
 });
 
-// Get visitor by phone number (for returning visitors)
-router.get('/phone/:phone', async (req, res) => {
+// Get visitor by phone number (for returning visitors who verified that phone)
+router.get('/phone/:phone', verifyVisitorSession, async (req, res) => {
   try {
+    if (req.params.phone !== req.visitorSession.phone) {
+      return res.status(403).json({
+        success: false,
+        message: 'Phone number does not match the verified number'
+      });
+    }
+
     const visitor = await Visitor.findOne({ phone: req.params.phone });
     
     if (!visitor) {
@@ -206,19 +330,7 @@ router.get('/phone/:phone', async (req, res) => {
     res.json({
       success: true,
       data: { 
-        visitor: {
-          id: visitor._id,
-          firstName: visitor.firstName,
-          lastName: visitor.lastName,
-          email: visitor.email,
-          phone: visitor.phone,
-          photo: visitor.photo,
-          idProof: visitor.idProof,
-          address: visitor.address,
-          visitCount: visitor.visitCount,
-          lastVisitDate: visitor.lastVisitDate,
-          isBlacklisted: visitor.isBlacklisted
-        }
+        visitor: toVisitorProfile(visitor)
       }
     });
   } catch (error) {
@@ -277,6 +389,65 @@ router.get('/', verifyToken, adminOnly, validatePagination, validateSearch, asyn
   }
 });
 
+// Blacklist history across all visitors (admin only)
+router.get('/blacklist/history', verifyToken, adminOnly, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { status, companyId } = req.query;
+
+    const filters = [];
+    if (status === 'active') {
+      filters.push(blacklistService.activeQuery());
+    } else if (status === 'lifted') {
+      filters.push({ liftedAt: { $ne: null } });
+    } else if (status === 'expired') {
+      filters.push({ liftedAt: null, expiresAt: { $lte: new Date() } });
+    }
+    if (companyId) {
+      // Entries scoped to the company plus those that apply everywhere
+      filters.push({ $or: [{ companies: String(companyId) }, { companies: { $size: 0 } }] });
+    }
+    const query = filters.length ? { $and: filters } : {};
+
+    const [entries, total] = await Promise.all([
+      BlacklistEntry.find(query)
+        .populate('visitor', 'firstName lastName phone')
+        .populate(BLACKLIST_POPULATE)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      BlacklistEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid company ID'
+      });
+    }
+    console.error('Get blacklist history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blacklist history'
+    });
+  }
+});
+
 // Get visitor by ID (admin only)
 router.get('/:id', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
   try {
@@ -302,6 +473,48 @@ router.get('/:id', verifyToken, adminOnly, validateObjectId('id'), async (req, r
   }
 });
 
+// Export everything held about a visitor as a ZIP (subject access requests)
+router.get('/:id/export', verifyToken, checkAdminPermission('manageSettings'), validateObjectId('id'), async (req, res) => {
+  try {
+    const data = await visitorExportService.collect(req.params.id);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor not found'
+      });
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'visitor_data_exported',
+      entityType: 'visitor',
+      entityId: data.visitor._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: {
+        requests: data.requests.length,
+        auditEntries: data.auditLogs.length,
+        images: data.images.length
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`visitor-${data.visitor._id}-${date}.zip`);
+    await visitorExportService.writeArchive(data, res);
+  } catch (error) {
+    console.error('Export visitor error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export visitor data'
+    });
+  }
+});
+
 // Update visitor (admin only)
 router.put('/:id', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
   try {
@@ -333,33 +546,156 @@ router.put('/:id', verifyToken, adminOnly, validateObjectId('id'), async (req, r
   }
 });
 
-// Blacklist/Unblacklist visitor (admin only)
+// Blacklist/Unblacklist visitor at every company (admin only). Kept for existing
+// clients; POST /:id/blacklist and the lift route manage individual entries.
 router.put('/:id/blacklist', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
   try {
     const { isBlacklisted, reason } = req.body;
 
-    const visitor = await Visitor.findById(req.params.id);
-    if (!visitor) {
-      return res.status(404).json({
+    const visitor = await blacklistService.setGlobal(req.params.id, {
+      isBlacklisted: !!isBlacklisted,
+      reason
+    }, {
+      performedBy: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: `Visitor ${isBlacklisted ? 'blacklisted' : 'unblacklisted'} successfully`,
+      data: { visitor }
+    });
+  } catch (error) {
+    if (error instanceof BlacklistError) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Visitor not found'
+        message: error.message
       });
     }
+    console.error('Blacklist visitor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update visitor blacklist status'
+    });
+  }
+});
 
-    visitor.isBlacklisted = isBlacklisted;
-    visitor.blacklistReason = reason || null;
-    await visitor.save();
+// Get a visitor's blacklist entries, including lifted and expired ones (admin only)
+router.get('/:id/blacklist', verifyToken, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const entries = await BlacklistEntry.find({ visitor: req.params.id })
+      .populate(BLACKLIST_POPULATE)
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      message: `Visitor ${isBlacklisted ? 'blacklisted' : 'unblacklisted'} successfully`,
-      data: { visitor }
+      data: { entries }
     });
   } catch (error) {
+    console.error('Get visitor blacklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blacklist history'
+    });
+  }
+});
+
+// Blacklist a visitor everywhere or at specific companies, optionally until a date (admin only)
+router.post('/:id/blacklist', verifyToken, adminOnly, validateObjectId('id'), validateBlacklistEntry, async (req, res) => {
+  try {
+    const { companyIds = [], reason, expiresAt } = req.body;
+
+    const entry = await blacklistService.add(req.params.id, {
+      companies: companyIds,
+      reason,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    }, {
+      performedBy: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    await entry.populate(BLACKLIST_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visitor blacklisted successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    if (error instanceof BlacklistError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Blacklist visitor error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update visitor blacklist status'
+      message: 'Failed to blacklist visitor'
+    });
+  }
+});
+
+// Lift a blacklist entry, e.g. after an appeal (admin only)
+router.put('/:id/blacklist/:entryId/lift', verifyToken, adminOnly, validateObjectId('id'), validateObjectId('entryId'), validateBlacklistLift, async (req, res) => {
+  try {
+    const entry = await blacklistService.lift(req.params.id, req.params.entryId, {
+      reason: req.body.reason
+    }, {
+      performedBy: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    await entry.populate(BLACKLIST_POPULATE);
+
+    res.json({
+      success: true,
+      message: 'Blacklist entry lifted successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    if (error instanceof BlacklistError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Lift blacklist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift blacklist entry'
+    });
+  }
+});
+
+// Erase a visitor's personal data, photos and ID proof (admin only, irreversible)
+router.post('/:id/erase', verifyToken, checkAdminPermission('manageSettings'), validateObjectId('id'), async (req, res) => {
+  try {
+    const { visitor, requestsAnonymized, imagesDeleted, imagesFailed } = await visitorRetentionService.erase(req.params.id, {
+      reason: 'request',
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Visitor data erased successfully',
+      data: { visitor, requestsAnonymized, imagesDeleted, imagesFailed }
+    });
+  } catch (error) {
+    if (error instanceof VisitorErasureError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Erase visitor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to erase visitor data'
     });
   }
 });
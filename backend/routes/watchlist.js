@@ -0,0 +1,235 @@
+const express = require('express');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const Request = require('../models/Request');
+const AuditLog = require('../models/AuditLog');
+const { validateWatchlistImport, validateSecurityReview, validateObjectId, validatePagination, validateSearch } = require('../middleware/validation');
+const { verifyToken, checkAdminRole } = require('../middleware/auth');
+const watchlistService = require('../services/watchlistService');
+const securityReviewService = require('../services/securityReviewService');
+const { InvalidTransitionError } = require('../services/requestStateMachine');
+
+const router = express.Router();
+
+// Everything here is for security staff
+router.use(verifyToken, checkAdminRole('security'));
+
+// Get watchlist entries
+router.get('/', validatePagination, validateSearch, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    const query = { isActive: true };
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+        { idNumber: { $regex: search, $options: 'i' } },
+        { listName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [entries, total] = await Promise.all([
+      WatchlistEntry.find(query)
+        .select('-normalized')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WatchlistEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get watchlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch watchlist'
+    });
+  }
+});
+
+// Import a list of names, phone numbers and ID numbers (CSV text or JSON entries)
+router.post('/import', validateWatchlistImport, async (req, res) => {
+  try {
+    const { listName, csv, entries } = req.body;
+    const rows = entries || watchlistService.parseCsv(csv);
+
+    const { created, skipped, ids } = await watchlistService.importEntries(listName.trim(), rows, req.user._id);
+    if (!created) {
+      return res.status(400).json({
+        success: false,
+        message: 'No entries with a name, phone number or ID number were found'
+      });
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'watchlist_updated',
+      entityType: 'watchlist',
+      entityId: ids[0],
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: { operation: 'imported', listName, created, skipped },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created} watchlist entr${created === 1 ? 'y' : 'ies'}`,
+      data: { created, skipped }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+    console.error('Import watchlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import watchlist'
+    });
+  }
+});
+
+// Remove a watchlist entry
+router.delete('/:id', validateObjectId('id'), async (req, res) => {
+  try {
+    const entry = await WatchlistEntry.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Watchlist entry not found'
+      });
+    }
+    watchlistService.invalidate();
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'watchlist_updated',
+      entityType: 'watchlist',
+      entityId: entry._id,
+      performedBy: req.user._id,
+      performedByModel: 'Admin',
+      details: { operation: 'removed', listName: entry.listName },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Watchlist entry removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove watchlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove watchlist entry'
+    });
+  }
+});
+
+// Get requests held for security review
+router.get('/reviews', validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'security-review' };
+
+    const [requests, total] = await Promise.all([
+      Request.find(query)
+        .populate('visitor', 'firstName lastName phone photo idProof.type idProof.number')
+        .populate('member', 'firstName lastName department')
+        .populate('company', 'name location')
+        .populate('securityReview.matches.entry', 'name phone idNumber reason')
+        .select('-gatePass.token')
+        .sort({ 'securityReview.flaggedAt': 1 })
+        .skip(skip)
+        .limit(limit),
+      Request.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get security reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security reviews'
+    });
+  }
+});
+
+// Clear or deny a held request
+router.put('/reviews/:requestId', validateObjectId('requestId'), validateSecurityReview, async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+
+    const requests = await securityReviewService.resolve(req.params.requestId, {
+      decision,
+      notes,
+      reviewedBy: req.user._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      io: req.app.get('io')
+    });
+
+    if (!requests) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'clear' ? 'Visitor cleared' : 'Request denied',
+      data: {
+        requests: requests.map(request => ({ id: request._id, status: request.status }))
+      }
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error('Resolve security review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save review decision'
+    });
+  }
+});
+
+module.exports = router;
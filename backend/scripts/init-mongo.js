@@ -54,6 +54,7 @@ db.requests.createIndex({ member: 1, status: 1 });
 db.requests.createIndex({ visitor: 1 });
 db.requests.createIndex({ createdAt: -1 });
 db.requests.createIndex({ status: 1, priority: -1, createdAt: 1 });
+db.requests.createIndex({ 'gatePass.code': 1 });
 
 db.admins.createIndex({ email: 1 }, { unique: true });
 db.admins.createIndex({ role: 1 });
@@ -6,6 +6,17 @@ const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
+const schedulerService = require('./services/schedulerService');
+const requestExpiryService = require('./services/requestExpiryService');
+const waitTimeService = require('./services/waitTimeService');
+const visitExitService = require('./services/visitExitService');
+const settingsService = require('./services/settingsService');
+const { hasStaffToken } = require('./middleware/auth');
+const { visitorRetentionService } = require('./services/visitorRetentionService');
+const securityReviewService = require('./services/securityReviewService');
+const { blacklistService } = require('./services/blacklistService');
+const escalationService = require('./services/escalationService');
+const requestSeriesService = require('./services/requestSeriesService');
 
 const app = express();
 const server = createServer(app);
@@ -43,20 +54,24 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET','HEAD','PUT','PATCH','POST','DELETE'],
-  allowedHeaders: ['Content-Type','Authorization']
+  allowedHeaders: ['Content-Type','Authorization','X-Visitor-Session']
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // limit each IP to 100 requests per windowMs
-//   message: 'Too many requests from this IP, please try again later.'
-// });
-// app.use('/api/', limiter);
+// Rate limiting for the public visitor flow (hourly limit comes from system settings).
+// Signed-in admins and members share office IPs, so their calls aren't counted.
+const limiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: async () => (await settingsService.get()).limits.maxRequestsPerHour,
+  skip: hasStaffToken,
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use('/api/', limiter);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
@@ -64,7 +79,10 @@ app.use('/api/companies', require('./routes/companies'));
 app.use('/api/members', require('./routes/members'));
 app.use('/api/visitors', require('./routes/visitors'));
 app.use('/api/requests', require('./routes/requests'));
+app.use('/api/series', require('./routes/series'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/system', require('./routes/system'));
+app.use('/api/watchlist', require('./routes/watchlist'));
 
 // Socket.io for real-time updates
 io.on('connection', (socket) => {
@@ -77,6 +95,12 @@ io.on('connection', (socket) => {
   socket.on('join-member', (memberId) => {
     socket.join(`member-${memberId}`);
   });
+
+  socket.on('join-security', async () => {
+    if (await securityReviewService.canJoinRoom(socket.handshake.auth?.token)) {
+      socket.join(securityReviewService.getRoom());
+    }
+  });
   
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
@@ -86,6 +110,48 @@ io.on('connection', (socket) => {
 // Make io accessible to routes
 app.set('io', io);
 
+// Background jobs
+requestExpiryService.setSocketServer(io);
+visitExitService.setSocketServer(io);
+securityReviewService.setSocketServer(io);
+escalationService.setSocketServer(io);
+requestSeriesService.setSocketServer(io);
+schedulerService.register(
+  'request-expiry',
+  (parseInt(process.env.REQUEST_EXPIRY_INTERVAL_MINUTES) || 5) * 60 * 1000,
+  () => requestExpiryService.run()
+);
+schedulerService.register(
+  'queue-estimates',
+  (parseInt(process.env.QUEUE_REFRESH_INTERVAL_MINUTES) || 1) * 60 * 1000,
+  () => waitTimeService.refreshAllQueues()
+);
+schedulerService.register(
+  'auto-exit',
+  (parseInt(process.env.AUTO_EXIT_INTERVAL_MINUTES) || 15) * 60 * 1000,
+  () => visitExitService.autoExitOpenVisits()
+);
+schedulerService.register(
+  'visitor-retention',
+  (parseInt(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+  () => visitorRetentionService.run()
+);
+schedulerService.register(
+  'blacklist-expiry',
+  (parseInt(process.env.BLACKLIST_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  () => blacklistService.run()
+);
+schedulerService.register(
+  'request-escalation',
+  (parseInt(process.env.ESCALATION_INTERVAL_MINUTES) || 1) * 60 * 1000,
+  () => escalationService.run()
+);
+schedulerService.register(
+  'request-series',
+  (parseInt(process.env.SERIES_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  () => requestSeriesService.run()
+);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -111,12 +177,18 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/visitor_m
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  schedulerService.start();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
   process.exit(1);
 });
 
+// Token lifetime moved to the security.sessionTimeout setting
+if (process.env.JWT_EXPIRE) {
+  console.warn('JWT_EXPIRE is no longer used; set Session Timeout in the admin settings instead');
+}
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
@@ -0,0 +1,121 @@
+const Request = require('../models/Request');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const companyPolicyService = require('./companyPolicyService');
+const { requestStateMachine } = require('./requestStateMachine');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class AutoAcceptService {
+  // Short description used in the acceptance message and audit log
+  describe(rule) {
+    switch (rule.type) {
+      case 'purpose':
+        return `purpose is ${rule.purposes.join(' or ')}`;
+      case 'returning':
+        return `visitor has ${rule.minCompletedVisits}+ completed visit(s)`;
+      case 'invited':
+        return 'visitor was invited by this member before';
+      case 'timeWindow':
+        return `visit falls ${rule.days.length ? `on ${rule.days.map(day => DAY_NAMES[day]).join(', ')} ` : ''}between ${rule.startTime} and ${rule.endTime}`;
+      default:
+        return 'auto-accept is on for all requests';
+    }
+  }
+
+  isInWindow(rule, date) {
+    if (rule.days.length && !rule.days.includes(date.getDay())) {
+      return false;
+    }
+
+    const start = companyPolicyService.parseTime(rule.startTime);
+    const end = companyPolicyService.parseTime(rule.endTime);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return end <= start ? minutes >= start || minutes < end : minutes >= start && minutes < end;
+  }
+
+  async matches(rule, request) {
+    const { member, visitor } = request;
+
+    switch (rule.type) {
+      case 'purpose':
+        return rule.purposes.includes(request.purpose);
+      case 'returning': {
+        const completed = await Request.countDocuments({
+          visitor: visitor._id,
+          member: member._id,
+          status: 'completed'
+        });
+        return completed >= (rule.minCompletedVisits || 1);
+      }
+      case 'invited':
+        return !!(await Request.exists({ visitor: visitor._id, invitedBy: member._id }));
+      case 'timeWindow':
+        return this.isInWindow(rule, request.scheduledTime || new Date());
+      default:
+        return false;
+    }
+  }
+
+  // The host's first rule that accepts this request, or null. An empty rule list
+  // with autoAccept on accepts everything. Panel visits always wait for the hosts,
+  // and requests for an out-of-office host go to their delegate instead.
+  async match(request) {
+    const preferences = request.member.preferences || {};
+    if (!preferences.autoAccept || request.isPanel()) {
+      return null;
+    }
+    if (request.member.isOutOfOffice(request.scheduledTime || new Date())) {
+      return null;
+    }
+
+    const rules = preferences.autoAcceptRules || [];
+    if (rules.length === 0) {
+      return { type: 'all' };
+    }
+
+    for (const rule of rules) {
+      if (await this.matches(rule, request)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  // Accept on the host's behalf and tell both sides. Expects visitor, member and company populated.
+  async accept(request, rule, { ipAddress = null, userAgent = null } = {}) {
+    const reason = this.describe(rule);
+    const { visitor, member, company } = request;
+
+    await requestStateMachine.apply(request, 'accept', { message: `Automatically accepted: ${reason}` });
+    await request.save();
+
+    await notificationService.notifyVisitorOfStatusUpdate(visitor, request, member, company);
+    await notificationService.notifyMemberOfAutoAcceptedRequest(member, visitor, request, company, reason);
+
+    request.notifications.sentToVisitor = true;
+    request.notifications.sentToMember = true;
+    request.notifications.lastNotificationSent = new Date();
+    await request.save();
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'visitor_request_accepted',
+      entityType: 'request',
+      entityId: request._id,
+      performedByModel: 'System',
+      details: {
+        visitorName: visitor.fullName,
+        action: 'accept',
+        autoAccepted: true,
+        rule: rule.type,
+        reason,
+        onBehalfOf: member._id
+      },
+      ipAddress,
+      userAgent
+    });
+  }
+}
+
+module.exports = new AutoAcceptService();
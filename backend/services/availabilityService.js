@@ -0,0 +1,146 @@
+const moment = require('moment');
+const Request = require('../models/Request');
+const companyPolicyService = require('./companyPolicyService');
+
+// Statuses that hold a slot in the host's calendar
+const BOOKED_STATUSES = ['accepted', 'in-progress'];
+// Longest visit a request can have (see models/Request.js)
+const MAX_DURATION_MINUTES = 480;
+const MAX_SLOT_DAYS = 31;
+
+const BOOKING_ERRORS = {
+  OUTSIDE_AVAILABILITY: 'OUTSIDE_AVAILABILITY',
+  MEMBER_DOUBLE_BOOKED: 'MEMBER_DOUBLE_BOOKED'
+};
+
+const idOf = (value) => value?._id || value;
+
+class AvailabilityService {
+  constructor() {
+    this.errors = BOOKING_ERRORS;
+  }
+
+  getMaxDays() {
+    return MAX_SLOT_DAYS;
+  }
+
+  // When a visit starts and ends; walk-ins run from when they were accepted
+  getInterval(request) {
+    const { start } = request.getVisitWindow(0);
+    return { start, end: new Date(start.getTime() + request.duration * 60 * 1000) };
+  }
+
+  overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  // Inside one of the member's weekly windows and clear of their blocked times
+  isWithinHours(member, start, duration) {
+    const { weekly = [], blocked = [] } = member.availability || {};
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    const minutes = start.getHours() * 60 + start.getMinutes();
+
+    const inWindow = weekly.some(window => (
+      window.day === start.getDay() &&
+      minutes >= companyPolicyService.parseTime(window.startTime) &&
+      minutes + duration <= companyPolicyService.parseTime(window.endTime)
+    ));
+    return inWindow && !blocked.some(block => this.overlaps({ start, end }, block));
+  }
+
+  // Accepted or ongoing visits of any of the members overlapping [start, end)
+  async findBookings(memberIds, start, end, { excludeId = null } = {}) {
+    const ids = memberIds.map(idOf);
+    const earliest = new Date(start.getTime() - MAX_DURATION_MINUTES * 60 * 1000);
+
+    const requests = await Request.find({
+      _id: { $ne: excludeId },
+      status: { $in: BOOKED_STATUSES },
+      $and: [
+        { $or: [{ member: { $in: ids } }, { 'hosts.member': { $in: ids } }] },
+        {
+          $or: [
+            { scheduledTime: { $gte: earliest, $lt: end } },
+            { scheduledTime: null, 'entryDetails.allowedAt': { $gte: earliest, $lt: end } }
+          ]
+        }
+      ]
+    }).select('member hosts duration scheduledTime entryDetails createdAt');
+
+    return requests.filter(request => this.overlaps(this.getInterval(request), { start, end }));
+  }
+
+  failure(code, message, data = {}) {
+    return { success: false, code, message, data };
+  }
+
+  // Check that the hosts can take a visit at `start`. With `checkHours`, the first
+  // member's published availability must cover it too.
+  async evaluateBooking({ members, start, duration, excludeId = null, checkHours = false }) {
+    const [host] = members;
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+
+    if (checkHours && host.availability?.enabled && !this.isWithinHours(host, start, duration)) {
+      return this.failure(
+        BOOKING_ERRORS.OUTSIDE_AVAILABILITY,
+        `${host.fullName} isn't available at ${moment(start).format('DD/MM/YYYY HH:mm')}. Please choose one of the available slots.`
+      );
+    }
+
+    const [booking] = await this.findBookings(members, start, end, { excludeId });
+    if (booking) {
+      const interval = this.getInterval(booking);
+      return this.failure(
+        BOOKING_ERRORS.MEMBER_DOUBLE_BOOKED,
+        `The host already has a visit from ${moment(interval.start).format('HH:mm')} to ${moment(interval.end).format('HH:mm')} on ${moment(interval.start).format('DD/MM/YYYY')}.`,
+        { bookedFrom: interval.start, bookedUntil: interval.end }
+      );
+    }
+
+    return { success: true };
+  }
+
+  // Bookable slots per day, from the start of `from`'s day. `duration` defaults to the
+  // member's slot length; with `company`, slots while it's closed are left out.
+  async getSlots(member, { from = new Date(), days = 7, duration = null, company = null } = {}) {
+    const { slotMinutes, weekly = [], blocked = [] } = member.availability;
+    const length = duration || slotMinutes;
+    const rangeStart = moment(from).startOf('day');
+    const rangeEnd = rangeStart.clone().add(Math.min(days, MAX_SLOT_DAYS), 'days');
+    const now = new Date();
+
+    const bookings = (await this.findBookings([member], rangeStart.toDate(), rangeEnd.toDate()))
+      .map(request => this.getInterval(request));
+    const busy = [...bookings, ...blocked];
+
+    const result = [];
+    for (const day = rangeStart.clone(); day.isBefore(rangeEnd); day.add(1, 'day')) {
+      const windows = weekly
+        .filter(window => window.day === day.day())
+        .sort((a, b) => companyPolicyService.parseTime(a.startTime) - companyPolicyService.parseTime(b.startTime));
+      const slots = [];
+
+      for (const window of windows) {
+        const close = companyPolicyService.parseTime(window.endTime);
+        for (let minutes = companyPolicyService.parseTime(window.startTime); minutes + length <= close; minutes += slotMinutes) {
+          const start = day.clone().add(minutes, 'minutes').toDate();
+          const end = new Date(start.getTime() + length * 60 * 1000);
+
+          if (start <= now || busy.some(interval => this.overlaps({ start, end }, interval))) {
+            continue;
+          }
+          if (company?.settings?.workingHours && !companyPolicyService.isOpenAt(company, start)) {
+            continue;
+          }
+          slots.push({ start, end });
+        }
+      }
+
+      result.push({ date: day.format('YYYY-MM-DD'), slots });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new AvailabilityService();
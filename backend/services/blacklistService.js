@@ -0,0 +1,186 @@
+const Visitor = require('../models/Visitor');
+const Company = require('../models/Company');
+const BlacklistEntry = require('../models/BlacklistEntry');
+const AuditLog = require('../models/AuditLog');
+
+const LEGACY_REASON = 'Blacklisted before company scoping was available';
+const NO_REASON = 'No reason given';
+
+// Raised when a blacklist entry can't be changed
+class BlacklistError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'BlacklistError';
+    this.status = status;
+  }
+}
+
+class BlacklistService {
+  // Entries that haven't been lifted or run out
+  activeQuery(now = new Date()) {
+    return {
+      liftedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    };
+  }
+
+  // The active entry that stops this visitor at a company, if any
+  async findBlocking(visitor, companyId) {
+    const entries = await BlacklistEntry.find({ visitor: visitor._id, ...this.activeQuery() })
+      .sort({ createdAt: -1 });
+    const blocking = entries.find(entry => entry.appliesTo(companyId));
+    if (blocking) {
+      return blocking;
+    }
+
+    // Flag set before entries existed and not migrated yet
+    if (visitor.isBlacklisted && !(await BlacklistEntry.exists({ visitor: visitor._id }))) {
+      return new BlacklistEntry({ visitor: visitor._id, reason: visitor.blacklistReason || LEGACY_REASON });
+    }
+    return null;
+  }
+
+  // Keep Visitor.isBlacklisted / blacklistReason in step with the active entries. The flag
+  // means blacklisted everywhere, so company-scoped entries don't set it.
+  async sync(visitorId) {
+    const latest = await BlacklistEntry.findOne({ visitor: visitorId, companies: { $size: 0 }, ...this.activeQuery() })
+      .sort({ createdAt: -1 });
+
+    await Visitor.updateOne(
+      { _id: visitorId },
+      { $set: { isBlacklisted: !!latest, blacklistReason: latest ? latest.reason : null } }
+    );
+  }
+
+  async add(visitorId, { companies = [], reason, expiresAt = null }, { performedBy, ipAddress = null, userAgent = null }) {
+    const visitor = await Visitor.findById(visitorId);
+    if (!visitor) {
+      throw new BlacklistError('Visitor not found', 404);
+    }
+    if (visitor.anonymizedAt) {
+      throw new BlacklistError('Visitor data has been erased');
+    }
+    if (companies.length && await Company.countDocuments({ _id: { $in: companies } }) !== new Set(companies.map(String)).size) {
+      throw new BlacklistError('Company not found', 404);
+    }
+
+    const entry = await BlacklistEntry.create({
+      visitor: visitor._id,
+      companies,
+      reason,
+      expiresAt,
+      addedBy: performedBy
+    });
+    await this.sync(visitor._id);
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'visitor_blacklisted',
+      entityType: 'visitor',
+      entityId: visitor._id,
+      performedBy,
+      performedByModel: 'Admin',
+      details: {
+        visitorName: visitor.fullName,
+        entryId: entry._id,
+        companies,
+        reason,
+        expiresAt
+      },
+      ipAddress,
+      userAgent
+    });
+
+    return entry;
+  }
+
+  async lift(visitorId, entryId, { reason }, { performedBy, ipAddress = null, userAgent = null }) {
+    const entry = await BlacklistEntry.findOne({ _id: entryId, visitor: visitorId });
+    if (!entry) {
+      throw new BlacklistError('Blacklist entry not found', 404);
+    }
+    if (entry.status !== 'active') {
+      throw new BlacklistError(`Blacklist entry is already ${entry.status}`);
+    }
+
+    entry.liftedAt = new Date();
+    entry.liftedBy = performedBy;
+    entry.liftReason = reason;
+    await entry.save();
+    await this.sync(visitorId);
+
+    const visitor = await Visitor.findById(visitorId).select('firstName lastName');
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: 'visitor_blacklist_lifted',
+      entityType: 'visitor',
+      entityId: entry.visitor,
+      performedBy,
+      performedByModel: 'Admin',
+      details: {
+        visitorName: visitor?.fullName,
+        entryId: entry._id,
+        reason
+      },
+      ipAddress,
+      userAgent
+    });
+
+    return entry;
+  }
+
+  // On/off switch kept for clients of the old PUT /api/visitors/:id/blacklist: switching on
+  // adds an entry for every company, switching off lifts every such entry
+  async setGlobal(visitorId, { isBlacklisted, reason }, actor) {
+    const active = await BlacklistEntry.find({ visitor: visitorId, companies: { $size: 0 }, ...this.activeQuery() });
+
+    if (isBlacklisted) {
+      if (!active.length) {
+        await this.add(visitorId, { reason: reason || NO_REASON }, actor);
+      }
+    } else {
+      for (const entry of active) {
+        await this.lift(visitorId, entry._id, { reason: reason || NO_REASON }, actor);
+      }
+      // Clears a flag set before entries existed
+      await this.sync(visitorId);
+    }
+
+    const visitor = await Visitor.findById(visitorId);
+    if (!visitor) {
+      throw new BlacklistError('Visitor not found', 404);
+    }
+    return visitor;
+  }
+
+  // Scheduled job: turn old on/off flags into entries and clear flags whose entries expired
+  async run() {
+    const flagged = await Visitor.find({ isBlacklisted: true }).select('_id blacklistReason');
+
+    let migrated = 0;
+    let expired = 0;
+    for (const visitor of flagged) {
+      if (!(await BlacklistEntry.exists({ visitor: visitor._id }))) {
+        await BlacklistEntry.create({ visitor: visitor._id, reason: visitor.blacklistReason || LEGACY_REASON });
+        migrated++;
+        continue;
+      }
+
+      await this.sync(visitor._id);
+      if (!(await Visitor.exists({ _id: visitor._id, isBlacklisted: true }))) {
+        expired++;
+      }
+    }
+
+    if (migrated || expired) {
+      console.log(`Blacklist: migrated ${migrated} visitor(s), ${expired} expired`);
+    }
+    return { migrated, expired };
+  }
+}
+
+module.exports = {
+  blacklistService: new BlacklistService(),
+  BlacklistError
+};
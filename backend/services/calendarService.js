@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const moment = require('moment');
+
+const PRODUCT_ID = '-//Krishe Emerald//Visitor Management System//EN';
+const UID_DOMAIN = 'krishe-emerald-vms';
+const FEED_TOKEN_BYTES = 24;
+// RFC 5545 lines are folded at 75 octets
+const MAX_LINE_LENGTH = 75;
+
+// iCalendar (RFC 5545) invites for scheduled visits and the members' private feeds
+class CalendarService {
+  escape(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  formatDate(date) {
+    return moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+  }
+
+  fold(line) {
+    const chunks = [];
+    let rest = line;
+    let limit = MAX_LINE_LENGTH;
+    while (Buffer.byteLength(rest) > limit) {
+      // Count bytes, not characters
+      let size = limit;
+      while (Buffer.byteLength(rest.slice(0, size)) > limit) {
+        size--;
+      }
+      chunks.push(rest.slice(0, size));
+      rest = rest.slice(size);
+      // Continuation lines start with a space
+      limit = MAX_LINE_LENGTH - 1;
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n ');
+  }
+
+  person(property, member, params = '') {
+    return `${property};CN="${String(member.fullName).replace(/"/g, '')}"${params}:mailto:${member.email}`;
+  }
+
+  getHosts(request) {
+    const hosts = request.isPanel() ? request.hosts.map(host => host.member) : [request.member];
+    // Hosts that weren't populated can't be listed
+    return hosts.filter(host => host && host.email);
+  }
+
+  // VEVENT lines for a scheduled visit. Visitor, hosts and company default to the
+  // request's populated fields.
+  buildEvent(request, { cancelled = false, visitor = request.visitor, company = request.company, hosts = this.getHosts(request) } = {}) {
+    const [organizer] = hosts;
+    const start = request.scheduledTime;
+    const end = moment(start).add(request.duration, 'minutes').toDate();
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${request._id}@${UID_DOMAIN}`,
+      `DTSTAMP:${this.formatDate(new Date())}`,
+      `SEQUENCE:${request.calendarSequence || 0}`,
+      `DTSTART:${this.formatDate(start)}`,
+      `DTEND:${this.formatDate(end)}`,
+      `SUMMARY:${this.escape(`Visit: ${visitor.fullName} with ${hosts.map(host => host.fullName).join(', ') || 'host'}`)}`,
+      `LOCATION:${this.escape([company.name, company.location].filter(Boolean).join(', '))}`,
+      `DESCRIPTION:${this.escape([
+        `Purpose: ${request.purpose}`,
+        request.purposeDescription,
+        `Duration: ${request.duration} minutes`
+      ].filter(Boolean).join('\n'))}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    if (organizer) {
+      lines.push(this.person('ORGANIZER', organizer));
+    }
+    hosts.slice(1).forEach(host => {
+      lines.push(this.person('ATTENDEE', host, ';ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED'));
+    });
+    if (visitor.email) {
+      lines.push(this.person('ATTENDEE', visitor, ';ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED'));
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // Full VCALENDAR text. `method` is set for emailed invites, `name` for feeds.
+  build(events, { method = null, name = null } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN'
+    ];
+    if (method) {
+      lines.push(`METHOD:${method}`);
+    }
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this.escape(name)}`);
+    }
+    events.forEach(event => lines.push(...event));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  // nodemailer `icalEvent` option: REQUEST for new or changed visits, CANCEL for cancelled ones
+  getIcalEvent(requests, method = 'REQUEST', parties = {}) {
+    const events = requests
+      .filter(request => request.scheduledTime)
+      .map(request => this.buildEvent(request, { ...parties, cancelled: method === 'CANCEL' }));
+    if (!events.length) {
+      return null;
+    }
+
+    return {
+      filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+      method,
+      content: this.build(events, { method })
+    };
+  }
+
+  // Calendar clients only apply a changed invite with a higher sequence (caller saves)
+  bumpSequence(request) {
+    request.calendarSequence = (request.calendarSequence || 0) + 1;
+  }
+
+  buildFeed(member, requests) {
+    return this.build(
+      requests.filter(request => request.scheduledTime).map(request => this.buildEvent(request)),
+      { name: `${member.fullName} - Visitors` }
+    );
+  }
+
+  hashFeedToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Replace the member's feed secret (caller saves). Only the hash is stored, so the
+  // returned token must be handed to the member straight away.
+  issueFeedToken(member) {
+    const token = crypto.randomBytes(FEED_TOKEN_BYTES).toString('hex');
+    member.calendarFeed = {
+      hash: this.hashFeedToken(token),
+      issuedAt: new Date()
+    };
+    return token;
+  }
+
+  // Member must be loaded with '+calendarFeed.hash'
+  verifyFeedToken(member, token) {
+    const stored = member.calendarFeed?.hash;
+    if (!stored || typeof token !== 'string' || !token) {
+      return false;
+    }
+
+    const expected = Buffer.from(stored, 'hex');
+    const actual = Buffer.from(this.hashFeedToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  getFeedUrl(member, token, baseUrl) {
+    return `${process.env.API_URL || baseUrl}/api/members/${member._id}/calendar.ics?token=${token}`;
+  }
+}
+
+module.exports = new CalendarService();
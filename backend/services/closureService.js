@@ -0,0 +1,126 @@
+const moment = require('moment');
+const Request = require('../models/Request');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const companyPolicyService = require('./companyPolicyService');
+const gatePassService = require('./gatePassService');
+const calendarService = require('./calendarService');
+const waitTimeService = require('./waitTimeService');
+const { requestStateMachine } = require('./requestStateMachine');
+
+class ClosureService {
+  // Scheduled visits that fall inside a calendar entry's closed hours
+  async findConflictingRequests(company, entry) {
+    const requests = await Request.find({
+      company: company._id,
+      status: { $in: ['pending', 'accepted'] },
+      'entryDetails.enteredAt': null,
+      scheduledTime: {
+        $gte: moment(entry.date).startOf('day').toDate(),
+        $lte: moment(entry.date).endOf('day').toDate()
+      }
+    })
+      .populate('visitor')
+      .populate('member')
+      .populate('hosts.member')
+      .populate('company');
+
+    return requests.filter(request => companyPolicyService.getClosure(company, request.scheduledTime));
+  }
+
+  // Same time of day on the next day the company is open, else its next opening
+  getRescheduleTime(company, scheduledTime) {
+    for (let i = 1; i <= 30; i++) {
+      const candidate = moment(scheduledTime).add(i, 'days').toDate();
+      if (companyPolicyService.isOpenAt(company, candidate)) {
+        return candidate;
+      }
+    }
+    return companyPolicyService.getNextOpening(company, scheduledTime);
+  }
+
+  // Reschedule or cancel visits affected by a new or updated calendar entry
+  async resolveConflicts(company, entry, { action = 'reschedule', performedBy, io } = {}) {
+    const requests = await this.findConflictingRequests(company, entry);
+    const summary = { rescheduled: 0, cancelled: 0 };
+
+    for (const request of requests) {
+      const previousTime = request.scheduledTime;
+      // Only accepted visits have had a calendar invite sent
+      const hadInvite = request.status === 'accepted';
+      if (hadInvite) {
+        calendarService.bumpSequence(request);
+      }
+
+      if (action === 'cancel') {
+        await requestStateMachine.apply(request, 'cancel');
+        summary.cancelled++;
+      } else {
+        request.scheduledTime = this.getRescheduleTime(company, previousTime);
+        if (request.status === 'accepted') {
+          request.entryDetails.allowedAt = request.scheduledTime;
+          // Old pass no longer matches the visit window
+          await gatePassService.issue(request);
+        }
+        summary.rescheduled++;
+      }
+
+      await request.save();
+
+      await AuditLog.createLog({
+        action: action === 'cancel' ? 'visitor_request_cancelled' : 'visitor_request_rescheduled',
+        entityType: 'request',
+        entityId: request._id,
+        performedBy,
+        performedByModel: 'Admin',
+        details: {
+          visitorName: request.visitor?.fullName,
+          reason: 'company_closure',
+          closure: entry.name,
+          previousTime,
+          scheduledTime: request.scheduledTime
+        }
+      });
+
+      if (io) {
+        io.to(`company-${company._id}`).emit('request-update', {
+          type: action === 'cancel' ? 'cancelled' : 'rescheduled',
+          request: {
+            id: request._id,
+            status: request.status,
+            scheduledTime: request.scheduledTime
+          }
+        });
+      }
+
+      try {
+        await notificationService.notifyVisitorOfClosure(
+          request.visitor,
+          request,
+          request.member,
+          request.company,
+          entry,
+          previousTime,
+          { icalMethod: hadInvite ? (action === 'cancel' ? 'CANCEL' : 'REQUEST') : null }
+        );
+        if (hadInvite) {
+          await notificationService.notifyHostsOfCalendarEvent(
+            request,
+            action === 'cancel' ? 'CANCEL' : 'REQUEST',
+            { updated: true }
+          );
+        }
+      } catch (error) {
+        console.error('Closure notification error:', error);
+      }
+    }
+
+    if (requests.length) {
+      await waitTimeService.recalculateQueue(company._id);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new ClosureService();
@@ -0,0 +1,200 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const settingsService = require('./settingsService');
+
+// Requests for a visit starting sooner than this are treated as walk-ins
+const WALK_IN_NOTICE_MINUTES = 60;
+// Statuses that take up a slot in the day's visitor capacity
+const CAPACITY_STATUSES = ['accepted', 'in-progress', 'completed'];
+
+const POLICY_ERRORS = {
+  WALK_INS_NOT_ALLOWED: 'WALK_INS_NOT_ALLOWED',
+  COMPANY_CLOSED: 'COMPANY_CLOSED',
+  OUTSIDE_WORKING_HOURS: 'OUTSIDE_WORKING_HOURS',
+  DAILY_CAPACITY_REACHED: 'DAILY_CAPACITY_REACHED',
+  PHOTO_REQUIRED: 'PHOTO_REQUIRED'
+};
+
+class CompanyPolicyService {
+  constructor() {
+    this.errors = POLICY_ERRORS;
+  }
+
+  // Minutes since midnight for a 'HH:mm' string
+  parseTime(value) {
+    const [hours, minutes] = String(value || '00:00').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  }
+
+  isWithinWorkingHours(company, date) {
+    const { start, end } = company.settings.workingHours;
+    const open = this.parseTime(start);
+    const close = this.parseTime(end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    // Overnight shifts, e.g. 22:00 - 06:00
+    if (close <= open) {
+      return minutes >= open || minutes < close;
+    }
+    return minutes >= open && minutes < close;
+  }
+
+  // Calendar entry that closes the company at the given moment, if any
+  getClosure(company, date) {
+    const entry = company.getCalendarEntry ? company.getCalendarEntry(date) : null;
+    if (!entry) {
+      return null;
+    }
+    if (entry.type !== 'half_day') {
+      return entry;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return entry.closesAt && minutes >= this.parseTime(entry.closesAt) ? entry : null;
+  }
+
+  isOpenAt(company, date) {
+    return this.isWithinWorkingHours(company, date) && !this.getClosure(company, date);
+  }
+
+  // Next time the company opens after the given (closed) moment, skipping closure days
+  getNextOpening(company, date) {
+    const open = this.parseTime(company.settings.workingHours.start);
+    const next = moment(date).startOf('day').add(open, 'minutes');
+    if (!next.isAfter(date)) {
+      next.add(1, 'day');
+    }
+
+    for (let i = 0; i < 366 && this.getClosure(company, next.toDate()); i++) {
+      next.add(1, 'day');
+    }
+    return next.toDate();
+  }
+
+  // Public open/closed summary shown on the company and member selection pages
+  getAvailability(company, date = new Date()) {
+    const entry = company.getCalendarEntry(date);
+    const isOpen = this.isOpenAt(company, date);
+
+    return {
+      isOpen,
+      closedToday: !!entry && entry.type !== 'half_day',
+      closure: entry ? {
+        name: entry.name,
+        type: entry.type,
+        closesAt: entry.closesAt,
+        reason: entry.reason
+      } : null,
+      nextOpeningAt: isOpen ? null : this.getNextOpening(company, date)
+    };
+  }
+
+  // Count the people visiting on a day for one company, or across all companies
+  // without companyId. A group request counts its whole headcount.
+  async countVisitsForDay(companyId, date) {
+    const dayStart = moment(date).startOf('day').toDate();
+    const dayEnd = moment(date).endOf('day').toDate();
+
+    const [result] = await Request.aggregate([
+      {
+        $match: {
+          ...(companyId && { company: new mongoose.Types.ObjectId(String(companyId)) }),
+          status: { $in: CAPACITY_STATUSES },
+          $or: [
+            { scheduledTime: { $gte: dayStart, $lte: dayEnd } },
+            { scheduledTime: null, createdAt: { $gte: dayStart, $lte: dayEnd } }
+          ]
+        }
+      },
+      { $group: { _id: null, people: { $sum: { $ifNull: ['$headcount', 1] } } } }
+    ]);
+
+    return result ? result.people : 0;
+  }
+
+  failure(code, message, data = {}) {
+    return { success: false, code, message, data };
+  }
+
+  // Check a new visitor request against the company's settings.
+  // With `defer`, requests outside working hours are moved to the next opening.
+  async evaluateRequest({ company, visitor, scheduledTime = null, defer = false, headcount = 1 }) {
+    const settings = company.settings || {};
+    const now = new Date();
+    let visitTime = scheduledTime ? new Date(scheduledTime) : now;
+    let deferred = false;
+
+    const isWalkIn = !scheduledTime ||
+      visitTime.getTime() - now.getTime() < WALK_IN_NOTICE_MINUTES * 60 * 1000;
+    if (isWalkIn && settings.allowWalkIns === false) {
+      return this.failure(
+        POLICY_ERRORS.WALK_INS_NOT_ALLOWED,
+        `${company.name} does not accept walk-in visitors. Please schedule your visit at least ${WALK_IN_NOTICE_MINUTES} minutes in advance.`
+      );
+    }
+
+    if (settings.workingHours && !this.isOpenAt(company, visitTime)) {
+      const nextOpeningAt = this.getNextOpening(company, visitTime);
+      const closure = this.getClosure(company, visitTime);
+      if (!defer && closure) {
+        const when = closure.type === 'half_day'
+          ? `after ${closure.closesAt} on ${moment(visitTime).format('DD/MM/YYYY')}`
+          : `on ${moment(visitTime).format('DD/MM/YYYY')}`;
+        return this.failure(
+          POLICY_ERRORS.COMPANY_CLOSED,
+          `${company.name} is closed ${when} (${closure.name}).`,
+          { nextOpeningAt, closure: { name: closure.name, type: closure.type, closesAt: closure.closesAt } }
+        );
+      }
+      if (!defer) {
+        return this.failure(
+          POLICY_ERRORS.OUTSIDE_WORKING_HOURS,
+          `${company.name} accepts visitors between ${settings.workingHours.start} and ${settings.workingHours.end}.`,
+          { nextOpeningAt, workingHours: settings.workingHours }
+        );
+      }
+      visitTime = nextOpeningAt;
+      deferred = true;
+    }
+
+    if (settings.maxVisitorsPerDay) {
+      const visits = await this.countVisitsForDay(company._id, visitTime);
+      if (visits + headcount > settings.maxVisitorsPerDay) {
+        return this.failure(
+          POLICY_ERRORS.DAILY_CAPACITY_REACHED,
+          `${company.name} has reached its visitor limit for ${moment(visitTime).format('DD/MM/YYYY')}. Please choose another day.`,
+          { date: moment(visitTime).startOf('day').toDate(), maxVisitorsPerDay: settings.maxVisitorsPerDay }
+        );
+      }
+    }
+
+    // System-wide visitor limit across all companies
+    const { limits } = await settingsService.get();
+    if (limits.maxVisitorsPerDay) {
+      const visits = await this.countVisitsForDay(null, visitTime);
+      if (visits + headcount > limits.maxVisitorsPerDay) {
+        return this.failure(
+          POLICY_ERRORS.DAILY_CAPACITY_REACHED,
+          `The building has reached its visitor limit for ${moment(visitTime).format('DD/MM/YYYY')}. Please choose another day.`,
+          { date: moment(visitTime).startOf('day').toDate(), maxVisitorsPerDay: limits.maxVisitorsPerDay }
+        );
+      }
+    }
+
+    if (settings.requirePhoto && !visitor.photo) {
+      return this.failure(
+        POLICY_ERRORS.PHOTO_REQUIRED,
+        `${company.name} requires a photo for every visitor. Please capture your photo and try again.`
+      );
+    }
+
+    return {
+      success: true,
+      scheduledTime: (scheduledTime || deferred) ? visitTime : null,
+      deferred
+    };
+  }
+}
+
+module.exports = new CompanyPolicyService();
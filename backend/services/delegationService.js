@@ -0,0 +1,76 @@
+const Member = require('../models/Member');
+const notificationService = require('./notificationService');
+const panelService = require('./panelService');
+
+class DelegationService {
+  // The colleague covering for a host at a company, or null when the host is in
+  async getActiveDelegate(host, companyId, at = new Date()) {
+    if (!host.isOutOfOffice(at)) {
+      return null;
+    }
+
+    return await Member.findOne({
+      _id: host.outOfOffice.delegate,
+      isActive: true,
+      companies: { $elemMatch: { company: companyId, isActive: true } }
+    }).select('firstName lastName email phone preferences');
+  }
+
+  // Hosts (including panel co-hosts) and the primary host's delegate may answer a request
+  canRespond(request, memberId) {
+    return panelService.isHost(request, memberId) ||
+      (!!request.delegate && String(request.delegate._id || request.delegate) === String(memberId));
+  }
+
+  isDelegate(request, memberId) {
+    return !panelService.isHost(request, memberId) && this.canRespond(request, memberId);
+  }
+
+  // Notify whoever should answer a new request, recording the delegate on it (caller saves).
+  // Expects member (with outOfOffice), visitor, company and, for panels, hosts.member populated.
+  async notifyNewRequest(request, { io = null } = {}) {
+    const { member: host, visitor, company } = request;
+    const delegate = await this.getActiveDelegate(host, company._id);
+    const coHosts = request.hosts.slice(1).map(entry => entry.member);
+    const panelFor = (member) => (request.isPanel()
+      ? { hosts: request.hosts.map(entry => entry.member).filter(m => !m._id.equals(member._id)), approvalMode: request.approvalMode }
+      : null);
+
+    if (delegate) {
+      request.delegate = delegate._id;
+      await notificationService.notifyMemberOfVisitorRequest(delegate, visitor, request, company, { onBehalfOf: host, panel: panelFor(host) });
+    }
+    if (!delegate || host.outOfOffice.mode === 'cc') {
+      await notificationService.notifyMemberOfVisitorRequest(host, visitor, request, company, { panel: panelFor(host) });
+    }
+    for (const coHost of coHosts) {
+      await notificationService.notifyMemberOfVisitorRequest(coHost, visitor, request, company, { panel: panelFor(coHost) });
+    }
+
+    request.notifications.sentToMember = true;
+    request.notifications.lastNotificationSent = new Date();
+
+    if (io) {
+      const payload = {
+        id: request._id,
+        visitor,
+        purpose: request.purpose,
+        duration: request.duration,
+        createdAt: request.createdAt
+      };
+      io.to(`member-${host._id}`).emit('new-request', { request: payload });
+      coHosts.forEach(coHost => {
+        io.to(`member-${coHost._id}`).emit('new-request', { request: payload });
+      });
+      if (delegate) {
+        io.to(`member-${delegate._id}`).emit('new-request', {
+          request: { ...payload, onBehalfOf: { firstName: host.firstName, lastName: host.lastName } }
+        });
+      }
+    }
+
+    return delegate;
+  }
+}
+
+module.exports = new DelegationService();
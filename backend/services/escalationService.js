@@ -0,0 +1,234 @@
+const Request = require('../models/Request');
+const Company = require('../models/Company');
+const Member = require('../models/Member');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const panelService = require('./panelService');
+const waitTimeService = require('./waitTimeService');
+const { requestStateMachine } = require('./requestStateMachine');
+
+// Escalation steps in order; `setting` is the company's delay for the step
+const STEPS = [
+  { level: 1, setting: 'remindHostAfter', handler: 'remindHost' },
+  { level: 2, setting: 'notifyManagersAfter', handler: 'notifyManagers' },
+  { level: 3, setting: 'autoDeclineAfter', handler: 'autoDecline' }
+];
+
+class EscalationService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Socket server used to tell hosts, managers and dashboards about escalations
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  async run() {
+    const companies = await Company.find({ isActive: true, 'settings.escalation.enabled': true })
+      .select('name location contactEmail contactPhone settings.escalation');
+    let count = 0;
+
+    for (const company of companies) {
+      const policy = company.settings.escalation;
+      const requests = await Request.find({
+        company: company._id,
+        status: 'pending',
+        'memberResponse.action': null,
+        'escalation.level': { $lt: STEPS.length }
+      })
+        .populate('visitor', 'firstName lastName email phone')
+        .populate('member', 'firstName lastName email phone preferences')
+        .populate('hosts.member', 'firstName lastName email phone preferences')
+        .populate('delegate', 'firstName lastName email phone preferences');
+
+      for (const request of requests) {
+        const step = this.getDueStep(request, policy);
+        if (step && await this[step.handler](request, company, policy)) {
+          count++;
+        }
+      }
+    }
+
+    if (count) {
+      console.log(`Escalated ${count} pending request(s)`);
+    }
+
+    return count;
+  }
+
+  // Minutes the host has had to answer. Requests cleared by security start when released.
+  getWaitedMinutes(request, now = new Date()) {
+    const since = request.securityReview?.reviewedAt || request.createdAt;
+    return Math.floor((now - since) / 60000);
+  }
+
+  // The furthest step that's due and not yet taken; earlier steps missed while
+  // the job wasn't running are skipped
+  getDueStep(request, policy, now = new Date()) {
+    const waited = this.getWaitedMinutes(request, now);
+
+    for (const step of [...STEPS].reverse()) {
+      const after = policy[step.setting];
+      if (after > 0 && waited >= after) {
+        return step.level > request.escalation.level ? step : null;
+      }
+    }
+    return null;
+  }
+
+  // Record a step unless the request was answered or escalated in the meantime
+  async claim(request, level, step, recipients, extra = {}) {
+    return await Request.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: 'pending',
+        'memberResponse.action': null,
+        'escalation.level': { $lt: level }
+      },
+      {
+        $set: { 'escalation.level': level, ...extra },
+        $push: { 'escalation.steps': { step, at: new Date(), recipients } }
+      },
+      { new: true }
+    );
+  }
+
+  // Panel visits remind every host who hasn't answered yet
+  async remindHost(request, company) {
+    const { visitor, member: host, delegate } = request;
+    const members = request.isPanel()
+      ? panelService.getWaitingHosts(request).map(entry => entry.member)
+      : delegate ? [delegate, host] : [host];
+
+    const updated = await this.claim(request, 1, 'host_reminded', members.map(m => m.fullName));
+    if (!updated) {
+      return false;
+    }
+
+    const waited = this.getWaitedMinutes(request);
+    for (const member of members) {
+      await notificationService.remindMemberOfPendingRequest(member, visitor, request, company, waited);
+    }
+
+    await this.log(updated, visitor, 'host_reminded', { waitedMinutes: waited, hostName: host.fullName });
+    this.emit(updated, members, { visitor, host, step: 'host_reminded' });
+    return true;
+  }
+
+  // Company managers are notified; without any, the company's front desk contact is
+  async notifyManagers(request, company) {
+    const { visitor, member: host, delegate } = request;
+    const hostIds = request.isPanel() ? request.hosts.map(entry => entry.member._id) : [host._id];
+    const managers = await Member.find({
+      _id: { $nin: [...hostIds, delegate?._id].filter(Boolean) },
+      isActive: true,
+      companies: { $elemMatch: { company: company._id, role: 'manager', isActive: true } }
+    }).select('firstName lastName email phone preferences');
+
+    const step = managers.length ? 'managers_notified' : 'front_desk_notified';
+    const recipients = managers.length
+      ? managers.map(m => m.fullName)
+      : [`${company.name} front desk`];
+
+    const updated = await this.claim(request, 2, step, recipients);
+    if (!updated) {
+      return false;
+    }
+
+    const waited = this.getWaitedMinutes(request);
+    const contacts = managers.length
+      ? managers
+      : [{ email: company.contactEmail, phone: company.contactPhone }];
+    for (const contact of contacts) {
+      await notificationService.notifyEscalationContact(contact, visitor, request, company, host, waited);
+    }
+
+    await this.log(updated, visitor, step, { waitedMinutes: waited, hostName: host.fullName, recipients });
+    this.emit(updated, managers, { visitor, host, step });
+    return true;
+  }
+
+  async autoDecline(request, company, policy) {
+    if (!requestStateMachine.canTransition('pending', 'decline')) {
+      return false;
+    }
+
+    const { visitor, member: host } = request;
+    const updated = await this.claim(request, 3, 'auto_declined', [visitor.fullName], {
+      status: requestStateMachine.getTarget('decline'),
+      memberResponse: {
+        action: 'decline',
+        message: policy.declineMessage,
+        proposedTime: null,
+        respondedAt: new Date(),
+        respondedBy: null
+      }
+    });
+    if (!updated) {
+      return false;
+    }
+
+    await waitTimeService.recalculateQueue(company._id);
+
+    try {
+      await notificationService.notifyVisitorOfStatusUpdate(visitor, updated, host, company);
+      updated.notifications.sentToVisitor = true;
+      updated.notifications.lastNotificationSent = new Date();
+      await updated.save();
+    } catch (error) {
+      console.error('Auto-decline notification error:', error);
+    }
+
+    await this.log(updated, visitor, 'auto_declined', {
+      waitedMinutes: this.getWaitedMinutes(request),
+      hostName: host.fullName,
+      message: policy.declineMessage
+    });
+    const members = request.isPanel() ? request.hosts.map(entry => entry.member) : [host];
+    this.emit(updated, [...members, request.delegate].filter(Boolean), { visitor, host, step: 'auto_declined' });
+    return true;
+  }
+
+  async log(request, visitor, step, details = {}) {
+    await AuditLog.createLog({
+      action: 'visitor_request_escalated',
+      entityType: 'request',
+      entityId: request._id,
+      performedByModel: 'System',
+      details: {
+        visitorName: visitor.fullName,
+        step,
+        level: request.escalation.level,
+        ...details
+      }
+    });
+  }
+
+  emit(request, members, { visitor, host, step }) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(`company-${request.company}`).emit('request-update', {
+      type: 'escalated',
+      request: {
+        id: request._id,
+        status: request.status,
+        escalation: request.escalation
+      }
+    });
+
+    const payload = {
+      id: request._id,
+      step,
+      visitor: { firstName: visitor.firstName, lastName: visitor.lastName },
+      host: { firstName: host.firstName, lastName: host.lastName }
+    };
+    for (const member of members) {
+      this.io.to(`member-${member._id}`).emit('request-escalated', { request: payload });
+    }
+  }
+}
+
+module.exports = new EscalationService();
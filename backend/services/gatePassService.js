@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Request = require('../models/Request');
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const EARLY_ARRIVAL_MINUTES = 30;
+const TOKEN_AUDIENCE = 'gate-pass';
+
+class GatePassService {
+  getSecret() {
+    return process.env.GATE_PASS_SECRET || process.env.JWT_SECRET;
+  }
+
+  // Generate a short alphanumeric code security can type in manually
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  normalizeCode(code) {
+    return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Mint a new gate pass on the request (caller saves the request)
+  async issue(request) {
+    const { start, end } = request.getVisitWindow();
+    const validFrom = new Date(start.getTime() - EARLY_ARRIVAL_MINUTES * 60 * 1000);
+    const validUntil = end;
+
+    let code = this.generateCode();
+    while (await Request.exists({ 'gatePass.code': code })) {
+      code = this.generateCode();
+    }
+
+    const visitorId = request.visitor._id || request.visitor;
+    const token = jwt.sign(
+      {
+        rid: request._id.toString(),
+        vid: visitorId.toString(),
+        code,
+        nbf: Math.floor(validFrom.getTime() / 1000),
+        exp: Math.floor(validUntil.getTime() / 1000)
+      },
+      this.getSecret(),
+      { audience: TOKEN_AUDIENCE }
+    );
+
+    request.gatePass = {
+      code,
+      token,
+      issuedAt: new Date(),
+      validFrom,
+      validUntil,
+      usedAt: null
+    };
+
+    return request.gatePass;
+  }
+
+  // Render the QR payload as a PNG buffer (for email attachments)
+  async toQRCodeBuffer(token) {
+    return await QRCode.toBuffer(token, { width: 300, margin: 1 });
+  }
+
+  // Resolve a scanned QR payload or typed code to its request
+  async resolve(pass) {
+    const value = typeof pass === 'string' ? pass.trim() : '';
+    if (!value) {
+      return { success: false, message: 'Gate pass is required' };
+    }
+
+    let request;
+
+    if (value.split('.').length === 3) {
+      let payload;
+      try {
+        payload = jwt.verify(value, this.getSecret(), { audience: TOKEN_AUDIENCE });
+      } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+          return { success: false, message: 'Gate pass has expired' };
+        }
+        if (error.name === 'NotBeforeError') {
+          return { success: false, message: 'Gate pass is not valid yet' };
+        }
+        return { success: false, message: 'Invalid gate pass' };
+      }
+
+      request = await Request.findById(payload.rid);
+
+      // A re-issued pass invalidates the previous QR code
+      if (!request || !request.gatePass || request.gatePass.code !== payload.code ||
+          request.visitor.toString() !== payload.vid) {
+        return { success: false, message: 'Invalid gate pass' };
+      }
+    } else {
+      request = await Request.findOne({ 'gatePass.code': this.normalizeCode(value) });
+      if (!request) {
+        return { success: false, message: 'Invalid gate pass' };
+      }
+
+      const now = new Date();
+      if (request.gatePass.validFrom && now < request.gatePass.validFrom) {
+        return { success: false, message: 'Gate pass is not valid yet' };
+      }
+      if (request.gatePass.validUntil && now > request.gatePass.validUntil) {
+        return { success: false, message: 'Gate pass has expired' };
+      }
+    }
+
+    if (request.gatePass.usedAt) {
+      return { success: false, message: 'Gate pass has already been used' };
+    }
+
+    return { success: true, requestId: request._id };
+  }
+}
+
+module.exports = new GatePassService();
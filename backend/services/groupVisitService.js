@@ -0,0 +1,78 @@
+const Request = require('../models/Request');
+const { InvalidTransitionError } = require('./requestStateMachine');
+
+class GroupVisitService {
+  // Attendee entries for a new group request
+  buildAttendees(attendees = []) {
+    return attendees.map(({ firstName, lastName }) => ({
+      firstName: firstName.trim(),
+      lastName: lastName.trim()
+    }));
+  }
+
+  // Group members who weren't named; they come and go with the lead
+  getUnlisted(request) {
+    return Math.max((request.headcount || 1) - 1 - request.attendees.length, 0);
+  }
+
+  // Attendees by id, or null when any of them isn't on the request
+  findAttendees(request, attendeeIds = []) {
+    const attendees = [...new Set([].concat(attendeeIds || []).map(String))].map(id => request.attendees.id(id));
+    return attendees.every(Boolean) ? attendees : null;
+  }
+
+  // Record attendees (from findAttendees) arriving. The lead has to be on site first (caller saves).
+  checkIn(request, attendees, at = new Date()) {
+    if (request.status !== 'in-progress') {
+      throw new InvalidTransitionError(`Attendees can only be checked in once the lead visitor has entered (status: ${request.status})`, {
+        event: 'enter',
+        from: request.status
+      });
+    }
+
+    const arrived = attendees.find(attendee => attendee.enteredAt);
+    if (arrived) {
+      throw new InvalidTransitionError(`${arrived.firstName} ${arrived.lastName} has already been checked in`, {
+        event: 'enter',
+        from: request.status
+      });
+    }
+
+    attendees.forEach(attendee => { attendee.enteredAt = at; });
+    return attendees;
+  }
+
+  // Record attendees leaving before the rest of the group (caller saves).
+  // The visit stays open until the lead exits.
+  checkOut(request, attendees, at = new Date()) {
+    const outside = attendees.find(attendee => !attendee.enteredAt || attendee.exitedAt);
+    if (outside) {
+      throw new InvalidTransitionError(`${outside.firstName} ${outside.lastName} is not checked in`, {
+        event: 'exit',
+        from: request.status
+      });
+    }
+
+    attendees.forEach(attendee => { attendee.exitedAt = at; });
+    return attendees;
+  }
+
+  // People on site for a visit in progress: the lead, attendees checked in and not yet
+  // out, and the unnamed rest of the group
+  countOnSite(request) {
+    if (request.status !== 'in-progress') {
+      return 0;
+    }
+    const inside = request.attendees.filter(attendee => attendee.enteredAt && !attendee.exitedAt).length;
+    return 1 + inside + this.getUnlisted(request);
+  }
+
+  // People on site across visits in progress, optionally for one company
+  async countPeopleOnSite(filter = {}) {
+    const requests = await Request.find({ ...filter, status: 'in-progress' })
+      .select('status headcount attendees.enteredAt attendees.exitedAt');
+    return requests.reduce((total, request) => total + this.countOnSite(request), 0);
+  }
+}
+
+module.exports = new GroupVisitService();
@@ -1,6 +1,7 @@
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const path = require('path');
+const settingsService = require('./settingsService');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -21,11 +22,12 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-const upload = multer({
+// Build multer per request so the size limit follows the maxFileSize setting
+const createUpload = (maxFileSize) => multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: maxFileSize * 1024 * 1024
   }
 });
 
@@ -162,11 +164,19 @@ class ImageUploadService {
 
 // Middleware for handling file uploads
 const uploadMiddleware = (fieldName, maxCount = 1) => {
-  return upload.single(fieldName);
+  return async (req, res, next) => {
+    const { limits } = await settingsService.get();
+    req.maxFileSize = limits.maxFileSize;
+    createUpload(limits.maxFileSize).single(fieldName)(req, res, next);
+  };
 };
 
 const uploadMultipleMiddleware = (fieldName, maxCount = 5) => {
-  return upload.array(fieldName, maxCount);
+  return async (req, res, next) => {
+    const { limits } = await settingsService.get();
+    req.maxFileSize = limits.maxFileSize;
+    createUpload(limits.maxFileSize).array(fieldName, maxCount)(req, res, next);
+  };
 };
 
 // Error handling middleware for multer
@@ -175,7 +185,7 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 5MB.'
+        message: `File size too large. Maximum size is ${req.maxFileSize || 5}MB.`
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
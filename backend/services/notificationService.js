@@ -1,6 +1,12 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
 const moment = require('moment');
+const gatePassService = require('./gatePassService');
+const settingsService = require('./settingsService');
+const rescheduleService = require('./rescheduleService');
+const calendarService = require('./calendarService');
 
 class NotificationService {
   constructor() {
@@ -33,7 +39,12 @@ class NotificationService {
   }
 
   // Send email notification
-  async sendEmail(to, subject, html, text = null) {
+  async sendEmail(to, subject, html, text = null, options = {}) {
+    const { notifications } = await settingsService.get();
+    if (!notifications.emailEnabled) {
+      return { success: false, message: 'Email notifications are disabled' };
+    }
+
     if (!this.emailTransporter) {
       console.warn('Email service not configured');
       return { success: false, message: 'Email service not configured' };
@@ -45,7 +56,8 @@ class NotificationService {
         to,
         subject,
         html,
-        text: text || this.stripHtml(html)
+        text: text || this.stripHtml(html),
+        ...options
       };
 
       const result = await this.emailTransporter.sendMail(mailOptions);
@@ -57,8 +69,20 @@ class NotificationService {
     }
   }
 
-  // Send SMS notification
-  async sendSMS(to, message) {
+  // Send SMS notification. Transactional messages (verification codes) ignore the
+  // notification toggle, since visitors can't continue without them.
+  async sendSMS(to, message, { transactional = false } = {}) {
+    const { notifications } = await settingsService.get();
+    if (!notifications.smsEnabled && !transactional) {
+      return { success: false, message: 'SMS notifications are disabled' };
+    }
+
+    // Local development: print or log messages instead of sending them
+    const transport = process.env.SMS_TRANSPORT;
+    if (transport === 'console' || transport === 'file') {
+      return this.logSMS(transport, to, message);
+    }
+
     if (!this.twilioClient) {
       console.warn('SMS service not configured');
       return { success: false, message: 'SMS service not configured' };
@@ -79,14 +103,41 @@ class NotificationService {
     }
   }
 
+  async logSMS(transport, to, message) {
+    const line = `[${new Date().toISOString()}] SMS to ${to}: ${message}`;
+
+    if (transport === 'console') {
+      console.log(line);
+      return { success: true, messageId: null };
+    }
+
+    try {
+      const file = process.env.SMS_LOG_FILE || path.join(__dirname, '..', 'logs', 'sms.log');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${line}\n`);
+      return { success: true, messageId: null };
+    } catch (error) {
+      console.error('SMS logging failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send visitor request notification to member
-  async notifyMemberOfVisitorRequest(member, visitor, request, company) {
-    const subject = `New Visitor Request - ${visitor.fullName}`;
-    const message = `You have a new visitor request from ${visitor.fullName} (${visitor.phone}) for ${request.purpose} at ${company.name}. Please respond to the request.`;
+  // `onBehalfOf` is the out-of-office host when `member` is their delegate
+  // `panel` lists the other hosts ({ hosts, approvalMode }) on a panel visit
+  async notifyMemberOfVisitorRequest(member, visitor, request, company, { onBehalfOf = null, panel = null } = {}) {
+    const forHost = onBehalfOf ? ` for ${onBehalfOf.fullName} (out of office)` : '';
+    const subject = `New Visitor Request - ${visitor.fullName}${onBehalfOf ? ` for ${onBehalfOf.fullName}` : ''}`;
+    const panelNote = panel
+      ? ` Also hosting: ${panel.hosts.map(host => host.fullName).join(', ')}; ${panel.approvalMode === 'all' ? 'every host must accept' : 'any one host can accept'}.`
+      : '';
+    const message = `You have a new visitor request from ${visitor.fullName} (${visitor.phone})${forHost} for ${request.purpose} at ${company.name}.${panelNote} Please respond to the request.`;
     
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #2c3e50;">New Visitor Request</h2>
+        ${onBehalfOf ? `<p>${onBehalfOf.fullName} is out of office and has asked you to respond to their visitors.</p>` : ''}
+        ${panel ? `<p>This is a panel visit with ${panel.hosts.map(host => host.fullName).join(', ')}. ${panel.approvalMode === 'all' ? 'Every host must accept before the visitor is approved.' : 'The visitor is approved as soon as any one host accepts.'}</p>` : ''}
         <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="color: #495057; margin-top: 0;">Visitor Details</h3>
           <p><strong>Name:</strong> ${visitor.fullName}</p>
@@ -121,19 +172,364 @@ class NotificationService {
     return results;
   }
 
+  // Let the member know a request was accepted by one of their auto-accept rules
+  async notifyMemberOfAutoAcceptedRequest(member, visitor, request, company, reason) {
+    const subject = `Visitor Auto-Accepted - ${visitor.fullName}`;
+    const message = `${visitor.fullName} (${visitor.phone}) was automatically accepted for ${request.purpose} at ${company.name} because ${reason}.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #28a745;">Visitor Automatically Accepted</h2>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Visitor:</strong> ${visitor.fullName}</p>
+          <p><strong>Phone:</strong> ${visitor.phone}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+          <p><strong>Duration:</strong> ${request.duration} minutes</p>
+          <p><strong>Company:</strong> ${company.name}</p>
+        </div>
+        <p>This request matched your auto-accept rule: ${reason}. You can change your rules from your profile.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (member.preferences.emailNotifications) {
+      const icalEvent = request.scheduledTime ? calendarService.getIcalEvent([request]) : null;
+      results.email = await this.sendEmail(member.email, subject, html, null, icalEvent ? { icalEvent } : {});
+    }
+
+    if (member.preferences.smsNotifications) {
+      results.sms = await this.sendSMS(member.phone, message);
+    }
+
+    return results;
+  }
+
+  // Ask a host to approve a recurring visit. `schedule` describes when it repeats.
+  async notifyMemberOfSeriesRequest(member, visitor, series, company, schedule) {
+    const from = moment(series.startTime).format('DD/MM/YYYY HH:mm');
+    const until = moment(series.endDate).format('DD/MM/YYYY');
+    const subject = `Recurring Visit Request - ${visitor.fullName}`;
+    const message = `${visitor.fullName} (${visitor.phone}) asked to visit you at ${company.name} ${schedule} from ${from} until ${until} for ${series.purpose}. Please approve or decline the series.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Recurring Visit Request</h2>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Visitor:</strong> ${visitor.fullName}</p>
+          <p><strong>Phone:</strong> ${visitor.phone}</p>
+          <p><strong>Purpose:</strong> ${series.purpose}</p>
+          ${series.purposeDescription ? `<p><strong>Description:</strong> ${series.purposeDescription}</p>` : ''}
+          <p><strong>Repeats:</strong> ${schedule}</p>
+          <p><strong>First visit:</strong> ${from}</p>
+          <p><strong>Until:</strong> ${until}</p>
+          <p><strong>Duration:</strong> ${series.duration} minutes</p>
+          <p><strong>Company:</strong> ${company.name}</p>
+        </div>
+        <p style="color: #666;">Approving accepts every visit in the series. You can still cancel single visits or the whole series later.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (member.preferences.emailNotifications) {
+      results.email = await this.sendEmail(member.email, subject, html);
+    }
+
+    if (member.preferences.smsNotifications) {
+      results.sms = await this.sendSMS(member.phone, message);
+    }
+
+    return results;
+  }
+
+  // Email the hosts of a scheduled visit a calendar invite (REQUEST) when it's accepted
+  // or changed, or a cancellation (CANCEL). Expects visitor, hosts and company populated.
+  async notifyHostsOfCalendarEvent(request, method = 'REQUEST', { updated = false } = {}) {
+    const icalEvent = calendarService.getIcalEvent([request], method);
+    if (!icalEvent) {
+      return [];
+    }
+
+    const { visitor, company } = request;
+    const when = moment(request.scheduledTime).format('DD/MM/YYYY HH:mm');
+    const title = method === 'CANCEL' ? 'Visit Cancelled' : updated ? 'Visit Updated' : 'Visit Scheduled';
+    const subject = `${title} - ${visitor.fullName}, ${when}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${method === 'CANCEL' ? '#dc3545' : '#28a745'};">${title}</h2>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Visitor:</strong> ${visitor.fullName}</p>
+          <p><strong>Time:</strong> ${when}</p>
+          <p><strong>Duration:</strong> ${request.duration} minutes</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+          <p><strong>Company:</strong> ${company.name}</p>
+        </div>
+        <p style="color: #666;">${method === 'CANCEL' ? 'The attached cancellation removes the visit from your calendar.' : 'Add the attached invite to your calendar.'}</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = [];
+    for (const host of calendarService.getHosts(request)) {
+      if (host.preferences?.emailNotifications === false) {
+        continue;
+      }
+      results.push(await this.sendEmail(host.email, subject, html, null, { icalEvent }));
+    }
+    return results;
+  }
+
+  // Email the visitor a calendar update on its own, for visits closed by a job that
+  // sends them no other message. Expects visitor, hosts and company populated.
+  async notifyVisitorOfCalendarEvent(request, method = 'REQUEST') {
+    const icalEvent = calendarService.getIcalEvent([request], method);
+    const { visitor, company } = request;
+    if (!icalEvent || !visitor.email) {
+      return null;
+    }
+
+    const when = moment(request.scheduledTime).format('DD/MM/YYYY HH:mm');
+    const title = method === 'CANCEL' ? 'Visit Closed' : 'Visit Updated';
+    const subject = `${title} - ${company.name}, ${when}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #6c757d;">${title}</h2>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Company:</strong> ${company.name}</p>
+          <p><strong>Time:</strong> ${when}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+        </div>
+        <p style="color: #666;">${method === 'CANCEL' ? 'The attached update removes the visit from your calendar.' : 'The attached invite updates your calendar.'}</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    return this.sendEmail(visitor.email, subject, html, null, { icalEvent });
+  }
+
+  // Tell the visitor their accepted visit was cancelled
+  async notifyVisitorOfCancellation(visitor, request, member, company) {
+    const when = request.scheduledTime ? ` on ${moment(request.scheduledTime).format('DD/MM/YYYY HH:mm')}` : '';
+    const subject = `Visit Cancelled - ${company.name}`;
+    const message = `Your visit to ${company.name}${when} with ${member.fullName} has been cancelled. Your gate pass is no longer valid.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Visit Cancelled</h2>
+        <div style="background-color: #f8d7da; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc3545;">
+          <p><strong>Company:</strong> ${company.name}</p>
+          <p><strong>Host:</strong> ${member.fullName}</p>
+          ${when ? `<p><strong>Time:</strong> ${moment(request.scheduledTime).format('DD/MM/YYYY HH:mm')}</p>` : ''}
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+        </div>
+        <p style="color: #666;">Your gate pass is no longer valid. You can submit a new request if you still wish to visit.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (visitor.email) {
+      const icalEvent = calendarService.getIcalEvent([request], 'CANCEL');
+      results.email = await this.sendEmail(visitor.email, subject, html, null, icalEvent ? { icalEvent } : {});
+    }
+
+    results.sms = await this.sendSMS(visitor.phone, message);
+
+    return results;
+  }
+
+  // Tell the visitor their recurring visit was declined, cancelled or expired unanswered.
+  // `requests` are the already created visits that were cancelled with it.
+  async notifyVisitorOfSeriesUpdate(visitor, series, member, company, requests = []) {
+    const titles = {
+      declined: 'Recurring Visit Declined',
+      cancelled: 'Recurring Visit Cancelled',
+      expired: 'Recurring Visit Request Expired'
+    };
+    const title = titles[series.status];
+    if (!title) {
+      return { success: false, message: 'Unknown status' };
+    }
+
+    const subject = `${title} - ${company.name}`;
+    const outcome = {
+      declined: `has been declined by ${member.fullName}`,
+      cancelled: 'has been cancelled. Gate passes already sent for it are no longer valid',
+      expired: `expired as ${member.fullName} did not respond before it ended`
+    }[series.status];
+    const message = `Your recurring visit to ${company.name} ${outcome}.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">${title}</h2>
+        <div style="background-color: #f8d7da; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc3545;">
+          <p><strong>Company:</strong> ${company.name}</p>
+          <p><strong>Host:</strong> ${member.fullName}</p>
+          <p><strong>Purpose:</strong> ${series.purpose}</p>
+          <p><strong>From:</strong> ${moment(series.startTime).format('DD/MM/YYYY HH:mm')}</p>
+          <p><strong>Until:</strong> ${moment(series.endDate).format('DD/MM/YYYY')}</p>
+          ${series.memberResponse?.message && series.status === 'declined' ? `<p><strong>Message:</strong> ${series.memberResponse.message}</p>` : ''}
+        </div>
+        <p style="color: #666;">${message}</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (visitor.email) {
+      const icalEvent = requests.length
+        ? calendarService.getIcalEvent(requests, 'CANCEL', { visitor, company, hosts: [member] })
+        : null;
+      results.email = await this.sendEmail(visitor.email, subject, html, null, icalEvent ? { icalEvent } : {});
+    }
+
+    results.sms = await this.sendSMS(visitor.phone, message);
+
+    return results;
+  }
+
+  // Tell a host the visitor confirmed one of the proposed times or suggested others
+  async notifyMemberOfRescheduleReply(member, visitor, request, company) {
+    const confirmed = request.status === 'accepted';
+    const round = rescheduleService.getLatestRound(request);
+    const times = confirmed
+      ? moment(request.scheduledTime).format('DD/MM/YYYY HH:mm')
+      : round.slots.map(slot => moment(slot).format('DD/MM HH:mm')).join(', ');
+    const subject = confirmed
+      ? `Visit Time Confirmed - ${visitor.fullName}`
+      : `Visitor Proposed New Times - ${visitor.fullName}`;
+    const message = confirmed
+      ? `${visitor.fullName} confirmed their visit to ${company.name} for ${times}.`
+      : `${visitor.fullName} can't make the proposed times and suggested: ${times}. Please accept one or propose again.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: ${confirmed ? '#28a745' : '#e67e22'};">${confirmed ? 'Visit Time Confirmed' : 'Visitor Proposed New Times'}</h2>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Visitor:</strong> ${visitor.fullName}</p>
+          <p><strong>Phone:</strong> ${visitor.phone}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+          <p><strong>${confirmed ? 'Time' : 'Proposed Times'}:</strong> ${times}</p>
+          ${!confirmed && round.message ? `<p><strong>Message:</strong> ${round.message}</p>` : ''}
+          <p><strong>Company:</strong> ${company.name}</p>
+        </div>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (member.preferences.emailNotifications) {
+      results.email = await this.sendEmail(member.email, subject, html);
+    }
+
+    if (member.preferences.smsNotifications) {
+      results.sms = await this.sendSMS(member.phone, message);
+    }
+
+    return results;
+  }
+
+  // Remind a host (or their delegate) about a request still waiting for an answer
+  async remindMemberOfPendingRequest(member, visitor, request, company, waitedMinutes) {
+    const subject = `Reminder: Visitor Waiting - ${visitor.fullName}`;
+    const message = `Reminder: ${visitor.fullName} has been waiting ${waitedMinutes} minutes for a response to their ${request.purpose} request at ${company.name}. Please accept or decline it.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e67e22;">Visitor Still Waiting</h2>
+        <p>${visitor.fullName} has been waiting ${waitedMinutes} minutes for a response.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Phone:</strong> ${visitor.phone}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+          <p><strong>Duration:</strong> ${request.duration} minutes</p>
+          <p><strong>Company:</strong> ${company.name}</p>
+        </div>
+        <p style="color: #666;">If nobody responds, the request will be escalated and may be declined automatically.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (member.preferences.emailNotifications) {
+      results.email = await this.sendEmail(member.email, subject, html);
+    }
+
+    if (member.preferences.smsNotifications) {
+      results.sms = await this.sendSMS(member.phone, message);
+    }
+
+    return results;
+  }
+
+  // Tell a manager or the front desk that a host hasn't answered a visitor.
+  // `contact` is a manager (preferences honoured) or { email, phone } for the front desk.
+  async notifyEscalationContact(contact, visitor, request, company, host, waitedMinutes) {
+    const subject = `Unanswered Visitor Request - ${visitor.fullName} for ${host.fullName}`;
+    const message = `${visitor.fullName} (${visitor.phone}) has been waiting ${waitedMinutes} minutes for ${host.fullName} to respond to their ${request.purpose} request at ${company.name}. Please follow up.`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">Unanswered Visitor Request</h2>
+        <p>${host.fullName} has not responded to this visitor for ${waitedMinutes} minutes.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Visitor:</strong> ${visitor.fullName}</p>
+          <p><strong>Phone:</strong> ${visitor.phone}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+          <p><strong>Host:</strong> ${host.fullName} (${host.phone})</p>
+          <p><strong>Company:</strong> ${company.name}</p>
+        </div>
+        <p style="color: #666;">Please reach the host or look after the visitor at reception.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const preferences = contact.preferences || { emailNotifications: true, smsNotifications: true };
+    const results = {};
+
+    if (contact.email && preferences.emailNotifications) {
+      results.email = await this.sendEmail(contact.email, subject, html);
+    }
+
+    if (contact.phone && preferences.smsNotifications) {
+      results.sms = await this.sendSMS(contact.phone, message);
+    }
+
+    return results;
+  }
+
   // Send request status update to visitor
-  async notifyVisitorOfStatusUpdate(visitor, request, member, company) {
+  async notifyVisitorOfStatusUpdate(visitor, request, member, company, { visitorToken = null } = {}) {
     let subject, message, html;
+    const emailOptions = {};
 
     switch (request.status) {
       case 'accepted':
         subject = `Visit Request Accepted - ${company.name}`;
         message = `Your visit request to ${company.name} has been accepted by ${member.fullName}. You can now proceed to the reception.`;
         html = this.getAcceptedEmailTemplate(visitor, request, member, company);
+        if (request.gatePass && request.gatePass.code) {
+          message += ` Your gate pass code is ${request.gatePass.code}.`;
+          emailOptions.attachments = await this.getGatePassAttachments(request);
+        }
+        // Scheduled visits come with a calendar invite
+        if (request.scheduledTime) {
+          emailOptions.icalEvent = calendarService.getIcalEvent([request]);
+        }
         break;
       case 'declined':
         subject = `Visit Request Declined - ${company.name}`;
-        message = `Your visit request to ${company.name} has been declined by ${member.fullName}.`;
+        message = request.escalation?.level === 3
+          ? `Your visit request to ${company.name} could not be answered in time. ${request.memberResponse.message || ''}`.trim()
+          : `Your visit request to ${company.name} has been declined by ${member.fullName}.`;
         html = this.getDeclinedEmailTemplate(visitor, request, member, company);
         break;
       case 'completed':
@@ -141,6 +537,33 @@ class NotificationService {
         message = `Your visit to ${company.name} has been completed. Thank you for visiting!`;
         html = this.getCompletedEmailTemplate(visitor, request, member, company);
         break;
+      case 'pending': {
+        // Only a reschedule waiting on the visitor has something to say while pending
+        if (request.negotiation?.awaiting !== 'visitor') {
+          return { success: false, message: 'Unknown status' };
+        }
+        const statusUrl = visitorToken
+          ? `${process.env.CLIENT_URL || 'http://localhost:3000'}/status/${request._id}?token=${visitorToken}`
+          : `${process.env.CLIENT_URL || 'http://localhost:3000'}/status/${request._id}`;
+        const slots = rescheduleService.getLatestRound(request).slots;
+        subject = `New Time Proposed - ${company.name}`;
+        message = `${member.fullName} can't meet at the requested time and proposed: ${slots.map(slot => moment(slot).format('DD/MM HH:mm')).join(', ')}. Confirm one or suggest another: ${statusUrl}`;
+        html = this.getRescheduleEmailTemplate(visitor, request, member, company, slots, statusUrl);
+        break;
+      }
+      case 'expired':
+        subject = `Visit Request Expired - ${company.name}`;
+        message = request.expiry?.reason === 'no_show'
+          ? `Your approved visit to ${company.name} has expired because the visit window has closed. Please submit a new request if you still wish to visit.`
+          : request.expiry?.reason === 'no_agreement'
+            ? `Your visit request to ${company.name} has expired because no visit time was agreed in time. Please submit a new request if you still wish to visit.`
+            : `Your visit request to ${company.name} has expired as ${member.fullName} did not respond in time. Please submit a new request if you still wish to visit.`;
+        html = this.getExpiredEmailTemplate(visitor, request, member, company);
+        // A no-show's accepted invite comes off the visitor's calendar
+        if (request.expiry?.reason === 'no_show' && request.scheduledTime) {
+          emailOptions.icalEvent = calendarService.getIcalEvent([request], 'CANCEL');
+        }
+        break;
       default:
         return { success: false, message: 'Unknown status' };
     }
@@ -149,7 +572,7 @@ class NotificationService {
 
     // Send email if visitor has email
     if (visitor.email) {
-      results.email = await this.sendEmail(visitor.email, subject, html);
+      results.email = await this.sendEmail(visitor.email, subject, html, null, emailOptions);
     }
 
     // Send SMS to visitor
@@ -158,8 +581,24 @@ class NotificationService {
     return results;
   }
 
+  // Inline QR code image referenced by the accepted email template
+  async getGatePassAttachments(request) {
+    try {
+      const qrCode = await gatePassService.toQRCodeBuffer(request.gatePass.token);
+      return [{
+        filename: `gate-pass-${request.gatePass.code}.png`,
+        content: qrCode,
+        cid: 'gate-pass-qr'
+      }];
+    } catch (error) {
+      console.error('Gate pass QR generation failed:', error);
+      return [];
+    }
+  }
+
   // Email templates
   getAcceptedEmailTemplate(visitor, request, member, company) {
+    const gatePass = request.gatePass && request.gatePass.code ? request.gatePass : null;
     return `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #28a745;">Visit Request Accepted!</h2>
@@ -170,10 +609,18 @@ class NotificationService {
           <p><strong>Purpose:</strong> ${request.purpose}</p>
           <p><strong>Duration:</strong> ${request.duration} minutes</p>
         </div>
+        ${gatePass ? `
+        <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <h3 style="color: #856404; margin-top: 0;">Your Gate Pass</h3>
+          <img src="cid:gate-pass-qr" alt="Gate pass QR code" width="200" height="200" />
+          <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${gatePass.code}</p>
+          <p><strong>Valid:</strong> ${moment(gatePass.validFrom).format('DD/MM/YYYY HH:mm')} - ${moment(gatePass.validUntil).format('DD/MM/YYYY HH:mm')}</p>
+          <p style="color: #666; font-size: 12px;">This pass can only be used once.</p>
+        </div>` : ''}
         <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="color: #495057; margin-top: 0;">Next Steps</h3>
           <p>1. Proceed to the reception desk at ${company.name}</p>
-          <p>2. Show this email or your phone number to the security personnel</p>
+          <p>2. ${gatePass ? 'Show the gate pass QR code or code above' : 'Show this email or your phone number'} to the security personnel</p>
           <p>3. You will be directed to meet ${member.fullName}</p>
         </div>
         <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
@@ -217,11 +664,160 @@ class NotificationService {
     `;
   }
 
+  getRescheduleEmailTemplate(visitor, request, member, company, slots, statusUrl) {
+    const { message } = rescheduleService.getLatestRound(request);
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e67e22;">A New Visit Time Was Proposed</h2>
+        <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #e67e22;">
+          <h3 style="color: #856404; margin-top: 0;">${member.fullName} proposed these times</h3>
+          ${slots.map(slot => `<p>${moment(slot).format('dddd DD/MM/YYYY HH:mm')}</p>`).join('')}
+          ${message ? `<p><strong>Message:</strong> ${message}</p>` : ''}
+          <p><strong>Company:</strong> ${company.name}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${statusUrl}" style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Choose a Time
+          </a>
+        </div>
+        <p style="color: #666;">Confirm one of the times or suggest others from the link above.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+  }
+
+  getExpiredEmailTemplate(visitor, request, member, company) {
+    const noShow = request.expiry?.reason === 'no_show';
+    const noAgreement = request.expiry?.reason === 'no_agreement';
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #6c757d;">Visit Request Expired</h2>
+        <div style="background-color: #e2e3e5; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #6c757d;">
+          <h3 style="color: #383d41; margin-top: 0;">${noShow ? 'Your visit window has closed' : noAgreement ? 'No visit time was agreed' : 'Your request was not answered in time'}</h3>
+          <p><strong>Company:</strong> ${company.name}</p>
+          <p><strong>Host:</strong> ${member.fullName}</p>
+          <p><strong>Purpose:</strong> ${request.purpose}</p>
+          <p><strong>Requested On:</strong> ${moment(request.createdAt).format('DD/MM/YYYY HH:mm')}</p>
+        </div>
+        <p style="color: #666;">${noShow ? 'Your gate pass is no longer valid.' : ''} You can submit a new request if you still wish to visit.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+  }
+
   // Utility function to strip HTML tags
   stripHtml(html) {
     return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
   }
 
+  // Tell a visitor their visit was moved or cancelled because the company is closed
+  // `icalMethod` updates (REQUEST) or cancels (CANCEL) the calendar invite of an accepted visit
+  async notifyVisitorOfClosure(visitor, request, member, company, entry, previousTime, { icalMethod = null } = {}) {
+    const cancelled = request.status === 'cancelled';
+    const previous = moment(previousTime).format('DD/MM/YYYY HH:mm');
+    const next = moment(request.scheduledTime).format('DD/MM/YYYY HH:mm');
+
+    const subject = cancelled
+      ? `Visit Cancelled - ${company.name}`
+      : `Visit Rescheduled - ${company.name}`;
+    let message = cancelled
+      ? `Your visit to ${company.name} on ${previous} has been cancelled because the office is closed (${entry.name}).`
+      : `Your visit to ${company.name} on ${previous} has been moved to ${next} because the office is closed (${entry.name}).`;
+    if (!cancelled && request.gatePass && request.gatePass.code) {
+      message += ` Your new gate pass code is ${request.gatePass.code}.`;
+    }
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #856404;">${cancelled ? 'Visit Cancelled' : 'Visit Rescheduled'}</h2>
+        <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
+          <h3 style="color: #856404; margin-top: 0;">${company.name} is closed: ${entry.name}</h3>
+          ${entry.reason ? `<p>${entry.reason}</p>` : ''}
+          <p><strong>Host:</strong> ${member.fullName}</p>
+          <p><strong>Original Time:</strong> ${previous}</p>
+          ${cancelled ? '' : `<p><strong>New Time:</strong> ${next}</p>`}
+          ${!cancelled && request.gatePass && request.gatePass.code ? `<p><strong>New Gate Pass Code:</strong> ${request.gatePass.code}</p>` : ''}
+        </div>
+        <p style="color: #666;">${cancelled ? 'You can submit a new request for another day.' : 'Your previous gate pass is no longer valid. Please contact your host if the new time does not suit you.'}</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (visitor.email) {
+      const icalEvent = icalMethod ? calendarService.getIcalEvent([request], icalMethod) : null;
+      results.email = await this.sendEmail(visitor.email, subject, html, null, icalEvent ? { icalEvent } : {});
+    }
+
+    results.sms = await this.sendSMS(visitor.phone, message);
+
+    return results;
+  }
+
+  // Send a pre-registration invitation with check-in links to the guest. With `series`,
+  // the requests are newly scheduled visits of an approved recurring series.
+  async sendInvitation(visitor, requests, member, company, visitorTokens = {}, { series = null } = {}) {
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    // Status links carry the visitor token so guests can check themselves out
+    const statusLink = (request) => visitorTokens[request._id]
+      ? `${clientUrl}/status/${request._id}?token=${visitorTokens[request._id]}`
+      : `${clientUrl}/status/${request._id}`;
+    const [first] = requests;
+    const firstLink = statusLink(first);
+    const subject = series ? `Recurring Visits Scheduled - ${company.name}` : `You're Invited - ${company.name}`;
+
+    let message = series
+      ? `Hi ${visitor.firstName}, your recurring visit to ${company.name} with ${member.fullName} is scheduled for ${moment(first.scheduledTime).format('DD/MM/YYYY HH:mm')}. Gate pass code: ${first.gatePass.code}. Check in: ${firstLink}`
+      : `Hi ${visitor.firstName}, ${member.fullName} has invited you to visit ${company.name} on ${moment(first.scheduledTime).format('DD/MM/YYYY HH:mm')}. Gate pass code: ${first.gatePass.code}. Check in: ${firstLink}`;
+    if (requests.length > 1) {
+      message += ` (${requests.length - 1} more visit(s) scheduled, see your email for details)`;
+    }
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">${series ? 'Your Recurring Visits' : 'You\'re Invited!'}</h2>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #495057; margin-top: 0;">Visit Details</h3>
+          <p><strong>Company:</strong> ${company.name}</p>
+          <p><strong>Location:</strong> ${company.location}</p>
+          <p><strong>Host:</strong> ${member.fullName}</p>
+          <p><strong>Purpose:</strong> ${first.purpose}</p>
+          <p><strong>Duration:</strong> ${first.duration} minutes</p>
+        </div>
+        <div style="background-color: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+          <h3 style="color: #856404; margin-top: 0;">Your Gate Pass</h3>
+          <img src="cid:gate-pass-qr" alt="Gate pass QR code" width="200" height="200" />
+          <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${first.gatePass.code}</p>
+          <p><strong>Visit:</strong> ${moment(first.scheduledTime).format('DD/MM/YYYY HH:mm')}</p>
+          <p><a href="${firstLink}">View your check-in page</a></p>
+        </div>
+        ${requests.length > 1 ? `
+        <div style="background-color: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1976d2; margin-top: 0;">Upcoming Visits</h3>
+          ${requests.slice(1).map(request => `
+          <p>${moment(request.scheduledTime).format('DD/MM/YYYY HH:mm')} - Code <strong>${request.gatePass.code}</strong> - <a href="${statusLink(request)}">Check-in page</a></p>`).join('')}
+        </div>` : ''}
+        <p style="color: #666;">Show the QR code or gate pass code to security when you arrive. Each pass can only be used once.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message from Krishe Emerald Visitor Management System.</p>
+      </div>
+    `;
+
+    const results = {};
+
+    if (visitor.email) {
+      const attachments = await this.getGatePassAttachments(first);
+      // One calendar event per occurrence
+      const icalEvent = calendarService.getIcalEvent(requests, 'REQUEST', { visitor, company, hosts: [member] });
+      results.email = await this.sendEmail(visitor.email, subject, html, null, { attachments, icalEvent });
+    }
+
+    results.sms = await this.sendSMS(visitor.phone, message);
+
+    return results;
+  }
+
   // Send welcome email to new member
   async sendWelcomeEmail(member, company, tempPassword = null) {
     const subject = `Welcome to ${company.name} - Visitor Management System`;
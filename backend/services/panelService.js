@@ -0,0 +1,60 @@
+const { InvalidTransitionError } = require('./requestStateMachine');
+
+const idOf = (value) => String(value?._id || value);
+
+class PanelService {
+  // Host entries for a new panel request; the primary host comes first
+  buildHosts(memberId, coHostIds = []) {
+    const ids = [...new Set([memberId, ...coHostIds].map(String))];
+    return ids.length > 1 ? ids.map(member => ({ member })) : [];
+  }
+
+  getEntry(request, memberId) {
+    return request.hosts.find(host => idOf(host.member) === idOf(memberId)) || null;
+  }
+
+  isHost(request, memberId) {
+    return idOf(request.member) === idOf(memberId) || !!this.getEntry(request, memberId);
+  }
+
+  // Hosts still expected to answer
+  getWaitingHosts(request) {
+    return request.hosts.filter(host => !['accept', 'decline'].includes(host.action));
+  }
+
+  // Record one host's answer on a panel request and return the event to apply to the
+  // whole request, or null while other hosts still need to answer. A delegate answers
+  // for the primary host.
+  respond(request, memberId, action, { message = null, respondedBy = null } = {}) {
+    const entry = this.getEntry(request, respondedBy ? request.member : memberId);
+    if (!entry) {
+      throw new Error('Member is not a host on this request');
+    }
+    if (['accept', 'decline'].includes(entry.action)) {
+      throw new InvalidTransitionError('You have already responded to this request', {
+        event: action,
+        from: request.status
+      });
+    }
+
+    Object.assign(entry, { action, message, respondedAt: new Date(), respondedBy });
+
+    if (action === 'reschedule') {
+      // Earlier answers were for the old time
+      request.hosts.forEach(host => {
+        if (host !== entry && host.action) {
+          Object.assign(host, { action: null, message: null, respondedAt: null, respondedBy: null });
+        }
+      });
+      return 'reschedule';
+    }
+
+    const all = request.hosts.every(host => host.action === action);
+    if (action === 'accept') {
+      return request.approvalMode === 'any' || all ? 'accept' : null;
+    }
+    return request.approvalMode === 'all' || all ? 'decline' : null;
+  }
+}
+
+module.exports = new PanelService();
@@ -0,0 +1,138 @@
+const Company = require('../models/Company');
+
+// Used when a company has no publicBoard settings stored yet
+const DEFAULT_BOARD = {
+  enabled: true,
+  visitorName: 'initials',
+  visitorPhone: 'masked',
+  hiddenStatuses: ['declined', 'cancelled']
+};
+
+// Fields every company needs populated for redaction
+const COMPANY_FIELDS = 'name location contactPhone settings.publicBoard';
+
+const VISIBLE_DIGITS = 4;
+
+// Never shown publicly, whatever the board settings say
+const ALWAYS_HIDDEN = ['security-review'];
+
+class PublicRedactionService {
+  getCompanyFields() {
+    return COMPANY_FIELDS;
+  }
+
+  getBoardSettings(company) {
+    const stored = company?.settings?.publicBoard;
+    const board = stored && typeof stored.toObject === 'function' ? stored.toObject() : stored;
+    return { ...DEFAULT_BOARD, ...(board || {}) };
+  }
+
+  // Whether a request may appear on a public route at all
+  isVisible(request) {
+    const board = this.getBoardSettings(request.company);
+    return board.enabled && !board.hiddenStatuses.includes(request.status) && !ALWAYS_HIDDEN.includes(request.status);
+  }
+
+  // Status as the visitor sees it; security holds look like an ordinary wait
+  getPublicStatus(status) {
+    return status === 'security-review' ? 'pending' : status;
+  }
+
+  // Query clause limiting requests to companies that publish a board,
+  // minus the statuses each company hides. Null when nothing is public.
+  async getVisibilityFilter() {
+    const companies = await Company.find({ 'settings.publicBoard.enabled': { $ne: false } })
+      .select('settings.publicBoard');
+
+    if (companies.length === 0) {
+      return null;
+    }
+
+    return {
+      $or: companies.map(company => ({
+        company: company._id,
+        status: { $nin: [...this.getBoardSettings(company).hiddenStatuses, ...ALWAYS_HIDDEN] }
+      }))
+    };
+  }
+
+  maskPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length <= VISIBLE_DIGITS) {
+      return '*'.repeat(VISIBLE_DIGITS);
+    }
+    return `******${digits.slice(-VISIBLE_DIGITS)}`;
+  }
+
+  initial(name) {
+    const trimmed = String(name || '').trim();
+    return trimmed ? `${trimmed.charAt(0).toUpperCase()}.` : null;
+  }
+
+  redactVisitor(visitor, board) {
+    if (!visitor) {
+      return null;
+    }
+
+    const names = {
+      full: [visitor.firstName, visitor.lastName],
+      initials: [this.initial(visitor.firstName), this.initial(visitor.lastName)],
+      hidden: [null, null]
+    }[board.visitorName] || [null, null];
+
+    return {
+      firstName: names[0],
+      lastName: names[1],
+      phone: board.visitorPhone === 'masked' && visitor.phone ? this.maskPhone(visitor.phone) : null
+    };
+  }
+
+  // Whitelisted public view of a request populated with visitor, member and company
+  redactRequest(request) {
+    const company = request.company;
+    const board = this.getBoardSettings(company);
+    const { memberResponse, entryDetails, member } = request;
+
+    return {
+      _id: request._id,
+      status: this.getPublicStatus(request.status),
+      purpose: request.purpose,
+      duration: request.duration,
+      headcount: request.headcount || 1,
+      scheduledTime: request.scheduledTime,
+      queuePosition: request.queuePosition,
+      estimatedWaitTime: request.estimatedWaitTime,
+      createdAt: request.createdAt,
+      updatedAt: request.updatedAt,
+      expiry: { reason: request.expiry?.reason || null },
+      memberResponse: memberResponse?.action ? {
+        action: memberResponse.action,
+        proposedTime: memberResponse.proposedTime,
+        respondedAt: memberResponse.respondedAt
+      } : undefined,
+      entryDetails: {
+        enteredAt: entryDetails?.enteredAt || null,
+        exitedAt: entryDetails?.exitedAt || null,
+        exitMethod: entryDetails?.exitMethod || null,
+        autoExited: !!entryDetails?.autoExited
+      },
+      visitor: this.redactVisitor(request.visitor, board),
+      member: member ? {
+        _id: member._id,
+        firstName: member.firstName,
+        lastName: member.lastName,
+        department: member.department,
+        position: member.position
+      } : null,
+      company: company ? {
+        _id: company._id,
+        name: company.name,
+        location: company.location,
+        contactPhone: company.contactPhone
+      } : null,
+      redacted: true
+    };
+  }
+}
+
+module.exports = new PublicRedactionService();
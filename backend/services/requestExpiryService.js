@@ -0,0 +1,177 @@
+const Request = require('../models/Request');
+const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const waitTimeService = require('./waitTimeService');
+const rescheduleService = require('./rescheduleService');
+const { requestStateMachine } = require('./requestStateMachine');
+
+class RequestExpiryService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Socket server used to broadcast expiries to company dashboards
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  async run() {
+    const pending = await this.expirePendingRequests();
+    const negotiations = await this.expireStaleNegotiations();
+    const noShows = await this.expireNoShows();
+
+    if (pending || negotiations || noShows) {
+      console.log(`Expired ${pending} pending, ${negotiations} unagreed reschedule and ${noShows} no-show request(s)`);
+    }
+
+    return { pending, negotiations, noShows };
+  }
+
+  // Pending requests nobody responded to within the company's timeout. A visit booked
+  // further ahead than that stays open until its scheduled time. Requests being
+  // rescheduled have had an answer and expire once their proposed times pass instead.
+  async expirePendingRequests() {
+    const now = new Date();
+    const companies = await Company.find({ isActive: true }).select('settings.pendingRequestTimeout');
+    let count = 0;
+
+    for (const company of companies) {
+      const timeout = company.settings?.pendingRequestTimeout;
+      if (!timeout) {
+        continue;
+      }
+
+      const cutoff = new Date(now.getTime() - timeout * 60 * 1000);
+      const requests = await Request.find({
+        company: company._id,
+        status: 'pending',
+        'negotiation.awaiting': null,
+        createdAt: { $lt: cutoff },
+        $or: [{ scheduledTime: null }, { scheduledTime: { $lte: now } }]
+      }).select('_id');
+
+      for (const { _id } of requests) {
+        if (await this.expire(_id, 'pending', 'pending_timeout')) {
+          count++;
+        }
+      }
+    }
+
+    return count;
+  }
+
+  // Reschedules where every proposed time passed before the other side agreed
+  async expireStaleNegotiations() {
+    const requests = await Request.find({
+      status: 'pending',
+      'negotiation.awaiting': { $ne: null }
+    }).select('_id negotiation');
+
+    let count = 0;
+    for (const request of requests) {
+      if (rescheduleService.isStale(request) && await this.expire(request._id, 'pending', 'no_agreement')) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  // Accepted requests whose visit window closed without the visitor entering
+  async expireNoShows() {
+    const now = new Date();
+    const requests = await Request.find({
+      status: 'accepted',
+      'entryDetails.enteredAt': null
+    }).select('_id duration scheduledTime entryDetails createdAt');
+
+    let count = 0;
+    for (const request of requests) {
+      if (request.getVisitWindow().end > now) {
+        continue;
+      }
+      if (await this.expire(request._id, 'accepted', 'no_show')) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  async expire(requestId, fromStatus, reason) {
+    if (!requestStateMachine.canTransition(fromStatus, 'expire')) {
+      return false;
+    }
+
+    // Conditional update so a concurrent accept/entry always wins. Accepted visits had a
+    // calendar invite sent, so the cancellation needs a higher sequence (see calendarService.bumpSequence).
+    const request = await Request.findOneAndUpdate(
+      { _id: requestId, status: fromStatus },
+      {
+        $set: {
+          status: requestStateMachine.getTarget('expire'),
+          'expiry.expiredAt': new Date(),
+          'expiry.reason': reason
+        },
+        ...(fromStatus === 'accepted' ? { $inc: { calendarSequence: 1 } } : {})
+      },
+      { new: true }
+    )
+      .populate('visitor')
+      .populate('member')
+      .populate('hosts.member', 'firstName lastName email preferences')
+      .populate('company');
+
+    if (!request) {
+      return false;
+    }
+
+    if (fromStatus === 'pending') {
+      await waitTimeService.recalculateQueue(request.company._id);
+    }
+
+    await AuditLog.createLog({
+      action: 'visitor_request_expired',
+      entityType: 'request',
+      entityId: request._id,
+      performedByModel: 'System',
+      details: {
+        visitorName: request.visitor?.fullName,
+        previousStatus: fromStatus,
+        reason
+      }
+    });
+
+    if (this.io) {
+      this.io.to(`company-${request.company._id}`).emit('request-update', {
+        type: 'expired',
+        request: {
+          id: request._id,
+          status: request.status,
+          expiry: request.expiry
+        }
+      });
+    }
+
+    try {
+      if (request.visitor && request.member && request.company) {
+        await notificationService.notifyVisitorOfStatusUpdate(
+          request.visitor,
+          request,
+          request.member,
+          request.company
+        );
+      }
+      if (fromStatus === 'accepted' && request.visitor && request.company) {
+        await notificationService.notifyHostsOfCalendarEvent(request, 'CANCEL', { updated: true });
+      }
+    } catch (error) {
+      console.error('Expiry notification error:', error);
+    }
+
+    return true;
+  }
+}
+
+module.exports = new RequestExpiryService();
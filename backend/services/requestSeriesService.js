@@ -0,0 +1,392 @@
+const moment = require('moment');
+const Request = require('../models/Request');
+const RequestSeries = require('../models/RequestSeries');
+const notificationService = require('./notificationService');
+const companyPolicyService = require('./companyPolicyService');
+const availabilityService = require('./availabilityService');
+const securityReviewService = require('./securityReviewService');
+const gatePassService = require('./gatePassService');
+const visitorTokenService = require('./visitorTokenService');
+const calendarService = require('./calendarService');
+const waitTimeService = require('./waitTimeService');
+const { requestStateMachine } = require('./requestStateMachine');
+const { blacklistService } = require('./blacklistService');
+
+// Visits are created this far ahead; the scheduler extends the window as days pass
+const HORIZON_DAYS = 14;
+// Longest a series can run from its first visit
+const MAX_SERIES_DAYS = 180;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Occurrence statuses a cancellation still applies to
+const CANCELLABLE_STATUSES = ['accepted', 'security-review'];
+
+const POPULATE = [
+  { path: 'visitor', select: 'firstName lastName email phone photo idProof watchlistClearances isBlacklisted anonymizedAt' },
+  { path: 'member', select: 'firstName lastName email phone preferences availability' },
+  { path: 'company' }
+];
+
+class RequestSeriesService {
+  constructor() {
+    this.io = null;
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  getPopulate() {
+    return POPULATE;
+  }
+
+  getMaxDays() {
+    return MAX_SERIES_DAYS;
+  }
+
+  failure(message) {
+    return { success: false, message };
+  }
+
+  // e.g. 'every Mon, Wed at 09:00'
+  describe(series) {
+    const at = moment(series.startTime).format('HH:mm');
+    switch (series.pattern.frequency) {
+      case 'weekly':
+        return `every ${DAY_NAMES[series.startTime.getDay()]} at ${at}`;
+      case 'weekdays':
+        return `every ${[...series.pattern.daysOfWeek].sort().map(day => DAY_NAMES[day]).join(', ')} at ${at}`;
+      default:
+        return `every day at ${at}`;
+    }
+  }
+
+  repeatsOn(series, date) {
+    switch (series.pattern.frequency) {
+      case 'weekly':
+        return date.getDay() === series.startTime.getDay();
+      case 'weekdays':
+        return series.pattern.daysOfWeek.includes(date.getDay());
+      default:
+        return true;
+    }
+  }
+
+  // Visit times in [from, to), keeping the first visit's time of day
+  getOccurrences(series, from = series.startTime, to = series.endDate) {
+    const first = moment(series.startTime);
+    const last = moment.min(moment(series.endDate), moment(to));
+    const dates = [];
+
+    for (const day = moment.max(first, moment(from)).clone().startOf('day'); day.isSameOrBefore(last); day.add(1, 'day')) {
+      const time = day.clone().set({ hour: first.hour(), minute: first.minute(), second: 0, millisecond: 0 }).toDate();
+      if (time >= series.startTime && time >= from && time < to && time <= series.endDate && this.repeatsOn(series, time)) {
+        dates.push(time);
+      }
+    }
+    return dates;
+  }
+
+  isOccurrence(series, date) {
+    return this.getOccurrences(series, date, new Date(date.getTime() + 1)).length === 1;
+  }
+
+  // The next visits from now with what became of each: the request's status, the
+  // reason it was skipped, or 'scheduled' when it hasn't been created yet
+  async getUpcoming(series, { limit = 10 } = {}) {
+    const dates = this.getOccurrences(series, new Date()).slice(0, limit);
+    const requests = await Request.find({ series: series._id, scheduledTime: { $in: dates } })
+      .select('scheduledTime status');
+
+    return dates.map(date => {
+      const matching = requests.filter(request => request.scheduledTime.getTime() === date.getTime());
+      const request = matching.find(r => r.status !== 'cancelled') || matching[0];
+      const exception = series.exceptions.find(e => e.date.getTime() === date.getTime());
+      return {
+        date,
+        request: request?._id || null,
+        status: exception ? exception.reason : request ? request.status : 'scheduled'
+      };
+    });
+  }
+
+  // Create the accepted visits due before `until` and send the visitor their gate passes.
+  // Days the company is closed or the host is already booked are skipped, and the
+  // series is cancelled once the visitor is blacklisted or erased.
+  // Expects visitor, member and company populated.
+  async materialize(series, { until = moment().add(HORIZON_DAYS, 'days').toDate(), io = this.io } = {}) {
+    const previous = series.materializedUntil;
+    const from = new Date(Math.max(previous || 0, Date.now()));
+    const to = new Date(Math.min(until, series.endDate.getTime() + 1));
+    if (series.status !== 'active' || to <= from) {
+      return [];
+    }
+
+    const { visitor, member, company } = series;
+    if (visitor.anonymizedAt || await blacklistService.findBlocking(visitor, company._id)) {
+      // Erased visitors have no contact details left to tell
+      await this.cancelSeries(series, { cancelledBy: null, cancelledByModel: null, notify: !visitor.anonymizedAt });
+      return [];
+    }
+
+    // Claim the window so overlapping runs don't create the same visits twice
+    const claimed = await RequestSeries.findOneAndUpdate(
+      { _id: series._id, status: 'active', materializedUntil: previous },
+      { $set: { materializedUntil: to } }
+    );
+    if (!claimed) {
+      return [];
+    }
+    series.materializedUntil = to;
+
+    let held = false;
+    const requests = [];
+    const exceptions = [];
+    const visitorTokens = {};
+    // Visits are saved in date order; if one fails the window goes back to the
+    // last saved visit so the next run creates the rest
+    let savedUntil = previous;
+    try {
+      // The watchlist may have changed since the series was approved
+      const matches = await securityReviewService.screenVisitor(visitor);
+      held = matches.length > 0;
+
+      for (const date of this.getOccurrences(series, from, to)) {
+        if (series.hasException(date)) {
+          continue;
+        }
+        if (companyPolicyService.getClosure(company, date)) {
+          exceptions.push({ date, reason: 'closed' });
+          continue;
+        }
+        const booking = await availabilityService.evaluateBooking({ members: [member], start: date, duration: series.duration });
+        if (!booking.success) {
+          exceptions.push({ date, reason: 'double_booked' });
+          continue;
+        }
+
+        const request = new Request({
+          visitor: visitor._id,
+          company: company._id,
+          member: member._id,
+          purpose: series.purpose,
+          duration: series.duration,
+          purposeDescription: series.purposeDescription,
+          scheduledTime: date,
+          status: 'accepted',
+          series: series._id,
+          memberResponse: {
+            action: 'accept',
+            message: 'Recurring visit approved by host',
+            respondedAt: series.memberResponse.respondedAt
+          },
+          entryDetails: { allowedAt: date }
+        });
+
+        // Held visits get their gate pass once security clears the visitor
+        if (held) {
+          securityReviewService.hold(request, matches);
+          request.memberResponse = undefined;
+        }
+        requests.push(request);
+      }
+
+      for (const request of requests) {
+        if (!held) {
+          await gatePassService.issue(request);
+          visitorTokens[request._id] = visitorTokenService.issue(request);
+        }
+        await request.save();
+        savedUntil = new Date(request.scheduledTime.getTime() + 1);
+      }
+    } catch (error) {
+      const kept = savedUntil ? exceptions.filter(exception => exception.date < savedUntil) : [];
+      await RequestSeries.updateOne(
+        { _id: series._id, materializedUntil: to },
+        { $set: { materializedUntil: savedUntil }, $push: { exceptions: { $each: kept } } }
+      );
+      series.materializedUntil = savedUntil;
+      throw error;
+    }
+
+    if (exceptions.length) {
+      await RequestSeries.updateOne({ _id: series._id }, { $push: { exceptions: { $each: exceptions } } });
+      series.exceptions.push(...exceptions);
+    }
+
+    if (!requests.length) {
+      return requests;
+    }
+
+    if (held) {
+      await securityReviewService.alert({ source: 'series', visitor, requests, matches, io });
+    } else {
+      try {
+        await notificationService.sendInvitation(visitor, requests, member, company, visitorTokens, { series });
+        await Request.updateMany(
+          { _id: { $in: requests.map(r => r._id) } },
+          { $set: { 'notifications.sentToVisitor': true, 'notifications.lastNotificationSent': new Date() } }
+        );
+      } catch (error) {
+        console.error('Series notification error:', error);
+      }
+    }
+
+    if (io) {
+      io.to(`company-${company._id}`).emit('request-update', {
+        type: 'series-scheduled',
+        request: {
+          id: requests[0]._id,
+          series: series._id,
+          visitor: { firstName: visitor.firstName, lastName: visitor.lastName },
+          status: requests[0].status,
+          scheduledTime: requests[0].scheduledTime
+        }
+      });
+    }
+
+    return requests;
+  }
+
+  // Cancel one visit of a series. Visits already created are cancelled; later ones
+  // are recorded as exceptions so they're never created.
+  async cancelOccurrence(series, date) {
+    if (!['pending', 'active'].includes(series.status)) {
+      return this.failure('Series is no longer active');
+    }
+    if (!this.isOccurrence(series, date)) {
+      return this.failure('No visit of this series is scheduled at that time');
+    }
+    if (date <= new Date()) {
+      return this.failure('Only upcoming visits can be cancelled');
+    }
+    if (series.hasException(date)) {
+      return this.failure('This visit is already cancelled');
+    }
+
+    const requests = await Request.find({ series: series._id, scheduledTime: date })
+      .populate('visitor', 'firstName lastName email phone')
+      .populate('member', 'firstName lastName email phone preferences')
+      .populate('company', 'name location');
+    if (requests.some(request => !CANCELLABLE_STATUSES.includes(request.status) && request.status !== 'cancelled')) {
+      return this.failure('This visit has already started');
+    }
+
+    const request = requests.find(r => CANCELLABLE_STATUSES.includes(r.status)) || null;
+    if (request) {
+      const wasAccepted = request.status === 'accepted';
+      await requestStateMachine.apply(request, 'cancel');
+      if (wasAccepted) {
+        calendarService.bumpSequence(request);
+      }
+      await request.save();
+      await waitTimeService.recalculateQueue(request.company._id);
+
+      if (wasAccepted) {
+        try {
+          await notificationService.notifyVisitorOfCancellation(request.visitor, request, request.member, request.company);
+        } catch (error) {
+          console.error('Series cancellation notification error:', error);
+        }
+      }
+    }
+
+    series.exceptions.push({ date, reason: 'cancelled' });
+    await series.save();
+
+    return { success: true, request };
+  }
+
+  // Cancel the series and its upcoming visits. Expects visitor, member and company populated.
+  async cancelSeries(series, { cancelledBy, cancelledByModel, notify = true }) {
+    if (!['pending', 'active'].includes(series.status)) {
+      return this.failure('Series is no longer active');
+    }
+
+    const requests = await Request.find({
+      series: series._id,
+      status: { $in: CANCELLABLE_STATUSES },
+      scheduledTime: { $gte: new Date() }
+    }).sort({ scheduledTime: 1 });
+
+    const cancelled = [];
+    for (const request of requests) {
+      if (request.status === 'accepted') {
+        calendarService.bumpSequence(request);
+        cancelled.push(request);
+      }
+      await requestStateMachine.apply(request, 'cancel');
+      await request.save();
+    }
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    series.cancelledBy = cancelledBy;
+    series.cancelledByModel = cancelledByModel;
+    await series.save();
+
+    if (requests.length) {
+      await waitTimeService.recalculateQueue(series.company._id);
+    }
+
+    if (notify) {
+      try {
+        await notificationService.notifyVisitorOfSeriesUpdate(series.visitor, series, series.member, series.company, cancelled);
+      } catch (error) {
+        console.error('Series cancellation notification error:', error);
+      }
+    }
+
+    return { success: true, requests };
+  }
+
+  // Scheduler job: expire series the host never answered, finish ended ones and
+  // create the visits coming into the horizon
+  async run() {
+    const now = new Date();
+
+    const unanswered = await RequestSeries.find({ status: 'pending', endDate: { $lt: now } }).populate(POPULATE);
+    for (const series of unanswered) {
+      series.status = 'expired';
+      await series.save();
+      try {
+        await notificationService.notifyVisitorOfSeriesUpdate(series.visitor, series, series.member, series.company);
+      } catch (error) {
+        console.error('Series expiry notification error:', error);
+      }
+    }
+
+    const completed = await RequestSeries.updateMany(
+      { status: 'active', endDate: { $lt: now } },
+      { $set: { status: 'completed' } }
+    );
+
+    const horizon = moment(now).add(HORIZON_DAYS, 'days').toDate();
+    const due = await RequestSeries.find({
+      status: 'active',
+      $expr: {
+        $and: [
+          { $lt: ['$materializedUntil', horizon] },
+          { $lt: ['$materializedUntil', '$endDate'] }
+        ]
+      }
+    }).populate(POPULATE);
+
+    let created = 0;
+    for (const series of due) {
+      // One broken series shouldn't hold up the rest
+      try {
+        created += (await this.materialize(series, { until: horizon })).length;
+      } catch (error) {
+        console.error(`Materializing request series ${series._id} failed:`, error);
+      }
+    }
+
+    if (unanswered.length || completed.modifiedCount || created) {
+      console.log(`Request series: ${created} visit(s) created, ${completed.modifiedCount} completed, ${unanswered.length} expired`);
+    }
+
+    return created;
+  }
+}
+
+module.exports = new RequestSeriesService();
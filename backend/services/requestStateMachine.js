@@ -0,0 +1,231 @@
+const gatePassService = require('./gatePassService');
+const rescheduleService = require('./rescheduleService');
+
+// Raised when an event isn't allowed from the request's current status
+class InvalidTransitionError extends Error {
+  constructor(message, { event, from } = {}) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.status = 409;
+    this.event = event;
+    this.from = from;
+  }
+}
+
+const setMemberResponse = (request, { action, message = null, proposedTime = null, respondedBy = null }) => {
+  request.memberResponse = {
+    action,
+    message,
+    proposedTime: proposedTime ? new Date(proposedTime) : null,
+    respondedAt: new Date(),
+    respondedBy
+  };
+};
+
+// Blocks accepting while the visitor has proposed times the host must pick from
+const checkNegotiationTurn = (request, { slot } = {}) => {
+  if (request.negotiation.awaiting === 'visitor') {
+    return 'Waiting for the visitor to answer the proposed times';
+  }
+  if (request.negotiation.awaiting === 'host' && !rescheduleService.findSlot(request, slot)) {
+    return 'Choose one of the times the visitor proposed';
+  }
+  return null;
+};
+
+const checkVisitorTurn = (request) => (
+  request.negotiation.awaiting === 'visitor' ? null : 'There are no proposed times to answer'
+);
+
+const setReviewDecision = (request, { decision, reviewedBy, notes }) => {
+  request.securityReview.decision = decision;
+  request.securityReview.reviewedBy = reviewedBy;
+  request.securityReview.reviewedAt = new Date();
+  request.securityReview.notes = notes;
+};
+
+// Allowed transitions. Requests are created as 'pending', 'accepted' for invited guests,
+// or 'security-review' when the visitor possibly matched the watchlist.
+// `guard` returns an error message to block the event,
+// `effect` updates the rest of the request alongside the status.
+const EVENTS = {
+  accept: {
+    from: ['pending'],
+    to: 'accepted',
+    guard: checkNegotiationTurn,
+    effect: async (request, { message = null, respondedBy = null, slot = null } = {}) => {
+      if (request.negotiation.awaiting === 'host') {
+        rescheduleService.select(request, slot);
+      }
+      setMemberResponse(request, { action: 'accept', message, respondedBy });
+      request.entryDetails.allowedAt = new Date();
+      await gatePassService.issue(request);
+    }
+  },
+  decline: {
+    from: ['pending'],
+    to: 'declined',
+    effect: (request, { message = null, respondedBy = null } = {}) => {
+      setMemberResponse(request, { action: 'decline', message, respondedBy });
+      request.negotiation.awaiting = null;
+    }
+  },
+  // Host proposes new times; the visitor confirms one or counter-proposes
+  reschedule: {
+    from: ['pending'],
+    to: 'pending',
+    guard: (request, { proposedTimes = [] } = {}) => (
+      proposedTimes.length ? null : 'Proposed time is required for rescheduling'
+    ),
+    effect: (request, { message = null, proposedTimes, respondedBy = null, member = null } = {}) => {
+      rescheduleService.propose(request, 'host', proposedTimes, { message, member });
+      setMemberResponse(request, {
+        action: 'reschedule',
+        message,
+        proposedTime: rescheduleService.getLatestRound(request).slots[0],
+        respondedBy
+      });
+    }
+  },
+  confirm: {
+    from: ['pending'],
+    to: 'accepted',
+    guard: (request, { slot } = {}) => (
+      checkVisitorTurn(request) ||
+      (rescheduleService.findSlot(request, slot) ? null : 'Choose one of the proposed times')
+    ),
+    effect: async (request, { slot } = {}) => {
+      rescheduleService.select(request, slot);
+      request.entryDetails.allowedAt = new Date();
+      await gatePassService.issue(request);
+    }
+  },
+  counter: {
+    from: ['pending'],
+    to: 'pending',
+    guard: (request, { slots = [] } = {}) => (
+      checkVisitorTurn(request) || (slots.length ? null : 'Propose at least one time')
+    ),
+    effect: (request, { slots, message = null } = {}) => {
+      rescheduleService.propose(request, 'visitor', slots, { message });
+    }
+  },
+  enter: {
+    from: ['accepted'],
+    to: 'in-progress',
+    guard: (request) => (
+      request.entryDetails.enteredAt ? 'Visitor has already been marked as entered' : null
+    ),
+    effect: (request, { entryGate = null, securityPersonnel = null } = {}) => {
+      request.entryDetails.enteredAt = new Date();
+      request.entryDetails.entryGate = entryGate;
+      request.entryDetails.securityPersonnel = securityPersonnel;
+
+      // Gate passes are single-use
+      if (request.gatePass && request.gatePass.code) {
+        request.gatePass.usedAt = request.entryDetails.enteredAt;
+      }
+    }
+  },
+  exit: {
+    from: ['in-progress'],
+    to: 'completed'
+  },
+  cancel: {
+    from: ['pending', 'accepted', 'security-review'],
+    to: 'cancelled'
+  },
+  expire: {
+    from: ['pending', 'accepted'],
+    to: 'expired'
+  },
+  clear: {
+    from: ['security-review'],
+    to: 'pending',
+    effect: (request, { reviewedBy, notes = null } = {}) => {
+      setReviewDecision(request, { decision: 'cleared', reviewedBy, notes });
+    }
+  },
+  deny: {
+    from: ['security-review'],
+    to: 'declined',
+    effect: (request, { reviewedBy, notes = null } = {}) => {
+      setReviewDecision(request, { decision: 'denied', reviewedBy, notes });
+    }
+  }
+};
+
+// Messages for events attempted from a status that doesn't allow them
+const REJECTIONS = {
+  accept: 'Request is no longer pending',
+  decline: 'Request is no longer pending',
+  reschedule: 'Request is no longer pending',
+  confirm: 'Request is no longer pending',
+  counter: 'Request is no longer pending',
+  enter: 'Request must be accepted before marking entry',
+  exit: 'Visitor is not currently checked in',
+  cancel: 'Request cannot be cancelled',
+  expire: 'Request can no longer expire',
+  clear: 'Request is not awaiting security review',
+  deny: 'Request is not awaiting security review'
+};
+
+class RequestStateMachine {
+  getEvent(event) {
+    const definition = EVENTS[event];
+    if (!definition) {
+      throw new Error(`Unknown request event: ${event}`);
+    }
+    return definition;
+  }
+
+  // Statuses an event may be applied from (for conditional updates)
+  getSources(event) {
+    return this.getEvent(event).from;
+  }
+
+  getTarget(event) {
+    return this.getEvent(event).to;
+  }
+
+  canTransition(from, event) {
+    return this.getSources(event).includes(from);
+  }
+
+  // Throw unless the event is allowed for the request right now
+  assertTransition(request, event, context = {}) {
+    const definition = this.getEvent(event);
+
+    if (!definition.from.includes(request.status)) {
+      throw new InvalidTransitionError(
+        `${REJECTIONS[event]} (status: ${request.status})`,
+        { event, from: request.status }
+      );
+    }
+
+    const blocked = definition.guard && definition.guard(request, context);
+    if (blocked) {
+      throw new InvalidTransitionError(blocked, { event, from: request.status });
+    }
+  }
+
+  // Apply an event to a loaded request (caller saves)
+  async apply(request, event, context = {}) {
+    this.assertTransition(request, event, context);
+
+    const definition = this.getEvent(event);
+    const from = request.status;
+    request.status = definition.to;
+    if (definition.effect) {
+      await definition.effect(request, context);
+    }
+
+    return { from, to: request.status };
+  }
+}
+
+module.exports = {
+  requestStateMachine: new RequestStateMachine(),
+  InvalidTransitionError
+};
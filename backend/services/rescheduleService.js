@@ -0,0 +1,55 @@
+const MAX_SLOTS = 5;
+
+class RescheduleService {
+  getMaxSlots() {
+    return MAX_SLOTS;
+  }
+
+  getLatestRound(request) {
+    const { rounds } = request.negotiation;
+    return rounds.length ? rounds[rounds.length - 1] : null;
+  }
+
+  // Distinct proposed times in order
+  normalizeSlots(slots = []) {
+    const times = [...new Set(slots.map(slot => new Date(slot).getTime()))];
+    return times.sort((a, b) => a - b).map(time => new Date(time));
+  }
+
+  // The slot from the latest round matching `slot`, or null
+  findSlot(request, slot) {
+    const round = this.getLatestRound(request);
+    if (!round || !slot) {
+      return null;
+    }
+    const time = new Date(slot).getTime();
+    return round.slots.find(s => s.getTime() === time) || null;
+  }
+
+  // Record a round of proposed times and hand the turn to the other side
+  propose(request, proposedBy, slots, { message = null, member = null } = {}) {
+    request.negotiation.rounds.push({
+      proposedBy,
+      member,
+      slots: this.normalizeSlots(slots),
+      message
+    });
+    request.negotiation.awaiting = proposedBy === 'host' ? 'visitor' : 'host';
+  }
+
+  // Agree on one of the latest round's times
+  select(request, slot) {
+    const match = this.findSlot(request, slot);
+    this.getLatestRound(request).selectedSlot = match;
+    request.scheduledTime = match;
+    request.negotiation.awaiting = null;
+  }
+
+  // Every time on the table has passed without an answer
+  isStale(request, now = new Date()) {
+    const round = this.getLatestRound(request);
+    return !!request.negotiation.awaiting && !!round && round.slots.every(slot => slot <= now);
+  }
+}
+
+module.exports = new RescheduleService();
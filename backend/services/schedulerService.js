@@ -0,0 +1,76 @@
+// Lightweight in-process scheduler for recurring background jobs
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  isEnabled() {
+    return process.env.SCHEDULER_ENABLED !== 'false';
+  }
+
+  // Register a job to run every intervalMs once the scheduler is started
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    const job = { name, intervalMs, handler, timer: null, running: false, lastRunAt: null };
+    this.jobs.set(name, job);
+
+    if (this.started) {
+      this.schedule(job);
+    }
+
+    return job;
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    if (job.timer.unref) {
+      job.timer.unref();
+    }
+  }
+
+  // Run a job immediately, skipping if the previous run hasn't finished
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.handler();
+      job.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  start() {
+    if (this.started || !this.isEnabled()) {
+      return;
+    }
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+      this.run(job.name);
+    }
+    console.log(`Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+    this.started = false;
+  }
+}
+
+module.exports = new SchedulerService();
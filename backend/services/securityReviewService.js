@@ -0,0 +1,209 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const Request = require('../models/Request');
+const Visitor = require('../models/Visitor');
+const AuditLog = require('../models/AuditLog');
+const watchlistService = require('./watchlistService');
+const notificationService = require('./notificationService');
+const delegationService = require('./delegationService');
+const waitTimeService = require('./waitTimeService');
+const visitorTokenService = require('./visitorTokenService');
+const { requestStateMachine } = require('./requestStateMachine');
+
+// Socket room joined by security (and super) admins
+const SECURITY_ROOM = 'security';
+
+class SecurityReviewService {
+  constructor() {
+    this.io = null;
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  getRoom() {
+    return SECURITY_ROOM;
+  }
+
+  // Alerts name visitors, so only active security and super admins may listen
+  async canJoinRoom(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const admin = await Admin.findById(decoded.id).select('role isActive');
+      return !!admin && admin.isActive && ['security', 'super_admin'].includes(admin.role);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Watchlist matches for a visitor, ignoring entries security already cleared for them
+  async screenVisitor(visitor, overrides = {}) {
+    return await watchlistService.screen({
+      firstName: overrides.firstName || visitor.firstName,
+      lastName: overrides.lastName || visitor.lastName,
+      phone: visitor.phone,
+      idNumber: visitor.idProof?.number
+    }, {
+      exclude: (visitor.watchlistClearances || []).map(clearance => clearance.entry)
+    });
+  }
+
+  // Watchlist matches for the named members of a group, tagged with who matched.
+  // Attendees have no visitor record, so there are no earlier clearances to skip.
+  async screenAttendees(attendees = []) {
+    const matches = [];
+    for (const attendee of attendees) {
+      const found = await watchlistService.screen({ firstName: attendee.firstName, lastName: attendee.lastName });
+      found.forEach(match => matches.push({ ...match, attendee: `${attendee.firstName} ${attendee.lastName}` }));
+    }
+    return matches;
+  }
+
+  // Hold a new request for review (caller saves)
+  hold(request, matches) {
+    request.status = 'security-review';
+    request.securityReview = { matches, flaggedAt: new Date() };
+  }
+
+  // Record a possible match and alert security admins
+  async alert({ source, visitor, requests = [], matches, io = this.io }) {
+    await AuditLog.createLog({
+      action: 'watchlist_match',
+      entityType: 'visitor',
+      entityId: visitor._id,
+      performedByModel: 'System',
+      details: {
+        source,
+        visitorName: visitor.fullName,
+        requestIds: requests.map(request => request._id),
+        matches: matches.map(({ listName, field, score, attendee = null }) => ({ listName, field, score, attendee }))
+      }
+    });
+
+    if (io) {
+      io.to(SECURITY_ROOM).emit('security-alert', {
+        source,
+        visitor: {
+          id: visitor._id,
+          firstName: visitor.firstName,
+          lastName: visitor.lastName
+        },
+        requestIds: requests.map(request => request._id),
+        matches: matches.map(({ listName, field, score, attendee = null }) => ({ listName, field, score, attendee })),
+        held: requests.length > 0
+      });
+    }
+  }
+
+  // Clear or deny a held request. Recurring invitations and the held visits of a
+  // request series are decided together.
+  async resolve(requestId, { decision, notes = null, reviewedBy, ipAddress = null, userAgent = null, io = this.io }) {
+    const populate = [
+      { path: 'visitor', select: 'firstName lastName email phone photo' },
+      { path: 'member', select: 'firstName lastName email phone preferences outOfOffice' },
+      { path: 'hosts.member', select: 'firstName lastName email phone preferences' },
+      { path: 'company', select: 'name location contactEmail' }
+    ];
+
+    const request = await Request.findById(requestId).populate(populate);
+    if (!request) {
+      return null;
+    }
+
+    const group = request.recurrenceId ? { recurrenceId: request.recurrenceId } : request.series ? { series: request.series } : null;
+    const requests = group && request.status === 'security-review'
+      ? await Request.find({ ...group, status: 'security-review' })
+        .populate(populate)
+        .sort({ scheduledTime: 1 })
+      : [request];
+
+    const event = decision === 'clear' ? 'clear' : 'deny';
+    const visitorTokens = {};
+
+    for (const held of requests) {
+      await requestStateMachine.apply(held, event, { reviewedBy, notes });
+
+      // Invited guests and approved series go straight back to accepted with a gate pass
+      if (event === 'clear' && (held.isPreRegistered || held.series)) {
+        await requestStateMachine.apply(held, 'accept', {
+          message: held.series ? 'Recurring visit approved by host' : 'Pre-registered by host'
+        });
+        held.entryDetails.allowedAt = held.scheduledTime || held.entryDetails.allowedAt;
+        visitorTokens[held._id] = visitorTokenService.issue(held);
+      }
+      await held.save();
+    }
+
+    const { visitor, member, company } = request;
+
+    if (event === 'clear') {
+      // Don't hold this visitor again for the same entries. Attendee matches were about
+      // someone else and are cleared for this visit only.
+      const entries = [...new Set(request.securityReview.matches
+        .filter(match => !match.attendee)
+        .map(match => String(match.entry)))];
+      await Visitor.updateOne(
+        { _id: visitor._id },
+        { $push: { watchlistClearances: { $each: entries.map(entry => ({ entry, clearedBy: reviewedBy })) } } }
+      );
+
+      await this.release(requests, { visitor, member, company, visitorTokens, io });
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: event === 'clear' ? 'security_review_cleared' : 'security_review_denied',
+      entityType: 'request',
+      entityId: request._id,
+      performedBy: reviewedBy,
+      performedByModel: 'Admin',
+      details: {
+        visitorName: visitor.fullName,
+        companyName: company.name,
+        requests: requests.length,
+        notes
+      },
+      ipAddress,
+      userAgent
+    });
+
+    if (io) {
+      io.to(`company-${company._id}`).emit('request-update', {
+        type: 'status-change',
+        request: {
+          id: request._id,
+          status: requests[0].status,
+          visitor: { firstName: visitor.firstName, lastName: visitor.lastName }
+        }
+      });
+    }
+
+    return requests;
+  }
+
+  // Send the notifications that were held back while the request was under review
+  async release(requests, { visitor, member, company, visitorTokens, io }) {
+    const [first] = requests;
+
+    if (first.isPreRegistered || first.series) {
+      try {
+        await notificationService.sendInvitation(visitor, requests, member, company, visitorTokens, { series: first.series });
+        await Request.updateMany(
+          { _id: { $in: requests.map(r => r._id) } },
+          { $set: { 'notifications.sentToVisitor': true, 'notifications.lastNotificationSent': new Date() } }
+        );
+      } catch (error) {
+        console.error('Invitation notification error:', error);
+      }
+      return;
+    }
+
+    await delegationService.notifyNewRequest(first, { io });
+    await first.save();
+
+    await waitTimeService.recalculateQueue(company._id);
+  }
+}
+
+module.exports = new SecurityReviewService();
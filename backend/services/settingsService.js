@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+const SettingsHistory = require('../models/SettingsHistory');
+
+// Settings an admin may change through the API
+const EDITABLE_PATHS = [
+  'system.name',
+  'system.maintenanceMode',
+  'system.maintenanceMessage',
+  'system.maintenanceEndsAt',
+  'notifications.emailEnabled',
+  'notifications.smsEnabled',
+  'security.maxLoginAttempts',
+  'security.lockoutDuration',
+  'security.sessionTimeout',
+  'limits.maxFileSize',
+  'limits.maxRequestsPerHour',
+  'limits.maxRequestSubmissions',
+  'limits.maxVisitorRegistrations',
+  'limits.maxVisitorsPerDay',
+  'retention.visitorInactivityDays'
+];
+
+// Other server instances pick up changes within this window
+const CACHE_TTL_MS = 30 * 1000;
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+class SettingsService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  getDefaults() {
+    return new Settings().toObject();
+  }
+
+  // Current settings as a plain object; cheap enough to call from middleware on every request
+  async get() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    // Don't queue requests behind mongoose buffering while the database is down
+    if (mongoose.connection.readyState !== 1) {
+      return this.cache || this.getDefaults();
+    }
+
+    try {
+      const settings = await Settings.getSingleton();
+      this.cache = settings.toObject();
+      this.loadedAt = Date.now();
+    } catch (error) {
+      console.error('Load settings error:', error);
+      return this.cache || this.getDefaults();
+    }
+
+    return this.cache;
+  }
+
+  // Apply a partial settings object, saving a new version and its history entry
+  async update(values, adminId) {
+    const settings = await Settings.getSingleton();
+    const changes = [];
+
+    EDITABLE_PATHS.forEach((path) => {
+      let value = getPath(values, path);
+      if (value === undefined) {
+        return;
+      }
+      if (value === '') {
+        value = null;
+      }
+
+      const from = settings.get(path);
+      settings.set(path, value);
+      const to = settings.get(path);
+
+      if (String(from) !== String(to)) {
+        changes.push({ path, from, to });
+      }
+    });
+
+    if (!changes.length) {
+      return { settings: settings.toObject(), changes };
+    }
+
+    settings.version += 1;
+    settings.updatedBy = adminId;
+    await settings.save();
+
+    const snapshot = settings.toObject();
+    delete snapshot._id;
+    delete snapshot.__v;
+
+    await SettingsHistory.create({
+      version: settings.version,
+      snapshot,
+      changes,
+      changedBy: adminId
+    });
+
+    this.cache = settings.toObject();
+    this.loadedAt = Date.now();
+
+    return { settings: this.cache, changes };
+  }
+
+  async getHistory({ page = 1, limit = 20 } = {}) {
+    const [history, total] = await Promise.all([
+      SettingsHistory.find()
+        .populate('changedBy', 'firstName lastName email')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SettingsHistory.countDocuments()
+    ]);
+
+    return { history, total };
+  }
+}
+
+module.exports = new SettingsService();
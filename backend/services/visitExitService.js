@@ -0,0 +1,163 @@
+const moment = require('moment');
+const Request = require('../models/Request');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const waitTimeService = require('./waitTimeService');
+const { requestStateMachine } = require('./requestStateMachine');
+
+const EXIT_METHODS = ['security', 'self', 'auto'];
+
+class VisitExitService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Socket server used to broadcast exits to company dashboards
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  // Time of day ('HH:mm') after which visits still open are closed automatically
+  getAutoExitTime() {
+    return process.env.AUTO_EXIT_TIME || '23:00';
+  }
+
+  // First auto-exit cutoff after the visitor entered
+  getAutoExitCutoff(enteredAt) {
+    const [hours, minutes] = this.getAutoExitTime().split(':').map(Number);
+    const cutoff = moment(enteredAt).set({ hour: hours || 0, minute: minutes || 0, second: 0, millisecond: 0 });
+    if (!cutoff.isAfter(enteredAt)) {
+      cutoff.add(1, 'day');
+    }
+    return cutoff.toDate();
+  }
+
+  // Close an open visit. Returns the completed request, or null if the visit
+  // was not in progress (e.g. already checked out).
+  async exit(requestId, { method, performedBy = null, performedByModel = 'System', ipAddress = null, userAgent = null }) {
+    if (!EXIT_METHODS.includes(method)) {
+      throw new Error(`Unknown exit method: ${method}`);
+    }
+
+    const exitedAt = new Date();
+    const update = {
+      status: requestStateMachine.getTarget('exit'),
+      'entryDetails.exitedAt': exitedAt,
+      'entryDetails.exitMethod': method,
+      'entryDetails.autoExited': method === 'auto'
+    };
+    const options = { new: true };
+
+    // Group attendees still inside leave with the lead. Requests saved before group
+    // visits have no attendees array, and MongoDB rejects $[inside] against those.
+    if (await Request.exists({ _id: requestId, attendees: { $type: 'array' } })) {
+      update['attendees.$[inside].exitedAt'] = exitedAt;
+      options.arrayFilters = [{ 'inside.enteredAt': { $ne: null }, 'inside.exitedAt': null }];
+    }
+
+    // Conditional update so a desk checkout, self checkout and the sweep can't all complete the visit.
+    // Visits the sweep closes take their calendar invite with them, which needs a higher sequence
+    // (see calendarService.bumpSequence).
+    const request = await Request.findOneAndUpdate(
+      {
+        _id: requestId,
+        status: { $in: requestStateMachine.getSources('exit') },
+        'entryDetails.exitedAt': null
+      },
+      { $set: update, ...(method === 'auto' ? { $inc: { calendarSequence: 1 } } : {}) },
+      options
+    )
+      .populate('visitor', 'firstName lastName email phone')
+      .populate('member', 'firstName lastName email preferences')
+      .populate('hosts.member', 'firstName lastName email preferences')
+      .populate('company', 'name location');
+
+    if (!request) {
+      return null;
+    }
+
+    await waitTimeService.recalculateQueue(request.company._id);
+
+    await AuditLog.createLog({
+      action: 'visitor_exited',
+      entityType: 'request',
+      entityId: request._id,
+      performedBy,
+      performedByModel,
+      details: {
+        visitorName: request.visitor?.fullName,
+        duration: request.totalDuration,
+        exitMethod: method
+      },
+      ipAddress,
+      userAgent
+    });
+
+    if (this.io) {
+      this.io.to(`company-${request.company._id}`).emit('request-update', {
+        type: 'exit',
+        request: {
+          id: request._id,
+          status: request.status,
+          entryDetails: request.entryDetails,
+          totalDuration: request.totalDuration
+        }
+      });
+    }
+
+    // Visitors closed by the sweep have long gone; they only get the calendar update
+    if (method === 'auto') {
+      try {
+        await notificationService.notifyVisitorOfCalendarEvent(request, 'CANCEL');
+        await notificationService.notifyHostsOfCalendarEvent(request, 'CANCEL', { updated: true });
+      } catch (error) {
+        console.error('Auto-exit calendar notification error:', error);
+      }
+    } else {
+      try {
+        await notificationService.notifyVisitorOfStatusUpdate(
+          request.visitor,
+          request,
+          request.member,
+          request.company
+        );
+      } catch (error) {
+        console.error('Exit notification error:', error);
+      }
+    }
+
+    return request;
+  }
+
+  // End-of-day sweep for visitors who left without checking out
+  async autoExitOpenVisits() {
+    const now = new Date();
+    const requests = await Request.find({
+      status: { $in: requestStateMachine.getSources('exit') },
+      'entryDetails.exitedAt': null
+    }).select('_id entryDetails.enteredAt');
+
+    let count = 0;
+    for (const request of requests) {
+      if (this.getAutoExitCutoff(request.entryDetails.enteredAt) > now) {
+        continue;
+      }
+      // One bad request shouldn't leave every visit after it open
+      try {
+        if (await this.exit(request._id, { method: 'auto' })) {
+          count++;
+        }
+      } catch (error) {
+        console.error(`Auto-exit failed for request ${request._id}:`, error);
+      }
+    }
+
+    if (count) {
+      console.log(`Auto-exited ${count} visit(s) left open past ${this.getAutoExitTime()}`);
+    }
+
+    return count;
+  }
+}
+
+module.exports = new VisitExitService();
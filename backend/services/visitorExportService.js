@@ -0,0 +1,174 @@
+const path = require('path');
+const archiver = require('archiver');
+const Visitor = require('../models/Visitor');
+const Request = require('../models/Request');
+const AuditLog = require('../models/AuditLog');
+const BlacklistEntry = require('../models/BlacklistEntry');
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Give up on an image that takes longer than this
+const DOWNLOAD_TIMEOUT_MS = 15 * 1000;
+
+// Request fields the visitor gets back. Screening results, gate pass credentials,
+// tokens and staff notes stay out.
+const REQUEST_FIELDS = [
+  '_id',
+  'company',
+  'member',
+  'invitedBy',
+  'purpose',
+  'purposeDescription',
+  'duration',
+  'scheduledTime',
+  'status',
+  'isUrgent',
+  'isPreRegistered',
+  'headcount',
+  'attendees',
+  'memberResponse.action',
+  'memberResponse.message',
+  'memberResponse.proposedTime',
+  'memberResponse.respondedAt',
+  'entryDetails.allowedAt',
+  'entryDetails.enteredAt',
+  'entryDetails.exitedAt',
+  'entryDetails.entryGate',
+  'entryDetails.exitMethod',
+  'gatePass.validFrom',
+  'gatePass.validUntil',
+  'gatePass.usedAt',
+  'expiry',
+  'createdAt',
+  'updatedAt'
+];
+
+// Copy the given dotted paths into a new object
+const pick = (source, paths) => paths.reduce((result, path) => {
+  const keys = path.split('.');
+  const value = keys.reduce((current, key) => (current == null ? undefined : current[key]), source);
+  if (value !== undefined) {
+    const parent = keys.slice(0, -1).reduce((target, key) => (target[key] = target[key] || {}), result);
+    parent[keys[keys.length - 1]] = value;
+  }
+  return result;
+}, {});
+
+// Staff identifiers, IPs and user agents belong to other people
+const redactStaffEntry = (log) => {
+  const entry = log.toObject();
+  if (entry.performedByModel !== 'Visitor') {
+    delete entry.performedBy;
+    delete entry.ipAddress;
+    delete entry.userAgent;
+  }
+  return entry;
+};
+
+class VisitorExportService {
+  // Everything held about a visitor, or null when the visitor doesn't exist
+  async collect(visitorId) {
+    const visitor = await Visitor.findById(visitorId);
+    if (!visitor) {
+      return null;
+    }
+
+    const requests = await Request.find({ visitor: visitor._id })
+      .populate('member', 'firstName lastName department position')
+      .populate('company', 'name location contactEmail contactPhone address')
+      .populate('invitedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    const requestIds = requests.map(request => request._id);
+    const auditLogs = await AuditLog.find({
+      $or: [
+        { entityType: 'visitor', entityId: visitor._id },
+        { entityType: 'request', entityId: { $in: requestIds } },
+        { performedByModel: 'Visitor', performedBy: visitor._id }
+      ]
+    }).sort({ timestamp: 1 });
+
+    const blacklist = await BlacklistEntry.find({ visitor: visitor._id })
+      .select('-addedBy -liftedBy')
+      .populate('companies', 'name')
+      .sort({ createdAt: 1 });
+
+    // Photos of the people the visitor brought along in group visits are included
+    const images = await Promise.all([
+      this.download(visitor.photo, 'photo'),
+      this.download(visitor.idProof?.image, 'id-proof'),
+      ...requests.flatMap(request => request.attendees.map(attendee =>
+        this.download(attendee.photo, `attendee-${request._id}-${attendee._id}`)))
+    ]);
+
+    return { visitor, requests, auditLogs, blacklist, images: images.filter(Boolean) };
+  }
+
+  // Fetch an uploaded image; failures are reported in the archive instead of aborting the export
+  async download(url, name) {
+    if (!url) {
+      return null;
+    }
+
+    let file = `images/${name}.jpg`;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+
+    try {
+      file = `images/${name}${path.extname(new URL(url).pathname) || '.jpg'}`;
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        return { file, url, error: `HTTP ${response.status}` };
+      }
+      return { file, url, buffer: Buffer.from(await response.arrayBuffer()) };
+    } catch (error) {
+      return { file, url, error: error.message };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Stream the collected data as a ZIP archive
+  async writeArchive(data, stream) {
+    const { visitor, requests, auditLogs, blacklist, images } = data;
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const done = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      stream.on('close', resolve);
+      stream.on('finish', resolve);
+    });
+
+    archive.pipe(stream);
+
+    archive.append(toJson({
+      generatedAt: new Date(),
+      visitorId: visitor._id,
+      anonymized: !!visitor.anonymizedAt,
+      files: {
+        'profile.json': 'Visitor profile',
+        'requests.json': `${requests.length} visit request(s) with host and company`,
+        'audit-log.json': `${auditLogs.length} audit entries referencing the visitor or their requests`,
+        'blacklist.json': `${blacklist.length} blacklist entr${blacklist.length === 1 ? 'y' : 'ies'}, including lifted and expired ones`,
+        ...Object.fromEntries(images.filter(image => image.buffer).map(image => [image.file, 'Uploaded image']))
+      },
+      missingImages: images
+        .filter(image => !image.buffer)
+        .map(({ file, url, error }) => ({ file, url, error }))
+    }), { name: 'manifest.json' });
+
+    archive.append(toJson(visitor.toObject({ virtuals: true })), { name: 'profile.json' });
+    archive.append(toJson(requests.map(request => pick(request.toObject(), REQUEST_FIELDS))), { name: 'requests.json' });
+    archive.append(toJson(auditLogs.map(redactStaffEntry)), { name: 'audit-log.json' });
+    archive.append(toJson(blacklist.map(entry => entry.toObject())), { name: 'blacklist.json' });
+
+    images
+      .filter(image => image.buffer)
+      .forEach(image => archive.append(image.buffer, { name: image.file }));
+
+    await archive.finalize();
+    await done;
+  }
+}
+
+module.exports = new VisitorExportService();
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const VisitorOtp = require('../models/VisitorOtp');
+const notificationService = require('./notificationService');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const SESSION_TTL_MINUTES = 30;
+const SESSION_AUDIENCE = 'visitor-session';
+
+class VisitorOtpService {
+  getSecret() {
+    return process.env.VISITOR_SESSION_SECRET || process.env.JWT_SECRET;
+  }
+
+  hash(phone, code) {
+    return crypto.createHmac('sha256', this.getSecret()).update(`${phone}:${code}`).digest('hex');
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  }
+
+  // Text a fresh code to the phone, replacing any earlier one
+  async issue(phone) {
+    const existing = await VisitorOtp.findOne({ phone });
+    if (existing) {
+      const wait = Math.ceil((existing.sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+      if (wait > 0) {
+        return { success: false, message: `Please wait ${wait} seconds before requesting another code`, retryAfter: wait };
+      }
+    }
+
+    const code = this.generateCode();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+    await VisitorOtp.findOneAndUpdate(
+      { phone },
+      { codeHash: this.hash(phone, code), attempts: 0, sentAt: new Date(), expiresAt },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const result = await notificationService.sendSMS(
+      phone,
+      `Your Krishe Emerald verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+      { transactional: true }
+    );
+    if (!result.success) {
+      await VisitorOtp.deleteOne({ phone });
+      return { success: false, message: 'Failed to send verification code' };
+    }
+
+    return { success: true, expiresAt };
+  }
+
+  // Check a code and open a visitor session for the phone
+  async verify(phone, code) {
+    const otp = await VisitorOtp.findOne({ phone });
+    if (!otp || otp.expiresAt < new Date()) {
+      return { success: false, message: 'Verification code has expired. Please request a new one.' };
+    }
+
+    if (otp.attempts >= MAX_ATTEMPTS) {
+      return { success: false, message: 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(this.hash(phone, String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      otp.attempts += 1;
+      await otp.save();
+      return { success: false, message: 'Incorrect verification code' };
+    }
+
+    // Codes are single-use
+    await VisitorOtp.deleteOne({ _id: otp._id });
+
+    return { success: true, ...this.createSession(phone) };
+  }
+
+  createSession(phone) {
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+    const sessionToken = jwt.sign(
+      { phone },
+      this.getSecret(),
+      { audience: SESSION_AUDIENCE, expiresIn: `${SESSION_TTL_MINUTES}m` }
+    );
+    return { sessionToken, expiresAt };
+  }
+
+  // Returns the session payload, or null when the token is missing, invalid or expired
+  verifySession(token) {
+    if (!token) {
+      return null;
+    }
+    try {
+      return jwt.verify(token, this.getSecret(), { audience: SESSION_AUDIENCE });
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new VisitorOtpService();
@@ -0,0 +1,220 @@
+const Visitor = require('../models/Visitor');
+const Request = require('../models/Request');
+const RequestSeries = require('../models/RequestSeries');
+const VisitorOtp = require('../models/VisitorOtp');
+const AuditLog = require('../models/AuditLog');
+const settingsService = require('./settingsService');
+const { ImageUploadService } = require('./imageUploadService');
+
+// Requests that still need the visitor's details
+const OPEN_STATUSES = ['pending', 'accepted', 'in-progress', 'security-review'];
+// Recurring series that still create visits
+const LIVE_SERIES_STATUSES = ['pending', 'active'];
+
+const ERASED_NAME = 'Erased visitor';
+
+// Raised when a visitor can't be erased yet
+class VisitorErasureError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'VisitorErasureError';
+    this.status = status;
+  }
+}
+
+class VisitorRetentionService {
+  // Scheduled job: anonymize visitors inactive for longer than the retention setting
+  async run() {
+    const { retention } = await settingsService.get();
+    const days = retention?.visitorInactivityDays;
+    if (!days) {
+      return 0;
+    }
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Blacklisted visitors are kept so the blacklist stays enforceable
+    const candidates = await Visitor.find({
+      anonymizedAt: null,
+      isBlacklisted: false,
+      createdAt: { $lt: cutoff },
+      $or: [{ lastVisitDate: null }, { lastVisitDate: { $lt: cutoff } }]
+    }).select('_id');
+
+    let count = 0;
+    for (const { _id } of candidates) {
+      const recent = await Request.exists({
+        visitor: _id,
+        $or: [
+          { status: { $in: OPEN_STATUSES } },
+          { createdAt: { $gte: cutoff } },
+          { updatedAt: { $gte: cutoff } }
+        ]
+      });
+      if (recent || await RequestSeries.exists({ visitor: _id, status: { $in: LIVE_SERIES_STATUSES } })) {
+        continue;
+      }
+
+      try {
+        await this.erase(_id, { reason: 'retention', performedByModel: 'System' });
+        count++;
+      } catch (error) {
+        console.error(`Retention purge failed for visitor ${_id}:`, error);
+      }
+    }
+
+    if (count) {
+      console.log(`Anonymized ${count} inactive visitor(s)`);
+    }
+
+    return count;
+  }
+
+  // Delete a stored image, returning its public id when Cloudinary refused
+  async deleteImage(url) {
+    const publicId = url ? ImageUploadService.extractPublicId(url) : null;
+    if (!publicId) {
+      return null;
+    }
+
+    const result = await ImageUploadService.deleteImage(publicId);
+    return result.success || result.result === 'not found' ? null : publicId;
+  }
+
+  // Strip personal data from a visitor, their requests and related audit entries,
+  // leaving a tombstone in the audit log
+  async erase(visitorId, { reason = 'request', performedBy = null, performedByModel = 'Admin', ipAddress = null, userAgent = null } = {}) {
+    const visitor = await Visitor.findById(visitorId);
+    if (!visitor) {
+      throw new VisitorErasureError('Visitor not found', 404);
+    }
+    if (visitor.anonymizedAt) {
+      throw new VisitorErasureError('Visitor has already been erased');
+    }
+
+    if (await Request.exists({ visitor: visitor._id, status: { $in: OPEN_STATUSES } })) {
+      throw new VisitorErasureError('Visitor has open requests. Cancel or complete them before erasing.');
+    }
+
+    const requests = await Request.find({ visitor: visitor._id }).select('_id attendees.photo');
+    const requestIds = requests.map(request => request._id);
+
+    // Photos of the people the visitor brought along in group visits go too
+    const images = [
+      visitor.photo,
+      visitor.idProof?.image,
+      ...requests.flatMap(request => request.attendees.map(attendee => attendee.photo))
+    ].filter(Boolean);
+
+    const imagesFailed = [];
+    for (const url of images) {
+      const failed = await this.deleteImage(url);
+      if (failed) {
+        imagesFailed.push(failed);
+      }
+    }
+    const imagesDeleted = images.length - imagesFailed.length;
+
+    const phone = visitor.phone;
+
+    visitor.firstName = 'Erased';
+    visitor.lastName = 'Visitor';
+    visitor.phone = `erased-${visitor._id}`;
+    visitor.email = undefined;
+    visitor.photo = null;
+    visitor.idProof.number = undefined;
+    visitor.idProof.image = undefined;
+    visitor.address = undefined;
+    visitor.blacklistReason = null;
+    visitor.anonymizedAt = new Date();
+    await visitor.save();
+
+    await Request.updateMany(
+      { visitor: visitor._id },
+      {
+        $set: {
+          purposeDescription: null,
+          notes: null,
+          tags: [],
+          'memberResponse.message': null
+        },
+        $unset: { gatePass: '', visitorToken: '' }
+      }
+    );
+
+    // Stop recurring visits and drop what the visitor wrote on them
+    const byAdmin = performedByModel === 'Admin' && !!performedBy;
+    await RequestSeries.updateMany(
+      { visitor: visitor._id, status: { $in: LIVE_SERIES_STATUSES } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: byAdmin ? performedBy : null,
+          cancelledByModel: byAdmin ? 'Admin' : null
+        }
+      }
+    );
+    await RequestSeries.updateMany(
+      { visitor: visitor._id },
+      { $set: { purposeDescription: null, 'memberResponse.message': null } }
+    );
+
+    await Request.updateMany(
+      { visitor: visitor._id, 'attendees.0': { $exists: true } },
+      {
+        $set: {
+          'attendees.$[].firstName': 'Erased',
+          'attendees.$[].lastName': 'Attendee',
+          'attendees.$[].photo': null
+        }
+      }
+    );
+    await Request.updateMany(
+      { visitor: visitor._id, 'securityReview.matches.attendee': { $nin: [null] } },
+      { $set: { 'securityReview.matches.$[named].attendee': 'Erased attendee' } },
+      { arrayFilters: [{ 'named.attendee': { $ne: null } }] }
+    );
+
+    await AuditLog.updateMany(
+      {
+        $or: [
+          { entityType: 'request', entityId: { $in: requestIds } },
+          { entityType: 'visitor', entityId: visitor._id }
+        ],
+        'details.visitorName': { $exists: true }
+      },
+      { $set: { 'details.visitorName': ERASED_NAME } }
+    );
+    await AuditLog.updateMany(
+      { entityType: 'request', entityId: { $in: requestIds }, 'details.attendees': { $exists: true } },
+      { $set: { 'details.attendees': [] } }
+    );
+
+    await VisitorOtp.deleteOne({ phone });
+
+    // Tombstone
+    await AuditLog.createLog({
+      action: 'visitor_erased',
+      entityType: 'visitor',
+      entityId: visitor._id,
+      performedBy,
+      performedByModel,
+      details: {
+        reason,
+        requestsAnonymized: requestIds.length,
+        imagesDeleted,
+        imagesFailed
+      },
+      ipAddress,
+      userAgent
+    });
+
+    return { visitor, requestsAnonymized: requestIds.length, imagesDeleted, imagesFailed };
+  }
+}
+
+module.exports = {
+  visitorRetentionService: new VisitorRetentionService(),
+  VisitorErasureError
+};
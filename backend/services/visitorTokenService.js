@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const Request = require('../models/Request');
+
+const TOKEN_BYTES = 24;
+// Emailed links stay valid alongside the visitor's own token; only the latest few are kept
+const MAX_LINK_TOKENS = 5;
+
+class VisitorTokenService {
+  hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Attach a fresh secret to the request (caller saves). Only the hash is stored,
+  // so the returned token must be handed to the visitor straight away.
+  issue(request) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    request.visitorToken = {
+      hash: this.hash(token),
+      issuedAt: new Date()
+    };
+    return token;
+  }
+
+  // Add another token for a link sent to the visitor, leaving the one their browser
+  // holds valid. Saved straight away.
+  async issueLink(request) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    await Request.updateOne(
+      { _id: request._id },
+      { $push: { 'visitorToken.linkHashes': { $each: [this.hash(token)], $slice: -MAX_LINK_TOKENS } } }
+    );
+    return token;
+  }
+
+  // Fields verify() needs, for Query#select
+  getSelect() {
+    return '+visitorToken.hash +visitorToken.linkHashes';
+  }
+
+  // Request must be loaded with getSelect()
+  verify(request, token) {
+    const stored = [request.visitorToken?.hash, ...(request.visitorToken?.linkHashes || [])].filter(Boolean);
+    if (!stored.length || typeof token !== 'string' || !token) {
+      return false;
+    }
+
+    const actual = Buffer.from(this.hash(token), 'hex');
+    return stored.some(hash => {
+      const expected = Buffer.from(hash, 'hex');
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    });
+  }
+}
+
+module.exports = new VisitorTokenService();
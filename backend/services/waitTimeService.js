@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+
+const MINUTE = 60 * 1000;
+const HISTORY_DAYS = 90;
+// Used until a host has enough responded requests to learn from
+const DEFAULT_RESPONSE_MINUTES = 10;
+
+class WaitTimeService {
+  toObjectId(id) {
+    return new mongoose.Types.ObjectId(id.toString());
+  }
+
+  // Average real visit length (enteredAt -> exitedAt) per member+purpose, per member and per purpose
+  async getVisitDurationStats(companyId) {
+    const rows = await Request.aggregate([
+      {
+        $match: {
+          company: this.toObjectId(companyId),
+          'entryDetails.enteredAt': { $ne: null },
+          'entryDetails.exitedAt': { $ne: null },
+          createdAt: { $gte: new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE) }
+        }
+      },
+      {
+        $group: {
+          _id: { member: '$member', purpose: '$purpose' },
+          total: { $sum: { $subtract: ['$entryDetails.exitedAt', '$entryDetails.enteredAt'] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const stats = { byMemberPurpose: {}, byMember: {}, byPurpose: {} };
+    const add = (bucket, key, total, count) => {
+      bucket[key] = bucket[key] || { total: 0, count: 0 };
+      bucket[key].total += total;
+      bucket[key].count += count;
+    };
+
+    rows.forEach(({ _id, total, count }) => {
+      add(stats.byMemberPurpose, `${_id.member}:${_id.purpose}`, total, count);
+      add(stats.byMember, _id.member.toString(), total, count);
+      add(stats.byPurpose, _id.purpose, total, count);
+    });
+
+    return stats;
+  }
+
+  // Average time a host takes to respond to a request
+  async getResponseLatencyStats(companyId) {
+    const rows = await Request.aggregate([
+      {
+        $match: {
+          company: this.toObjectId(companyId),
+          'memberResponse.respondedAt': { $ne: null },
+          // Invitations are accepted on creation and say nothing about response times
+          isPreRegistered: { $ne: true },
+          createdAt: { $gte: new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE) }
+        }
+      },
+      {
+        $group: {
+          _id: '$member',
+          average: { $avg: { $subtract: ['$memberResponse.respondedAt', '$createdAt'] } }
+        }
+      }
+    ]);
+
+    return rows.reduce((map, row) => {
+      map[row._id.toString()] = row.average / MINUTE;
+      return map;
+    }, {});
+  }
+
+  // Expected visit length in minutes, falling back from most to least specific history
+  expectedDuration(stats, memberId, purpose, requestedDuration) {
+    const bucket = stats.byMemberPurpose[`${memberId}:${purpose}`] ||
+      stats.byMember[memberId] ||
+      stats.byPurpose[purpose];
+
+    if (bucket && bucket.count > 0) {
+      return bucket.total / bucket.count / MINUTE;
+    }
+    return requestedDuration || 0;
+  }
+
+  // Recompute queue positions and wait estimates for every pending request of a company
+  async recalculateQueue(companyId) {
+    try {
+      const [pending, active, durationStats, latencyStats] = await Promise.all([
+        Request.find({ company: companyId, status: 'pending' })
+          .select('member purpose duration createdAt queuePosition estimatedWaitTime')
+          .sort({ priority: -1, createdAt: 1 }),
+        // Visitors currently with their host
+        Request.find({
+          company: companyId,
+          'entryDetails.enteredAt': { $ne: null },
+          'entryDetails.exitedAt': null,
+          status: { $nin: ['completed', 'cancelled', 'expired'] }
+        }).select('member purpose duration entryDetails.enteredAt'),
+        this.getVisitDurationStats(companyId),
+        this.getResponseLatencyStats(companyId)
+      ]);
+
+      const now = Date.now();
+
+      // Minutes until each host is free from visits already in progress
+      const hostBusy = {};
+      active.forEach((visit) => {
+        const memberId = visit.member.toString();
+        const expected = this.expectedDuration(durationStats, memberId, visit.purpose, visit.duration);
+        const elapsed = (now - visit.entryDetails.enteredAt.getTime()) / MINUTE;
+        hostBusy[memberId] = (hostBusy[memberId] || 0) + Math.max(0, expected - elapsed);
+      });
+
+      const updates = [];
+      pending.forEach((request, index) => {
+        const memberId = request.member.toString();
+        const expected = this.expectedDuration(durationStats, memberId, request.purpose, request.duration);
+
+        // Host has to respond, and has to get through everyone ahead of this visitor
+        const latency = latencyStats[memberId] !== undefined ? latencyStats[memberId] : DEFAULT_RESPONSE_MINUTES;
+        const remainingLatency = Math.max(0, latency - (now - request.createdAt.getTime()) / MINUTE);
+        const hostQueue = hostBusy[memberId] || 0;
+
+        const estimatedWaitTime = Math.round(Math.max(remainingLatency, hostQueue));
+        const queuePosition = index + 1;
+
+        // Visitors behind this one wait for this visit too
+        hostBusy[memberId] = hostQueue + expected;
+
+        if (request.queuePosition !== queuePosition || request.estimatedWaitTime !== estimatedWaitTime) {
+          request.queuePosition = queuePosition;
+          request.estimatedWaitTime = estimatedWaitTime;
+          updates.push({
+            updateOne: {
+              filter: { _id: request._id, status: 'pending' },
+              update: { $set: { queuePosition, estimatedWaitTime } }
+            }
+          });
+        }
+      });
+
+      if (updates.length) {
+        await Request.bulkWrite(updates);
+      }
+
+      return pending;
+    } catch (error) {
+      console.error('Queue recalculation error:', error);
+      // Don't throw error to avoid breaking main functionality
+      return [];
+    }
+  }
+
+  // Estimates drift as visits run on, so queues are also refreshed periodically
+  async refreshAllQueues() {
+    const companyIds = await Request.distinct('company', { status: 'pending' });
+    for (const companyId of companyIds) {
+      await this.recalculateQueue(companyId);
+    }
+  }
+}
+
+module.exports = new WaitTimeService();
@@ -0,0 +1,223 @@
+const WatchlistEntry = require('../models/WatchlistEntry');
+
+// Names at least this similar (0-1) count as a possible match
+const NAME_THRESHOLD = 0.8;
+// Shortest fragment of an ID number treated as a partial match
+const MIN_PARTIAL_ID = 4;
+// Phone numbers are compared on their trailing digits to ignore country codes
+const PHONE_DIGITS = 10;
+const CACHE_TTL_MS = 60 * 1000;
+
+const CSV_COLUMNS = {
+  name: 'name',
+  fullname: 'name',
+  phone: 'phone',
+  phonenumber: 'phone',
+  idnumber: 'idNumber',
+  id: 'idNumber',
+  reason: 'reason'
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  const length = Math.max(a.length, b.length);
+  return length ? 1 - levenshtein(a, b) / length : 0;
+};
+
+const sortTokens = (value) => value.split(' ').sort().join(' ');
+
+class WatchlistService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  normalizeName(name) {
+    if (!name) return null;
+    const normalized = String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z]+/g, ' ')
+      .trim();
+    return normalized || null;
+  }
+
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits ? digits.slice(-PHONE_DIGITS) : null;
+  }
+
+  normalizeIdNumber(idNumber) {
+    const normalized = String(idNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return normalized || null;
+  }
+
+  // Name variants: typos, transliterations and swapped first/last names
+  scoreName(a, b) {
+    if (!a || !b) return 0;
+    return Math.max(similarity(a, b), similarity(sortTokens(a), sortTokens(b)));
+  }
+
+  scorePhone(a, b) {
+    return a && b && a === b ? 1 : 0;
+  }
+
+  // Partial IDs (e.g. last 4 digits) and single-character typos
+  scoreIdNumber(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    if (shorter.length >= MIN_PARTIAL_ID && longer.includes(shorter)) {
+      return 0.9;
+    }
+    if (a.length === b.length && a.length >= 6 && levenshtein(a, b) === 1) {
+      return 0.9;
+    }
+    return 0;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  async getActiveEntries() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    this.cache = await WatchlistEntry.find({ isActive: true })
+      .select('listName name phone idNumber normalized')
+      .lean();
+    this.loadedAt = Date.now();
+    return this.cache;
+  }
+
+  // Possible matches for a person, strongest first. Entries in `exclude` were
+  // already cleared for this visitor by security.
+  async screen({ firstName, lastName, phone, idNumber }, { exclude = [] } = {}) {
+    const name = this.normalizeName([firstName, lastName].filter(Boolean).join(' '));
+    const candidate = {
+      name,
+      phone: this.normalizePhone(phone),
+      idNumber: this.normalizeIdNumber(idNumber)
+    };
+    const excluded = new Set(exclude.map(String));
+
+    const entries = await this.getActiveEntries();
+    const matches = [];
+
+    for (const entry of entries) {
+      if (excluded.has(String(entry._id))) {
+        continue;
+      }
+
+      const scores = [
+        { field: 'name', value: entry.name, score: this.scoreName(candidate.name, entry.normalized.name) },
+        { field: 'phone', value: entry.phone, score: this.scorePhone(candidate.phone, entry.normalized.phone) },
+        { field: 'idNumber', value: entry.idNumber, score: this.scoreIdNumber(candidate.idNumber, entry.normalized.idNumber) }
+      ].filter(({ field, score }) => (field === 'name' ? score >= NAME_THRESHOLD : score > 0));
+
+      scores.forEach(({ field, value, score }) => {
+        matches.push({
+          entry: entry._id,
+          listName: entry.listName,
+          field,
+          value,
+          score: Math.round(score * 100) / 100
+        });
+      });
+    }
+
+    return matches.sort((a, b) => b.score - a.score);
+  }
+
+  // Rows from a CSV with a header line (name, phone, idNumber, reason)
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header = [], ...data] = rows.filter(r => r.some(value => value.trim()));
+    const columns = header.map(name => CSV_COLUMNS[name.trim().toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+    return data.map(values => columns.reduce((entry, column, index) => {
+      if (column && values[index] && values[index].trim()) {
+        entry[column] = values[index].trim();
+      }
+      return entry;
+    }, {}));
+  }
+
+  // Add a list of entries; rows without a name, phone or ID number are skipped
+  async importEntries(listName, rows, adminId) {
+    const valid = rows.filter(row => row && (row.name || row.phone || row.idNumber));
+
+    const created = await WatchlistEntry.insertMany(valid.map(row => ({
+      listName,
+      name: row.name,
+      phone: row.phone,
+      idNumber: row.idNumber,
+      reason: row.reason,
+      normalized: {
+        name: this.normalizeName(row.name),
+        phone: this.normalizePhone(row.phone),
+        idNumber: this.normalizeIdNumber(row.idNumber)
+      },
+      createdBy: adminId
+    })));
+
+    this.invalidate();
+    return { created: created.length, skipped: rows.length - valid.length, ids: created.map(entry => entry._id) };
+  }
+}
+
+module.exports = new WatchlistService();
@@ -19,6 +19,7 @@ import Login from './pages/auth/Login';
 // Member pages
 import MemberDashboard from './pages/member/Dashboard';
 import MemberRequests from './pages/member/Requests';
+import MemberInvite from './pages/member/Invite';
 import MemberProfile from './pages/member/Profile';
 
 // Admin pages
@@ -29,6 +30,7 @@ import AdminVisitors from './pages/admin/Visitors';
 import AdminRequests from './pages/admin/Requests';
 import AdminReports from './pages/admin/Reports';
 import AdminSettings from './pages/admin/Settings';
+import AdminWatchlist from './pages/admin/Watchlist';
 
 function App() {
   return (
@@ -63,6 +65,13 @@ function App() {
                   </Layout>
                 </ProtectedRoute>
               } />
+              <Route path="/member/invite" element={
+                <ProtectedRoute allowedRoles={['member']}>
+                  <Layout>
+                    <MemberInvite />
+                  </Layout>
+                </ProtectedRoute>
+              } />
               <Route path="/member/profile" element={
                 <ProtectedRoute allowedRoles={['member']}>
                   <Layout>
@@ -121,6 +130,13 @@ function App() {
                   </Layout>
                 </ProtectedRoute>
               } />
+              <Route path="/admin/watchlist" element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <Layout>
+                    <AdminWatchlist />
+                  </Layout>
+                </ProtectedRoute>
+              } />
               {/* Fallback to Landing for any unknown route */}
               <Route path="*" element={<LandingPage />} />
             </Routes>
@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { Zap, Plus, Trash2, Save } from 'lucide-react';
+import { membersAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const RULE_TYPES = [
+  { value: 'purpose', label: 'Visit purpose is' },
+  { value: 'returning', label: 'Returning visitor' },
+  { value: 'invited', label: 'Visitor I invited before' },
+  { value: 'timeWindow', label: 'Visit falls within' },
+];
+
+const PURPOSES = ['interview', 'casual', 'delivery', 'meeting', 'other'];
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const newRule = (type = 'purpose') => ({
+  type,
+  purposes: [],
+  minCompletedVisits: 1,
+  days: [1, 2, 3, 4, 5],
+  startTime: '09:00',
+  endTime: '17:00',
+});
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+const AutoAcceptSettings = ({ user, onSaved }) => {
+  const [enabled, setEnabled] = useState(user.preferences?.autoAccept ?? false);
+  const [rules, setRules] = useState(
+    (user.preferences?.autoAcceptRules || []).map((rule) => ({ ...newRule(rule.type), ...rule }))
+  );
+
+  const saveMutation = useMutation(
+    (data) => membersAPI.setAutoAccept(user.id, data),
+    {
+      onSuccess: (response) => {
+        onSaved(response.data.data.member.preferences);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save auto-accept settings');
+      },
+    }
+  );
+
+  const updateRule = (index, changes) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSave = () => {
+    if (rules.some((rule) => rule.type === 'purpose' && rule.purposes.length === 0)) {
+      toast.error('Choose at least one purpose for each purpose rule');
+      return;
+    }
+
+    saveMutation.mutate({
+      enabled,
+      rules: rules.map((rule) => ({ ...rule, minCompletedVisits: Number(rule.minCompletedVisits) || 1 })),
+    });
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <Zap className="h-5 w-5 mr-2" />
+          Auto Accept
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h4 className="text-sm font-medium text-gray-900">Accept requests automatically</h4>
+            <p className="text-sm text-gray-500">
+              {rules.length
+                ? 'Requests matching any rule below are accepted without waiting for you'
+                : 'With no rules, every visitor request is accepted'}
+            </p>
+          </div>
+          <label className="relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              className="sr-only peer"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+          </label>
+        </div>
+
+        {rules.map((rule, index) => (
+          <div key={index} className="p-4 border border-gray-200 rounded-lg space-y-3">
+            <div className="flex items-center space-x-2">
+              <select
+                className="input"
+                value={rule.type}
+                onChange={(e) => updateRule(index, { type: e.target.value })}
+              >
+                {RULE_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => setRules(rules.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove rule"
+              >
+                <Trash2 className="h-5 w-5" />
+              </button>
+            </div>
+
+            {rule.type === 'purpose' && (
+              <div className="flex flex-wrap gap-3">
+                {PURPOSES.map((purpose) => (
+                  <label key={purpose} className="flex items-center text-sm text-gray-700 capitalize">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={rule.purposes.includes(purpose)}
+                      onChange={() => updateRule(index, { purposes: toggle(rule.purposes, purpose) })}
+                    />
+                    {purpose}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {rule.type === 'returning' && (
+              <div className="flex items-center space-x-2 text-sm text-gray-700">
+                <span>At least</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={100}
+                  className="input w-24"
+                  value={rule.minCompletedVisits}
+                  onChange={(e) => updateRule(index, { minCompletedVisits: e.target.value })}
+                />
+                <span>completed visit(s) with me</span>
+              </div>
+            )}
+
+            {rule.type === 'timeWindow' && (
+              <>
+                <div className="flex flex-wrap gap-3">
+                  {DAYS.map((day, dayIndex) => (
+                    <label key={day} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={rule.days.includes(dayIndex)}
+                        onChange={() => updateRule(index, { days: toggle(rule.days, dayIndex) })}
+                      />
+                      {day}
+                    </label>
+                  ))}
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">From</label>
+                    <input
+                      type="time"
+                      className="input"
+                      value={rule.startTime}
+                      onChange={(e) => updateRule(index, { startTime: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Until</label>
+                    <input
+                      type="time"
+                      className="input"
+                      value={rule.endTime}
+                      onChange={(e) => updateRule(index, { endTime: e.target.value })}
+                    />
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={() => setRules([...rules, newRule()])}
+            disabled={rules.length >= 20}
+            className="btn-outline"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saveMutation.isLoading}
+            className="btn-primary"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {saveMutation.isLoading ? 'Saving...' : 'Save Auto Accept'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AutoAcceptSettings;
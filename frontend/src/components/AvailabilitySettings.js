@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { CalendarRange, Plus, Trash2, Save } from 'lucide-react';
+import { membersAPI } from '../utils/api';
+import { formatDateTime } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SLOT_LENGTHS = [15, 30, 45, 60, 90, 120];
+
+const newHours = (day = 1) => ({ day, startTime: '09:00', endTime: '17:00' });
+const newBlock = () => ({ start: '', end: '', reason: '' });
+
+// datetime-local inputs need local 'yyyy-MM-ddTHH:mm' strings
+const toInputValue = (date) => formatDateTime(date, "yyyy-MM-dd'T'HH:mm");
+
+const AvailabilitySettings = ({ user, onSaved }) => {
+  const availability = user.availability || {};
+  const [enabled, setEnabled] = useState(availability.enabled ?? false);
+  const [slotMinutes, setSlotMinutes] = useState(availability.slotMinutes || 30);
+  const [weekly, setWeekly] = useState(availability.weekly || []);
+  const [blocked, setBlocked] = useState(
+    (availability.blocked || []).map((block) => ({
+      start: toInputValue(block.start),
+      end: toInputValue(block.end),
+      reason: block.reason || '',
+    }))
+  );
+
+  const saveMutation = useMutation(
+    (data) => membersAPI.setAvailability(user.id, data),
+    {
+      onSuccess: (response) => {
+        onSaved(response.data.data.member.availability);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save availability');
+      },
+    }
+  );
+
+  const updateHours = (index, changes) => {
+    setWeekly(weekly.map((hours, i) => (i === index ? { ...hours, ...changes } : hours)));
+  };
+
+  const updateBlock = (index, changes) => {
+    setBlocked(blocked.map((block, i) => (i === index ? { ...block, ...changes } : block)));
+  };
+
+  const handleSave = () => {
+    if (enabled && weekly.length === 0) {
+      toast.error('Add your weekly hours before publishing your availability');
+      return;
+    }
+    if (blocked.some((block) => !block.start || !block.end)) {
+      toast.error('Each blocked time needs a start and end');
+      return;
+    }
+
+    saveMutation.mutate({
+      enabled,
+      slotMinutes: Number(slotMinutes),
+      weekly: weekly.map((hours) => ({ ...hours, day: Number(hours.day) })),
+      blocked: blocked.map((block) => ({
+        start: new Date(block.start).toISOString(),
+        end: new Date(block.end).toISOString(),
+        reason: block.reason || undefined,
+      })),
+    });
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <CalendarRange className="h-5 w-5 mr-2" />
+          Availability
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h4 className="text-sm font-medium text-gray-900">Let visitors book slots</h4>
+            <p className="text-sm text-gray-500">
+              Scheduled visits can only be booked inside these hours, and never over a visit you've accepted
+            </p>
+          </div>
+          <label className="relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              className="sr-only peer"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+          </label>
+        </div>
+
+        <div>
+          <label className="label">Slot Length</label>
+          <select className="input" value={slotMinutes} onChange={(e) => setSlotMinutes(e.target.value)}>
+            {SLOT_LENGTHS.map((minutes) => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Weekly Hours</h4>
+          <div className="space-y-2">
+            {weekly.map((hours, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <select
+                  className="input"
+                  value={hours.day}
+                  onChange={(e) => updateHours(index, { day: Number(e.target.value) })}
+                >
+                  {DAYS.map((day, dayIndex) => (
+                    <option key={day} value={dayIndex}>{day}</option>
+                  ))}
+                </select>
+                <input
+                  type="time"
+                  className="input"
+                  value={hours.startTime}
+                  onChange={(e) => updateHours(index, { startTime: e.target.value })}
+                />
+                <input
+                  type="time"
+                  className="input"
+                  value={hours.endTime}
+                  onChange={(e) => updateHours(index, { endTime: e.target.value })}
+                />
+                <button
+                  type="button"
+                  onClick={() => setWeekly(weekly.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove hours"
+                >
+                  <Trash2 className="h-5 w-5" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => setWeekly([...weekly, newHours(weekly.length ? (weekly[weekly.length - 1].day + 1) % 7 : 1)])}
+            disabled={weekly.length >= 21}
+            className="btn-outline text-sm mt-2"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Hours
+          </button>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Blocked Times</h4>
+          <div className="space-y-2">
+            {blocked.map((block, index) => (
+              <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                <div className="grid grid-cols-2 gap-2">
+                  <input
+                    type="datetime-local"
+                    className="input"
+                    value={block.start}
+                    onChange={(e) => updateBlock(index, { start: e.target.value })}
+                  />
+                  <input
+                    type="datetime-local"
+                    className="input"
+                    value={block.end}
+                    onChange={(e) => updateBlock(index, { end: e.target.value })}
+                  />
+                </div>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    className="input"
+                    value={block.reason}
+                    onChange={(e) => updateBlock(index, { reason: e.target.value })}
+                    placeholder="Reason (optional)"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setBlocked(blocked.filter((_, i) => i !== index))}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove blocked time"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={() => setBlocked([...blocked, newBlock()])}
+            disabled={blocked.length >= 50}
+            className="btn-outline"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Block Time
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saveMutation.isLoading}
+            className="btn-primary"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {saveMutation.isLoading ? 'Saving...' : 'Save Availability'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilitySettings;
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Ban } from 'lucide-react';
+import { visitorsAPI, companiesAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+import { formatDate, formatDateTime } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const statusBadges = {
+  active: 'badge-danger',
+  expired: 'badge-gray',
+  lifted: 'badge-success',
+};
+
+const emptyForm = {
+  scope: 'all',
+  companyIds: [],
+  reason: '',
+  expiresAt: '',
+};
+
+const staffName = (admin) => (admin ? `${admin.firstName} ${admin.lastName}` : 'System');
+
+const BlacklistModal = ({ visitor, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+
+  const { data: entriesData, isLoading } = useQuery(
+    ['visitor-blacklist', visitor._id],
+    () => visitorsAPI.getBlacklist(visitor._id)
+  );
+
+  const { data: companiesData } = useQuery(
+    ['companies-for-blacklist'],
+    () => companiesAPI.getAll({ limit: 100 }),
+    { keepPreviousData: true }
+  );
+
+  const onChanged = () => {
+    queryClient.invalidateQueries(['visitor-blacklist', visitor._id]);
+    queryClient.invalidateQueries('visitors');
+  };
+
+  const addMutation = useMutation(
+    (data) => visitorsAPI.addBlacklist(visitor._id, data),
+    {
+      onSuccess: () => {
+        onChanged();
+        setForm(emptyForm);
+        toast.success('Visitor blacklisted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to blacklist visitor');
+      },
+    }
+  );
+
+  const liftMutation = useMutation(
+    ({ entryId, reason }) => visitorsAPI.liftBlacklist(visitor._id, entryId, reason),
+    {
+      onSuccess: () => {
+        onChanged();
+        toast.success('Blacklist entry lifted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to lift blacklist entry');
+      },
+    }
+  );
+
+  const entries = entriesData?.data?.data?.entries || [];
+  const companies = companiesData?.data?.data?.companies || [];
+
+  const toggleCompany = (companyId) => {
+    setForm((prev) => ({
+      ...prev,
+      companyIds: prev.companyIds.includes(companyId)
+        ? prev.companyIds.filter((id) => id !== companyId)
+        : [...prev.companyIds, companyId],
+    }));
+  };
+
+  const handleAdd = () => {
+    if (!form.reason.trim()) {
+      toast.error('Please provide a reason for blacklisting');
+      return;
+    }
+    if (form.scope === 'companies' && form.companyIds.length === 0) {
+      toast.error('Please select at least one company');
+      return;
+    }
+
+    addMutation.mutate({
+      reason: form.reason.trim(),
+      companyIds: form.scope === 'companies' ? form.companyIds : [],
+      expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null,
+    });
+  };
+
+  const handleLift = (entryId) => {
+    const reason = prompt('Reason for lifting this entry (e.g. appeal outcome):');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+    liftMutation.mutate({ entryId, reason: reason.trim() });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+        <div className="relative bg-white rounded-lg shadow-xl max-w-2xl w-full">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <Ban className="h-5 w-5 mr-2" />
+                Blacklist: {visitor.firstName} {visitor.lastName}
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            {/* New entry */}
+            <div className="space-y-4 border-b border-gray-200 pb-6">
+              <div>
+                <label className="label">Reason</label>
+                <textarea
+                  className="input"
+                  rows={2}
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Applies To</label>
+                  <select
+                    className="input"
+                    value={form.scope}
+                    onChange={(e) => setForm({ ...form, scope: e.target.value })}
+                  >
+                    <option value="all">All companies</option>
+                    <option value="companies">Selected companies</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="label">Expires On</label>
+                  <input
+                    type="date"
+                    className="input"
+                    value={form.expiresAt}
+                    onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Leave empty to keep until lifted</p>
+                </div>
+              </div>
+              {form.scope === 'companies' && (
+                <div className="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto">
+                  {companies.map((company) => (
+                    <label key={company._id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={form.companyIds.includes(company._id)}
+                        onChange={() => toggleCompany(company._id)}
+                      />
+                      {company.name}
+                    </label>
+                  ))}
+                </div>
+              )}
+              <div className="flex justify-end">
+                <button
+                  onClick={handleAdd}
+                  disabled={addMutation.isLoading}
+                  className="btn-danger"
+                >
+                  {addMutation.isLoading ? 'Saving...' : 'Add to Blacklist'}
+                </button>
+              </div>
+            </div>
+
+            {/* History */}
+            <div className="mt-6">
+              <h4 className="text-sm font-medium text-gray-900 mb-3">History</h4>
+              {isLoading ? (
+                <div className="flex justify-center py-4">
+                  <LoadingSpinner />
+                </div>
+              ) : entries.length === 0 ? (
+                <p className="text-sm text-gray-500">This visitor has never been blacklisted.</p>
+              ) : (
+                <div className="space-y-3 max-h-80 overflow-y-auto">
+                  {entries.map((entry) => (
+                    <div key={entry._id} className="p-3 border border-gray-200 rounded-lg">
+                      <div className="flex items-start justify-between">
+                        <div className="text-sm">
+                          <div className="flex items-center space-x-2 mb-1">
+                            <span className={`badge capitalize ${statusBadges[entry.status] || 'badge-gray'}`}>
+                              {entry.status}
+                            </span>
+                            <span className="text-gray-700">
+                              {entry.companies.length
+                                ? entry.companies.map((company) => company.name).join(', ')
+                                : 'All companies'}
+                            </span>
+                          </div>
+                          <p className="text-gray-900">{entry.reason}</p>
+                          <p className="text-gray-500">
+                            Added by {staffName(entry.addedBy)} on {formatDateTime(entry.createdAt)}
+                            {entry.expiresAt && ` · expires ${formatDate(entry.expiresAt)}`}
+                          </p>
+                          {entry.liftedAt && (
+                            <p className="text-gray-500">
+                              Lifted by {staffName(entry.liftedBy)} on {formatDateTime(entry.liftedAt)}: {entry.liftReason}
+                            </p>
+                          )}
+                        </div>
+                        {entry.status === 'active' && (
+                          <button
+                            onClick={() => handleLift(entry._id)}
+                            disabled={liftMutation.isLoading}
+                            className="btn-outline text-sm"
+                          >
+                            Lift
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BlacklistModal;
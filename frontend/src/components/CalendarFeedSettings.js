@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { CalendarPlus, Copy, RefreshCw, XCircle } from 'lucide-react';
+import { membersAPI } from '../utils/api';
+import { formatDateTime } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+// Private link that lets the member subscribe to their accepted visits from any calendar app
+const CalendarFeedSettings = ({ user, onSaved }) => {
+  const [url, setUrl] = useState(null);
+  const issuedAt = user.calendarFeed?.issuedAt;
+
+  const createMutation = useMutation(
+    () => membersAPI.createCalendarFeed(user.id),
+    {
+      onSuccess: (response) => {
+        const { url: feedUrl, issuedAt: createdAt } = response.data.data;
+        setUrl(feedUrl);
+        onSaved({ issuedAt: createdAt });
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create calendar feed link');
+      },
+    }
+  );
+
+  const revokeMutation = useMutation(
+    () => membersAPI.revokeCalendarFeed(user.id),
+    {
+      onSuccess: (response) => {
+        setUrl(null);
+        onSaved({ issuedAt: null });
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to turn off calendar feed');
+      },
+    }
+  );
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Copy the link manually');
+    }
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <CalendarPlus className="h-5 w-5 mr-2" />
+          Calendar Feed
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        <p className="text-sm text-gray-500">
+          Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your upcoming accepted visits.
+          Anyone with the link can see them, so keep it private.
+        </p>
+
+        {url && (
+          <div className="flex items-center space-x-2">
+            <input type="text" readOnly className="input font-mono text-xs" value={url} onFocus={(e) => e.target.select()} />
+            <button type="button" onClick={handleCopy} className="btn-outline" title="Copy link">
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+        {url && (
+          <p className="text-xs text-warning-700">
+            Copy this link now. For your security it won't be shown again.
+          </p>
+        )}
+        {!url && issuedAt && (
+          <p className="text-sm text-gray-700">
+            Your feed link was created on {formatDateTime(issuedAt)}. Create a new one if you've lost it.
+          </p>
+        )}
+
+        <div className="flex justify-between">
+          {issuedAt ? (
+            <button
+              type="button"
+              onClick={() => revokeMutation.mutate()}
+              disabled={revokeMutation.isLoading}
+              className="btn-outline text-danger-600"
+            >
+              <XCircle className="h-4 w-4 mr-2" />
+              Turn Off
+            </button>
+          ) : <span />}
+          <button
+            type="button"
+            onClick={() => createMutation.mutate()}
+            disabled={createMutation.isLoading}
+            className="btn-primary"
+          >
+            <RefreshCw className="h-4 w-4 mr-2" />
+            {issuedAt ? 'Create New Link' : 'Create Feed Link'}
+          </button>
+        </div>
+        {issuedAt && (
+          <p className="text-xs text-gray-500">Creating a new link stops the old one from working.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedSettings;
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { CalendarDays, Trash2 } from 'lucide-react';
+import { companiesAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+import { formatDate } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const entryTypes = [
+  { value: 'holiday', label: 'Holiday' },
+  { value: 'half_day', label: 'Half Day' },
+  { value: 'closure', label: 'Closure' },
+];
+
+const emptyForm = {
+  date: '',
+  type: 'holiday',
+  name: '',
+  closesAt: '13:00',
+  reason: '',
+  conflictAction: 'reschedule',
+};
+
+const CompanyCalendarModal = ({ company, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+
+  const { data: calendarData, isLoading } = useQuery(
+    ['company-calendar', company._id],
+    () => companiesAPI.getCalendar(company._id)
+  );
+
+  const addEntryMutation = useMutation(
+    (data) => companiesAPI.addCalendarEntry(company._id, data),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['company-calendar', company._id]);
+        queryClient.invalidateQueries('companies');
+        const { rescheduled = 0, cancelled = 0 } = response.data.data.conflicts || {};
+        toast.success(
+          rescheduled || cancelled
+            ? `Entry added. ${rescheduled} visit(s) rescheduled, ${cancelled} cancelled`
+            : 'Calendar entry added'
+        );
+        setForm(emptyForm);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to add calendar entry');
+      },
+    }
+  );
+
+  const deleteEntryMutation = useMutation(
+    (entryId) => companiesAPI.deleteCalendarEntry(company._id, entryId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['company-calendar', company._id]);
+        queryClient.invalidateQueries('companies');
+        toast.success('Calendar entry removed');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to remove calendar entry');
+      },
+    }
+  );
+
+  const entries = calendarData?.data?.data?.calendar || [];
+
+  const handleAdd = () => {
+    addEntryMutation.mutate({
+      ...form,
+      closesAt: form.type === 'half_day' ? form.closesAt : undefined,
+      reason: form.reason || undefined,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+        <div className="relative bg-white rounded-lg shadow-xl max-w-2xl w-full">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <CalendarDays className="h-5 w-5 mr-2" />
+                {company.name} Calendar
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            {/* Upcoming entries */}
+            <div className="mb-6">
+              {isLoading ? (
+                <div className="flex justify-center py-4">
+                  <LoadingSpinner />
+                </div>
+              ) : entries.length === 0 ? (
+                <p className="text-sm text-gray-600">No upcoming holidays or closures.</p>
+              ) : (
+                <div className="space-y-2">
+                  {entries.map((entry) => (
+                    <div key={entry._id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {formatDate(entry.date)} · {entry.name}
+                        </p>
+                        <p className="text-xs text-gray-600">
+                          {entryTypes.find((t) => t.value === entry.type)?.label}
+                          {entry.type === 'half_day' && entry.closesAt ? ` (closes at ${entry.closesAt})` : ''}
+                          {entry.reason ? ` · ${entry.reason}` : ''}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => deleteEntryMutation.mutate(entry._id)}
+                        disabled={deleteEntryMutation.isLoading}
+                        className="text-danger-600 hover:text-danger-800"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Add entry */}
+            <div className="space-y-4 border-t border-gray-200 pt-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="label">Date</label>
+                  <input
+                    type="date"
+                    className="input"
+                    value={form.date}
+                    onChange={(e) => setForm({ ...form, date: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="label">Type</label>
+                  <select
+                    className="input"
+                    value={form.type}
+                    onChange={(e) => setForm({ ...form, type: e.target.value })}
+                  >
+                    {entryTypes.map((type) => (
+                      <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {form.type === 'half_day' && (
+                  <div>
+                    <label className="label">Closes At</label>
+                    <input
+                      type="time"
+                      className="input"
+                      value={form.closesAt}
+                      onChange={(e) => setForm({ ...form, closesAt: e.target.value })}
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Name</label>
+                  <input
+                    type="text"
+                    className="input"
+                    placeholder="e.g. Building maintenance"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="label">Booked Visits</label>
+                  <select
+                    className="input"
+                    value={form.conflictAction}
+                    onChange={(e) => setForm({ ...form, conflictAction: e.target.value })}
+                  >
+                    <option value="reschedule">Move to next open day</option>
+                    <option value="cancel">Cancel</option>
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label className="label">Reason (optional)</label>
+                <input
+                  type="text"
+                  className="input"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={onClose}
+                className="btn-outline"
+              >
+                Close
+              </button>
+              <button
+                onClick={handleAdd}
+                disabled={addEntryMutation.isLoading || !form.date || !form.name}
+                className="btn-primary"
+              >
+                {addEntryMutation.isLoading ? 'Adding...' : 'Add Entry'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompanyCalendarModal;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { AlarmClock } from 'lucide-react';
+import { companiesAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const defaultEscalation = {
+  enabled: false,
+  remindHostAfter: 15,
+  notifyManagersAfter: 30,
+  autoDeclineAfter: 60,
+  declineMessage: '',
+};
+
+const steps = [
+  { field: 'remindHostAfter', label: 'Remind the host after', hint: 'Email and SMS to the host and any delegate' },
+  { field: 'notifyManagersAfter', label: 'Notify managers after', hint: 'Company managers, or the front desk contact if there are none' },
+  { field: 'autoDeclineAfter', label: 'Decline automatically after', hint: 'The visitor receives the message below' },
+];
+
+const EscalationModal = ({ company, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ ...defaultEscalation, ...company.settings?.escalation });
+
+  const updateMutation = useMutation(
+    (data) => companiesAPI.updateEscalation(company._id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('companies');
+        toast.success('Escalation policy saved');
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save escalation policy');
+      },
+    }
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+        <div className="relative bg-white rounded-lg shadow-xl max-w-lg w-full">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <AlarmClock className="h-5 w-5 mr-2" />
+                {company.name} Escalation
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900">Escalate Unanswered Requests</h4>
+                  <p className="text-sm text-gray-500">Follow up on pending requests the host hasn't answered</p>
+                </div>
+                <label className="relative inline-flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="sr-only peer"
+                    checked={form.enabled}
+                    onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                </label>
+              </div>
+
+              {form.enabled && (
+                <>
+                  {steps.map((step) => (
+                    <div key={step.field}>
+                      <label className="label">{step.label} (minutes)</label>
+                      <input
+                        type="number"
+                        min={0}
+                        max={1440}
+                        className="input"
+                        value={form[step.field]}
+                        onChange={(e) => setForm({ ...form, [step.field]: e.target.value })}
+                      />
+                      <p className="text-xs text-gray-500 mt-1">{step.hint}. Set to 0 to skip.</p>
+                    </div>
+                  ))}
+                  <div>
+                    <label className="label">Decline Message</label>
+                    <textarea
+                      className="input"
+                      rows={3}
+                      maxLength={500}
+                      value={form.declineMessage}
+                      onChange={(e) => setForm({ ...form, declineMessage: e.target.value })}
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={onClose}
+                className="btn-outline"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => updateMutation.mutate({
+                  enabled: form.enabled,
+                  remindHostAfter: Number(form.remindHostAfter) || 0,
+                  notifyManagersAfter: Number(form.notifyManagersAfter) || 0,
+                  autoDeclineAfter: Number(form.autoDeclineAfter) || 0,
+                  declineMessage: form.declineMessage,
+                })}
+                disabled={updateMutation.isLoading}
+                className="btn-primary"
+              >
+                {updateMutation.isLoading ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EscalationModal;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { AlarmClock } from 'lucide-react';
+import { formatDateTime } from '../utils/helpers';
+
+const stepLabels = {
+  host_reminded: 'Host reminded',
+  managers_notified: 'Managers notified',
+  front_desk_notified: 'Front desk notified',
+  auto_declined: 'Automatically declined',
+};
+
+// Escalation history for a request the host didn't answer in time
+const EscalationSteps = ({ escalation }) => {
+  if (!escalation?.steps?.length) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 p-3 bg-orange-50 rounded-lg">
+      <div className="flex items-center mb-2">
+        <AlarmClock className="h-4 w-4 text-orange-600 mr-2" />
+        <span className="text-sm font-medium text-gray-900">Escalation</span>
+      </div>
+      {escalation.steps.map((step, index) => (
+        <p key={index} className="text-sm text-gray-600">
+          <strong>{stepLabels[step.step] || step.step}</strong> {formatDateTime(step.at)}
+          {step.step !== 'auto_declined' && step.recipients?.length > 0 && ` · ${step.recipients.join(', ')}`}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default EscalationSteps;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { Users, LogIn, LogOut } from 'lucide-react';
+import { requestsAPI } from '../utils/api';
+import { formatDateTime } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const attendeeStatus = (attendee) => {
+  if (attendee.exitedAt) return { className: 'badge-gray', label: `Left ${formatDateTime(attendee.exitedAt)}` };
+  if (attendee.enteredAt) return { className: 'badge-success', label: `On site since ${formatDateTime(attendee.enteredAt)}` };
+  return { className: 'badge-warning', label: 'Not arrived' };
+};
+
+// People on a group visit; security checks named attendees in and out once the lead is on site
+const GroupAttendees = ({ request }) => {
+  const queryClient = useQueryClient();
+
+  const onSuccess = (response) => {
+    queryClient.invalidateQueries('admin-requests');
+    toast.success(response.data.message);
+  };
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update attendee');
+  };
+
+  const checkInMutation = useMutation(
+    (attendeeId) => requestsAPI.markEntered(request._id, undefined, undefined, [attendeeId]),
+    { onSuccess, onError }
+  );
+  const checkOutMutation = useMutation(
+    (attendeeId) => requestsAPI.markExited(request._id, [attendeeId]),
+    { onSuccess, onError }
+  );
+
+  if (!request.headcount || request.headcount < 2) {
+    return null;
+  }
+
+  const attendees = request.attendees || [];
+  const unlisted = request.headcount - 1 - attendees.length;
+  const busy = checkInMutation.isLoading || checkOutMutation.isLoading;
+  const onSite = request.status === 'in-progress';
+
+  return (
+    <div className="mb-4 p-3 bg-blue-50 rounded-lg">
+      <div className="flex items-center mb-2">
+        <Users className="h-4 w-4 text-blue-600 mr-2" />
+        <span className="text-sm font-medium text-gray-900">
+          Group of {request.headcount} led by {request.visitor.firstName} {request.visitor.lastName}
+        </span>
+      </div>
+      <div className="space-y-2">
+        {attendees.map((attendee) => {
+          const status = attendeeStatus(attendee);
+          return (
+            <div key={attendee._id} className="flex items-center justify-between text-sm text-gray-600">
+              <div className="flex items-center space-x-2">
+                {attendee.photo ? (
+                  <img src={attendee.photo} alt="" className="h-8 w-8 rounded-full object-cover" />
+                ) : (
+                  <div className="h-8 w-8 rounded-full bg-gray-200" />
+                )}
+                <span>{attendee.firstName} {attendee.lastName}</span>
+                <span className={`badge ${status.className}`}>{status.label}</span>
+              </div>
+              {onSite && !attendee.enteredAt && (
+                <button
+                  type="button"
+                  onClick={() => checkInMutation.mutate(attendee._id)}
+                  disabled={busy}
+                  className="btn-outline text-sm"
+                >
+                  <LogIn className="h-4 w-4 mr-1" />
+                  Check In
+                </button>
+              )}
+              {onSite && attendee.enteredAt && !attendee.exitedAt && (
+                <button
+                  type="button"
+                  onClick={() => checkOutMutation.mutate(attendee._id)}
+                  disabled={busy}
+                  className="btn-outline text-sm"
+                >
+                  <LogOut className="h-4 w-4 mr-1" />
+                  Check Out
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {unlisted > 0 && (
+          <p className="text-sm text-gray-500">
+            {unlisted} more {unlisted === 1 ? 'person' : 'people'} arriving and leaving with the lead
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GroupAttendees;
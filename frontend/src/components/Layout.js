@@ -14,7 +14,9 @@ import {
   Menu, 
   X,
   Bell,
-  User
+  User,
+  UserPlus,
+  ShieldAlert
 } from 'lucide-react';
 import { getTimeOfDayGreeting, getInitials } from '../utils/helpers';
 
@@ -37,10 +39,14 @@ const Layout = ({ children }) => {
     { name: 'Visitors', href: '/admin/visitors', icon: UserCheck },
     { name: 'Requests', href: '/admin/requests', icon: FileText },
     { name: 'Reports', href: '/admin/reports', icon: BarChart3 },
+    ...(['security', 'super_admin'].includes(user?.role)
+      ? [{ name: 'Watchlist', href: '/admin/watchlist', icon: ShieldAlert }]
+      : []),
     { name: 'Settings', href: '/admin/settings', icon: Settings },
   ] : [
     { name: 'Dashboard', href: '/member', icon: Home },
     { name: 'Requests', href: '/member/requests', icon: FileText },
+    { name: 'Invite', href: '/member/invite', icon: UserPlus },
     { name: 'Profile', href: '/member/profile', icon: User },
   ];
 
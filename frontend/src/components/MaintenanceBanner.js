@@ -0,0 +1,24 @@
+import React from 'react';
+import { Wrench } from 'lucide-react';
+import { formatDateTime } from '../utils/helpers';
+
+const MaintenanceBanner = ({ message, endsAt }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-warning-200 p-8 text-center">
+      <div className="inline-flex items-center justify-center w-16 h-16 bg-warning-100 rounded-full mb-4">
+        <Wrench className="h-8 w-8 text-warning-600" />
+      </div>
+      <h2 className="text-2xl font-bold text-gray-900 mb-2">Under Maintenance</h2>
+      <p className="text-gray-600 max-w-xl mx-auto">
+        {message || 'The visitor system is undergoing scheduled maintenance. Please try again later.'}
+      </p>
+      {endsAt && (
+        <p className="text-sm text-gray-500 mt-4">
+          Expected to be back by {formatDateTime(endsAt)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MaintenanceBanner;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { CalendarClock } from 'lucide-react';
+import { formatDateTime } from '../utils/helpers';
+
+// Rounds of proposed times exchanged while rescheduling a request
+const NegotiationHistory = ({ negotiation, visitorView = false }) => {
+  if (!negotiation?.rounds?.length) {
+    return null;
+  }
+
+  const sideLabel = (round) => {
+    if (round.proposedBy === 'visitor') {
+      return visitorView ? 'You proposed' : 'Visitor proposed';
+    }
+    return visitorView ? 'Host proposed' : 'Host side proposed';
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-yellow-50 rounded-lg">
+      <div className="flex items-center mb-2">
+        <CalendarClock className="h-4 w-4 text-yellow-700 mr-2" />
+        <span className="text-sm font-medium text-gray-900">
+          Reschedule
+          {negotiation.awaiting && ` · waiting for the ${negotiation.awaiting}`}
+        </span>
+      </div>
+      <div className="space-y-2">
+        {negotiation.rounds.map((round, index) => (
+          <div key={index} className="text-sm text-gray-600">
+            <p>
+              <strong>{sideLabel(round)}</strong> {formatDateTime(round.createdAt)}
+            </p>
+            <p>
+              {round.slots.map((slot) => formatDateTime(slot)).join(' · ')}
+              {round.selectedSlot && ` → agreed on ${formatDateTime(round.selectedSlot)}`}
+            </p>
+            {round.message && <p className="italic">"{round.message}"</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NegotiationHistory;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+
+const responseBadges = {
+  accept: { className: 'badge-success', label: 'Accepted' },
+  decline: { className: 'badge-danger', label: 'Declined' },
+  reschedule: { className: 'badge-warning', label: 'Proposed new time' },
+};
+
+// Hosts on a panel visit and how each of them answered
+const PanelHosts = ({ request }) => {
+  if (!request.hosts || request.hosts.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 p-3 bg-blue-50 rounded-lg">
+      <div className="flex items-center mb-2">
+        <Users className="h-4 w-4 text-blue-600 mr-2" />
+        <span className="text-sm font-medium text-gray-900">
+          Panel visit · {request.approvalMode === 'all' ? 'every host must accept' : 'any one host can accept'}
+        </span>
+      </div>
+      <div className="space-y-1">
+        {request.hosts.map((host) => {
+          const badge = responseBadges[host.action];
+          return (
+            <div key={host.member?._id || host.member} className="flex items-center justify-between text-sm text-gray-600">
+              <span>{host.member?.firstName} {host.member?.lastName}</span>
+              <span className={`badge ${badge ? badge.className : 'badge-gray'}`}>
+                {badge ? badge.label : 'Waiting'}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PanelHosts;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { Eye } from 'lucide-react';
+import { companiesAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const statusOptions = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'accepted', label: 'Accepted' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'declined', label: 'Declined' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'expired', label: 'Expired' },
+];
+
+const defaultBoard = {
+  enabled: true,
+  visitorName: 'initials',
+  visitorPhone: 'masked',
+  hiddenStatuses: ['declined', 'cancelled'],
+};
+
+const PublicBoardModal = ({ company, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ ...defaultBoard, ...company.settings?.publicBoard });
+
+  const updateMutation = useMutation(
+    (data) => companiesAPI.updatePublicBoard(company._id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('companies');
+        toast.success('Public board settings saved');
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save public board settings');
+      },
+    }
+  );
+
+  const toggleStatus = (status) => {
+    setForm((prev) => ({
+      ...prev,
+      hiddenStatuses: prev.hiddenStatuses.includes(status)
+        ? prev.hiddenStatuses.filter((s) => s !== status)
+        : [...prev.hiddenStatuses, status],
+    }));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-full items-center justify-center p-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+        <div className="relative bg-white rounded-lg shadow-xl max-w-lg w-full">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <Eye className="h-5 w-5 mr-2" />
+                {company.name} Public Board
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900">Show on Public Board</h4>
+                  <p className="text-sm text-gray-500">List this company's visits on the public pages</p>
+                </div>
+                <label className="relative inline-flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="sr-only peer"
+                    checked={form.enabled}
+                    onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                </label>
+              </div>
+
+              {form.enabled && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="label">Visitor Name</label>
+                      <select
+                        className="input"
+                        value={form.visitorName}
+                        onChange={(e) => setForm({ ...form, visitorName: e.target.value })}
+                      >
+                        <option value="initials">Initials only</option>
+                        <option value="full">Full name</option>
+                        <option value="hidden">Hidden</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="label">Visitor Phone</label>
+                      <select
+                        className="input"
+                        value={form.visitorPhone}
+                        onChange={(e) => setForm({ ...form, visitorPhone: e.target.value })}
+                      >
+                        <option value="masked">Last 4 digits</option>
+                        <option value="hidden">Hidden</option>
+                      </select>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="label">Hide Requests That Are</label>
+                    <div className="grid grid-cols-2 gap-2">
+                      {statusOptions.map((status) => (
+                        <label key={status.value} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            className="mr-2"
+                            checked={form.hiddenStatuses.includes(status.value)}
+                            onChange={() => toggleStatus(status.value)}
+                          />
+                          {status.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button
+                onClick={onClose}
+                className="btn-outline"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => updateMutation.mutate({
+                  enabled: form.enabled,
+                  visitorName: form.visitorName,
+                  visitorPhone: form.visitorPhone,
+                  hiddenStatuses: form.hiddenStatuses,
+                })}
+                disabled={updateMutation.isLoading}
+                className="btn-primary"
+              >
+                {updateMutation.isLoading ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PublicBoardModal;
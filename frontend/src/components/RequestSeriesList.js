@@ -0,0 +1,191 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Repeat, CheckCircle, XCircle, Trash2 } from 'lucide-react';
+import { seriesAPI } from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+import { formatDate, formatDateTime, getPurposeText } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const seriesStatus = {
+  pending: { label: 'Awaiting approval', color: 'warning' },
+  active: { label: 'Active', color: 'success' },
+  declined: { label: 'Declined', color: 'danger' },
+  cancelled: { label: 'Cancelled', color: 'danger' },
+  completed: { label: 'Completed', color: 'info' },
+  expired: { label: 'Expired', color: 'danger' },
+};
+
+const visitStatus = {
+  scheduled: 'Not created yet',
+  accepted: 'Gate pass sent',
+  'security-review': 'Security review',
+  'in-progress': 'In progress',
+  completed: 'Completed',
+  expired: 'Missed',
+  cancelled: 'Cancelled',
+  closed: 'Skipped (company closed)',
+  double_booked: 'Skipped (you were booked)',
+};
+
+// Visits that can still be called off
+const CANCELLABLE = ['scheduled', 'accepted', 'security-review'];
+
+// Recurring visits the member hosts: approve once, then cancel single visits or the series
+const RequestSeriesList = ({ memberId }) => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    ['member-series', memberId],
+    () => seriesAPI.getByMember(memberId, { limit: 20 }),
+    { enabled: !!memberId }
+  );
+  const series = data?.data?.data?.series || [];
+
+  const onSuccess = (response) => {
+    queryClient.invalidateQueries(['member-series', memberId]);
+    queryClient.invalidateQueries(['member-requests', memberId]);
+    toast.success(response.data.message);
+  };
+  const onError = (error) => {
+    toast.error(error.response?.data?.message || 'Failed to update recurring visit');
+  };
+
+  const respondMutation = useMutation(
+    ({ id, action }) => seriesAPI.respond(id, action),
+    { onSuccess, onError }
+  );
+  const cancelMutation = useMutation((id) => seriesAPI.cancel(id), { onSuccess, onError });
+  const cancelVisitMutation = useMutation(
+    ({ id, date }) => seriesAPI.cancelOccurrence(id, date),
+    { onSuccess, onError }
+  );
+
+  const busy = respondMutation.isLoading || cancelMutation.isLoading || cancelVisitMutation.isLoading;
+
+  const handleCancel = (entry) => {
+    if (window.confirm(`Cancel every upcoming visit of ${entry.visitor.firstName} ${entry.visitor.lastName}?`)) {
+      cancelMutation.mutate(entry._id);
+    }
+  };
+
+  const handleCancelVisit = (entry, date) => {
+    if (window.confirm(`Cancel the visit on ${formatDateTime(date)}?`)) {
+      cancelVisitMutation.mutate({ id: entry._id, date });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (series.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <Repeat className="h-5 w-5 mr-2" />
+          Recurring Visits
+        </h3>
+      </div>
+      <div className="card-body space-y-4">
+        {series.map((entry) => (
+          <div key={entry._id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <h4 className="font-medium text-gray-900">
+                    {entry.visitor.firstName} {entry.visitor.lastName}
+                  </h4>
+                  <span className={`badge badge-${seriesStatus[entry.status]?.color || 'gray'}`}>
+                    {seriesStatus[entry.status]?.label || entry.status}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  {getPurposeText(entry.purpose)} · {entry.duration} minutes · {entry.schedule}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {formatDate(entry.startTime)} – {formatDate(entry.endDate)}
+                  {entry.visitor.phone && ` · ${entry.visitor.phone}`}
+                </p>
+                {entry.purposeDescription && (
+                  <p className="text-sm text-gray-600 mt-1">{entry.purposeDescription}</p>
+                )}
+              </div>
+              <div className="flex space-x-2">
+                {entry.status === 'pending' && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => respondMutation.mutate({ id: entry._id, action: 'approve' })}
+                      disabled={busy}
+                      className="btn-success text-sm"
+                    >
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => respondMutation.mutate({ id: entry._id, action: 'decline' })}
+                      disabled={busy}
+                      className="btn-danger text-sm"
+                    >
+                      <XCircle className="h-4 w-4 mr-1" />
+                      Decline
+                    </button>
+                  </>
+                )}
+                {entry.status === 'active' && (
+                  <button
+                    type="button"
+                    onClick={() => handleCancel(entry)}
+                    disabled={busy}
+                    className="btn-outline text-sm"
+                  >
+                    <XCircle className="h-4 w-4 mr-1" />
+                    Cancel Series
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {entry.upcoming?.length > 0 && (
+              <div className="mt-3 border-t border-gray-100 pt-3">
+                <p className="text-xs font-medium text-gray-500 uppercase mb-2">Next visits</p>
+                <ul className="space-y-1">
+                  {entry.upcoming.map((visit) => (
+                    <li key={visit.date} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-700">
+                        {formatDateTime(visit.date)}
+                        <span className="text-gray-500 ml-2">{visitStatus[visit.status] || visit.status}</span>
+                      </span>
+                      {entry.status === 'active' && CANCELLABLE.includes(visit.status) && (
+                        <button
+                          type="button"
+                          onClick={() => handleCancelVisit(entry, visit.date)}
+                          disabled={busy}
+                          className="text-red-600 hover:text-red-800"
+                          title="Cancel this visit"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RequestSeriesList;
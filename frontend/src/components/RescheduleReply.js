@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { CalendarClock, Check, Plus, Trash2 } from 'lucide-react';
+import { requestsAPI } from '../utils/api';
+import { formatDateTime } from '../utils/helpers';
+import toast from 'react-hot-toast';
+
+const MAX_SLOTS = 5;
+
+// Lets the visitor confirm one of the host's proposed times or suggest others
+const RescheduleReply = ({ request, token, onAnswered }) => {
+  const [countering, setCountering] = useState(false);
+  const [slots, setSlots] = useState(['']);
+  const [message, setMessage] = useState('');
+
+  const rounds = request.negotiation?.rounds || [];
+  const latest = rounds[rounds.length - 1];
+
+  const replyMutation = useMutation(
+    (data) => requestsAPI.respondToReschedule(request._id, token, data),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        setCountering(false);
+        setSlots(['']);
+        setMessage('');
+        onAnswered();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to answer the proposed times');
+      },
+    }
+  );
+
+  const handleCounter = () => {
+    const times = slots.filter(Boolean);
+    if (times.length === 0) {
+      toast.error('Add at least one time that suits you');
+      return;
+    }
+    if (times.some((time) => new Date(time) <= new Date())) {
+      toast.error('Proposed times must be in the future');
+      return;
+    }
+
+    replyMutation.mutate({
+      action: 'counter',
+      slots: times.map((time) => new Date(time).toISOString()),
+      message: message || undefined,
+    });
+  };
+
+  if (!latest) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-warning-200 p-6 mb-8">
+      <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+        <CalendarClock className="h-5 w-5 mr-2" />
+        Choose a New Time
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Your host can't meet at the requested time. Confirm one of these times or suggest others.
+      </p>
+      {latest.message && (
+        <p className="text-sm text-gray-700 italic mb-4">"{latest.message}"</p>
+      )}
+
+      <div className="space-y-2 mb-4">
+        {latest.slots.map((slot) => (
+          <div key={slot} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+            <span className="text-gray-900">{formatDateTime(slot)}</span>
+            <button
+              onClick={() => replyMutation.mutate({ action: 'confirm', slot })}
+              disabled={replyMutation.isLoading || new Date(slot) <= new Date()}
+              className="btn-primary text-sm inline-flex items-center"
+            >
+              <Check className="h-4 w-4 mr-1" />
+              Confirm
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {countering ? (
+        <div className="space-y-3">
+          {slots.map((slot, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                type="datetime-local"
+                className="input"
+                value={slot}
+                onChange={(e) => setSlots(slots.map((s, i) => (i === index ? e.target.value : s)))}
+              />
+              {slots.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => setSlots(slots.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove time"
+                >
+                  <Trash2 className="h-5 w-5" />
+                </button>
+              )}
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setSlots([...slots, ''])}
+            disabled={slots.length >= MAX_SLOTS}
+            className="btn-outline text-sm inline-flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Time
+          </button>
+          <textarea
+            rows={2}
+            className="input"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Add a message for your host..."
+          />
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => setCountering(false)} className="btn-outline">
+              Cancel
+            </button>
+            <button
+              onClick={handleCounter}
+              disabled={replyMutation.isLoading}
+              className="btn-primary"
+            >
+              {replyMutation.isLoading ? 'Sending...' : 'Send Times'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={() => setCountering(true)} className="btn-outline">
+          None of these work for me
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default RescheduleReply;
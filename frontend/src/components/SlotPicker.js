@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { formatDate, formatTime } from '../utils/helpers';
+
+// Bookable slots from the host's published availability, grouped by day
+const SlotPicker = ({ days, value, onChange }) => {
+  const openDays = days.filter((day) => day.slots.length > 0);
+  const [selectedDate, setSelectedDate] = useState(openDays[0]?.date || null);
+
+  if (openDays.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No open slots in the coming days. Please check back later or contact your host.
+      </p>
+    );
+  }
+
+  const current = openDays.find((day) => day.date === selectedDate) || openDays[0];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex space-x-2 overflow-x-auto pb-1">
+        {openDays.map((day) => (
+          <button
+            key={day.date}
+            type="button"
+            onClick={() => setSelectedDate(day.date)}
+            className={`px-3 py-2 rounded-lg border text-sm whitespace-nowrap ${
+              day.date === current.date
+                ? 'border-primary-600 bg-primary-50 text-primary-700'
+                : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {formatDate(day.slots[0].start, 'EEE dd/MM')}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-3 md:grid-cols-5 gap-2">
+        {current.slots.map((slot) => (
+          <button
+            key={slot.start}
+            type="button"
+            onClick={() => onChange(value === slot.start ? '' : slot.start)}
+            className={`px-2 py-2 rounded-lg border text-sm ${
+              value === slot.start
+                ? 'border-primary-600 bg-primary-600 text-white'
+                : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {formatTime(slot.start)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SlotPicker;
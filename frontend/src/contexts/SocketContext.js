@@ -47,6 +47,10 @@ export const SocketProvider = ({ children }) => {
         } else if (userType === 'admin') {
           // Admin can join all company rooms
           newSocket.emit('join-company', 'all');
+
+          if (user.role === 'security' || user.role === 'super_admin') {
+            newSocket.emit('join-security');
+          }
         }
       });
 
@@ -63,12 +67,65 @@ export const SocketProvider = ({ children }) => {
       // Listen for new requests (for members)
       newSocket.on('new-request', (data) => {
         if (userType === 'member') {
-          toast.success(`New visitor request from ${data.request.visitor.firstName} ${data.request.visitor.lastName}`, {
+          const { visitor, onBehalfOf } = data.request;
+          const forHost = onBehalfOf ? ` for ${onBehalfOf.firstName} ${onBehalfOf.lastName}` : '';
+          toast.success(`New visitor request from ${visitor.firstName} ${visitor.lastName}${forHost}`, {
             duration: 6000,
           });
         }
       });
 
+      // Listen for recurring visits waiting for the host's approval
+      newSocket.on('new-series-request', (data) => {
+        if (userType === 'member') {
+          const { visitor, schedule } = data.series;
+          toast.success(`${visitor.firstName} ${visitor.lastName} asked to visit ${schedule}`, {
+            duration: 6000,
+          });
+        }
+      });
+
+      // Listen for answers from other hosts on a panel visit
+      newSocket.on('host-response', (data) => {
+        const { visitor, host, action, status } = data.request;
+        const answer = { accept: 'accepted', decline: 'declined', reschedule: 'proposed a new time for' }[action] || action;
+        toast(`${host.firstName} ${host.lastName} ${answer} ${visitor.firstName} ${visitor.lastName}'s visit${status !== 'pending' ? ` (now ${status})` : ''}`, {
+          duration: 6000,
+        });
+      });
+
+      // Listen for visitors answering proposed reschedule times
+      newSocket.on('reschedule-reply', (data) => {
+        const { visitor, action } = data.request;
+        const name = `${visitor.firstName} ${visitor.lastName}`;
+        if (action === 'confirm') {
+          toast.success(`${name} confirmed the new visit time`, { duration: 6000 });
+        } else {
+          toast(`${name} proposed other times for their visit`, { duration: 6000 });
+        }
+      });
+
+      // Listen for escalated requests (hosts, delegates and managers)
+      newSocket.on('request-escalated', (data) => {
+        const { visitor, host, step } = data.request;
+        const name = `${visitor.firstName} ${visitor.lastName}`;
+        if (step === 'auto_declined') {
+          toast.error(`${name}'s request was declined automatically after no response`, { duration: 8000 });
+        } else if (step === 'host_reminded') {
+          toast.error(`${name} is still waiting for a response`, { duration: 8000 });
+        } else {
+          toast.error(`${name} is still waiting for ${host.firstName} ${host.lastName} to respond`, { duration: 8000 });
+        }
+      });
+
+      // Listen for watchlist matches (for security admins)
+      newSocket.on('security-alert', (data) => {
+        const { visitor, held } = data;
+        toast.error(`Watchlist match: ${visitor.firstName} ${visitor.lastName}${held ? ' (held for review)' : ''}`, {
+          duration: 8000,
+        });
+      });
+
       // Listen for request updates (for all users)
       newSocket.on('request-update', (data) => {
         const { type, request } = data;
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useQuery } from 'react-query';
-import { Building2, Search, ArrowRight, MapPin, Clock, Users } from 'lucide-react';
+import { Building2, Search, ArrowRight, MapPin, Clock, Users, CalendarX } from 'lucide-react';
 import { companiesAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { debounce } from '../utils/helpers';
@@ -119,9 +119,23 @@ const CompanySelection = () => {
                         <MapPin className="h-4 w-4 mr-1" />
                         {company.location}
                       </div>
+                      {company.availability?.closedToday ? (
+                        <span className="badge badge-danger">Closed today</span>
+                      ) : company.availability?.closure?.type === 'half_day' && (
+                        <span className="badge badge-warning">
+                          Closes at {company.availability.closure.closesAt} today
+                        </span>
+                      )}
                     </div>
                   </div>
 
+                  {company.availability?.closure && (
+                    <div className="flex items-center text-sm text-danger-600 mb-4">
+                      <CalendarX className="h-4 w-4 mr-2" />
+                      <span>{company.availability.closure.name}</span>
+                    </div>
+                  )}
+
                   {company.description && (
                     <p className="text-gray-600 text-sm mb-4 line-clamp-2">
                       {company.description}
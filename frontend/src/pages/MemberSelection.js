@@ -9,11 +9,12 @@ import {
   Mail, 
   Phone, 
   Briefcase,
-  ArrowRight 
+  ArrowRight,
+  CalendarX
 } from 'lucide-react';
 import { companiesAPI, membersAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { debounce, getInitials } from '../utils/helpers';
+import { debounce, getInitials, formatDateTime } from '../utils/helpers';
 
 const MemberSelection = () => {
   const { companyId } = useParams();
@@ -103,6 +104,23 @@ const MemberSelection = () => {
                 )}
               </div>
             </div>
+            {company.availability?.closure && (
+              <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start">
+                <CalendarX className="h-5 w-5 text-red-600 mr-2 mt-0.5" />
+                <div>
+                  <p className="text-red-800 font-medium">
+                    {company.availability.closedToday
+                      ? `Closed today: ${company.availability.closure.name}`
+                      : `Closes at ${company.availability.closure.closesAt} today: ${company.availability.closure.name}`}
+                  </p>
+                  {company.availability.nextOpeningAt && (
+                    <p className="text-red-700 text-sm mt-1">
+                      You can still request a visit from {formatDateTime(company.availability.nextOpeningAt)}.
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
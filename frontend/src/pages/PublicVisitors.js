@@ -11,15 +11,15 @@ const PublicVisitors = () => {
     () => requestsAPI.getPublic({ page, limit: 20 })
   );
 
-  const requests = data?.data?.requests || [];
-  const pagination = data?.data?.pagination;
+  const requests = data?.data?.data?.requests || [];
+  const pagination = data?.data?.data?.pagination;
 
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white shadow-sm">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
           <h1 className="text-2xl font-bold text-gray-900">Recent Visitor Requests</h1>
-          <p className="text-gray-600">Public view of the latest requests across companies</p>
+          <p className="text-gray-600">Public view of the latest requests across companies. Visitor details are partially hidden for privacy.</p>
         </div>
       </header>
 
@@ -44,7 +44,10 @@ const PublicVisitors = () => {
                     </div>
                     <div>
                       <p className="text-sm text-gray-600">Visitor</p>
-                      <p className="text-gray-900 font-medium flex items-center"><User className="h-4 w-4 mr-1" />{req.visitor?.firstName} {req.visitor?.lastName}</p>
+                      <p className="text-gray-900 font-medium flex items-center"><User className="h-4 w-4 mr-1" />{req.visitor?.firstName ? `${req.visitor.firstName} ${req.visitor.lastName || ''}` : 'Hidden'}</p>
+                      {req.visitor?.phone && (
+                        <p className="text-sm text-gray-500">{req.visitor.phone}</p>
+                      )}
                     </div>
                     <div>
                       <p className="text-sm text-gray-600">Requested</p>
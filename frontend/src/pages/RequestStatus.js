@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery } from 'react-query';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useQuery, useMutation } from 'react-query';
 import { 
   ArrowLeft, 
   Clock, 
@@ -13,28 +13,47 @@ import {
   Calendar,
   Timer,
   FileText,
-  RefreshCw
+  RefreshCw,
+  QrCode,
+  LogOut
 } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
 import { requestsAPI } from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import NegotiationHistory from '../components/NegotiationHistory';
+import RescheduleReply from '../components/RescheduleReply';
 import { 
   formatDateTime, 
   formatDuration, 
   getStatusText, 
   getPurposeText,
-  getRelativeDateText 
+  getRelativeDateText,
+  saveVisitorToken,
+  getVisitorToken
 } from '../utils/helpers';
 import { useSocket } from '../contexts/SocketContext';
+import toast from 'react-hot-toast';
 
 const RequestStatus = () => {
   const { requestId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [lastUpdated, setLastUpdated] = useState(new Date());
+  const [visitorToken, setVisitorToken] = useState(() => getVisitorToken(requestId));
   const { on } = useSocket();
 
+  // Invitation links carry the visitor token in the URL
+  useEffect(() => {
+    const token = searchParams.get('token');
+    if (token) {
+      saveVisitorToken(requestId, token);
+      setVisitorToken(token);
+    }
+  }, [searchParams, requestId]);
+
   const { data: requestData, isLoading, error, refetch } = useQuery(
-    ['request', requestId],
-    () => requestsAPI.getById(requestId),
+    ['request', requestId, visitorToken],
+    () => requestsAPI.getById(requestId, visitorToken),
     {
       enabled: !!requestId,
       refetchInterval: 30000, // Refetch every 30 seconds
@@ -53,6 +72,19 @@ const RequestStatus = () => {
     on('request-update', handleRequestUpdate);
   }, [on, requestId, refetch]);
 
+  const checkoutMutation = useMutation(
+    () => requestsAPI.checkout(requestId, visitorToken),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message || 'Checked out successfully');
+        refetch();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to check out');
+      },
+    }
+  );
+
   const request = requestData?.data?.data?.request || requestData?.data?.request || requestData?.data?.requests;
 
   const getStatusIcon = (status) => {
@@ -67,6 +99,8 @@ const RequestStatus = () => {
         return <CheckCircle className="h-6 w-6 text-success-600" />;
       case 'cancelled':
         return <XCircle className="h-6 w-6 text-danger-600" />;
+      case 'expired':
+        return <XCircle className="h-6 w-6 text-gray-600" />;
       case 'in-progress':
         return <Timer className="h-6 w-6 text-primary-600" />;
       default:
@@ -77,7 +111,9 @@ const RequestStatus = () => {
   const getStatusMessage = (status) => {
     switch (status) {
       case 'pending':
-        return 'Your request is pending approval. You will be notified once the member responds.';
+        return request?.negotiation?.awaiting === 'visitor'
+          ? 'Your host proposed new times for your visit. Please confirm one or suggest others.'
+          : 'Your request is pending approval. You will be notified once the member responds.';
       case 'accepted':
         return 'Your request has been accepted! You can now proceed to the reception desk.';
       case 'declined':
@@ -86,6 +122,13 @@ const RequestStatus = () => {
         return 'Your visit has been completed. Thank you for visiting!';
       case 'cancelled':
         return 'Your request has been cancelled.';
+      case 'expired':
+        if (request?.expiry?.reason === 'no_show') {
+          return 'Your request has expired because the visit window closed before you checked in.';
+        }
+        return request?.expiry?.reason === 'no_agreement'
+          ? 'Your request has expired because no visit time was agreed before the proposed times passed.'
+          : 'Your request has expired because the member did not respond in time.';
       case 'in-progress':
         return 'You have entered the premises. Your visit is in progress.';
       default:
@@ -104,7 +147,7 @@ const RequestStatus = () => {
       case 'accepted':
         return [
           'Proceed to the reception desk at the company',
-          'Show this page or your phone number to the security personnel',
+          'Show your gate pass QR code or code to the security personnel',
           'You will be directed to meet the member'
         ];
       case 'declined':
@@ -119,6 +162,12 @@ const RequestStatus = () => {
           'You can submit a new request anytime for future visits',
           'Rate your experience if prompted'
         ];
+      case 'expired':
+        return [
+          'This request and its gate pass are no longer valid',
+          'Submit a new request if you still wish to visit',
+          'Contact the member directly to agree on a time'
+        ];
       case 'in-progress':
         return [
           'Your visit is currently in progress',
@@ -203,6 +252,41 @@ const RequestStatus = () => {
           </div>
         </div>
 
+        {/* Reschedule */}
+        {request.status === 'pending' && request.negotiation?.awaiting === 'visitor' && visitorToken && (
+          <RescheduleReply request={request} token={visitorToken} onAnswered={refetch} />
+        )}
+
+        {/* Gate Pass */}
+        {request.status === 'accepted' && request.gatePass?.code && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <QrCode className="h-5 w-5 mr-2" />
+              Gate Pass
+            </h2>
+            <div className="flex flex-col md:flex-row items-center md:space-x-8">
+              <div className="p-3 bg-white border border-gray-200 rounded-lg">
+                <QRCodeSVG value={request.gatePass.token} size={180} />
+              </div>
+              <div className="mt-4 md:mt-0 text-center md:text-left space-y-3">
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Pass Code</label>
+                  <p className="text-3xl font-bold tracking-widest text-gray-900">{request.gatePass.code}</p>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Valid</label>
+                  <p className="text-gray-900">
+                    {formatDateTime(request.gatePass.validFrom)} - {formatDateTime(request.gatePass.validUntil)}
+                  </p>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Show this QR code or pass code at the security desk. It can only be used once.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Request Details */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Visitor Information */}
@@ -212,18 +296,29 @@ const RequestStatus = () => {
               Visitor Information
             </h2>
             <div className="space-y-3">
+              {request.redacted && (
+                <p className="text-sm text-gray-500">
+                  Some details are hidden. Open the link you received when submitting this request to see everything.
+                </p>
+              )}
               <div>
                 <label className="text-sm font-medium text-gray-500">Name</label>
-                <p className="text-gray-900">{request.visitor.firstName} {request.visitor.lastName}</p>
-              </div>
-              <div>
-                <label className="text-sm font-medium text-gray-500">Phone</label>
-                <p className="text-gray-900 flex items-center">
-                  <Phone className="h-4 w-4 mr-1" />
-                  {request.visitor.phone}
+                <p className="text-gray-900">
+                  {request.visitor?.firstName
+                    ? `${request.visitor.firstName} ${request.visitor.lastName || ''}`
+                    : 'Hidden'}
                 </p>
               </div>
-              {request.visitor.email && (
+              {request.visitor?.phone && (
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Phone</label>
+                  <p className="text-gray-900 flex items-center">
+                    <Phone className="h-4 w-4 mr-1" />
+                    {request.visitor.phone}
+                  </p>
+                </div>
+              )}
+              {request.visitor?.email && (
                 <div>
                   <label className="text-sm font-medium text-gray-500">Email</label>
                   <p className="text-gray-900 flex items-center">
@@ -385,6 +480,12 @@ const RequestStatus = () => {
           </div>
         )}
 
+        {request.negotiation?.rounds?.length > 0 && (
+          <div className="mt-8">
+            <NegotiationHistory negotiation={request.negotiation} visitorView />
+          </div>
+        )}
+
         {/* Entry Details */}
         {request.entryDetails && (request.entryDetails.enteredAt || request.entryDetails.exitedAt) && (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mt-8">
@@ -399,7 +500,12 @@ const RequestStatus = () => {
               {request.entryDetails.exitedAt && (
                 <div>
                   <label className="text-sm font-medium text-gray-500">Exit Time</label>
-                  <p className="text-gray-900">{formatDateTime(request.entryDetails.exitedAt)}</p>
+                  <p className="text-gray-900">
+                    {formatDateTime(request.entryDetails.exitedAt)}
+                    {request.entryDetails.autoExited && (
+                      <span className="text-sm text-gray-500"> (closed automatically at end of day)</span>
+                    )}
+                  </p>
                 </div>
               )}
               {request.entryDetails.entryGate && (
@@ -415,6 +521,18 @@ const RequestStatus = () => {
                 </div>
               )}
             </div>
+            {request.entryDetails.enteredAt && !request.entryDetails.exitedAt && visitorToken && (
+              <div className="flex justify-end mt-6">
+                <button
+                  onClick={() => checkoutMutation.mutate()}
+                  disabled={checkoutMutation.isLoading}
+                  className="btn-primary inline-flex items-center"
+                >
+                  <LogOut className="h-4 w-4 mr-2" />
+                  {checkoutMutation.isLoading ? 'Checking out...' : 'Check Out'}
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -443,7 +561,7 @@ const RequestStatus = () => {
           >
             Back to Home
           </button>
-          {request.status === 'declined' && (
+          {['declined', 'expired'].includes(request.status) && (
             <button
               onClick={() => navigate(`/companies/${request.company._id}/members`)}
               className="btn-primary"
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery, useMutation } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useForm } from 'react-hook-form';
 import { 
   ArrowLeft, 
@@ -8,20 +8,47 @@ import {
   Building2, 
   FileText, 
   Camera,
-  CheckCircle
+  CheckCircle,
+  AlertCircle,
+  Calendar,
+  ShieldCheck,
+  Repeat,
+  Users,
+  Plus,
+  Trash2
 } from 'lucide-react';
-import { companiesAPI, membersAPI, visitorsAPI, requestsAPI } from '../utils/api';
+import { companiesAPI, membersAPI, visitorsAPI, requestsAPI, seriesAPI, systemAPI } from '../utils/api';
 import ImageCapture from '../components/ImageCapture';
 import LoadingSpinner from '../components/LoadingSpinner';
-import { isValidEmail, isValidPhone } from '../utils/helpers';
+import MaintenanceBanner from '../components/MaintenanceBanner';
+import SlotPicker from '../components/SlotPicker';
+import { isValidEmail, isValidPhone, formatDateTime, saveVisitorToken } from '../utils/helpers';
 import toast from 'react-hot-toast';
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 const VisitorRequest = () => {
   const { companyId, memberId } = useParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
   const [visitorPhoto, setVisitorPhoto] = useState(null);
   const [existingVisitor, setExistingVisitor] = useState(null);
-  const [isCheckingVisitor, setIsCheckingVisitor] = useState(false);
+  const [otpPhone, setOtpPhone] = useState(null);
+  const [otpCode, setOtpCode] = useState('');
+  const [verifiedPhone, setVerifiedPhone] = useState(null);
+  const [policyError, setPolicyError] = useState(null);
+  const [lastRequestData, setLastRequestData] = useState(null);
+  const [coHostIds, setCoHostIds] = useState([]);
+  const [approvalMode, setApprovalMode] = useState('any');
+  // Recurring visits are approved by the host once for the whole series
+  const [recurring, setRecurring] = useState(false);
+  const [frequency, setFrequency] = useState('weekly');
+  const [daysOfWeek, setDaysOfWeek] = useState([]);
+  const [endDate, setEndDate] = useState('');
+  // Group visits: the visitor leads and can name the others coming along
+  const [group, setGroup] = useState(false);
+  const [headcount, setHeadcount] = useState(2);
+  const [attendees, setAttendees] = useState([]);
 
   const { register, handleSubmit, formState: { errors }, watch, setValue } = useForm({
     defaultValues: {
@@ -36,6 +63,16 @@ const VisitorRequest = () => {
   });
 
   const phoneValue = watch('phone');
+  const purposeValue = watch('purpose');
+  const durationValue = watch('duration');
+  const scheduledTimeValue = watch('scheduledTime');
+  // Interviews and meetings can include other members as a panel
+  const allowsPanel = ['interview', 'meeting'].includes(purposeValue);
+
+  const { data: statusData } = useQuery('system-status', systemAPI.getStatus, {
+    refetchInterval: 60000,
+  });
+  const systemStatus = statusData?.data?.data;
 
   // Fetch company and member details
   const { data: companyData, isLoading: isLoadingCompany, error: companyError } = useQuery(
@@ -50,43 +87,104 @@ const VisitorRequest = () => {
     { enabled: !!memberId }
   );
 
-  // Check for existing visitor when phone number changes
+  // Hosts who publish their availability are booked through their open slots
+  const { data: slotsData } = useQuery(
+    ['member-slots', memberId, companyId, durationValue],
+    () => membersAPI.getSlots(memberId, { companyId, duration: durationValue, days: 14 }),
+    { enabled: !!memberId }
+  );
+  const slots = slotsData?.data?.data;
+
+  const { data: companyMembersData } = useQuery(
+    ['members', companyId, 'panel'],
+    () => membersAPI.getByCompany(companyId, { limit: 50 }),
+    { enabled: !!companyId && allowsPanel }
+  );
+  const otherMembers = (companyMembersData?.data?.data?.members || []).filter((m) => m._id !== memberId);
+
+  const toggleCoHost = (id) => {
+    setCoHostIds((prev) => (prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]));
+  };
+
+  const toggleDay = (day) => {
+    setDaysOfWeek((prev) => (prev.includes(day) ? prev.filter((d) => d !== day) : [...prev, day]));
+  };
+
+  const phone = (phoneValue || '').trim();
+  const isPhoneVerified = !!verifiedPhone && verifiedPhone === phone;
+
+  const resetVerification = () => {
+    sessionStorage.removeItem('visitorSession');
+    setVerifiedPhone(null);
+    setExistingVisitor(null);
+    setOtpPhone(null);
+    setOtpCode('');
+  };
+
+  // A different phone number needs its own verification
   useEffect(() => {
-    const checkExistingVisitor = async () => {
-      if (phoneValue && phoneValue.length >= 10) {
-        setIsCheckingVisitor(true);
-        try {
-          const response = await visitorsAPI.getByPhone(phoneValue);
-          if (response.data.success) {
-            const visitor = response.data.data.visitor;
-            setExistingVisitor(visitor);
-            
-            // Pre-fill form with existing visitor data
-            setValue('firstName', visitor.firstName);
-            setValue('lastName', visitor.lastName);
-            setVisitorPhoto(visitor.photo);
-            
-            toast.success('Found existing visitor profile!');
-          } else {
-            setExistingVisitor(null);
-          }
-        } catch (error) {
+    if (verifiedPhone && verifiedPhone !== phone) {
+      sessionStorage.removeItem('visitorSession');
+      setVerifiedPhone(null);
+      setExistingVisitor(null);
+    }
+  }, [phone, verifiedPhone]);
+
+  // Send a verification code to the phone number
+  const requestOtpMutation = useMutation(visitorsAPI.requestOtp, {
+    onSuccess: (response, requestedPhone) => {
+      setOtpPhone(requestedPhone);
+      setOtpCode('');
+      toast.success(response.data.message || 'Verification code sent');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to send verification code');
+    }
+  });
+
+  // Verify the code; returning visitors get their saved profile back
+  const verifyOtpMutation = useMutation(
+    ({ phone, code }) => visitorsAPI.verifyOtp(phone, code),
+    {
+      onSuccess: (response, { phone }) => {
+        const { sessionToken, visitor } = response.data.data;
+        sessionStorage.setItem('visitorSession', sessionToken);
+        setVerifiedPhone(phone);
+        setOtpPhone(null);
+
+        if (visitor) {
+          setExistingVisitor(visitor);
+          setValue('firstName', visitor.firstName);
+          setValue('lastName', visitor.lastName);
+          setVisitorPhoto(visitor.photo);
+          toast.success('Found existing visitor profile!');
+        } else {
           setExistingVisitor(null);
-        } finally {
-          setIsCheckingVisitor(false);
+          toast.success('Phone number verified');
         }
-      } else {
-        setExistingVisitor(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to verify code');
       }
-    };
+    }
+  );
 
-    const timeoutId = setTimeout(checkExistingVisitor, 500);
-    return () => clearTimeout(timeoutId);
-  }, [phoneValue, setValue]);
+  // Sessions are short-lived; ask the visitor to verify again once one runs out
+  const handleSessionError = (error) => {
+    if (error.response?.data?.code === 'VISITOR_SESSION_REQUIRED') {
+      resetVerification();
+      return true;
+    }
+    return false;
+  };
 
   // Create visitor mutation
   const createVisitorMutation = useMutation(visitorsAPI.create, {
     onError: (error) => {
+      handleSessionError(error);
+      if (error.response?.data?.code === 'MAINTENANCE_MODE') {
+        queryClient.invalidateQueries('system-status');
+      }
       toast.error(error.response?.data?.message || 'Failed to create visitor profile');
     }
   });
@@ -101,20 +199,120 @@ const VisitorRequest = () => {
     }
   );
 
+  // Titles for the company policy error codes returned by the API
+  const policyErrorTitles = {
+    OUTSIDE_WORKING_HOURS: 'Outside working hours',
+    WALK_INS_NOT_ALLOWED: 'Walk-ins not accepted',
+    COMPANY_CLOSED: 'Company closed',
+    DAILY_CAPACITY_REACHED: 'No visitor slots left',
+    PHOTO_REQUIRED: 'Photo required',
+    OUTSIDE_AVAILABILITY: 'Host not available',
+    MEMBER_DOUBLE_BOOKED: 'Time already booked',
+  };
+
+  // Photos of named attendees go up once the request exists
+  const uploadAttendeePhotos = async (created) => {
+    for (const [index, attendee] of (created.attendees || []).entries()) {
+      const photo = attendees[index]?.photo;
+      if (!photo) continue;
+      try {
+        const blob = await (await fetch(photo)).blob();
+        const file = new File([blob], 'attendee-photo.jpg', { type: 'image/jpeg' });
+        await requestsAPI.uploadAttendeePhoto(created.id, attendee._id, created.visitorToken, file);
+      } catch (error) {
+        toast.error(`Failed to upload the photo of ${attendee.firstName} ${attendee.lastName}`);
+      }
+    }
+  };
+
   // Create request mutation
   const createRequestMutation = useMutation(requestsAPI.create, {
-    onSuccess: (response) => {
+    onSuccess: async (response) => {
       if (response.data.success) {
-        toast.success('Visit request submitted successfully!');
-        navigate(`/status/${response.data.data.request.id}`);
+        const created = response.data.data.request;
+        saveVisitorToken(created.id, created.visitorToken);
+        await uploadAttendeePhotos(created);
+        toast.success(created.deferred
+          ? `Visit request scheduled for ${formatDateTime(created.scheduledTime)}`
+          : 'Visit request submitted successfully!');
+        navigate(`/status/${created.id}`);
       }
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Failed to submit request');
+      const { code, message, data } = error.response?.data || {};
+      handleSessionError(error);
+      if (code === 'MAINTENANCE_MODE') {
+        queryClient.invalidateQueries('system-status');
+      }
+      if (code && policyErrorTitles[code]) {
+        setPolicyError({ code, message, data });
+      }
+      if (['OUTSIDE_AVAILABILITY', 'MEMBER_DOUBLE_BOOKED'].includes(code)) {
+        queryClient.invalidateQueries(['member-slots', memberId]);
+      }
+      toast.error(message || 'Failed to submit request');
     }
   });
 
+  const createSeriesMutation = useMutation(seriesAPI.create, {
+    onSuccess: (response) => {
+      toast.success(response.data.message || 'Recurring visit requested');
+      navigate(`/companies/${companyId}/members`);
+    },
+    onError: (error) => {
+      const { code, message, data } = error.response?.data || {};
+      handleSessionError(error);
+      if (code === 'MAINTENANCE_MODE') {
+        queryClient.invalidateQueries('system-status');
+      }
+      if (code && policyErrorTitles[code]) {
+        setPolicyError({ code, message, data });
+      }
+      toast.error(message || 'Failed to request recurring visit');
+    }
+  });
+
+  const updateAttendee = (index, changes) => {
+    setAttendees(attendees.map((attendee, i) => (i === index ? { ...attendee, ...changes } : attendee)));
+  };
+
+  const handleHeadcountChange = (value) => {
+    const count = Math.min(Math.max(parseInt(value) || 2, 2), 100);
+    setHeadcount(count);
+    setAttendees(attendees.slice(0, count - 1));
+  };
+
+  const handleDefer = () => {
+    setPolicyError(null);
+    createRequestMutation.mutate({ ...lastRequestData, defer: true });
+  };
+
   const onSubmit = async (data) => {
+    setPolicyError(null);
+
+    if (!isPhoneVerified) {
+      toast.error('Please verify your phone number first');
+      return;
+    }
+
+    if (company?.settings?.requirePhoto && !visitorPhoto) {
+      setPolicyError({ code: 'PHOTO_REQUIRED', message: 'Please capture your photo before submitting the request.' });
+      return;
+    }
+
+    if (recurring && (!data.scheduledTime || !endDate)) {
+      toast.error('Recurring visits need a first visit time and an end date');
+      return;
+    }
+    if (recurring && frequency === 'weekdays' && daysOfWeek.length === 0) {
+      toast.error('Choose the weekdays you will visit on');
+      return;
+    }
+    if (group && attendees.some(attendee => !attendee.firstName.trim() || !attendee.lastName.trim())) {
+      toast.error('Enter the first and last name of every attendee you added');
+      return;
+    }
+
     try {
       // Create or update visitor
       let visitorId;
@@ -141,6 +339,22 @@ const VisitorRequest = () => {
         await uploadPhotoMutation.mutateAsync({ visitorId, file });
       }
 
+      if (recurring) {
+        await createSeriesMutation.mutateAsync({
+          visitorId,
+          companyId,
+          memberId,
+          purpose: data.purpose,
+          duration: parseInt(data.duration),
+          purposeDescription: data.purposeDescription || undefined,
+          frequency,
+          ...(frequency === 'weekdays' && { daysOfWeek }),
+          startTime: new Date(data.scheduledTime).toISOString(),
+          endDate,
+        });
+        return;
+      }
+
       // Create request
       const requestData = {
         visitorId,
@@ -149,9 +363,15 @@ const VisitorRequest = () => {
         purpose: data.purpose,
         duration: parseInt(data.duration),
         purposeDescription: data.purposeDescription || undefined,
-        scheduledTime: data.scheduledTime || undefined,
+        scheduledTime: data.scheduledTime ? new Date(data.scheduledTime).toISOString() : undefined,
+        ...(allowsPanel && coHostIds.length > 0 && { coHostIds, approvalMode }),
+        ...(group && {
+          headcount,
+          attendees: attendees.map(({ firstName, lastName }) => ({ firstName, lastName })),
+        }),
       };
 
+      setLastRequestData(requestData);
       await createRequestMutation.mutateAsync(requestData);
     } catch (error) {
       console.error('Error submitting request:', error);
@@ -249,187 +469,473 @@ const VisitorRequest = () => {
         </div>
 
         {/* Request Form */}
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <div className="mb-6">
-            <h1 className="text-2xl font-bold text-gray-900 mb-2">Request a Visit</h1>
-            <p className="text-gray-600">
-              Please fill in your details to request a visit with {member?.firstName || ''} {member?.lastName || ''}.
-            </p>
-          </div>
-
-          {existingVisitor && (
-            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
-              <div className="flex items-center">
-                <CheckCircle className="h-5 w-5 text-green-600 mr-2" />
-                <p className="text-green-800 font-medium">
-                  Welcome back! We found your existing profile.
-                </p>
-              </div>
+        {systemStatus?.maintenanceMode ? (
+          <MaintenanceBanner
+            message={systemStatus.maintenanceMessage}
+            endsAt={systemStatus.maintenanceEndsAt}
+          />
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="mb-6">
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">Request a Visit</h1>
+              <p className="text-gray-600">
+                Please fill in your details to request a visit with {member?.firstName || ''} {member?.lastName || ''}.
+              </p>
             </div>
-          )}
-
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-            {/* Personal Information */}
-            <div>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <User className="h-5 w-5 mr-2" />
-                Personal Information
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="label">
-                    First Name <span className="text-red-500">*</span>
-                  </label>
-                  <input
-                    type="text"
-                    className={`input ${errors.firstName ? 'input-error' : ''}`}
-                    {...register('firstName', { required: 'First name is required' })}
-                  />
-                  {errors.firstName && (
-                    <p className="text-red-500 text-sm mt-1">{errors.firstName.message}</p>
-                  )}
-                </div>
-                <div>
-                  <label className="label">
-                    Last Name <span className="text-red-500">*</span>
-                  </label>
-                  <input
-                    type="text"
-                    className={`input ${errors.lastName ? 'input-error' : ''}`}
-                    {...register('lastName', { required: 'Last name is required' })}
-                  />
-                  {errors.lastName && (
-                    <p className="text-red-500 text-sm mt-1">{errors.lastName.message}</p>
-                  )}
+
+            {existingVisitor && (
+              <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+                <div className="flex items-center">
+                  <CheckCircle className="h-5 w-5 text-green-600 mr-2" />
+                  <p className="text-green-800 font-medium">
+                    Welcome back! We found your existing profile.
+                  </p>
                 </div>
               </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
-                <div>
-                  <label className="label">
-                    Phone Number <span className="text-red-500">*</span>
-                  </label>
-                  <div className="relative">
+            )}
+
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+              {/* Personal Information */}
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                  <User className="h-5 w-5 mr-2" />
+                  Personal Information
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">
+                      First Name <span className="text-red-500">*</span>
+                    </label>
                     <input
-                      type="tel"
-                      className={`input ${errors.phone ? 'input-error' : ''}`}
-                      {...register('phone', { 
-                        required: 'Phone number is required',
-                        validate: (value) => isValidPhone(value) || 'Invalid phone number'
-                      })}
+                      type="text"
+                      className={`input ${errors.firstName ? 'input-error' : ''}`}
+                      {...register('firstName', { required: 'First name is required' })}
                     />
-                    {isCheckingVisitor && (
-                      <div className="absolute right-3 top-1/2 transform -translate-y-1/2">
-                        <LoadingSpinner size="sm" />
-                      </div>
+                    {errors.firstName && (
+                      <p className="text-red-500 text-sm mt-1">{errors.firstName.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="label">
+                      Last Name <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="text"
+                      className={`input ${errors.lastName ? 'input-error' : ''}`}
+                      {...register('lastName', { required: 'Last name is required' })}
+                    />
+                    {errors.lastName && (
+                      <p className="text-red-500 text-sm mt-1">{errors.lastName.message}</p>
                     )}
                   </div>
-                  {errors.phone && (
-                    <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                  <div>
+                    <label className="label">
+                      Phone Number <span className="text-red-500">*</span>
+                    </label>
+                    <div className="flex space-x-2">
+                      <input
+                        type="tel"
+                        className={`input ${errors.phone ? 'input-error' : ''}`}
+                        {...register('phone', { 
+                          required: 'Phone number is required',
+                          validate: (value) => isValidPhone(value) || 'Invalid phone number'
+                        })}
+                      />
+                      {isPhoneVerified ? (
+                        <span className="inline-flex items-center text-sm font-medium text-green-700 whitespace-nowrap">
+                          <ShieldCheck className="h-4 w-4 mr-1" />
+                          Verified
+                        </span>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => requestOtpMutation.mutate(phone)}
+                          disabled={!isValidPhone(phone) || requestOtpMutation.isLoading}
+                          className="btn-outline whitespace-nowrap"
+                        >
+                          {requestOtpMutation.isLoading ? (
+                            <LoadingSpinner size="sm" />
+                          ) : otpPhone === phone ? 'Resend Code' : 'Send Code'}
+                        </button>
+                      )}
+                    </div>
+                    {errors.phone && (
+                      <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>
+                    )}
+                  </div>
+                  {otpPhone && otpPhone === phone && !isPhoneVerified && (
+                    <div>
+                      <label className="label">
+                        Verification Code <span className="text-red-500">*</span>
+                      </label>
+                      <div className="flex space-x-2">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          maxLength={6}
+                          className="input"
+                          placeholder="6-digit code"
+                          value={otpCode}
+                          onChange={(e) => setOtpCode(e.target.value.replace(/\D/g, ''))}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => verifyOtpMutation.mutate({ phone, code: otpCode })}
+                          disabled={otpCode.length !== 6 || verifyOtpMutation.isLoading}
+                          className="btn-primary whitespace-nowrap"
+                        >
+                          {verifyOtpMutation.isLoading ? <LoadingSpinner size="sm" /> : 'Verify'}
+                        </button>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">We sent a code by SMS to {otpPhone}</p>
+                    </div>
                   )}
+                  {/* Email input removed intentionally */}
                 </div>
-                {/* Email input removed intentionally */}
               </div>
-            </div>
 
-            {/* Photo Capture */}
-            <div>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <Camera className="h-5 w-5 mr-2" />
-                Photo
-              </h3>
-              <ImageCapture
-                onImageCapture={setVisitorPhoto}
-                initialImage={existingVisitor?.photo}
-                required={!!company?.settings?.requirePhoto}
-              />
-            </div>
+              {/* Photo Capture */}
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                  <Camera className="h-5 w-5 mr-2" />
+                  Photo
+                </h3>
+                <ImageCapture
+                  onImageCapture={setVisitorPhoto}
+                  initialImage={existingVisitor?.photo}
+                  required={!!company?.settings?.requirePhoto}
+                />
+              </div>
 
-            {/* Visit Details */}
-            <div>
-              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                <FileText className="h-5 w-5 mr-2" />
-                Visit Details
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="label">
-                    Purpose <span className="text-red-500">*</span>
-                  </label>
-                  <select
-                    className={`input ${errors.purpose ? 'input-error' : ''}`}
-                    {...register('purpose', { required: 'Purpose is required' })}
-                  >
-                    {purposes.map((purpose) => (
-                      <option key={purpose.value} value={purpose.value}>
-                        {purpose.label}
-                      </option>
-                    ))}
-                  </select>
-                  {errors.purpose && (
-                    <p className="text-red-500 text-sm mt-1">{errors.purpose.message}</p>
-                  )}
+              {/* Visit Details */}
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                  <FileText className="h-5 w-5 mr-2" />
+                  Visit Details
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">
+                      Purpose <span className="text-red-500">*</span>
+                    </label>
+                    <select
+                      className={`input ${errors.purpose ? 'input-error' : ''}`}
+                      {...register('purpose', { required: 'Purpose is required' })}
+                    >
+                      {purposes.map((purpose) => (
+                        <option key={purpose.value} value={purpose.value}>
+                          {purpose.label}
+                        </option>
+                      ))}
+                    </select>
+                    {errors.purpose && (
+                      <p className="text-red-500 text-sm mt-1">{errors.purpose.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="label">
+                      Duration <span className="text-red-500">*</span>
+                    </label>
+                    <select
+                      className={`input ${errors.duration ? 'input-error' : ''}`}
+                      {...register('duration', {
+                        required: 'Duration is required',
+                        // Slots depend on the visit length
+                        onChange: () => slots?.enabled && setValue('scheduledTime', ''),
+                      })}
+                    >
+                      {durationOptions.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    {errors.duration && (
+                      <p className="text-red-500 text-sm mt-1">{errors.duration.message}</p>
+                    )}
+                  </div>
                 </div>
-                <div>
+                <div className="mt-4">
                   <label className="label">
-                    Duration <span className="text-red-500">*</span>
+                    Preferred Visit Time {company?.settings?.allowWalkIns === false ? (
+                      <span className="text-red-500">*</span>
+                    ) : '(Optional)'}
                   </label>
-                  <select
-                    className={`input ${errors.duration ? 'input-error' : ''}`}
-                    {...register('duration', { required: 'Duration is required' })}
-                  >
-                    {durationOptions.map((option) => (
-                      <option key={option.value} value={option.value}>
-                        {option.label}
-                      </option>
-                    ))}
-                  </select>
-                  {errors.duration && (
-                    <p className="text-red-500 text-sm mt-1">{errors.duration.message}</p>
+                  {slots?.enabled ? (
+                    <>
+                      <input
+                        type="hidden"
+                        {...register('scheduledTime', {
+                          required: company?.settings?.allowWalkIns === false
+                            ? 'Please choose one of the available slots'
+                            : false
+                        })}
+                      />
+                      <SlotPicker
+                        days={slots.days}
+                        value={scheduledTimeValue}
+                        onChange={(value) => setValue('scheduledTime', value, { shouldValidate: true })}
+                      />
+                      {scheduledTimeValue && (
+                        <p className="text-gray-700 text-sm mt-2">
+                          Selected: {formatDateTime(scheduledTimeValue)}
+                        </p>
+                      )}
+                    </>
+                  ) : (
+                    <div className="relative">
+                      <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                      <input
+                        type="datetime-local"
+                        className={`input pl-10 ${errors.scheduledTime ? 'input-error' : ''}`}
+                        {...register('scheduledTime', {
+                          required: company?.settings?.allowWalkIns === false
+                            ? 'This company only accepts scheduled visits'
+                            : false
+                        })}
+                      />
+                    </div>
+                  )}
+                  {company?.settings?.workingHours && (
+                    <p className="text-gray-500 text-sm mt-1">
+                      Visiting hours: {company.settings.workingHours.start} - {company.settings.workingHours.end}
+                    </p>
+                  )}
+                  {errors.scheduledTime && (
+                    <p className="text-red-500 text-sm mt-1">{errors.scheduledTime.message}</p>
                   )}
                 </div>
-              </div>
-              <div className="mt-4">
-                <label className="label">Purpose Description (Optional)</label>
-                <textarea
-                  rows={3}
-                  className={`input ${errors.purposeDescription ? 'input-error' : ''}`}
-                  placeholder="Please provide additional details about your visit..."
-                  {...register('purposeDescription', {
-                    maxLength: { value: 200, message: 'Description cannot exceed 200 characters' }
-                  })}
-                />
-                {errors.purposeDescription && (
-                  <p className="text-red-500 text-sm mt-1">{errors.purposeDescription.message}</p>
+                {coHostIds.length === 0 && !group && (
+                  <div className="mt-4">
+                    <label className="flex items-center text-sm font-medium text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={recurring}
+                        onChange={(e) => setRecurring(e.target.checked)}
+                      />
+                      <Repeat className="h-4 w-4 mr-1" />
+                      I visit regularly (recurring visit)
+                    </label>
+                    {recurring && (
+                      <div className="mt-2 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+                        <p className="text-sm text-gray-600">
+                          The time above is your first visit. Later visits keep the same time of day.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <label className="label">Repeats</label>
+                            <select
+                              className="input"
+                              value={frequency}
+                              onChange={(e) => setFrequency(e.target.value)}
+                            >
+                              <option value="daily">Every day</option>
+                              <option value="weekly">Every week</option>
+                              <option value="weekdays">On chosen weekdays</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label className="label">
+                              Until <span className="text-red-500">*</span>
+                            </label>
+                            <input
+                              type="date"
+                              className="input"
+                              value={endDate}
+                              onChange={(e) => setEndDate(e.target.value)}
+                            />
+                          </div>
+                        </div>
+                        {frequency === 'weekdays' && (
+                          <div className="flex flex-wrap gap-3">
+                            {WEEKDAYS.map((label, day) => (
+                              <label key={label} className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  className="mr-1"
+                                  checked={daysOfWeek.includes(day)}
+                                  onChange={() => toggleDay(day)}
+                                />
+                                {label}
+                              </label>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {!recurring && (
+                  <div className="mt-4">
+                    <label className="flex items-center text-sm font-medium text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={group}
+                        onChange={(e) => setGroup(e.target.checked)}
+                      />
+                      <Users className="h-4 w-4 mr-1" />
+                      I am bringing a group
+                    </label>
+                    {group && (
+                      <div className="mt-2 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+                        <div className="md:w-1/2">
+                          <label className="label">People in the group, including you</label>
+                          <input
+                            type="number"
+                            min={2}
+                            max={100}
+                            className="input"
+                            value={headcount}
+                            onChange={(e) => handleHeadcountChange(e.target.value)}
+                          />
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          Optionally name the others so security can check each of them in. Anyone not named arrives and leaves with you.
+                        </p>
+                        {attendees.map((attendee, index) => (
+                          <div key={attendee.key} className="border border-gray-200 rounded-lg p-3 bg-white space-y-3">
+                            <div className="flex items-start gap-2">
+                              <div className="grid grid-cols-1 md:grid-cols-2 gap-2 flex-1">
+                                <input
+                                  type="text"
+                                  className="input"
+                                  placeholder="First name"
+                                  maxLength={50}
+                                  value={attendee.firstName}
+                                  onChange={(e) => updateAttendee(index, { firstName: e.target.value })}
+                                />
+                                <input
+                                  type="text"
+                                  className="input"
+                                  placeholder="Last name"
+                                  maxLength={50}
+                                  value={attendee.lastName}
+                                  onChange={(e) => updateAttendee(index, { lastName: e.target.value })}
+                                />
+                              </div>
+                              <button
+                                type="button"
+                                onClick={() => setAttendees(attendees.filter((_, i) => i !== index))}
+                                className="text-red-600 hover:text-red-800 mt-2"
+                                title="Remove attendee"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </div>
+                            <ImageCapture onImageCapture={(photo) => updateAttendee(index, { photo })} />
+                          </div>
+                        ))}
+                        {attendees.length < headcount - 1 && (
+                          <button
+                            type="button"
+                            onClick={() => setAttendees([...attendees, { key: Date.now(), firstName: '', lastName: '', photo: null }])}
+                            className="btn-outline text-sm"
+                          >
+                            <Plus className="h-4 w-4 mr-1" />
+                            Add Attendee
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
                 )}
+                {allowsPanel && otherMembers.length > 0 && !recurring && (
+                  <div className="mt-4">
+                    <label className="label">Also Meeting With (Optional)</label>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2 max-h-40 overflow-y-auto">
+                      {otherMembers.map((other) => (
+                        <label key={other._id} className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            className="mr-2"
+                            checked={coHostIds.includes(other._id)}
+                            onChange={() => toggleCoHost(other._id)}
+                            disabled={!coHostIds.includes(other._id) && coHostIds.length >= 9}
+                          />
+                          {other.firstName} {other.lastName}
+                          {other.position && <span className="text-gray-500 ml-1">({other.position})</span>}
+                        </label>
+                      ))}
+                    </div>
+                    {coHostIds.length > 0 && (
+                      <select
+                        className="input mt-2"
+                        value={approvalMode}
+                        onChange={(e) => setApprovalMode(e.target.value)}
+                      >
+                        <option value="any">Approved when any one host accepts</option>
+                        <option value="all">Approved only when every host accepts</option>
+                      </select>
+                    )}
+                  </div>
+                )}
+                <div className="mt-4">
+                  <label className="label">Purpose Description (Optional)</label>
+                  <textarea
+                    rows={3}
+                    className={`input ${errors.purposeDescription ? 'input-error' : ''}`}
+                    placeholder="Please provide additional details about your visit..."
+                    {...register('purposeDescription', {
+                      maxLength: { value: 200, message: 'Description cannot exceed 200 characters' }
+                    })}
+                  />
+                  {errors.purposeDescription && (
+                    <p className="text-red-500 text-sm mt-1">{errors.purposeDescription.message}</p>
+                  )}
+                </div>
               </div>
-            </div>
 
-            {/* Submit Button */}
-            <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
-              <button
-                type="button"
-                onClick={() => navigate(`/companies/${companyId}/members`)}
-                className="btn-outline"
-              >
-                Cancel
-              </button>
-              <button
-                type="submit"
-                disabled={createRequestMutation.isLoading}
-                className="btn-primary"
-              >
-                {createRequestMutation.isLoading ? (
-                  <>
-                    <LoadingSpinner size="sm" className="mr-2" />
-                    Submitting...
-                  </>
-                ) : (
-                  'Submit Request'
-                )}
-              </button>
-            </div>
-          </form>
-        </div>
+              {policyError && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <div className="flex items-start">
+                    <AlertCircle className="h-5 w-5 text-red-600 mr-2 mt-0.5" />
+                    <div className="flex-1">
+                      <p className="text-red-800 font-medium">{policyErrorTitles[policyError.code]}</p>
+                      <p className="text-red-700 text-sm mt-1">{policyError.message}</p>
+                      {['OUTSIDE_WORKING_HOURS', 'COMPANY_CLOSED'].includes(policyError.code) && policyError.data?.nextOpeningAt && !recurring && (
+                        <button
+                          type="button"
+                          onClick={handleDefer}
+                          disabled={createRequestMutation.isLoading}
+                          className="btn-outline text-sm mt-3"
+                        >
+                          Schedule for {formatDateTime(policyError.data.nextOpeningAt)}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Submit Button */}
+              <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={() => navigate(`/companies/${companyId}/members`)}
+                  className="btn-outline"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={createRequestMutation.isLoading || createSeriesMutation.isLoading || !isPhoneVerified}
+                  className="btn-primary"
+                >
+                  {createRequestMutation.isLoading || createSeriesMutation.isLoading ? (
+                    <>
+                      <LoadingSpinner size="sm" className="mr-2" />
+                      Submitting...
+                    </>
+                  ) : recurring ? 'Request Recurring Visit' : 'Submit Request'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
       </main>
     </div>
   );
@@ -10,10 +10,16 @@ import {
   Mail,
   Phone,
   Users,
-  Clock
+  Clock,
+  CalendarDays,
+  Eye,
+  AlarmClock
 } from 'lucide-react';
 import { companiesAPI } from '../../utils/api';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import CompanyCalendarModal from '../../components/CompanyCalendarModal';
+import PublicBoardModal from '../../components/PublicBoardModal';
+import EscalationModal from '../../components/EscalationModal';
 import { debounce } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
@@ -22,6 +28,9 @@ const AdminCompanies = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [calendarCompany, setCalendarCompany] = useState(null);
+  const [boardCompany, setBoardCompany] = useState(null);
+  const [escalationCompany, setEscalationCompany] = useState(null);
   const [createForm, setCreateForm] = useState({
     name: '',
     location: '',
@@ -166,6 +175,9 @@ const AdminCompanies = () => {
                       <span>
                         {company.settings?.workingHours?.start} - {company.settings?.workingHours?.end}
                       </span>
+                      {company.availability?.closedToday && (
+                        <span className="badge badge-danger ml-2">Closed today</span>
+                      )}
                     </div>
                   </div>
 
@@ -176,6 +188,27 @@ const AdminCompanies = () => {
                   )}
 
                   <div className="flex justify-end space-x-2">
+                    <button
+                      onClick={() => setCalendarCompany(company)}
+                      className="btn-outline text-sm"
+                    >
+                      <CalendarDays className="h-4 w-4 mr-1" />
+                      Calendar
+                    </button>
+                    <button
+                      onClick={() => setBoardCompany(company)}
+                      className="btn-outline text-sm"
+                    >
+                      <Eye className="h-4 w-4 mr-1" />
+                      Public Board
+                    </button>
+                    <button
+                      onClick={() => setEscalationCompany(company)}
+                      className="btn-outline text-sm"
+                    >
+                      <AlarmClock className="h-4 w-4 mr-1" />
+                      Escalation
+                    </button>
                     <button
                       onClick={() => {/* TODO: Implement edit */}}
                       className="btn-outline text-sm"
@@ -199,6 +232,30 @@ const AdminCompanies = () => {
         </div>
       </div>
 
+      {/* Company Calendar Modal */}
+      {calendarCompany && (
+        <CompanyCalendarModal
+          company={calendarCompany}
+          onClose={() => setCalendarCompany(null)}
+        />
+      )}
+
+      {/* Public Board Modal */}
+      {boardCompany && (
+        <PublicBoardModal
+          company={boardCompany}
+          onClose={() => setBoardCompany(null)}
+        />
+      )}
+
+      {/* Escalation Modal */}
+      {escalationCompany && (
+        <EscalationModal
+          company={escalationCompany}
+          onClose={() => setEscalationCompany(null)}
+        />
+      )}
+
       {/* Create Company Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -45,13 +45,25 @@ const AdminReports = () => {
       case 'visitor-summary':
         return (
           <div className="space-y-6">
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
               <div className="card">
                 <div className="card-body text-center">
                   <div className="text-2xl font-bold text-primary-600">{report.totalVisitors || 0}</div>
                   <div className="text-sm text-gray-600">Total Visitors</div>
                 </div>
               </div>
+              <div className="card">
+                <div className="card-body text-center">
+                  <div className="text-2xl font-bold text-primary-600">{report.totalRequests || 0}</div>
+                  <div className="text-sm text-gray-600">Total Requests</div>
+                </div>
+              </div>
+              <div className="card">
+                <div className="card-body text-center">
+                  <div className="text-2xl font-bold text-info-600">{report.groupVisits || 0}</div>
+                  <div className="text-sm text-gray-600">Group Visits</div>
+                </div>
+              </div>
               <div className="card">
                 <div className="card-body text-center">
                   <div className="text-2xl font-bold text-success-600">{report.uniqueVisitors || 0}</div>
@@ -61,7 +73,9 @@ const AdminReports = () => {
               <div className="card">
                 <div className="card-body text-center">
                   <div className="text-2xl font-bold text-info-600">{report.completedVisits || 0}</div>
-                  <div className="text-sm text-gray-600">Completed Visits</div>
+                  <div className="text-sm text-gray-600">
+                    Completed Visits ({report.completedVisitors || 0} people)
+                  </div>
                 </div>
               </div>
               <div className="card">
@@ -89,7 +103,7 @@ const AdminReports = () => {
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     <div>
                       <div className="text-2xl font-bold text-primary-600">{company.totalRequests || 0}</div>
-                      <div className="text-sm text-gray-600">Total Requests</div>
+                      <div className="text-sm text-gray-600">Total Requests ({company.totalPeople || 0} people)</div>
                     </div>
                     <div>
                       <div className="text-2xl font-bold text-success-600">{company.completedRequests || 0}</div>
@@ -121,7 +135,7 @@ const AdminReports = () => {
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     <div>
                       <div className="text-2xl font-bold text-primary-600">{member.totalRequests || 0}</div>
-                      <div className="text-sm text-gray-600">Total Requests</div>
+                      <div className="text-sm text-gray-600">Total Requests ({member.totalPeople || 0} people)</div>
                     </div>
                     <div>
                       <div className="text-2xl font-bold text-success-600">{member.acceptedRequests || 0}</div>
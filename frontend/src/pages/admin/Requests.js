@@ -11,10 +11,14 @@ import {
   Phone,
   Mail,
   Calendar,
-  Timer
+  Timer,
+  ScanLine
 } from 'lucide-react';
 import { requestsAPI, adminAPI } from '../../utils/api';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import EscalationSteps from '../../components/EscalationSteps';
+import PanelHosts from '../../components/PanelHosts';
+import GroupAttendees from '../../components/GroupAttendees';
 import { debounce, formatDateTime, getStatusText, getPurposeText } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
@@ -23,6 +27,8 @@ const AdminRequests = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+  const [gatePass, setGatePass] = useState('');
+  const [entryGate, setEntryGate] = useState('');
 
   // Debounced search
   const debouncedSearch = debounce((value) => {
@@ -47,8 +53,32 @@ const AdminRequests = () => {
     },
   });
 
+  const passEntryMutation = useMutation(
+    ({ pass, gate }) => requestsAPI.enterWithPass(pass, gate),
+    {
+      onSuccess: (response) => {
+        const visitor = response.data.data.request.visitor;
+        queryClient.invalidateQueries('admin-requests');
+        setGatePass('');
+        toast.success(`${visitor.firstName} ${visitor.lastName} checked in`);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to check in visitor');
+      },
+    }
+  );
+
   const requests = requestsData?.data?.requests || [];
 
+  const handlePassEntry = (e) => {
+    e.preventDefault();
+    if (!gatePass.trim()) {
+      toast.error('Please scan or enter a gate pass');
+      return;
+    }
+    passEntryMutation.mutate({ pass: gatePass.trim(), gate: entryGate || undefined });
+  };
+
   const handleForceAccept = (requestId) => {
     if (window.confirm('Are you sure you want to force accept this request?')) {
       forceAcceptMutation.mutate(requestId);
@@ -77,6 +107,7 @@ const AdminRequests = () => {
     { value: 'declined', label: 'Declined' },
     { value: 'completed', label: 'Completed' },
     { value: 'in-progress', label: 'In Progress' },
+    { value: 'security-review', label: 'Security Review' },
   ];
 
   return (
@@ -89,6 +120,47 @@ const AdminRequests = () => {
         </p>
       </div>
 
+      {/* Gate Pass Check-in */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <ScanLine className="h-5 w-5 mr-2" />
+            Gate Pass Check-in
+          </h2>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handlePassEntry} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="md:col-span-2">
+              <label className="label">Gate Pass</label>
+              <input
+                type="text"
+                value={gatePass}
+                onChange={(e) => setGatePass(e.target.value)}
+                placeholder="Scan the QR code or type the pass code..."
+                className="input"
+                autoComplete="off"
+              />
+            </div>
+            <div>
+              <label className="label">Entry Gate (Optional)</label>
+              <input
+                type="text"
+                value={entryGate}
+                onChange={(e) => setEntryGate(e.target.value)}
+                className="input"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={passEntryMutation.isLoading}
+              className="btn-primary"
+            >
+              {passEntryMutation.isLoading ? 'Checking in...' : 'Check In'}
+            </button>
+          </form>
+        </div>
+      </div>
+
       {/* Filters */}
       <div className="card">
         <div className="card-body">
@@ -202,6 +274,12 @@ const AdminRequests = () => {
                           </div>
                         )}
 
+                        <PanelHosts request={request} />
+
+                        <GroupAttendees request={request} />
+
+                        <EscalationSteps escalation={request.escalation} />
+
                         {request.memberResponse && (
                           <div className="mb-4 p-3 bg-gray-50 rounded-lg">
                             <p className="text-sm text-gray-600">
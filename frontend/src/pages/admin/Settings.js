@@ -8,15 +8,25 @@ import {
   MessageSquare,
   Shield,
   Database,
-  Globe
+  Globe,
+  History,
+  Wrench,
+  Trash2
 } from 'lucide-react';
 import { adminAPI } from '../../utils/api';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import { formatDateTime } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const AdminSettings = () => {
   const queryClient = useQueryClient();
   const [settings, setSettings] = useState({
+    system: {
+      name: 'Krishe Emerald Visitor Management',
+      maintenanceMode: false,
+      maintenanceMessage: '',
+      maintenanceEndsAt: null,
+    },
     notifications: {
       emailEnabled: true,
       smsEnabled: true,
@@ -28,8 +38,13 @@ const AdminSettings = () => {
     },
     limits: {
       maxFileSize: 5,
-      maxRequestsPerHour: 100,
+      maxRequestsPerHour: 1000,
+      maxRequestSubmissions: 3,
+      maxVisitorRegistrations: 5,
       maxVisitorsPerDay: 1000,
+    },
+    retention: {
+      visitorInactivityDays: 0,
     }
   });
 
@@ -45,12 +60,18 @@ const AdminSettings = () => {
     }
   );
 
+  const { data: historyData } = useQuery(
+    'admin-settings-history',
+    () => adminAPI.getSettingsHistory({ limit: 5 })
+  );
+
   const updateSettingsMutation = useMutation(
     (newSettings) => adminAPI.updateSettings(newSettings),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
         queryClient.invalidateQueries('admin-settings');
-        toast.success('Settings updated successfully');
+        queryClient.invalidateQueries('admin-settings-history');
+        toast.success(response.data.message || 'Settings updated successfully');
       },
       onError: (error) => {
         toast.error(error.response?.data?.message || 'Failed to update settings');
@@ -72,6 +93,9 @@ const AdminSettings = () => {
     }));
   };
 
+  const history = historyData?.data?.data?.history || [];
+  const revision = settingsData?.data?.data?.revision;
+
   if (isLoading) {
     return (
       <div className="flex justify-center py-8">
@@ -90,6 +114,57 @@ const AdminSettings = () => {
         </p>
       </div>
 
+      {/* Maintenance Mode */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <Wrench className="h-5 w-5 mr-2" />
+            Maintenance Mode
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-sm font-medium text-gray-900">Maintenance Mode</h4>
+                <p className="text-sm text-gray-500">Close visitor registration and requests; staff logins keep working</p>
+              </div>
+              <label className="relative inline-flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="sr-only peer"
+                  checked={settings.system.maintenanceMode}
+                  onChange={(e) => handleChange('system', 'maintenanceMode', e.target.checked)}
+                />
+                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+              </label>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-2">
+                <label className="label">Message for Visitors</label>
+                <input
+                  type="text"
+                  maxLength={300}
+                  value={settings.system.maintenanceMessage || ''}
+                  onChange={(e) => handleChange('system', 'maintenanceMessage', e.target.value)}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Expected End (optional)</label>
+                <input
+                  type="datetime-local"
+                  value={settings.system.maintenanceEndsAt ? formatDateTime(settings.system.maintenanceEndsAt, "yyyy-MM-dd'T'HH:mm") : ''}
+                  onChange={(e) => handleChange('system', 'maintenanceEndsAt', e.target.value ? new Date(e.target.value).toISOString() : '')}
+                  className="input"
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
       {/* Notification Settings */}
       <div className="card">
         <div className="card-header">
@@ -208,7 +283,7 @@ const AdminSettings = () => {
               <input
                 type="number"
                 min="10"
-                max="1000"
+                max="10000"
                 value={settings.limits.maxRequestsPerHour}
                 onChange={(e) => handleChange('limits', 'maxRequestsPerHour', parseInt(e.target.value))}
                 className="input"
@@ -218,17 +293,68 @@ const AdminSettings = () => {
               <label className="label">Max Visitors Per Day</label>
               <input
                 type="number"
-                min="10"
-                max="10000"
+                min="0"
                 value={settings.limits.maxVisitorsPerDay}
                 onChange={(e) => handleChange('limits', 'maxVisitorsPerDay', parseInt(e.target.value))}
                 className="input"
               />
+              <p className="text-xs text-gray-500 mt-1">Across all companies, 0 for no limit</p>
+            </div>
+            <div>
+              <label className="label">Request Submissions (per 15 min)</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={settings.limits.maxRequestSubmissions}
+                onChange={(e) => handleChange('limits', 'maxRequestSubmissions', parseInt(e.target.value))}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Visitor Registrations (per 15 min)</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={settings.limits.maxVisitorRegistrations}
+                onChange={(e) => handleChange('limits', 'maxVisitorRegistrations', parseInt(e.target.value))}
+                className="input"
+              />
             </div>
           </div>
         </div>
       </div>
 
+      {/* Data Retention */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <Trash2 className="h-5 w-5 mr-2" />
+            Data Retention
+          </h2>
+        </div>
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="label">Erase Inactive Visitors After (days)</label>
+              <input
+                type="number"
+                min="0"
+                max="3650"
+                value={settings.retention?.visitorInactivityDays ?? 0}
+                onChange={(e) => handleChange('retention', 'visitorInactivityDays', parseInt(e.target.value))}
+                className="input"
+              />
+              <p className="text-xs text-gray-500 mt-1">0 keeps visitor data indefinitely</p>
+            </div>
+          </div>
+          <p className="text-sm text-gray-500 mt-4">
+            Inactive visitors are anonymized and their photos and ID proofs deleted. Blacklisted visitors are kept.
+          </p>
+        </div>
+      </div>
+
       {/* System Information */}
       <div className="card">
         <div className="card-header">
@@ -243,16 +369,16 @@ const AdminSettings = () => {
               <label className="label">System Name</label>
               <input
                 type="text"
-                value={settingsData?.data?.settings?.system?.name || 'Krishe Emerald Visitor Management'}
-                disabled
-                className="input bg-gray-50"
+                value={settings.system.name}
+                onChange={(e) => handleChange('system', 'name', e.target.value)}
+                className="input"
               />
             </div>
             <div>
               <label className="label">Version</label>
               <input
                 type="text"
-                value={settingsData?.data?.settings?.system?.version || '1.0.0'}
+                value={`${settings.system.version || '1.0.0'}${revision ? ` (settings revision ${revision})` : ''}`}
                 disabled
                 className="input bg-gray-50"
               />
@@ -261,6 +387,38 @@ const AdminSettings = () => {
         </div>
       </div>
 
+      {/* Change History */}
+      {history.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-medium text-gray-900 flex items-center">
+              <History className="h-5 w-5 mr-2" />
+              Recent Changes
+            </h2>
+          </div>
+          <div className="card-body">
+            <div className="space-y-3">
+              {history.map((entry) => (
+                <div key={entry._id} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex items-center justify-between mb-1">
+                    <p className="text-sm font-medium text-gray-900">
+                      Revision {entry.version}
+                      {entry.changedBy && ` · ${entry.changedBy.firstName} ${entry.changedBy.lastName}`}
+                    </p>
+                    <span className="text-xs text-gray-500">{formatDateTime(entry.createdAt)}</span>
+                  </div>
+                  {entry.changes.map((change) => (
+                    <p key={change.path} className="text-xs text-gray-600">
+                      {change.path}: {String(change.from)} → {String(change.to)}
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Save Button */}
       <div className="flex justify-end">
         <button
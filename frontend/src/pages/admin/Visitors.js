@@ -5,22 +5,25 @@ import {
   Search, 
   Edit, 
   Ban, 
-  CheckCircle,
   User,
   Mail,
   Phone,
   Calendar,
-  AlertTriangle
+  AlertTriangle,
+  Trash2,
+  Download
 } from 'lucide-react';
 import { visitorsAPI } from '../../utils/api';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { debounce, getInitials, formatDateTime } from '../../utils/helpers';
+import BlacklistModal from '../../components/BlacklistModal';
+import { debounce, getInitials, formatDateTime, downloadBlob } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const AdminVisitors = () => {
   const queryClient = useQueryClient();
   const [searchTerm, setSearchTerm] = useState('');
   const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+  const [blacklistVisitor, setBlacklistVisitor] = useState(null);
 
   // Debounced search
   const debouncedSearch = debounce((value) => {
@@ -35,32 +38,36 @@ const AdminVisitors = () => {
     }
   );
 
-  const blacklistMutation = useMutation(
-    ({ visitorId, isBlacklisted, reason }) => 
-      visitorsAPI.blacklist(visitorId, isBlacklisted, reason),
-    {
-      onSuccess: () => {
-        queryClient.invalidateQueries('visitors');
-        toast.success('Visitor status updated successfully');
-      },
-      onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to update visitor status');
-      },
-    }
-  );
+  const eraseMutation = useMutation(visitorsAPI.erase, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('visitors');
+      const { imagesFailed = [] } = response.data.data;
+      if (imagesFailed.length) {
+        toast.error(`Visitor erased, but ${imagesFailed.length} image(s) could not be deleted from storage`);
+      } else {
+        toast.success('Visitor data erased');
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to erase visitor data');
+    },
+  });
+
+  const exportMutation = useMutation(visitorsAPI.exportData, {
+    onSuccess: (response, visitorId) => {
+      downloadBlob(response.data, `visitor-${visitorId}.zip`);
+    },
+    onError: () => {
+      toast.error('Failed to export visitor data');
+    },
+  });
 
   const visitors = visitorsData?.data?.visitors || [];
 
-  const handleBlacklist = (visitorId, isBlacklisted, visitorName) => {
-    const action = isBlacklisted ? 'blacklist' : 'unblacklist';
-    const reason = isBlacklisted ? prompt(`Reason for blacklisting ${visitorName}:`) : '';
-    
-    if (isBlacklisted && !reason) {
-      toast.error('Please provide a reason for blacklisting');
-      return;
+  const handleErase = (visitorId, visitorName) => {
+    if (window.confirm(`Permanently erase all personal data, photos and ID proof for "${visitorName}"? This cannot be undone.`)) {
+      eraseMutation.mutate(visitorId);
     }
-
-    blacklistMutation.mutate({ visitorId, isBlacklisted, reason });
   };
 
   return (
@@ -140,6 +147,11 @@ const AdminVisitors = () => {
                               Blacklisted
                             </span>
                           )}
+                          {visitor.anonymizedAt && (
+                            <span className="badge badge-gray">
+                              Erased {formatDateTime(visitor.anonymizedAt)}
+                            </span>
+                          )}
                         </div>
                         <div className="flex items-center space-x-4 text-sm text-gray-600">
                           <div className="flex items-center">
@@ -173,35 +185,39 @@ const AdminVisitors = () => {
                     </div>
                     <div className="flex items-center space-x-2">
                       <button
-                        onClick={() => {/* TODO: Implement edit */}}
+                        onClick={() => exportMutation.mutate(visitor._id)}
+                        disabled={exportMutation.isLoading}
                         className="btn-outline text-sm"
                       >
-                        <Edit className="h-4 w-4 mr-1" />
-                        Edit
+                        <Download className="h-4 w-4 mr-1" />
+                        Export
                       </button>
-                      <button
-                        onClick={() => handleBlacklist(
-                          visitor._id, 
-                          !visitor.isBlacklisted, 
-                          `${visitor.firstName} ${visitor.lastName}`
-                        )}
-                        disabled={blacklistMutation.isLoading}
-                        className={`text-sm ${
-                          visitor.isBlacklisted ? 'btn-success' : 'btn-danger'
-                        }`}
-                      >
-                        {visitor.isBlacklisted ? (
-                          <>
-                            <CheckCircle className="h-4 w-4 mr-1" />
-                            Unblacklist
-                          </>
-                        ) : (
-                          <>
+                      {!visitor.anonymizedAt && (
+                        <>
+                          <button
+                            onClick={() => {/* TODO: Implement edit */}}
+                            className="btn-outline text-sm"
+                          >
+                            <Edit className="h-4 w-4 mr-1" />
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => setBlacklistVisitor(visitor)}
+                            className="btn-danger text-sm"
+                          >
                             <Ban className="h-4 w-4 mr-1" />
                             Blacklist
-                          </>
-                        )}
-                      </button>
+                          </button>
+                          <button
+                            onClick={() => handleErase(visitor._id, `${visitor.firstName} ${visitor.lastName}`)}
+                            disabled={eraseMutation.isLoading}
+                            className="btn-outline text-sm"
+                          >
+                            <Trash2 className="h-4 w-4 mr-1" />
+                            Erase
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -210,6 +226,13 @@ const AdminVisitors = () => {
           )}
         </div>
       </div>
+
+      {blacklistVisitor && (
+        <BlacklistModal
+          visitor={blacklistVisitor}
+          onClose={() => setBlacklistVisitor(null)}
+        />
+      )}
     </div>
   );
 };
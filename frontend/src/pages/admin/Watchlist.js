@@ -0,0 +1,309 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import {
+  ShieldAlert,
+  ShieldCheck,
+  Search,
+  Upload,
+  Trash2,
+  CheckCircle,
+  XCircle,
+  Phone,
+  Building2,
+  Calendar
+} from 'lucide-react';
+import { watchlistAPI } from '../../utils/api';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import { debounce, formatDateTime, getPurposeText } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  phone: 'Phone',
+  idNumber: 'ID number',
+};
+
+const AdminWatchlist = () => {
+  const queryClient = useQueryClient();
+  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('');
+  const [listName, setListName] = useState('');
+  const [csvFile, setCsvFile] = useState(null);
+
+  // Debounced search
+  const debouncedSearch = debounce((value) => {
+    setDebouncedSearchTerm(value);
+  }, 300);
+
+  const { data: reviewsData, isLoading: reviewsLoading } = useQuery(
+    'security-reviews',
+    () => watchlistAPI.getReviews({ limit: 50 }),
+    {
+      refetchInterval: 30000,
+    }
+  );
+
+  const { data: entriesData, isLoading: entriesLoading } = useQuery(
+    ['watchlist', { search: debouncedSearchTerm }],
+    () => watchlistAPI.getAll({ search: debouncedSearchTerm, limit: 50 }),
+    {
+      keepPreviousData: true,
+    }
+  );
+
+  const resolveMutation = useMutation(
+    ({ requestId, decision, notes }) => watchlistAPI.resolve(requestId, decision, notes),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('security-reviews');
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save review decision');
+      },
+    }
+  );
+
+  const importMutation = useMutation(watchlistAPI.import, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('watchlist');
+      setCsvFile(null);
+      toast.success(response.data.message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to import watchlist');
+    },
+  });
+
+  const removeMutation = useMutation(watchlistAPI.remove, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('watchlist');
+      toast.success('Watchlist entry removed');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to remove watchlist entry');
+    },
+  });
+
+  const reviews = reviewsData?.data?.data?.requests || [];
+  const entries = entriesData?.data?.data?.entries || [];
+
+  const handleResolve = (requestId, decision) => {
+    const notes = prompt(decision === 'clear' ? 'Notes for clearing this visitor (optional):' : 'Reason for denying this visit:');
+    if (notes === null) return;
+
+    resolveMutation.mutate({ requestId, decision, notes: notes.trim() || undefined });
+  };
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    if (!listName.trim() || !csvFile) {
+      toast.error('Please provide a list name and a CSV file');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => importMutation.mutate({ listName: listName.trim(), csv: reader.result });
+    reader.onerror = () => toast.error('Failed to read CSV file');
+    reader.readAsText(csvFile);
+  };
+
+  const handleRemove = (entryId, name) => {
+    if (window.confirm(`Remove "${name}" from the watchlist?`)) {
+      removeMutation.mutate(entryId);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Watchlist</h1>
+        <p className="text-gray-600 mt-1">
+          Review held visits and manage screening lists
+        </p>
+      </div>
+
+      {/* Pending Reviews */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900">Pending Security Reviews</h2>
+        </div>
+        <div className="card-body">
+          {reviewsLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner />
+            </div>
+          ) : reviews.length === 0 ? (
+            <div className="text-center py-8">
+              <ShieldCheck className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Nothing to review</h3>
+              <p className="text-gray-600">Visits matching the watchlist will appear here.</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {reviews.map((request) => (
+                <div key={request._id} className="p-4 border border-yellow-200 bg-yellow-50 rounded-lg">
+                  <div className="flex items-start justify-between">
+                    <div className="flex-1">
+                      <h3 className="text-lg font-medium text-gray-900">
+                        {request.visitor?.firstName} {request.visitor?.lastName}
+                      </h3>
+                      <div className="flex items-center space-x-4 text-sm text-gray-600">
+                        <div className="flex items-center">
+                          <Phone className="h-4 w-4 mr-1" />
+                          <span>{request.visitor?.phone}</span>
+                        </div>
+                        <div className="flex items-center">
+                          <Building2 className="h-4 w-4 mr-1" />
+                          <span>
+                            {request.company?.name} &middot; {request.member?.firstName} {request.member?.lastName}
+                          </span>
+                        </div>
+                        <div className="flex items-center">
+                          <Calendar className="h-4 w-4 mr-1" />
+                          <span>
+                            {getPurposeText(request.purpose)}
+                            {request.scheduledTime && ` on ${formatDateTime(request.scheduledTime)}`}
+                          </span>
+                        </div>
+                      </div>
+                      <div className="mt-2 space-y-1">
+                        {request.securityReview?.matches?.map((match, index) => (
+                          <div key={index} className="flex items-center text-sm text-red-600">
+                            <ShieldAlert className="h-4 w-4 mr-1" />
+                            <span>
+                              {match.attendee && `Group attendee ${match.attendee}: `}
+                              {FIELD_LABELS[match.field] || match.field} matches "{match.value}" on {match.listName} ({Math.round(match.score * 100)}%)
+                              {match.entry?.reason && ` - ${match.entry.reason}`}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Flagged {formatDateTime(request.securityReview?.flaggedAt)}
+                        {request.isPreRegistered && ' · Invitation'}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => handleResolve(request._id, 'clear')}
+                        disabled={resolveMutation.isLoading}
+                        className="btn-success text-sm"
+                      >
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Clear
+                      </button>
+                      <button
+                        onClick={() => handleResolve(request._id, 'deny')}
+                        disabled={resolveMutation.isLoading}
+                        className="btn-danger text-sm"
+                      >
+                        <XCircle className="h-4 w-4 mr-1" />
+                        Deny
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Import */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900">Import List</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            CSV with a header row using the columns name, phone, idNumber and reason
+          </p>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleImport} className="flex flex-col md:flex-row md:items-end gap-4">
+            <div className="flex-1">
+              <label className="label">List Name</label>
+              <input
+                type="text"
+                value={listName}
+                onChange={(e) => setListName(e.target.value)}
+                placeholder="e.g. Trespass notices"
+                className="input"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="label">CSV File</label>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={(e) => setCsvFile(e.target.files[0] || null)}
+                className="input"
+              />
+            </div>
+            <button type="submit" disabled={importMutation.isLoading} className="btn-primary">
+              <Upload className="h-4 w-4 mr-2" />
+              {importMutation.isLoading ? 'Importing...' : 'Import'}
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="card">
+        <div className="card-body">
+          <div className="relative mb-4">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search watchlist..."
+              onChange={(e) => debouncedSearch(e.target.value)}
+              className="input pl-10"
+            />
+          </div>
+
+          {entriesLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner />
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="text-center py-8">
+              <ShieldAlert className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No watchlist entries</h3>
+              <p className="text-gray-600">
+                {debouncedSearchTerm ? 'No entries match your search.' : 'Import a list to start screening visitors.'}
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {entries.map((entry) => (
+                <div
+                  key={entry._id}
+                  className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:bg-gray-50"
+                >
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{entry.name || 'Unnamed'}</span>
+                      <span className="badge badge-gray">{entry.listName}</span>
+                    </div>
+                    <div className="text-sm text-gray-600">
+                      {[entry.phone, entry.idNumber && `ID ${entry.idNumber}`, entry.reason].filter(Boolean).join(' · ')}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRemove(entry._id, entry.name || entry.phone || entry.idNumber)}
+                    disabled={removeMutation.isLoading}
+                    className="btn-outline text-sm"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminWatchlist;
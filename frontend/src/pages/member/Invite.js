@@ -0,0 +1,347 @@
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import {
+  UserPlus,
+  Phone,
+  Mail,
+  Calendar,
+  Clock,
+  Repeat,
+  QrCode,
+  Send
+} from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { requestsAPI } from '../../utils/api';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import {
+  formatDateTime,
+  getStatusColor,
+  getStatusText,
+  getPurposeText
+} from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const MemberInvite = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const companies = (user.companies || []).filter((c) => c.isActive !== false);
+
+  const { register, handleSubmit, watch, reset, formState: { errors } } = useForm({
+    defaultValues: {
+      firstName: '',
+      lastName: '',
+      phone: '',
+      email: '',
+      companyId: companies[0]?.company?._id || companies[0]?.company || '',
+      purpose: 'meeting',
+      duration: 60,
+      scheduledTime: '',
+      purposeDescription: '',
+      recurrence: {
+        frequency: '',
+        occurrences: 4,
+      }
+    }
+  });
+
+  const frequency = watch('recurrence.frequency');
+
+  const { data: invitationsData, isLoading } = useQuery(
+    ['member-invitations', user.id],
+    () => requestsAPI.getInvitations({ upcoming: true, limit: 50 }),
+    {
+      enabled: !!user.id,
+    }
+  );
+
+  const createInvitationMutation = useMutation(requestsAPI.createInvitation, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['member-invitations', user.id]);
+      toast.success(response.data.message || 'Invitation sent successfully');
+      reset();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    },
+  });
+
+  const invitations = invitationsData?.data?.data?.requests || invitationsData?.data?.requests || [];
+
+  const onSubmit = (data) => {
+    const payload = {
+      ...data,
+      duration: parseInt(data.duration),
+      scheduledTime: new Date(data.scheduledTime).toISOString(),
+      recurrence: data.recurrence.frequency
+        ? { frequency: data.recurrence.frequency, occurrences: parseInt(data.recurrence.occurrences) }
+        : undefined,
+    };
+    createInvitationMutation.mutate(payload);
+  };
+
+  const purposes = [
+    { value: 'meeting', label: 'Meeting' },
+    { value: 'interview', label: 'Interview' },
+    { value: 'casual', label: 'Casual Visit' },
+    { value: 'delivery', label: 'Delivery' },
+    { value: 'other', label: 'Other' },
+  ];
+
+  const durationOptions = [
+    { value: 15, label: '15 minutes' },
+    { value: 30, label: '30 minutes' },
+    { value: 60, label: '1 hour' },
+    { value: 120, label: '2 hours' },
+    { value: 240, label: '4 hours' },
+    { value: 480, label: '8 hours' },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Invite a Visitor</h1>
+        <p className="text-gray-600 mt-1">
+          Pre-register expected guests so they can check in with a gate pass
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Invitation Form */}
+        <div className="lg:col-span-2">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <UserPlus className="h-5 w-5 mr-2" />
+                Guest Details
+              </h3>
+            </div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">
+                      First Name <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="text"
+                      className={`input ${errors.firstName ? 'input-error' : ''}`}
+                      {...register('firstName', { required: 'First name is required' })}
+                    />
+                    {errors.firstName && (
+                      <p className="text-red-500 text-sm mt-1">{errors.firstName.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="label">
+                      Last Name <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="text"
+                      className={`input ${errors.lastName ? 'input-error' : ''}`}
+                      {...register('lastName', { required: 'Last name is required' })}
+                    />
+                    {errors.lastName && (
+                      <p className="text-red-500 text-sm mt-1">{errors.lastName.message}</p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">
+                      Phone Number <span className="text-red-500">*</span>
+                    </label>
+                    <div className="relative">
+                      <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                      <input
+                        type="tel"
+                        className={`input pl-10 ${errors.phone ? 'input-error' : ''}`}
+                        {...register('phone', { required: 'Phone number is required' })}
+                      />
+                    </div>
+                    {errors.phone && (
+                      <p className="text-red-500 text-sm mt-1">{errors.phone.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="label">Email (optional)</label>
+                    <div className="relative">
+                      <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                      <input
+                        type="email"
+                        className="input pl-10"
+                        {...register('email')}
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                {companies.length > 1 && (
+                  <div>
+                    <label className="label">Company</label>
+                    <select className="input" {...register('companyId')}>
+                      {companies.map((c, index) => (
+                        <option key={c.company?._id || c.company} value={c.company?._id || c.company}>
+                          {c.company?.name || `Company ${index + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="label">Purpose</label>
+                    <select className="input" {...register('purpose')}>
+                      {purposes.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="label">Duration</label>
+                    <select className="input" {...register('duration')}>
+                      {durationOptions.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="label">
+                      Visit Time <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      type="datetime-local"
+                      className={`input ${errors.scheduledTime ? 'input-error' : ''}`}
+                      {...register('scheduledTime', { required: 'Visit time is required' })}
+                    />
+                    {errors.scheduledTime && (
+                      <p className="text-red-500 text-sm mt-1">{errors.scheduledTime.message}</p>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="label">Description (optional)</label>
+                  <textarea
+                    rows={2}
+                    className="input"
+                    placeholder="Any details for reception..."
+                    {...register('purposeDescription', { maxLength: { value: 200, message: 'Description cannot exceed 200 characters' } })}
+                  />
+                  {errors.purposeDescription && (
+                    <p className="text-red-500 text-sm mt-1">{errors.purposeDescription.message}</p>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label flex items-center">
+                      <Repeat className="h-4 w-4 mr-1" />
+                      Repeat
+                    </label>
+                    <select className="input" {...register('recurrence.frequency')}>
+                      <option value="">Does not repeat</option>
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                    </select>
+                  </div>
+                  {frequency && (
+                    <div>
+                      <label className="label">Number of Visits</label>
+                      <input
+                        type="number"
+                        min={1}
+                        max={30}
+                        className={`input ${errors.recurrence?.occurrences ? 'input-error' : ''}`}
+                        {...register('recurrence.occurrences', {
+                          min: { value: 1, message: 'At least 1 visit' },
+                          max: { value: 30, message: 'At most 30 visits' }
+                        })}
+                      />
+                      {errors.recurrence?.occurrences && (
+                        <p className="text-red-500 text-sm mt-1">{errors.recurrence.occurrences.message}</p>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={createInvitationMutation.isLoading}
+                    className="btn-primary"
+                  >
+                    {createInvitationMutation.isLoading ? (
+                      <LoadingSpinner size="sm" />
+                    ) : (
+                      <>
+                        <Send className="h-4 w-4 mr-2" />
+                        Send Invitation
+                      </>
+                    )}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+
+        {/* Upcoming Invitations */}
+        <div className="lg:col-span-1">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <Calendar className="h-5 w-5 mr-2" />
+                Upcoming Guests
+              </h3>
+            </div>
+            <div className="card-body">
+              {isLoading ? (
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner />
+                </div>
+              ) : invitations.length === 0 ? (
+                <p className="text-sm text-gray-600 text-center py-4">
+                  No upcoming invited guests.
+                </p>
+              ) : (
+                <div className="space-y-3">
+                  {invitations.map((invitation) => (
+                    <div key={invitation._id} className="border border-gray-200 rounded-lg p-3">
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="text-sm font-medium text-gray-900">
+                          {invitation.visitor?.firstName} {invitation.visitor?.lastName}
+                        </p>
+                        <span className={`badge badge-${getStatusColor(invitation.status)}`}>
+                          {getStatusText(invitation.status)}
+                        </span>
+                      </div>
+                      <div className="flex items-center text-xs text-gray-600">
+                        <Clock className="h-3 w-3 mr-1" />
+                        <span>{formatDateTime(invitation.scheduledTime)}</span>
+                      </div>
+                      <div className="flex items-center text-xs text-gray-600">
+                        <QrCode className="h-3 w-3 mr-1" />
+                        <span>{getPurposeText(invitation.purpose)} · {invitation.gatePass?.code}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MemberInvite;
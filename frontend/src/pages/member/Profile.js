@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { useMutation, useQueryClient } from 'react-query';
+import { useQuery, useMutation } from 'react-query';
 import { 
   User, 
   Mail, 
@@ -10,12 +10,16 @@ import {
   Settings,
   Save,
   Eye,
-  EyeOff
+  EyeOff,
+  Plane
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
-import { authAPI } from '../../utils/api';
+import { authAPI, membersAPI } from '../../utils/api';
 import LoadingSpinner from '../../components/LoadingSpinner';
-import { getInitials } from '../../utils/helpers';
+import AutoAcceptSettings from '../../components/AutoAcceptSettings';
+import AvailabilitySettings from '../../components/AvailabilitySettings';
+import CalendarFeedSettings from '../../components/CalendarFeedSettings';
+import { getInitials, formatDateTime } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
 const MemberProfile = () => {
@@ -23,6 +27,12 @@ const MemberProfile = () => {
   const [showPasswordForm, setShowPasswordForm] = useState(false);
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
+  const [outOfOffice, setOutOfOffice] = useState({
+    startDate: '',
+    endDate: '',
+    delegateId: user.outOfOffice?.delegate || '',
+    mode: user.outOfOffice?.mode || 'forward',
+  });
 
   const { register, handleSubmit, formState: { errors } } = useForm({
     defaultValues: {
@@ -32,7 +42,6 @@ const MemberProfile = () => {
       preferences: {
         emailNotifications: user.preferences?.emailNotifications ?? true,
         smsNotifications: user.preferences?.smsNotifications ?? true,
-        autoAccept: user.preferences?.autoAccept ?? false,
       }
     }
   });
@@ -62,6 +71,58 @@ const MemberProfile = () => {
     },
   });
 
+  const { data: colleaguesData } = useQuery(
+    ['member-colleagues', user.id],
+    () => membersAPI.getColleagues(user.id),
+    { enabled: !!user.id }
+  );
+
+  const onOutOfOfficeSaved = (response) => {
+    updateUser({ ...user, outOfOffice: response.data.data.member.outOfOffice });
+    toast.success(response.data.message);
+  };
+
+  const setOutOfOfficeMutation = useMutation(
+    (data) => membersAPI.setOutOfOffice(user.id, data),
+    {
+      onSuccess: onOutOfOfficeSaved,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save out of office');
+      },
+    }
+  );
+
+  const clearOutOfOfficeMutation = useMutation(
+    () => membersAPI.clearOutOfOffice(user.id),
+    {
+      onSuccess: onOutOfOfficeSaved,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to clear out of office');
+      },
+    }
+  );
+
+  const colleagues = colleaguesData?.data?.data?.members || [];
+  const currentOutOfOffice = user.outOfOffice?.endDate && new Date(user.outOfOffice.endDate) > new Date()
+    ? user.outOfOffice
+    : null;
+  const currentDelegate = colleagues.find((c) => c._id === currentOutOfOffice?.delegate);
+
+  const handleOutOfOfficeSubmit = (e) => {
+    e.preventDefault();
+    if (!outOfOffice.startDate || !outOfOffice.endDate || !outOfOffice.delegateId) {
+      toast.error('Please choose dates and a delegate');
+      return;
+    }
+
+    setOutOfOfficeMutation.mutate({
+      startDate: new Date(outOfOffice.startDate).toISOString(),
+      endDate: new Date(outOfOffice.endDate).toISOString(),
+      delegateId: outOfOffice.delegateId,
+      mode: outOfOffice.mode,
+    });
+  };
+
   const onSubmit = (data) => {
     updateProfileMutation.mutate(data);
   };
@@ -252,21 +313,6 @@ const MemberProfile = () => {
                       <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
                     </label>
                   </div>
-
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <h4 className="text-sm font-medium text-gray-900">Auto Accept</h4>
-                      <p className="text-sm text-gray-500">Automatically accept all visitor requests</p>
-                    </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input
-                        type="checkbox"
-                        className="sr-only peer"
-                        {...register('preferences.autoAccept')}
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
-                    </label>
-                  </div>
                 </div>
 
                 <div className="flex justify-end">
@@ -292,6 +338,111 @@ const MemberProfile = () => {
             </div>
           </div>
 
+          <AutoAcceptSettings
+            user={user}
+            onSaved={(preferences) => updateUser({ ...user, preferences })}
+          />
+
+          <AvailabilitySettings
+            user={user}
+            onSaved={(availability) => updateUser({ ...user, availability })}
+          />
+
+          <CalendarFeedSettings
+            user={user}
+            onSaved={(calendarFeed) => updateUser({ ...user, calendarFeed })}
+          />
+
+          {/* Out of Office */}
+          <div className="card mt-6">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <Plane className="h-5 w-5 mr-2" />
+                Out of Office
+              </h3>
+            </div>
+            <div className="card-body">
+              {currentOutOfOffice && (
+                <div className="flex items-center justify-between p-3 mb-4 bg-blue-50 border border-blue-200 rounded-lg">
+                  <p className="text-sm text-blue-800">
+                    Away {formatDateTime(currentOutOfOffice.startDate)} to {formatDateTime(currentOutOfOffice.endDate)}.
+                    {' '}Requests are {currentOutOfOffice.mode === 'cc' ? 'copied' : 'forwarded'} to
+                    {' '}{currentDelegate ? `${currentDelegate.firstName} ${currentDelegate.lastName}` : 'your delegate'}.
+                  </p>
+                  <button
+                    type="button"
+                    onClick={() => clearOutOfOfficeMutation.mutate()}
+                    disabled={clearOutOfOfficeMutation.isLoading}
+                    className="btn-outline text-sm"
+                  >
+                    Clear
+                  </button>
+                </div>
+              )}
+              <form onSubmit={handleOutOfOfficeSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">From</label>
+                    <input
+                      type="datetime-local"
+                      className="input"
+                      value={outOfOffice.startDate}
+                      onChange={(e) => setOutOfOffice({ ...outOfOffice, startDate: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Until</label>
+                    <input
+                      type="datetime-local"
+                      className="input"
+                      value={outOfOffice.endDate}
+                      onChange={(e) => setOutOfOffice({ ...outOfOffice, endDate: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="label">Delegate</label>
+                    <select
+                      className="input"
+                      value={outOfOffice.delegateId}
+                      onChange={(e) => setOutOfOffice({ ...outOfOffice, delegateId: e.target.value })}
+                    >
+                      <option value="">Select colleague</option>
+                      {colleagues.map((colleague) => (
+                        <option key={colleague._id} value={colleague._id}>
+                          {colleague.firstName} {colleague.lastName} ({colleague.department})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="label">New Requests</label>
+                    <select
+                      className="input"
+                      value={outOfOffice.mode}
+                      onChange={(e) => setOutOfOffice({ ...outOfOffice, mode: e.target.value })}
+                    >
+                      <option value="forward">Send to delegate only</option>
+                      <option value="cc">Send to delegate and me</option>
+                    </select>
+                  </div>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Your delegate can accept, decline or reschedule visitors on your behalf during this time.
+                </p>
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={setOutOfOfficeMutation.isLoading}
+                    className="btn-primary"
+                  >
+                    <Save className="h-4 w-4 mr-2" />
+                    {setOutOfOfficeMutation.isLoading ? 'Saving...' : 'Save Out of Office'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+
           {/* Change Password */}
           <div className="card mt-6">
             <div className="card-header">
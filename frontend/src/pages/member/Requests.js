@@ -11,11 +11,17 @@ import {
   Phone,
   Mail,
   MessageSquare,
-  Users
+  Users,
+  Plus,
+  Trash2
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { requestsAPI } from '../../utils/api';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import EscalationSteps from '../../components/EscalationSteps';
+import PanelHosts from '../../components/PanelHosts';
+import NegotiationHistory from '../../components/NegotiationHistory';
+import RequestSeriesList from '../../components/RequestSeriesList';
 import { 
   formatDateTime, 
   getStatusColor, 
@@ -25,6 +31,9 @@ import {
 } from '../../utils/helpers';
 import toast from 'react-hot-toast';
 
+const MAX_PROPOSED_TIMES = 5;
+const emptyResponse = { action: '', message: '', proposedTimes: [''], slot: '' };
+
 const MemberRequests = () => {
   const { user } = useAuth();
   const queryClient = useQueryClient();
@@ -32,11 +41,7 @@ const MemberRequests = () => {
   const [statusFilter, setStatusFilter] = useState('');
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [showResponseModal, setShowResponseModal] = useState(false);
-  const [responseData, setResponseData] = useState({
-    action: '',
-    message: '',
-    proposedTime: ''
-  });
+  const [responseData, setResponseData] = useState(emptyResponse);
 
   // Debounced search
   const debouncedSearch = debounce((value) => {
@@ -56,15 +61,15 @@ const MemberRequests = () => {
   );
 
   const updateRequestMutation = useMutation(
-    ({ requestId, action, message, proposedTime }) =>
-      requestsAPI.updateStatus(requestId, action, message, proposedTime),
+    ({ requestId, action, message, proposedTimes, slot }) =>
+      requestsAPI.updateStatus(requestId, action, message, undefined, { proposedTimes, slot }),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
         queryClient.invalidateQueries(['member-requests', user.id]);
         setShowResponseModal(false);
         setSelectedRequest(null);
-        setResponseData({ action: '', message: '', proposedTime: '' });
-        toast.success('Request updated successfully');
+        setResponseData(emptyResponse);
+        toast.success(response.data.message || 'Request updated successfully');
       },
       onError: (error) => {
         toast.error(error.response?.data?.message || 'Failed to update request');
@@ -91,6 +96,33 @@ const MemberRequests = () => {
     }
   };
 
+  // Panel hosts answer once each; a delegate answers for the primary host
+  const canRespond = (request) => {
+    if (request.status !== 'pending') {
+      return false;
+    }
+    if (!request.hosts || request.hosts.length < 2) {
+      return true;
+    }
+    const hostId = request.delegate?._id === user.id ? request.member?._id : user.id;
+    const entry = request.hosts.find((host) => host.member?._id === hostId);
+    return !entry || !['accept', 'decline'].includes(entry.action);
+  };
+
+  const awaitingHost = (request) => request.negotiation?.awaiting === 'host';
+
+  const getVisitorSlots = (request) => {
+    const rounds = request.negotiation?.rounds || [];
+    return awaitingHost(request) && rounds.length ? rounds[rounds.length - 1].slots : [];
+  };
+
+  const updateProposedTime = (index, value) => {
+    setResponseData({
+      ...responseData,
+      proposedTimes: responseData.proposedTimes.map((time, i) => (i === index ? value : time)),
+    });
+  };
+
   const handleResponse = (request) => {
     setSelectedRequest(request);
     setShowResponseModal(true);
@@ -102,16 +134,26 @@ const MemberRequests = () => {
       return;
     }
 
-    if (responseData.action === 'reschedule' && !responseData.proposedTime) {
+    const proposedTimes = responseData.proposedTimes.filter(Boolean);
+    if (responseData.action === 'reschedule' && proposedTimes.length === 0) {
       toast.error('Please provide a proposed time for rescheduling');
       return;
     }
 
+    // Accepting a visitor's counter-proposal means picking one of their times
+    if (responseData.action === 'accept' && awaitingHost(selectedRequest) && !responseData.slot) {
+      toast.error('Please choose one of the times the visitor proposed');
+      return;
+    }
+
     updateRequestMutation.mutate({
       requestId: selectedRequest._id,
       action: responseData.action,
       message: responseData.message,
-      proposedTime: responseData.proposedTime || undefined,
+      proposedTimes: responseData.action === 'reschedule'
+        ? proposedTimes.map((time) => new Date(time).toISOString())
+        : undefined,
+      slot: responseData.action === 'accept' ? responseData.slot || undefined : undefined,
     });
   };
 
@@ -122,6 +164,7 @@ const MemberRequests = () => {
     { value: 'declined', label: 'Declined' },
     { value: 'completed', label: 'Completed' },
     { value: 'in-progress', label: 'In Progress' },
+    { value: 'expired', label: 'Expired' },
   ];
 
   return (
@@ -170,6 +213,8 @@ const MemberRequests = () => {
         </div>
       </div>
 
+      <RequestSeriesList memberId={user.id} />
+
       {/* Requests List */}
       <div className="card">
         <div className="card-body">
@@ -205,6 +250,25 @@ const MemberRequests = () => {
                           <span className={`badge badge-${getStatusColor(request.status)}`}>
                             {getStatusText(request.status)}
                           </span>
+                          {request.series && (
+                            <span className="badge badge-info">Recurring</span>
+                          )}
+                          {request.headcount > 1 && (
+                            <span className="badge badge-info">Group of {request.headcount}</span>
+                          )}
+                          {request.hosts?.length > 1 ? (
+                            <span className="badge badge-info">
+                              Panel of {request.hosts.length}
+                            </span>
+                          ) : request.member?._id !== user.id ? (
+                            <span className="badge badge-info">
+                              For {request.member?.firstName} {request.member?.lastName}
+                            </span>
+                          ) : request.delegate && (
+                            <span className="badge badge-gray">
+                              Delegated to {request.delegate.firstName} {request.delegate.lastName}
+                            </span>
+                          )}
                         </div>
                         
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
@@ -247,6 +311,12 @@ const MemberRequests = () => {
                           </div>
                         )}
 
+                        <PanelHosts request={request} />
+
+                        <EscalationSteps escalation={request.escalation} />
+
+                        <NegotiationHistory negotiation={request.negotiation} />
+
                         {request.memberResponse && (
                           <div className="mb-4 p-3 bg-gray-50 rounded-lg">
                             <div className="flex items-center mb-2">
@@ -271,7 +341,7 @@ const MemberRequests = () => {
                       </div>
                     </div>
 
-                    {request.status === 'pending' && (
+                    {canRespond(request) && (
                       <button
                         onClick={() => handleResponse(request)}
                         className="btn-primary text-sm"
@@ -333,15 +403,62 @@ const MemberRequests = () => {
                     />
                   </div>
 
-                  {responseData.action === 'reschedule' && (
+                  {responseData.action === 'accept' && awaitingHost(selectedRequest) && (
                     <div>
-                      <label className="label">Proposed Time</label>
-                      <input
-                        type="datetime-local"
-                        value={responseData.proposedTime}
-                        onChange={(e) => setResponseData({ ...responseData, proposedTime: e.target.value })}
+                      <label className="label">Visitor's Proposed Times</label>
+                      <select
+                        value={responseData.slot}
+                        onChange={(e) => setResponseData({ ...responseData, slot: e.target.value })}
                         className="input"
-                      />
+                      >
+                        <option value="">Choose a time</option>
+                        {getVisitorSlots(selectedRequest).map((slot) => (
+                          <option key={slot} value={slot}>{formatDateTime(slot)}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {responseData.action === 'reschedule' && (
+                    <div>
+                      <label className="label">Proposed Times</label>
+                      <div className="space-y-2">
+                        {responseData.proposedTimes.map((time, index) => (
+                          <div key={index} className="flex items-center space-x-2">
+                            <input
+                              type="datetime-local"
+                              value={time}
+                              onChange={(e) => updateProposedTime(index, e.target.value)}
+                              className="input"
+                            />
+                            {responseData.proposedTimes.length > 1 && (
+                              <button
+                                type="button"
+                                onClick={() => setResponseData({
+                                  ...responseData,
+                                  proposedTimes: responseData.proposedTimes.filter((_, i) => i !== index),
+                                })}
+                                className="text-gray-400 hover:text-red-600"
+                                title="Remove time"
+                              >
+                                <Trash2 className="h-5 w-5" />
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => setResponseData({ ...responseData, proposedTimes: [...responseData.proposedTimes, ''] })}
+                        disabled={responseData.proposedTimes.length >= MAX_PROPOSED_TIMES}
+                        className="btn-outline text-sm mt-2 inline-flex items-center"
+                      >
+                        <Plus className="h-4 w-4 mr-1" />
+                        Add Time
+                      </button>
+                      <p className="text-xs text-gray-500 mt-1">
+                        The visitor confirms one of these times or suggests others.
+                      </p>
                     </div>
                   )}
                 </div>
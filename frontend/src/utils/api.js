@@ -25,6 +25,11 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Set once a visitor verifies their phone number
+    const visitorSession = sessionStorage.getItem('visitorSession');
+    if (visitorSession) {
+      config.headers['X-Visitor-Session'] = visitorSession;
+    }
     return config;
   },
   (error) => {
@@ -99,6 +104,24 @@ export const companiesAPI = {
   
   getStats: (id) => 
     api.get(`/companies/${id}/stats`),
+  
+  getCalendar: (id, params = {}) => 
+    api.get(`/companies/${id}/calendar`, { params: cleanParams(params) }),
+  
+  addCalendarEntry: (id, data) => 
+    api.post(`/companies/${id}/calendar`, data),
+  
+  updateCalendarEntry: (id, entryId, data) => 
+    api.put(`/companies/${id}/calendar/${entryId}`, data),
+  
+  deleteCalendarEntry: (id, entryId) => 
+    api.delete(`/companies/${id}/calendar/${entryId}`),
+  
+  updatePublicBoard: (id, data) => 
+    api.put(`/companies/${id}/public-board`, data),
+  
+  updateEscalation: (id, data) => 
+    api.put(`/companies/${id}/escalation`, data),
 };
 
 export const membersAPI = {
@@ -133,9 +156,39 @@ export const membersAPI = {
   
   removeFromCompany: (id, companyId) => 
     api.delete(`/members/${id}/companies/${companyId}`),
+  
+  getColleagues: (id) => 
+    api.get(`/members/${id}/colleagues`),
+  
+  setOutOfOffice: (id, data) => 
+    api.put(`/members/${id}/out-of-office`, data),
+  
+  clearOutOfOffice: (id) => 
+    api.delete(`/members/${id}/out-of-office`),
+  
+  setAutoAccept: (id, data) => 
+    api.put(`/members/${id}/auto-accept`, data),
+  
+  setAvailability: (id, data) => 
+    api.put(`/members/${id}/availability`, data),
+  
+  getSlots: (id, params = {}) => 
+    api.get(`/members/public/${id}/slots`, { params: cleanParams(params) }),
+  
+  createCalendarFeed: (id) => 
+    api.post(`/members/${id}/calendar-feed`),
+  
+  revokeCalendarFeed: (id) => 
+    api.delete(`/members/${id}/calendar-feed`),
 };
 
 export const visitorsAPI = {
+  requestOtp: (phone) => 
+    api.post('/visitors/otp/request', { phone }),
+  
+  verifyOtp: (phone, code) => 
+    api.post('/visitors/otp/verify', { phone, code }),
+  
   create: (data) => 
     api.post('/visitors', data),
   
@@ -169,8 +222,23 @@ export const visitorsAPI = {
     });
   },
   
-  blacklist: (id, isBlacklisted, reason) => 
-    api.put(`/visitors/${id}/blacklist`, { isBlacklisted, reason }),
+  getBlacklist: (id) => 
+    api.get(`/visitors/${id}/blacklist`),
+  
+  addBlacklist: (id, data) => 
+    api.post(`/visitors/${id}/blacklist`, data),
+  
+  liftBlacklist: (id, entryId, reason) => 
+    api.put(`/visitors/${id}/blacklist/${entryId}/lift`, { reason }),
+  
+  getBlacklistHistory: (params = {}) => 
+    api.get('/visitors/blacklist/history', { params: cleanParams(params) }),
+  
+  erase: (id) => 
+    api.post(`/visitors/${id}/erase`),
+  
+  exportData: (id) => 
+    api.get(`/visitors/${id}/export`, { responseType: 'blob' }),
   
   getStats: () => 
     api.get('/visitors/stats/overview'),
@@ -186,8 +254,8 @@ export const requestsAPI = {
   getByCompany: (companyId, params = {}) => 
     api.get(`/requests/company/${companyId}`, { params }),
   
-  getById: (id) => 
-    api.get(`/requests/public/${id}`),
+  getById: (id, token) => 
+    api.get(`/requests/public/${id}`, { params: cleanParams({ token }) }),
   
   getByVisitorPublic: (visitorId) =>
     api.get(`/requests/public/visitor/${visitorId}`),
@@ -195,20 +263,64 @@ export const requestsAPI = {
   getPublic: (params = {}) =>
     api.get('/requests/public', { params: cleanParams(params) }),
   
-  updateStatus: (id, action, message, proposedTime) => 
-    api.put(`/requests/${id}/status`, { action, message, proposedTime }),
+  updateStatus: (id, action, message, proposedTime, options = {}) => 
+    api.put(`/requests/${id}/status`, { action, message, proposedTime, ...options }),
   
-  markEntered: (id, entryGate, securityPersonnel) => 
-    api.put(`/requests/${id}/enter`, { entryGate, securityPersonnel }),
+  markEntered: (id, entryGate, securityPersonnel, attendeeIds = []) => 
+    api.put(`/requests/${id}/enter`, { entryGate, securityPersonnel, attendeeIds }),
+  
+  enterWithPass: (pass, entryGate, securityPersonnel, attendeeIds = []) => 
+    api.put('/requests/pass/enter', { pass, entryGate, securityPersonnel, attendeeIds }),
+  
+  markExited: (id, attendeeIds = []) => 
+    api.put(`/requests/${id}/exit`, { attendeeIds }),
+
+  uploadAttendeePhoto: (id, attendeeId, token, file) => {
+    const formData = new FormData();
+    formData.append('token', token);
+    formData.append('photo', file);
+    return api.post(`/requests/${id}/attendees/${attendeeId}/photo`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
   
-  markExited: (id) => 
-    api.put(`/requests/${id}/exit`),
+  checkout: (id, token) => 
+    api.put(`/requests/${id}/checkout`, { token }),
   
+  respondToReschedule: (id, token, data) =>
+    api.put(`/requests/${id}/reschedule`, { token, ...data }),
+
   cancel: (id) => 
     api.put(`/requests/${id}/cancel`),
   
   getQueue: (companyId) => 
     api.get(`/requests/queue/${companyId}`),
+  
+  createInvitation: (data) => 
+    api.post('/requests/invitations', data),
+  
+  getInvitations: (params = {}) => 
+    api.get('/requests/invitations', { params: cleanParams(params) }),
+};
+
+export const seriesAPI = {
+  create: (data) =>
+    api.post('/series', data),
+
+  getByMember: (memberId, params = {}) =>
+    api.get(`/series/member/${memberId}`, { params: cleanParams(params) }),
+
+  getById: (id) =>
+    api.get(`/series/${id}`),
+
+  respond: (id, action, message) =>
+    api.put(`/series/${id}/respond`, { action, message }),
+
+  cancel: (id) =>
+    api.put(`/series/${id}/cancel`),
+
+  cancelOccurrence: (id, date) =>
+    api.put(`/series/${id}/occurrences/cancel`, { date }),
 };
 
 export const adminAPI = {
@@ -239,8 +351,36 @@ export const adminAPI = {
   getSettings: () => 
     api.get('/admin/settings'),
   
+  updateSettings: (data) => 
+    api.put('/admin/settings', data),
+  
+  getSettingsHistory: (params = {}) => 
+    api.get('/admin/settings/history', { params: cleanParams(params) }),
+  
   getReport: (type, params = {}) => 
     api.get(`/admin/reports/${type}`, { params }),
 };
 
+export const watchlistAPI = {
+  getAll: (params = {}) => 
+    api.get('/watchlist', { params: cleanParams(params) }),
+  
+  import: (data) => 
+    api.post('/watchlist/import', data),
+  
+  remove: (id) => 
+    api.delete(`/watchlist/${id}`),
+  
+  getReviews: (params = {}) => 
+    api.get('/watchlist/reviews', { params }),
+  
+  resolve: (requestId, decision, notes) => 
+    api.put(`/watchlist/reviews/${requestId}`, { decision, notes }),
+};
+
+export const systemAPI = {
+  getStatus: () => 
+    api.get('/system/status'),
+};
+
 export default api;
@@ -97,6 +97,7 @@ export const getStatusColor = (status) => {
     cancelled: 'danger',
     expired: 'danger',
     'in-progress': 'info',
+    'security-review': 'warning',
   };
   
   return statusColors[status] || 'gray';
@@ -112,6 +113,7 @@ export const getStatusText = (status) => {
     cancelled: 'Cancelled',
     expired: 'Expired',
     'in-progress': 'In Progress',
+    'security-review': 'Security Review',
   };
   
   return statusTexts[status] || status;
@@ -283,3 +285,26 @@ export const getRelativeDateText = (date) => {
   
   return formatRelativeTime(date);
 };
+
+// Visitor tokens authorize self check-out; kept per request in this browser
+export const saveVisitorToken = (requestId, token) => {
+  if (requestId && token) {
+    localStorage.setItem(`visitorToken:${requestId}`, token);
+  }
+};
+
+export const getVisitorToken = (requestId) => {
+  return localStorage.getItem(`visitorToken:${requestId}`);
+};
+
+// Save a downloaded file (e.g. an API blob response)
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};